@@ -73,7 +73,13 @@ socket.on('connect', () => {
 
     toggleScreen();
     roomDisplay.textContent = `Room: ${currentRoom} (User: ${currentUser.username || currentUser.email})`;
-    addMessage('System', `You joined ${currentRoom}`);
+});
+
+// History is only readable once the server has accepted the join
+socket.on('room_joined', () => {
+    loadHistory().then(() => {
+        addMessage('System', `You joined ${currentRoom}`);
+    });
 });
 
 socket.on('connect_error', (err) => {
@@ -105,9 +111,7 @@ function sendMessage() {
     if (message && currentRoom) {
         socket.emit('send_message', {
             room: currentRoom,
-            message: message,
-            senderId: currentUser._id,
-            senderName: currentUser.username || currentUser.email
+            message: message
         });
         messageInput.value = '';
         socket.emit('stop_typing', { room: currentRoom, user: currentUser.username || currentUser.email }); // clear typing 
@@ -131,6 +135,14 @@ socket.on('receive_message', (data) => {
     addMessage(data.senderName, data.message, data.timestamp);
 });
 
+socket.on('room_error', (data) => {
+    alert(data.message);
+});
+
+socket.on('message_error', (data) => {
+    addMessage('System', data.message);
+});
+
 socket.on('notification', (data) => {
     addMessage('Notification', `${data.type}: ${data.message}`);
 });
@@ -146,6 +158,22 @@ socket.on('user_stop_typing', (data) => {
 });
 
 // Helper Functions
+async function loadHistory() {
+    try {
+        const response = await fetch(`/api/chat/history/${encodeURIComponent(currentRoom)}`, {
+            headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+        });
+        const data = await response.json();
+
+        messagesList.innerHTML = '';
+        if (data.success) {
+            data.data.forEach((msg) => addMessage(msg.senderName, msg.message, msg.timestamp));
+        }
+    } catch (error) {
+        console.error('Failed to load chat history', error);
+    }
+}
+
 function toggleScreen() {
     loginScreen.classList.toggle('hidden');
     chatScreen.classList.toggle('hidden');
@@ -3,22 +3,27 @@ import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
 import compression from 'compression';
-import rateLimit from 'express-rate-limit';
 import swaggerUi from 'swagger-ui-express';
 import dotenv from 'dotenv';
 import cookieParser from 'cookie-parser';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import swaggerSpec from './config/swagger.js';
+import { apiLimiter } from './middleware/rateLimiter.js';
 import authRoutes from './routes/authRoutes.js';
 import userRoutes from './routes/userRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import workspaceRoutes from './routes/workspaceRoutes.js';
 import noteRoutes from './routes/noteRoutes.js';
 import taskRoutes from './routes/taskRoutes.js';
 import fileRoutes from './routes/fileRoutes.js';
 import chatRoutes from './routes/chatRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
 import { graphqlHTTP } from 'express-graphql';
 import schema from './graphql/schema.js';
 import resolvers from './graphql/resolvers.js';
+import buildContext from './graphql/context.js';
 
 // Load environment variables
 dotenv.config();
@@ -46,15 +51,7 @@ app.use(cors({
 app.use(cookieParser());
 
 // Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: {
-    success: false,
-    message: 'Too many requests from this IP, please try again later.'
-  }
-});
-app.use('/api/', limiter);
+app.use('/api/', apiLimiter);
 
 // Body parser
 app.use(express.json({ limit: '10mb' }));
@@ -99,20 +96,26 @@ app.get('/api-docs.json', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/workspaces', workspaceRoutes);
 app.use('/api/notes', noteRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // GraphQL Endpoint
+// Authenticated with the same Bearer token as the REST API
 app.use(
   '/graphql',
-  graphqlHTTP({
+  graphqlHTTP(async (req) => ({
     schema: schema,
     rootValue: resolvers,
-    graphiql: true, // Enable GraphiQL interface
+    context: await buildContext(req),
+    graphiql: { headerEditorEnabled: true }, // Enable GraphiQL interface with an Authorization header editor
     pretty: true,   // Pretty print JSON responses
-  })
+  }))
 );
 
 // 404 handlers
@@ -0,0 +1,66 @@
+import { WebSocketServer } from 'ws';
+import { useServer } from 'graphql-ws/lib/use/ws';
+import logger from '../utils/logger.js';
+import schema from '../graphql/schema.js';
+import resolvers from '../graphql/resolvers.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const GRAPHQL_PATH = '/graphql';
+
+// Accept { authorization: 'Bearer <token>' } or { token } as connection params
+const getConnectionToken = (params = {}) => {
+    const header = params.authorization || params.Authorization;
+    if (header && header.startsWith('Bearer')) {
+        return header.split(' ')[1];
+    }
+    return params.token;
+};
+
+/**
+ * Serve GraphQL subscriptions (graphql-ws protocol) on the HTTP server,
+ * next to Socket.IO which keeps its own /socket.io path
+ * @param {import('http').Server} httpServer
+ * @returns {WebSocketServer}
+ */
+export const initGraphQLSubscriptions = (httpServer) => {
+    const wss = new WebSocketServer({ noServer: true });
+
+    httpServer.on('upgrade', (req, socket, head) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== GRAPHQL_PATH) return;
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            wss.emit('connection', ws, req);
+        });
+    });
+
+    useServer({
+        schema,
+        roots: {
+            query: resolvers,
+            mutation: resolvers,
+            subscription: resolvers
+        },
+        // Same JWT checks as the REST API; returning false closes with 4403 Forbidden
+        onConnect: async (ctx) => {
+            const token = getConnectionToken(ctx.connectionParams);
+            if (!token) return false;
+
+            try {
+                ctx.extra.user = await authenticateToken(token);
+                return true;
+            } catch (error) {
+                logger.warn(`GraphQL subscription auth failed: ${error.message}`);
+                return false;
+            }
+        },
+        context: (ctx) => ({ user: ctx.extra.user, authError: null }),
+        onError: (ctx, message, errors) => {
+            logger.error('GraphQL subscription error:', errors);
+        }
+    }, wss);
+
+    logger.info(`GraphQL subscriptions available at ws://<host>${GRAPHQL_PATH}`);
+
+    return wss;
+};
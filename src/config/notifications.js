@@ -0,0 +1,56 @@
+/**
+ * Ways a notification can reach a user: live in the app (socket and inbox),
+ * by email, or posted to the user's webhooks subscribed to `notification`
+ */
+export const NOTIFICATION_CHANNELS = ['inApp', 'email', 'webhook'];
+
+/**
+ * Notification types users can set channels for, and the channels used
+ * until they do. Types missing here are sent in-app only.
+ */
+export const NOTIFICATION_TYPES = {
+  TASK_ASSIGNED: {
+    description: 'Someone assigned you a task',
+    defaults: { inApp: true, email: false, webhook: false }
+  },
+  TASK_UNASSIGNED: {
+    description: 'Someone removed you from a task',
+    defaults: { inApp: true, email: false, webhook: false }
+  },
+  TASK_MENTION: {
+    description: 'Someone @mentioned you in a task comment',
+    defaults: { inApp: true, email: false, webhook: false }
+  },
+  TASK_DUE_SOON: {
+    description: 'A task you are on is due soon (see reminder preferences)',
+    defaults: { inApp: true, email: false, webhook: false }
+  },
+  TASK_OVERDUE: {
+    description: 'A task you are on is overdue',
+    defaults: { inApp: true, email: false, webhook: false }
+  },
+  NOTE_SHARED: {
+    description: 'Someone shared a note with you',
+    defaults: { inApp: true, email: false, webhook: false }
+  },
+  NOTE_CREATED: {
+    description: 'Confirmation of a note you created',
+    defaults: { inApp: false, email: false, webhook: false }
+  },
+  ROOM_INVITE: {
+    description: 'Someone added you to a chat room',
+    defaults: { inApp: true, email: false, webhook: false }
+  }
+};
+
+// Types task reminders are sent as (see services/reminderService.js)
+export const REMINDER_TYPES = ['TASK_DUE_SOON', 'TASK_OVERDUE'];
+
+const IN_APP_ONLY = { inApp: true, email: false, webhook: false };
+
+/**
+ * Default channels for a notification type
+ * @param {string} type
+ * @returns {{ inApp: boolean, email: boolean, webhook: boolean }}
+ */
+export const defaultChannels = (type) => NOTIFICATION_TYPES[type]?.defaults || IN_APP_ONLY;
@@ -0,0 +1,27 @@
+/**
+ * Permissions that can be granted to roles.
+ * Regular users need none of them: everyone can manage their own notes, tasks and files.
+ */
+export const PERMISSIONS = {
+  'users:read': 'View users and their sessions',
+  'users:write': 'Update and unlock users and revoke their sessions',
+  'users:delete': 'Delete users',
+  'roles:manage': 'Create, edit and assign roles',
+  'stats:view': 'View user statistics',
+  'files:moderate': 'View, download and delete any user\'s files',
+  'webhooks:manage': 'Register webhooks that receive events from all users'
+};
+
+/**
+ * Roles that always exist and can't be edited or deleted
+ */
+export const BUILT_IN_ROLES = {
+  admin: {
+    description: 'Full administrative access',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  standard: {
+    description: 'Regular user with access to their own data',
+    permissions: []
+  }
+};
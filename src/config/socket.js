@@ -1,8 +1,7 @@
 import { Server } from 'socket.io';
-import jwt from 'jsonwebtoken';
 import logger from '../utils/logger.js';
 import { handleSocketConnection } from '../services/socketService.js';
-import User from '../models/User.js';
+import { authenticateToken } from '../middleware/auth.js';
 
 let io;
 
@@ -24,17 +23,19 @@ export const initSocket = (httpServer) => {
                 return next(new Error('Authentication error: Token required'));
             }
 
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            // Load the user with the same checks as REST routes,
+            // so sender identity never comes from the client
+            const user = await authenticateToken(token);
 
-            // Optionally fetch full user if needed, or just use decoded data
-            // const user = await User.findById(decoded.id);
-            // if (!user) return next(new Error('Authentication error: User not found'));
-
-            socket.user = { id: decoded.id }; // Attach user ID to socket
+            socket.user = {
+                id: user._id.toString(),
+                username: user.username,
+                email: user.email
+            };
             next();
         } catch (error) {
             logger.error('Socket authentication error:', error.message);
-            next(new Error('Authentication error: Invalid token'));
+            next(new Error(`Authentication error: ${error.statusCode ? error.message : 'Invalid token'}`));
         }
     });
 
@@ -33,6 +33,12 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'Enter your JWT token in the format: Bearer <token>'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Personal API key from /api/auth/api-keys (notes, tasks and files endpoints only)'
         }
       },
       responses: {
@@ -164,7 +170,15 @@ const options = {
       },
       {
         name: 'Users',
-        description: 'User management endpoints (Admin only)'
+        description: 'User management endpoints (permission based)'
+      },
+      {
+        name: 'Roles',
+        description: 'Custom roles and permissions'
+      },
+      {
+        name: 'Workspaces',
+        description: 'Team workspaces, members and invitations'
       },
       {
         name: 'Notes',
@@ -181,6 +195,14 @@ const options = {
       {
         name: 'Chat',
         description: 'Chat and messaging endpoints'
+      },
+      {
+        name: 'Notifications',
+        description: 'Notification inbox'
+      },
+      {
+        name: 'Webhooks',
+        description: 'Outgoing webhooks for task, note and file events'
       }
     ]
   },
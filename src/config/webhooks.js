@@ -0,0 +1,24 @@
+/**
+ * Events webhooks can subscribe to. Task events carry the task, note events
+ * the note, file events the file's details and notification events the
+ * notification as sent over Socket.IO.
+ */
+export const WEBHOOK_EVENTS = {
+  'task.created': 'A task was created, including the next occurrence of a recurring task',
+  'task.updated': 'A task was edited; `changes` lists the fields',
+  'task.status_changed': 'A task moved to another status; `from` and `to` give the statuses',
+  'task.deleted': 'A task was deleted, along with its subtasks',
+  'note.created': 'A note was created',
+  'note.shared': 'A note was shared; `sharedWith` lists the users it was just shared with',
+  'file.uploaded': 'A file was uploaded',
+  'notification': 'A notification for you, of a type with the webhook channel on in your notification preferences; only sent to personal webhooks'
+};
+
+/**
+ * Which events reach a webhook:
+ * - personal: those about tasks, notes and files of the webhook's owner
+ *   (owned, assigned or shared with them), and notifications for the owner
+ * - workspace: everything in a workspace the owner administers
+ * - all: everything, for roles with the webhooks:manage permission
+ */
+export const WEBHOOK_SCOPES = ['personal', 'workspace', 'all'];
@@ -0,0 +1,134 @@
+import ApiKey from '../models/ApiKey.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @desc    Create a personal API key (the key is only returned once)
+ * @route   POST /api/auth/api-keys
+ * @access  Private
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    const defaultDays = parseInt(process.env.API_KEY_DEFAULT_EXPIRE_DAYS) || 90;
+    const maxDays = parseInt(process.env.API_KEY_MAX_EXPIRE_DAYS) || 365;
+    const maxKeys = parseInt(process.env.API_KEYS_MAX_PER_USER) || 20;
+    const expiresInDays = req.body.expiresInDays || defaultDays;
+
+    if (expiresInDays > maxDays) {
+      return res.status(400).json({
+        success: false,
+        message: `API keys cannot be valid for more than ${maxDays} days`
+      });
+    }
+
+    // Expired keys stay listed until revoked but don't count towards the limit
+    const activeKeys = await ApiKey.countDocuments({ user: req.user.id, expiresAt: { $gt: new Date() } });
+
+    if (activeKeys >= maxKeys) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${maxKeys} API keys. Revoke one first.`
+      });
+    }
+
+    const { key, keyHash, prefix } = ApiKey.generateKey();
+
+    const apiKey = await ApiKey.create({
+      user: req.user.id,
+      name,
+      keyHash,
+      prefix,
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    logger.info(`API key created: ${apiKey._id} (${prefix}) by user: ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        ...apiKey.toJSON(),
+        key
+      }
+    });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    List the current user's API keys
+ * @route   GET /api/auth/api-keys
+ * @access  Private
+ */
+export const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's API keys
+ * @route   DELETE /api/auth/api-keys/:id
+ * @access  Private
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    logger.info(`API key revoked: ${apiKey._id} (${apiKey.prefix}) by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -1,30 +1,56 @@
+import crypto from 'crypto';
 import User from '../models/User.js';
 import jwt from 'jsonwebtoken';
 import logger from '../utils/logger.js';
+import { normalizeEmail } from '../utils/email.js';
+import { requiresTwoFactor } from '../middleware/auth.js';
+import { sendMail } from '../services/mailService.js';
+import { rescheduleUserReminders } from '../services/reminderService.js';
+import { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from '../config/notifications.js';
+import {
+  isOidcEnabled,
+  getOidcConfig,
+  createAuthorizationRequest,
+  completeAuthorization
+} from '../services/oidcService.js';
 
-// Helper function to send token response
-const sendTokenResponse = async (user, statusCode, res, message) => {
-  const accessToken = user.generateAccessToken();
-  const refreshToken = user.generateRefreshToken();
-
-  // Save refresh token to database
-  user.refreshTokens.push({ token: refreshToken });
-  await user.save({ validateBeforeSave: false });
-
-  // Set refresh token in httpOnly cookie
-  const cookieOptions = {
+// Set refresh token in httpOnly cookie
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
     expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production',
     sameSite: 'strict'
-  };
+  });
+};
+
+// Device details recorded for each session
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
 
-  res.cookie('refreshToken', refreshToken, cookieOptions);
+// Helper function to send token response
+const sendTokenResponse = async (user, statusCode, req, res, message) => {
+  // Save refresh token hash to database as a new session
+  const { refreshToken, sessionId } = user.issueRefreshToken(getClientInfo(req));
+  await user.save({ validateBeforeSave: false });
+
+  const accessToken = user.generateAccessToken(sessionId);
+
+  setRefreshCookie(res, refreshToken);
 
   // Remove password from output
   const userResponse = user.toObject();
   delete userResponse.password;
   delete userResponse.refreshTokens;
+  delete userResponse.emailVerificationToken;
+  delete userResponse.emailVerificationExpire;
+  if (userResponse.twoFactor) {
+    delete userResponse.twoFactor.secret;
+    delete userResponse.twoFactor.recoveryCodes;
+    delete userResponse.twoFactor.lastUsedStep;
+  }
 
   res.status(statusCode).json({
     success: true,
@@ -37,6 +63,60 @@ const sendTokenResponse = async (user, statusCode, res, message) => {
   });
 };
 
+// With 2FA enabled, tokens are only issued once the code is checked
+const sendTwoFactorChallenge = (user, res) => res.status(200).json({
+  success: true,
+  message: 'Two-factor authentication code required',
+  data: {
+    twoFactorRequired: true,
+    challengeToken: user.generateTwoFactorChallengeToken()
+  }
+});
+
+// Refuse a login attempt while the account is delayed (429) or locked (423)
+const sendLockedResponse = (user, res) => {
+  const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+  const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+
+  res.set('Retry-After', String(retryAfter));
+
+  if (user.failedLoginAttempts >= maxAttempts) {
+    return res.status(423).json({
+      success: false,
+      message: `Account temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+    });
+  }
+
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Try again in ${retryAfter} second(s).`
+  });
+};
+
+// Build a link to a token endpoint, letting a frontend page take over via env
+const buildTokenUrl = (req, envUrl, path, token) => {
+  const baseUrl = envUrl || `${req.protocol}://${req.get('host')}/api/auth/${path}`;
+  return `${baseUrl}/${token}`;
+};
+
+// Email a fresh verification link to the user
+const sendVerificationEmail = async (user, req) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = buildTokenUrl(req, process.env.EMAIL_VERIFICATION_URL, 'verify-email', verificationToken);
+  const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Vephla email address',
+    text: `Hi ${user.username},\n\n` +
+      `Please confirm your email address using the link below within ${expireHours} hours:\n\n` +
+      `${verifyUrl}\n\n` +
+      'If you did not create an account, you can ignore this email.'
+  });
+};
+
 /**
  * @desc    Register a new user
  * @route   POST /api/auth/register
@@ -44,7 +124,7 @@ const sendTokenResponse = async (user, statusCode, res, message) => {
  */
 export const register = async (req, res) => {
   try {
-    const { username, email, password, role } = req.body;
+    const { username, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ $or: [{ email }, { username }] });
@@ -62,13 +142,19 @@ export const register = async (req, res) => {
     const user = await User.create({
       username,
       email,
-      password,
-      role: role || 'standard' // Default to standard if not provided
+      password
     });
 
     logger.info(`New user registered: ${user.email}`);
 
-    await sendTokenResponse(user, 201, res, 'User registered successfully');
+    // The account is usable straight away; a failed email can be resent later
+    try {
+      await sendVerificationEmail(user, req);
+    } catch (mailError) {
+      logger.error('Verification email error:', mailError);
+    }
+
+    await sendTokenResponse(user, 201, req, res, 'User registered successfully');
   } catch (error) {
     logger.error('Registration error:', error);
     
@@ -124,22 +210,43 @@ export const login = async (req, res) => {
       });
     }
 
+    // Refuse attempts while the account is delayed or locked, without checking the password
+    if (user.isLocked) {
+      return sendLockedResponse(user, res);
+    }
+
     // Verify password
     const isPasswordCorrect = await user.comparePassword(password);
 
     if (!isPasswordCorrect) {
+      const { locked } = await user.registerFailedLogin();
+
+      if (locked) {
+        logger.warn(`Account locked after repeated failed logins: ${user.email} (IP ${req.ip})`);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // With 2FA the count is only reset once the code is right too, so a
+    // known password doesn't allow unlimited guesses at the code
+    if (user.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
+
+    if (user.failedLoginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
     // Update last login
     await user.updateLastLogin();
 
     logger.info(`User logged in: ${user.email}`);
 
-    await sendTokenResponse(user, 200, res, 'Login successful');
+    await sendTokenResponse(user, 200, req, res, 'Login successful');
   } catch (error) {
     logger.error('Login error:', error);
     res.status(500).json({
@@ -193,11 +300,7 @@ export const refreshToken = async (req, res) => {
     // Verify refresh token
     const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
 
-    // Check if token exists in database
-    const user = await User.findOne({
-      _id: decoded.id,
-      'refreshTokens.token': token
-    });
+    const user = await User.findById(decoded.id);
 
     if (!user) {
       return res.status(401).json({
@@ -206,14 +309,43 @@ export const refreshToken = async (req, res) => {
       });
     }
 
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
+
+    // Rotate: replace the used token with a new one in the same family
+    const newRefreshToken = await user.rotateRefreshToken(token, { ip: req.ip });
+
+    if (!newRefreshToken) {
+      // A validly signed token that is no longer stored while its family is
+      // still active has already been rotated: someone is replaying it
+      if (decoded.family && user.refreshTokens.some(entry => entry.family === decoded.family)) {
+        await user.revokeSession(decoded.family);
+        logger.warn(
+          `Refresh token reuse detected for user ${user.email} (session ${decoded.family}); session revoked`
+        );
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
     // Generate new access token
-    const accessToken = user.generateAccessToken();
+    const accessToken = user.generateAccessToken(decoded.family);
+
+    setRefreshCookie(res, newRefreshToken);
 
     res.status(200).json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        accessToken
+        accessToken,
+        refreshToken: newRefreshToken
       }
     });
   } catch (error) {
@@ -248,7 +380,7 @@ export const logout = async (req, res) => {
     if (token) {
       // Remove refresh token from database
       await User.findByIdAndUpdate(req.user.id, {
-        $pull: { refreshTokens: { token } }
+        $pull: { refreshTokens: { token: User.hashToken(token) } }
       });
     }
 
@@ -310,6 +442,192 @@ export const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get task reminder preferences
+ * @route   GET /api/auth/reminder-preferences
+ * @access  Private
+ */
+export const getReminderPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('reminderPreferences notificationPreferences');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user.getReminderSettings()
+    });
+  } catch (error) {
+    logger.error('Get reminder preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Update task reminder preferences; reminders already scheduled follow the change
+ * @route   PUT /api/auth/reminder-preferences
+ * @access  Private
+ */
+export const updateReminderPreferences = async (req, res) => {
+  try {
+    const { enabled, offsets, overdue, email } = req.body;
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (enabled !== undefined) user.reminderPreferences.enabled = enabled;
+    if (offsets !== undefined) user.reminderPreferences.offsets = offsets;
+    if (overdue !== undefined) user.reminderPreferences.overdue = overdue;
+    // Shorthand for the email channel of TASK_DUE_SOON and TASK_OVERDUE
+    if (email !== undefined) user.setReminderEmail(Boolean(email));
+
+    await user.save();
+    await rescheduleUserReminders(user._id);
+
+    logger.info(`Reminder preferences updated by user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reminder preferences updated successfully',
+      data: user.getReminderSettings()
+    });
+  } catch (error) {
+    logger.error('Update reminder preferences error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get notification preferences, with the channels of every notification type
+ * @route   GET /api/auth/notification-preferences
+ * @access  Private
+ */
+export const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user.getNotificationSettings()
+    });
+  } catch (error) {
+    logger.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Update notification preferences; channels given per type are merged
+ *          into the current ones, and null resets a type to its defaults
+ * @route   PUT /api/auth/notification-preferences
+ * @access  Private
+ */
+export const updateNotificationPreferences = async (req, res) => {
+  try {
+    const { channels, quietHours, digest, timezone } = req.body;
+
+    const unknownType = Object.keys(channels || {}).find(type => !NOTIFICATION_TYPES[type]);
+    const unknownChannel = Object.values(channels || {})
+      .flatMap(chosen => Object.keys(chosen || {}))
+      .find(channel => !NOTIFICATION_CHANNELS.includes(channel));
+
+    if (unknownType || unknownChannel) {
+      return res.status(400).json({
+        success: false,
+        message: unknownType
+          ? `Unknown notification type: ${unknownType}`
+          : `Unknown notification channel: ${unknownChannel}`
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const preferences = user.notificationPreferences;
+
+    Object.entries(channels || {}).forEach(([type, chosen]) => {
+      if (chosen === null) {
+        preferences.channels.delete(type);
+      } else {
+        preferences.channels.set(type, { ...preferences.channels.get(type)?.toObject(), ...chosen });
+      }
+    });
+    if (quietHours?.enabled !== undefined) preferences.quietHours.enabled = quietHours.enabled;
+    if (quietHours?.start !== undefined) preferences.quietHours.start = quietHours.start;
+    if (quietHours?.end !== undefined) preferences.quietHours.end = quietHours.end;
+    if (digest?.enabled !== undefined) preferences.digest.enabled = digest.enabled;
+    if (digest?.time !== undefined) preferences.digest.time = digest.time;
+    if (timezone !== undefined) preferences.timezone = timezone;
+
+    await user.save();
+
+    logger.info(`Notification preferences updated by user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: user.getNotificationSettings()
+    });
+  } catch (error) {
+    logger.error('Update notification preferences error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 /**
  * @desc    Change password
  * @route   PUT /api/auth/password
@@ -350,7 +668,7 @@ export const changePassword = async (req, res) => {
     logger.info(`Password changed for user: ${user.email}`);
 
     // Send new tokens
-    await sendTokenResponse(user, 200, res, 'Password changed successfully');
+    await sendTokenResponse(user, 200, req, res, 'Password changed successfully');
   } catch (error) {
     logger.error('Change password error:', error);
     res.status(500).json({
@@ -358,4 +676,741 @@ export const changePassword = async (req, res) => {
       message: 'Server error'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Request a password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = async (req, res) => {
+  // Same response whether or not the email exists, so accounts can't be enumerated
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  let user;
+
+  try {
+    user = await User.findOne({ email: req.body.email });
+
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = buildTokenUrl(req, process.env.PASSWORD_RESET_URL, 'reset-password', resetToken);
+    const expireMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 10;
+
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Vephla password',
+      text: `Hi ${user.username},\n\n` +
+        `We received a request to reset your password. Use the link below within ${expireMinutes} minutes:\n\n` +
+        `${resetUrl}\n\n` +
+        'If you did not request this, you can ignore this email.'
+    });
+
+    logger.info(`Password reset requested for user: ${user.email}`);
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+
+    // Don't leave a usable token behind if the email never went out
+    if (user) {
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false }).catch(() => {});
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Could not send password reset email. Please try again later.'
+    });
+  }
+};
+
+/**
+ * @desc    Reset password with a token from the reset email
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.params.token),
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    // Update password
+    user.password = req.body.password;
+    user.passwordChangedAt = Date.now();
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+
+    // Invalidate all refresh tokens
+    user.refreshTokens = [];
+
+    await user.save();
+
+    logger.info(`Password reset for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successful. Please login with your new password.'
+    });
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Verify email address with the token from the verification email
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Email verified for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Resend the verification email
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not send verification email. Please try again later.'
+    });
+  }
+};
+
+/**
+ * @desc    List active sessions of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const sessions = user.getSessions(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.getSessions().some(session => session.id === req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await user.revokeSession(req.params.id);
+
+    if (req.params.id === req.sessionId) {
+      res.clearCookie('refreshToken');
+    }
+
+    logger.info(`Session ${req.params.id} revoked by user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Log out everywhere except the current session
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const revoked = user.getSessions(req.sessionId).filter(session => !session.current).length;
+
+    await user.revokeOtherSessions(req.sessionId);
+
+    logger.info(`Other sessions revoked by user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all other sessions',
+      data: { revoked }
+    });
+  } catch (error) {
+    logger.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Complete login with a 2FA code or recovery code
+ * @route   POST /api/auth/2fa/login
+ * @access  Public
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.type !== '2fa_challenge') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge. Please login again.'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge. Please login again.'
+      });
+    }
+
+    // Wrong codes count toward the same lockout as wrong passwords
+    if (user.isLocked) {
+      return sendLockedResponse(user, res);
+    }
+
+    if (!(await user.verifyTwoFactorCode(code))) {
+      const { locked } = await user.registerFailedLogin();
+
+      if (locked) {
+        logger.warn(`Account locked after repeated failed 2FA codes: ${user.email} (IP ${req.ip})`);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    if (user.failedLoginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    // Update last login
+    await user.updateLastLogin();
+
+    logger.info(`User logged in with 2FA: ${user.email}`);
+
+    await sendTokenResponse(user, 200, req, res, 'Login successful');
+  } catch (error) {
+    logger.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+/**
+ * @desc    Start 2FA enrollment and get the secret to add to an authenticator app
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.secret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = user.createTwoFactorSecret();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl
+      }
+    });
+  } catch (error) {
+    logger.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Confirm enrollment with a code and enable 2FA
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code, { allowRecoveryCode: false }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`2FA enabled for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    logger.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Disable 2FA
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await requiresTwoFactor(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for accounts with admin permissions'
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`2FA disabled for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Replace the 2FA recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code, { allowRecoveryCode: false }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`2FA recovery codes regenerated for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// The SSO flow's state, nonce and PKCE verifier travel in a short-lived
+// signed cookie scoped to the OIDC routes, so no server-side storage is needed
+const OIDC_COOKIE = 'oidcFlow';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+
+const getOidcRedirectUri = (req) => getOidcConfig().redirectUri ||
+  `${req.protocol}://${req.get('host')}/api/auth/oidc/callback`;
+
+const ssoError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const ssoNotConfiguredResponse = (res) => res.status(404).json({
+  success: false,
+  message: 'Single sign-on is not configured'
+});
+
+/**
+ * Find the account for an external identity. Unknown identities are linked
+ * to the account with the same verified email, or get a new account.
+ * @param {object} claims - Verified ID token claims
+ * @throws {Error} With `statusCode` when the identity can't sign in
+ */
+const findOrCreateSsoUser = async (claims) => {
+  const identity = { issuer: getOidcConfig().issuer, subject: claims.sub };
+
+  let user = await User.findOne({ identities: { $elemMatch: identity } });
+  if (user) return user;
+
+  // Only link or create accounts for addresses the provider has verified
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true' ||
+    process.env.OIDC_ASSUME_EMAIL_VERIFIED === 'true';
+
+  if (!claims.email || !emailVerified) {
+    throw ssoError(403, 'Your identity provider did not share a verified email address');
+  }
+
+  // Stored the way registration stores emails, so the same address matches
+  const email = normalizeEmail(claims.email);
+  user = await User.findOne({ email });
+
+  if (user) {
+    user.identities.push(identity);
+    user.emailVerified = true;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`SSO identity linked to existing user: ${user.email}`);
+    return user;
+  }
+
+  if (process.env.OIDC_AUTO_CREATE_USERS === 'false') {
+    throw ssoError(403, 'No account exists for this email address');
+  }
+
+  user = await User.create({
+    username: await User.generateUsername(claims.preferred_username, email.split('@')[0]),
+    email,
+    // Unusable random password; the account signs in through SSO (or a password reset)
+    password: crypto.randomBytes(32).toString('hex'),
+    emailVerified: true,
+    identities: [identity],
+    profile: {
+      firstName: claims.given_name?.slice(0, 50),
+      lastName: claims.family_name?.slice(0, 50),
+      ...(claims.picture && { avatar: claims.picture })
+    }
+  });
+
+  logger.info(`New user registered via SSO: ${user.email}`);
+  return user;
+};
+
+/**
+ * @desc    Start single sign-on with the configured OpenID Connect provider
+ * @route   GET /api/auth/oidc/login
+ * @access  Public
+ */
+export const oidcLogin = async (req, res) => {
+  if (!isOidcEnabled()) {
+    return ssoNotConfiguredResponse(res);
+  }
+
+  try {
+    const redirectUri = getOidcRedirectUri(req);
+    const { url, state, nonce, codeVerifier } = await createAuthorizationRequest(redirectUri);
+
+    const flowToken = jwt.sign(
+      { type: 'oidc_flow', state, nonce, codeVerifier, redirectUri },
+      process.env.JWT_SECRET,
+      { expiresIn: '10m' }
+    );
+
+    // Lax so the cookie survives the provider's top-level redirect back to us
+    res.cookie(OIDC_COOKIE, flowToken, {
+      maxAge: 10 * 60 * 1000,
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: OIDC_COOKIE_PATH
+    });
+
+    res.redirect(url);
+  } catch (error) {
+    logger.error('SSO login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not start single sign-on. Please try again later.'
+    });
+  }
+};
+
+/**
+ * @desc    Complete single sign-on and issue tokens
+ * @route   GET /api/auth/oidc/callback
+ * @access  Public
+ */
+export const oidcCallback = async (req, res) => {
+  if (!isOidcEnabled()) {
+    return ssoNotConfiguredResponse(res);
+  }
+
+  const { code, state, error: providerError, error_description: providerErrorDescription } = req.query;
+  const flowToken = req.cookies?.[OIDC_COOKIE];
+
+  // Each flow cookie is single use
+  res.clearCookie(OIDC_COOKIE, { path: OIDC_COOKIE_PATH });
+
+  if (providerError) {
+    return res.status(401).json({
+      success: false,
+      message: `Single sign-on failed: ${providerErrorDescription || providerError}`
+    });
+  }
+
+  let flow;
+  try {
+    flow = jwt.verify(flowToken, process.env.JWT_SECRET);
+  } catch (error) {
+    flow = null;
+  }
+
+  if (!flow || flow.type !== 'oidc_flow' || !code || state !== flow.state) {
+    return res.status(400).json({
+      success: false,
+      message: 'Single sign-on session is invalid or has expired. Please start again.'
+    });
+  }
+
+  try {
+    let claims;
+    try {
+      claims = await completeAuthorization({
+        code,
+        codeVerifier: flow.codeVerifier,
+        nonce: flow.nonce,
+        redirectUri: flow.redirectUri
+      });
+    } catch (error) {
+      logger.warn(`SSO code exchange failed: ${error.message}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Single sign-on failed. Please try again.'
+      });
+    }
+
+    const user = await findOrCreateSsoUser(claims);
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
+
+    await user.updateLastLogin();
+
+    logger.info(`User logged in via SSO: ${user.email}`);
+
+    await sendTokenResponse(user, 200, req, res, 'Login successful');
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('SSO callback error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Could not create an account from your SSO profile',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
@@ -1,6 +1,48 @@
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Room from '../models/Room.js';
+import User from '../models/User.js';
 import logger from '../utils/logger.js';
 import { getIO } from '../config/socket.js';
-import { notifyRoom } from '../services/socketService.js';
+import { notifyUser, broadcastMessage, revokeRoomAccess } from '../services/socketService.js';
+
+/**
+ * Check a list of user IDs from the request body: an array of IDs of
+ * existing users. Sends the error response and returns null otherwise.
+ * @param {import('express').Response} res
+ * @param {string} field - Body field the IDs came from, for the error message
+ * @param {*} userIds
+ * @returns {Promise<string[]|null>} The IDs without duplicates
+ */
+const checkUserIds = async (res, field, userIds) => {
+    if (!Array.isArray(userIds)) {
+        res.status(400).json({
+            success: false,
+            message: `${field} must be an array`
+        });
+        return null;
+    }
+
+    if (!userIds.every(userId => mongoose.Types.ObjectId.isValid(userId))) {
+        res.status(400).json({
+            success: false,
+            message: `${field} must be valid user IDs`
+        });
+        return null;
+    }
+
+    const ids = [...new Set(userIds.map(String))];
+
+    if (await User.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+        res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+        return null;
+    }
+
+    return ids;
+};
 
 /**
  * @desc    Get chat history for a room
@@ -10,12 +52,69 @@ import { notifyRoom } from '../services/socketService.js';
 export const getChatHistory = async (req, res) => {
     try {
         const { roomId } = req.params;
-        // In a real app, we would fetch from DB
-        // For now, return mock empty history or implement if Message model exists
+        const { before, after, limit = 50 } = req.query;
+
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+        if ((before && !mongoose.Types.ObjectId.isValid(before)) ||
+            (after && !mongoose.Types.ObjectId.isValid(after))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        const room = await Room.findOne({ name: roomId });
+
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        if (!room.canAccess(req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this room'
+            });
+        }
+
+        const filter = { room: roomId };
+        let messages;
+
+        if (after) {
+            // Newer messages, oldest first
+            filter._id = { $gt: after };
+            messages = await Message.find(filter)
+                .sort({ _id: 1 })
+                .limit(pageSize + 1);
+        } else {
+            // Latest messages (or older than cursor), fetched newest first
+            if (before) filter._id = { $lt: before };
+            messages = await Message.find(filter)
+                .sort({ _id: -1 })
+                .limit(pageSize + 1);
+        }
+
+        const hasMore = messages.length > pageSize;
+        if (hasMore) messages = messages.slice(0, pageSize);
+
+        // Always return in chronological order
+        if (!after) messages.reverse();
+
+        const data = messages.map(message => message.toPayload());
 
         res.status(200).json({
             success: true,
-            data: []
+            count: data.length,
+            pagination: {
+                limit: pageSize,
+                hasMore,
+                before: data.length > 0 ? data[0].id : null,
+                after: data.length > 0 ? data[data.length - 1].id : null
+            },
+            data
         });
     } catch (error) {
         logger.error('Get chat history error:', error);
@@ -42,23 +141,343 @@ export const sendMessageAPI = async (req, res) => {
             });
         }
 
-        const io = getIO();
+        const chatRoom = await Room.findOne({ name: room });
 
-        // Broadcast to room
-        io.to(room).emit('receive_message', {
+        if (!chatRoom) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        if (!chatRoom.canAccess(req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to send messages to this room'
+            });
+        }
+
+        const saved = await Message.create({
             room,
-            message,
-            senderId: req.user.id,
-            senderName: req.user.username || req.user.email,
-            timestamp: new Date()
+            content: message,
+            sender: req.user.id,
+            senderName: req.user.username || req.user.email
         });
 
-        res.status(200).json({
+        const payload = saved.toPayload();
+
+        // Broadcast to room
+        broadcastMessage(getIO(), payload);
+
+        res.status(201).json({
             success: true,
-            message: 'Message sent'
+            message: 'Message sent',
+            data: payload
         });
     } catch (error) {
         logger.error('Send message API error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: messages
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * @desc    Create a chat room
+ * @route   POST /api/chat/rooms
+ * @access  Private
+ */
+export const createRoom = async (req, res) => {
+    try {
+        const { name, visibility = 'public', members = [] } = req.body;
+
+        if (visibility === 'direct') {
+            return res.status(400).json({
+                success: false,
+                message: 'Use POST /api/chat/rooms/direct to start a direct conversation'
+            });
+        }
+
+        const existing = await Room.findOne({ name });
+
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Room name already taken'
+            });
+        }
+
+        const ids = await checkUserIds(res, 'members', members);
+        if (!ids) return;
+
+        const memberIds = new Set([req.user.id, ...ids]);
+
+        const room = await Room.create({
+            name,
+            visibility,
+            owner: req.user.id,
+            members: [...memberIds]
+        });
+
+        logger.info(`Room created: ${room.name} by user: ${req.user.email}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Room created successfully',
+            data: room
+        });
+    } catch (error) {
+        logger.error('Create room error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: messages
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * @desc    Get rooms the current user belongs to
+ * @route   GET /api/chat/rooms
+ * @access  Private
+ */
+export const getRooms = async (req, res) => {
+    try {
+        const { visibility } = req.query;
+
+        const filter = { members: req.user.id };
+        if (visibility) filter.visibility = visibility;
+
+        const rooms = await Room.find(filter)
+            .populate('members', 'username email')
+            .sort({ updatedAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: rooms.length,
+            data: rooms
+        });
+    } catch (error) {
+        logger.error('Get rooms error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * @desc    Get or create the direct room with another user
+ * @route   POST /api/chat/rooms/direct
+ * @access  Private
+ */
+export const getDirectRoom = async (req, res) => {
+    try {
+        const { userId } = req.body;
+
+        if (!userId || !mongoose.Types.ObjectId.isValid(userId) || userId === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid user ID other than your own is required'
+            });
+        }
+
+        const otherUser = await User.findById(userId);
+
+        if (!otherUser) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const name = Room.directName(req.user.id, userId);
+
+        const room = await Room.findOneAndUpdate(
+            { name },
+            {
+                $setOnInsert: {
+                    name,
+                    visibility: 'direct',
+                    owner: req.user.id,
+                    members: [req.user.id, userId]
+                }
+            },
+            { upsert: true, returnDocument: 'after' }
+        );
+
+        res.status(200).json({
+            success: true,
+            data: room
+        });
+    } catch (error) {
+        logger.error('Get direct room error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * @desc    Add members to a room
+ * @route   POST /api/chat/rooms/:roomId/members
+ * @access  Private (room owner)
+ */
+export const addRoomMembers = async (req, res) => {
+    try {
+        const { userIds } = req.body;
+
+        if (!Array.isArray(userIds) || userIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'userIds must be a non-empty array'
+            });
+        }
+
+        const room = await Room.findOne({ name: req.params.roomId });
+
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        if (room.owner.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only room owner can add members'
+            });
+        }
+
+        if (room.visibility === 'direct') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot change members of a direct room'
+            });
+        }
+
+        const ids = await checkUserIds(res, 'userIds', userIds);
+        if (!ids) return;
+
+        ids.forEach(userId => {
+            if (!room.isMember(userId)) {
+                room.members.push(userId);
+            }
+        });
+
+        await room.save();
+
+        logger.info(`Room members added: ${room.name} by user: ${req.user.email}`);
+
+        // Let new members know they were added
+        const io = getIO();
+        await Promise.all(ids
+            .filter(userId => userId !== req.user.id)
+            .map(userId => notifyUser(io, userId, {
+                type: 'ROOM_INVITE',
+                message: `${req.user.email} added you to room "${room.name}"`,
+                data: { room: room.name }
+            })));
+
+        res.status(200).json({
+            success: true,
+            message: 'Members added successfully',
+            data: room
+        });
+    } catch (error) {
+        logger.error('Add room members error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+/**
+ * @desc    Remove a member from a room (owner removes anyone from private rooms, members remove themselves)
+ * @route   DELETE /api/chat/rooms/:roomId/members/:userId
+ * @access  Private
+ */
+export const removeRoomMember = async (req, res) => {
+    try {
+        const { roomId, userId } = req.params;
+
+        const room = await Room.findOne({ name: roomId });
+
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        const isOwner = room.owner.toString() === req.user.id;
+
+        if (!isOwner && userId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only room owner can remove other members'
+            });
+        }
+
+        if (room.visibility === 'direct') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot change members of a direct room'
+            });
+        }
+
+        if (userId === room.owner.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Room owner cannot be removed'
+            });
+        }
+
+        // Anyone can join a public room again, so removing others would not keep them out
+        if (room.visibility === 'public' && userId !== req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Members can only leave public rooms themselves'
+            });
+        }
+
+        room.members = room.members.filter(member => member.toString() !== userId);
+        await room.save();
+
+        revokeRoomAccess(getIO(), room.name, userId);
+
+        logger.info(`Room member removed: ${userId} from ${room.name} by user: ${req.user.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Member removed successfully',
+            data: room
+        });
+    } catch (error) {
+        logger.error('Remove room member error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
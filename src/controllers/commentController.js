@@ -0,0 +1,235 @@
+import mongoose from 'mongoose';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import Workspace from '../models/Workspace.js';
+import logger from '../utils/logger.js';
+import { getIO } from '../config/socket.js';
+import { notifyUser } from '../services/socketService.js';
+
+const AUTHOR_FIELDS = 'username profile.firstName profile.lastName profile.avatar';
+
+const commentNotFoundResponse = (res) => res.status(404).json({
+  success: false,
+  message: 'Comment not found'
+});
+
+const findComment = (task, commentId) => (mongoose.Types.ObjectId.isValid(commentId)
+  ? Comment.findOne({ _id: commentId, task: task._id })
+  : null);
+
+// Mentioned users who can see the task; others are ignored so mentions can't leak it
+const findMentionedUsers = async (task, content) => {
+  const usernames = Comment.parseMentions(content);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({ username: { $in: usernames }, isActive: true }).select('_id');
+  const allowed = await Promise.all(users.map(user => task.isAccessibleBy(user._id.toString())));
+
+  return users.filter((user, index) => allowed[index]).map(user => user._id);
+};
+
+const notifyMentions = (task, comment, userIds, actor) => {
+  const io = getIO();
+
+  return Promise.all(userIds
+    .filter(userId => userId.toString() !== actor.id)
+    .map(userId => notifyUser(io, userId, {
+      type: 'TASK_MENTION',
+      message: `${actor.email} mentioned you on task: "${task.title}"`,
+      data: { taskId: task._id, commentId: comment._id, content: comment.content }
+    })));
+};
+
+/**
+ * @desc    Comment on a task, notifying @mentioned users
+ * @route   POST /api/tasks/:id/comments
+ * @access  Private
+ */
+export const createComment = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const { content } = req.body;
+    const mentions = await findMentionedUsers(task, content);
+
+    const comment = await Comment.create({
+      task: task._id,
+      author: req.user.id,
+      content,
+      mentions
+    });
+
+    logger.info(`Comment added: ${comment._id} on task ${task._id} by user: ${req.user.email}`);
+
+    await notifyMentions(task, comment, mentions, req.user);
+
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: comment
+    });
+  } catch (error) {
+    logger.error('Create comment error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a task's comments, oldest first
+ * @route   GET /api/tasks/:id/comments
+ * @access  Private
+ */
+export const getComments = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const comments = await Comment.find({ task: task._id })
+      .populate('author', AUTHOR_FIELDS)
+      .populate('mentions', 'username')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Comment.countDocuments({ task: task._id });
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalComments: total
+      },
+      data: comments
+    });
+  } catch (error) {
+    logger.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Edit your comment; newly mentioned users are notified
+ * @route   PUT /api/tasks/:id/comments/:commentId
+ * @access  Private
+ */
+export const updateComment = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const comment = await findComment(task, req.params.commentId);
+
+    if (!comment) {
+      return commentNotFoundResponse(res);
+    }
+
+    if (comment.author.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the comment author can edit it'
+      });
+    }
+
+    const { content } = req.body;
+    const mentions = await findMentionedUsers(task, content);
+    const newMentions = mentions.filter(userId => !comment.mentions.some(id => id.equals(userId)));
+
+    comment.content = content;
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    logger.info(`Comment updated: ${comment._id} by user: ${req.user.email}`);
+
+    await notifyMentions(task, comment, newMentions, req.user);
+
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comment
+    });
+  } catch (error) {
+    logger.error('Update comment error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a comment (its author, the task owner or a workspace admin)
+ * @route   DELETE /api/tasks/:id/comments/:commentId
+ * @access  Private
+ */
+export const deleteComment = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const comment = await findComment(task, req.params.commentId);
+
+    if (!comment) {
+      return commentNotFoundResponse(res);
+    }
+
+    const canDelete = comment.author.toString() === req.user.id ||
+      task.owner.toString() === req.user.id ||
+      (task.workspace && await Workspace.hasRole(task.workspace, req.user.id, 'admin'));
+
+    if (!canDelete) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    await comment.deleteOne();
+
+    logger.info(`Comment deleted: ${comment._id} by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -1,8 +1,19 @@
 import File from '../models/File.js';
+import Role from '../models/Role.js';
+import Workspace from '../models/Workspace.js';
 import logger from '../utils/logger.js';
+import { emitFileEvent } from '../services/webhookService.js';
 import fs from 'fs';
 import path from 'path';
 
+// Owners, and roles with files:moderate, may act on any file
+const canModerate = (file, user) =>
+  file.owner.toString() === user.id || Role.hasPermission(user.role, 'files:moderate');
+
+// Members of a file's workspace may read it; admins may also delete it
+const hasWorkspaceRole = (file, user, minRole) =>
+  Boolean(file.workspace) && Workspace.hasRole(file.workspace, user.id, minRole);
+
 /**
  * @desc    Upload a file
  * @route   POST /api/files/upload
@@ -17,7 +28,15 @@ export const uploadFile = async (req, res) => {
       });
     }
 
-    const { uploadedFor, relatedDocument } = req.body;
+    const { uploadedFor, relatedDocument, workspace } = req.body;
+
+    if (workspace && !(await Workspace.hasRole(workspace, req.user.id, 'member'))) {
+      fs.unlinkSync(req.file.path);
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add files to this workspace'
+      });
+    }
 
     const file = await File.create({
       originalName: req.file.originalname,
@@ -27,11 +46,14 @@ export const uploadFile = async (req, res) => {
       path: req.file.path,
       owner: req.user.id,
       uploadedFor: uploadedFor || 'general',
-      relatedDocument: relatedDocument || null
+      relatedDocument: relatedDocument || null,
+      workspace: workspace || null
     });
 
     logger.info(`File uploaded: ${file._id} by user: ${req.user.email}`);
 
+    await emitFileEvent('file.uploaded', file, req.user);
+
     res.status(201).json({
       success: true,
       message: 'File uploaded successfully',
@@ -62,16 +84,23 @@ export const uploadFile = async (req, res) => {
 };
 
 /**
- * @desc    Get all files for current user
+ * @desc    Get personal files for current user, or all files in a workspace
  * @route   GET /api/files
  * @access  Private
  */
 export const getFiles = async (req, res) => {
   try {
-    const { page = 1, limit = 20, uploadedFor } = req.query;
+    const { page = 1, limit = 20, uploadedFor, workspace } = req.query;
 
-    // Build filter
-    const filter = { owner: req.user.id };
+    if (workspace && !(await Workspace.hasRole(workspace, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a member of this workspace'
+      });
+    }
+
+    // Build filter - a workspace's files, or the user's own personal files
+    const filter = workspace ? { workspace } : { owner: req.user.id, workspace: null };
     
     if (uploadedFor) filter.uploadedFor = uploadedFor;
 
@@ -121,8 +150,9 @@ export const getFileById = async (req, res) => {
       });
     }
 
-    // Check ownership or public access
-    if (file.owner.toString() !== req.user.id && !file.isPublic) {
+    // Check ownership, public access, moderation rights or workspace membership
+    if (!file.isPublic && !(await canModerate(file, req.user)) &&
+      !(await hasWorkspaceRole(file, req.user, 'viewer'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this file'
@@ -166,8 +196,9 @@ export const downloadFile = async (req, res) => {
       });
     }
 
-    // Check ownership or public access
-    if (file.owner.toString() !== req.user.id && !file.isPublic) {
+    // Check ownership, public access, moderation rights or workspace membership
+    if (!file.isPublic && !(await canModerate(file, req.user)) &&
+      !(await hasWorkspaceRole(file, req.user, 'viewer'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to download this file'
@@ -229,8 +260,8 @@ export const deleteFile = async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (file.owner.toString() !== req.user.id) {
+    // Check ownership, moderation rights or workspace admin role
+    if (!(await canModerate(file, req.user)) && !(await hasWorkspaceRole(file, req.user, 'admin'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this file'
@@ -1,7 +1,9 @@
 import Note from '../models/Note.js';
+import Workspace from '../models/Workspace.js';
 import logger from '../utils/logger.js';
 import { getIO } from '../config/socket.js';
 import { notifyUser } from '../services/socketService.js';
+import { emitNoteEvent } from '../services/webhookService.js';
 
 /**
  * @desc    Create a new note
@@ -10,7 +12,15 @@ import { notifyUser } from '../services/socketService.js';
  */
 export const createNote = async (req, res) => {
   try {
-    const { title, content, category, tags, color, isPinned } = req.body;
+    const { title, content, category, tags, color, isPinned, workspace } = req.body;
+
+    // Viewers may read a workspace but not add to it
+    if (workspace && !(await Workspace.hasRole(workspace, req.user.id, 'member'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add notes to this workspace'
+      });
+    }
 
     const note = await Note.create({
       title,
@@ -19,14 +29,17 @@ export const createNote = async (req, res) => {
       tags,
       color,
       isPinned,
-      owner: req.user.id
+      owner: req.user.id,
+      workspace: workspace || null
     });
 
     logger.info(`Note created: ${note._id} by user: ${req.user.email}`);
 
-    // Notify user (confirmation)
+    await emitNoteEvent('note.created', note, req.user);
+
+    // Confirmation, for users who turned it on in their notification preferences
     const io = getIO();
-    notifyUser(io, req.user.id, {
+    await notifyUser(io, req.user.id, {
       type: 'NOTE_CREATED',
       message: `Note "${note.title}" created successfully`,
       data: note
@@ -57,16 +70,23 @@ export const createNote = async (req, res) => {
 };
 
 /**
- * @desc    Get all notes for current user
+ * @desc    Get personal notes for current user, or all notes in a workspace
  * @route   GET /api/notes
  * @access  Private
  */
 export const getNotes = async (req, res) => {
   try {
-    const { page = 1, limit = 20, category, tags, search, isPinned } = req.query;
+    const { page = 1, limit = 20, category, tags, search, isPinned, workspace } = req.query;
+
+    if (workspace && !(await Workspace.hasRole(workspace, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a member of this workspace'
+      });
+    }
 
-    // Build filter
-    const filter = { owner: req.user.id };
+    // Build filter - a workspace's notes, or the user's own personal notes
+    const filter = workspace ? { workspace } : { owner: req.user.id, workspace: null };
 
     if (category) filter.category = category;
     if (isPinned !== undefined) filter.isPinned = isPinned === 'true';
@@ -131,9 +151,10 @@ export const getNoteById = async (req, res) => {
       });
     }
 
-    // Check ownership or shared access
+    // Check ownership, shared access or workspace membership
     const hasAccess = note.owner.toString() === req.user.id ||
-      note.sharedWith.some(share => share.user.toString() === req.user.id);
+      note.sharedWith.some(share => share.user.toString() === req.user.id) ||
+      (note.workspace && await Workspace.hasRole(note.workspace, req.user.id));
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -185,7 +206,10 @@ export const updateNote = async (req, res) => {
       share => share.user.toString() === req.user.id && share.permission === 'edit'
     );
 
-    if (!isOwner && !hasEditPermission) {
+    const isWorkspaceMember = !isOwner && !hasEditPermission && note.workspace &&
+      await Workspace.hasRole(note.workspace, req.user.id, 'member');
+
+    if (!isOwner && !hasEditPermission && !isWorkspaceMember) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this note'
@@ -244,8 +268,11 @@ export const deleteNote = async (req, res) => {
       });
     }
 
-    // Only owner can delete
-    if (note.owner.toString() !== req.user.id) {
+    // Only the owner or a workspace admin can delete
+    const canDelete = note.owner.toString() === req.user.id ||
+      (note.workspace && await Workspace.hasRole(note.workspace, req.user.id, 'admin'));
+
+    if (!canDelete) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this note'
@@ -319,15 +346,15 @@ export const shareNote = async (req, res) => {
 
     logger.info(`Note shared: ${note._id} by user: ${req.user.email}`);
 
+    await emitNoteEvent('note.shared', note, req.user, { sharedWith: userIds, permission });
+
     // Notify shared users
     const io = getIO();
-    userIds.forEach(userId => {
-      notifyUser(io, userId, {
-        type: 'NOTE_SHARED',
-        message: `${req.user.email} shared a note with you: "${note.title}"`,
-        data: note
-      });
-    });
+    await Promise.all(userIds.map(userId => notifyUser(io, userId, {
+      type: 'NOTE_SHARED',
+      message: `${req.user.email} shared a note with you: "${note.title}"`,
+      data: note
+    })));
 
     res.status(200).json({
       success: true,
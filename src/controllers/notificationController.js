@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @desc    Get your notifications, newest first
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+export const getNotifications = async (req, res) => {
+  try {
+    const { unread, type, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = Notification.inboxFilter(req.user.id, { unread: unread === 'true' });
+    if (type) query.type = type;
+
+    const notifications = await Notification.find(query)
+      .sort({ _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments(Notification.inboxFilter(req.user.id, { unread: true }))
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalNotifications: total
+      },
+      data: notifications.map(notification => notification.toPayload(req.user.id))
+    });
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Count your unread notifications
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+export const getUnreadCount = async (req, res) => {
+  try {
+    const count = await Notification.countDocuments(Notification.inboxFilter(req.user.id, { unread: true }));
+
+    res.status(200).json({
+      success: true,
+      data: { count }
+    });
+  } catch (error) {
+    logger.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+export const markNotificationRead = async (req, res) => {
+  try {
+    const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Notification.findOneAndUpdate(
+        { _id: req.params.id, ...Notification.inboxFilter(req.user.id) },
+        { $addToSet: { readBy: req.user.id } },
+        { returnDocument: 'after' }
+      )
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: notification.toPayload(req.user.id)
+    });
+  } catch (error) {
+    logger.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Mark all your notifications as read, or those of one type
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { type } = req.body || {};
+
+    const updated = await Notification.markRead(req.user.id, type ? { type } : {});
+
+    logger.info(`${updated} notifications marked as read by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: { updated }
+    });
+  } catch (error) {
+    logger.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,201 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { PERMISSIONS, BUILT_IN_ROLES } from '../config/permissions.js';
+import logger from '../utils/logger.js';
+
+// Respond with mongoose validation and duplicate key errors as 400s
+const handleRoleError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: messages
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A role with this name already exists'
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+const builtInRoleResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'Built-in roles cannot be changed'
+});
+
+const invalidPermissionsResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'permissions must be an array'
+});
+
+/**
+ * @desc    List the permissions that can be granted
+ * @route   GET /api/roles/permissions
+ * @access  Private (roles:manage)
+ */
+export const getPermissions = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+};
+
+/**
+ * @desc    List built-in and custom roles
+ * @route   GET /api/roles
+ * @access  Private (roles:manage)
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const customRoles = await Role.find().sort({ name: 1 });
+
+    const roles = [
+      ...Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({ name, ...role, builtIn: true })),
+      ...customRoles.map(role => ({ ...role.toObject(), builtIn: false }))
+    ];
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles
+    });
+  } catch (error) {
+    logger.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Create a custom role
+ * @route   POST /api/roles
+ * @access  Private (roles:manage)
+ */
+export const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!Array.isArray(permissions)) {
+      return invalidPermissionsResponse(res);
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user.id
+    });
+
+    logger.info(`Role created: ${role.name} by user: ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    logger.error('Create role error:', error);
+    handleRoleError(error, res);
+  }
+};
+
+/**
+ * @desc    Update a custom role's description or permissions
+ * @route   PUT /api/roles/:name
+ * @access  Private (roles:manage)
+ */
+export const updateRole = async (req, res) => {
+  try {
+    if (Object.hasOwn(BUILT_IN_ROLES, req.params.name)) {
+      return builtInRoleResponse(res);
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const { description, permissions } = req.body;
+
+    if (permissions !== undefined && !Array.isArray(permissions)) {
+      return invalidPermissionsResponse(res);
+    }
+
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+
+    await role.save();
+
+    logger.info(`Role updated: ${role.name} by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    logger.error('Update role error:', error);
+    handleRoleError(error, res);
+  }
+};
+
+/**
+ * @desc    Delete a custom role that no user holds
+ * @route   DELETE /api/roles/:name
+ * @access  Private (roles:manage)
+ */
+export const deleteRole = async (req, res) => {
+  try {
+    if (Object.hasOwn(BUILT_IN_ROLES, req.params.name)) {
+      return builtInRoleResponse(res);
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const holders = await User.countDocuments({ role: role.name });
+
+    if (holders > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${holders} user(s). Reassign them first.`
+      });
+    }
+
+    await role.deleteOne();
+
+    logger.info(`Role deleted: ${role.name} by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -1,7 +1,39 @@
+import mongoose from 'mongoose';
 import Task from '../models/Task.js';
+import Workspace from '../models/Workspace.js';
+import TaskActivity from '../models/TaskActivity.js';
 import logger from '../utils/logger.js';
-import { getIO } from '../config/socket.js';
-import { notifyUser } from '../services/socketService.js';
+import { parseRecurrence } from '../utils/recurrence.js';
+import {
+  TASK_STATUSES,
+  taskScopeFilter,
+  assertAssigneesAreMembers,
+  resolveNewTaskWorkspace,
+  createTask as createTaskWithFollowUps,
+  assertCanChangeStatus,
+  changeTask,
+  moveTask as moveTaskOnBoard,
+  addTaskBlocker,
+  removeTaskBlocker,
+  deleteTask as deleteTaskWithSubtasks
+} from '../services/taskService.js';
+
+const notMemberResponse = (res) => res.status(403).json({
+  success: false,
+  message: 'Not a member of this workspace'
+});
+
+// Rule violations from taskService carry their status code, and open
+// blockers are listed
+const taskRuleResponse = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...(error.blockedBy && { blockedBy: error.blockedBy })
+});
+
+// Owners and assignees may work on a task, as may members of its workspace
+// and, for personal subtasks, the people on the parent task
+const canWorkOn = (task, userId, minRole) => task.isAccessibleBy(userId, minRole);
 
 /**
  * @desc    Create a new task
@@ -10,42 +42,38 @@ import { notifyUser } from '../services/socketService.js';
  */
 export const createTask = async (req, res) => {
   try {
-    const { title, description, status, priority, dueDate, assignedTo, tags } = req.body;
+    const { title, description, status, priority, dueDate, estimate, assignedTo, tags, parent } = req.body;
+    const recurrence = parseRecurrence(req.body.recurrence);
 
-    const task = await Task.create({
+    // Subtasks live in their parent's workspace
+    const workspace = await resolveNewTaskWorkspace(req.user.id, { parent, workspace: req.body.workspace, assignedTo });
+
+    const task = await createTaskWithFollowUps({
       title,
       description,
       status,
       priority,
       dueDate,
+      estimate,
       assignedTo,
       tags,
-      owner: req.user.id
-    });
+      recurrence,
+      parent: parent || null,
+      workspace
+    }, req.user);
 
     logger.info(`Task created: ${task._id} by user: ${req.user.email}`);
 
-    // Notify assigned users
-    if (assignedTo && assignedTo.length > 0) {
-      const io = getIO();
-      assignedTo.forEach(userId => {
-        // Don't notify self if self-assigned (optional check)
-        if (userId.toString() !== req.user.id) {
-          notifyUser(io, userId, {
-            type: 'TASK_ASSIGNED',
-            message: `${req.user.email} assigned you a task: "${task.title}"`,
-            data: task
-          });
-        }
-      });
-    }
-
     res.status(201).json({
       success: true,
       message: 'Task created successfully',
       data: task
     });
   } catch (error) {
+    if (error.statusCode) {
+      return taskRuleResponse(res, error);
+    }
+
     logger.error('Create task error:', error);
 
     if (error.name === 'ValidationError') {
@@ -65,21 +93,48 @@ export const createTask = async (req, res) => {
 };
 
 /**
- * @desc    Get all tasks for current user
+ * @desc    Get personal tasks for current user, or all tasks in a workspace
  * @route   GET /api/tasks
  * @access  Private
  */
 export const getTasks = async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, priority, search, dueDate } = req.query;
-
-    // Build filter - user sees tasks they own OR are assigned to
-    const filter = {
-      $or: [
-        { owner: req.user.id },
-        { assignedTo: req.user.id }
-      ]
-    };
+    const { page = 1, limit = 20, status, priority, search, dueDate, workspace, parent, hasChildren } = req.query;
+
+    if (workspace && !(await Workspace.hasRole(workspace, req.user.id))) {
+      return notMemberResponse(res);
+    }
+
+    // Build filter - user sees personal tasks they own OR are assigned to,
+    // or every task in the requested workspace
+    let filter = taskScopeFilter(req.user.id, workspace);
+
+    if (parent === 'none') {
+      // Top-level tasks only
+      filter.parent = null;
+    } else if (parent) {
+      // Everyone who can see a task can list its subtasks
+      const parentTask = mongoose.isValidObjectId(parent) ? await Task.findById(parent) : null;
+
+      if (!parentTask) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent task not found'
+        });
+      }
+
+      if (!(await canWorkOn(parentTask, req.user.id, 'viewer'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this task'
+        });
+      }
+
+      filter = { parent: parentTask._id };
+    }
+
+    if (hasChildren === 'true') filter['subtaskCounts.total'] = { $gt: 0 };
+    if (hasChildren === 'false') filter['subtaskCounts.total'] = { $not: { $gt: 0 } };
 
     if (status) filter.status = status;
     if (priority) filter.priority = priority;
@@ -153,7 +208,9 @@ export const getTaskById = async (req, res) => {
   try {
     const task = await Task.findById(req.params.id)
       .populate('owner', 'username email profile.firstName profile.lastName')
-      .populate('assignedTo', 'username email profile.firstName profile.lastName');
+      .populate('assignedTo', 'username email profile.firstName profile.lastName')
+      .populate('blockedBy', 'title status')
+      .populate('blocks', 'title status');
 
     if (!task) {
       return res.status(404).json({
@@ -163,10 +220,7 @@ export const getTaskById = async (req, res) => {
     }
 
     // Check access
-    const hasAccess = task.owner.toString() === req.user.id ||
-      task.assignedTo.some(user => user._id.toString() === req.user.id);
-
-    if (!hasAccess) {
+    if (!(await canWorkOn(task, req.user.id, 'viewer'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this task'
@@ -210,34 +264,33 @@ export const updateTask = async (req, res) => {
       });
     }
 
-    // Check if user can update (owner or assigned)
-    const canUpdate = task.owner.toString() === req.user.id ||
-      task.assignedTo.some(user => user.toString() === req.user.id);
-
-    if (!canUpdate) {
+    // Check if user can update (owner, assigned or workspace member)
+    if (!(await canWorkOn(task, req.user.id, 'member'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this task'
       });
     }
 
-    const { title, description, status, priority, dueDate, assignedTo, tags } = req.body;
+    const { title, description, status, priority, dueDate, estimate, assignedTo, tags } = req.body;
 
-    // Update fields
-    if (title !== undefined) task.title = title;
-    if (description !== undefined) task.description = description;
-    if (status !== undefined) {
-      task.status = status;
-      if (status === 'completed') {
-        task.completedBy = req.user.id;
-      }
+    if (assignedTo !== undefined) {
+      await assertAssigneesAreMembers(task.workspace, assignedTo);
     }
-    if (priority !== undefined) task.priority = priority;
-    if (dueDate !== undefined) task.dueDate = dueDate;
-    if (assignedTo !== undefined) task.assignedTo = assignedTo;
-    if (tags !== undefined) task.tags = tags;
-
-    await task.save();
+    await assertCanChangeStatus(task, status, req.body.override, req.user);
+
+    const { nextOccurrence } = await changeTask(task, req.user, (updated) => {
+      if (title !== undefined) updated.title = title;
+      if (description !== undefined) updated.description = description;
+      if (status !== undefined) updated.status = status;
+      if (priority !== undefined) updated.priority = priority;
+      if (dueDate !== undefined) updated.dueDate = dueDate;
+      if (estimate !== undefined) updated.estimate = estimate;
+      if (assignedTo !== undefined) updated.assignedTo = assignedTo;
+      if (tags !== undefined) updated.tags = tags;
+      // Editing or clearing the rule changes how the series continues
+      if (req.body.recurrence !== undefined) updated.recurrence = parseRecurrence(req.body.recurrence);
+    });
 
     task = await Task.findById(task._id)
       .populate('owner', 'username email')
@@ -248,9 +301,14 @@ export const updateTask = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Task updated successfully',
-      data: task
+      data: task,
+      ...(nextOccurrence && { nextOccurrence })
     });
   } catch (error) {
+    if (error.statusCode) {
+      return taskRuleResponse(res, error);
+    }
+
     logger.error('Update task error:', error);
 
     if (error.kind === 'ObjectId') {
@@ -260,6 +318,15 @@ export const updateTask = async (req, res) => {
       });
     }
 
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -283,17 +350,22 @@ export const deleteTask = async (req, res) => {
       });
     }
 
-    // Only owner can delete
-    if (task.owner.toString() !== req.user.id) {
+    // Only the owner or a workspace admin can delete
+    const canDelete = task.owner.toString() === req.user.id ||
+      (task.workspace && await Workspace.hasRole(task.workspace, req.user.id, 'admin'));
+
+    if (!canDelete) {
       return res.status(403).json({
         success: false,
         message: 'Only task owner can delete'
       });
     }
 
-    await task.deleteOne();
+    // Subtasks go with their parent, and nothing stays blocked by them
+    const subtasks = await deleteTaskWithSubtasks(task, req.user);
 
-    logger.info(`Task deleted: ${req.params.id} by user: ${req.user.email}`);
+    logger.info(`Task deleted: ${req.params.id} by user: ${req.user.email}` +
+      (subtasks.length > 0 ? ` with ${subtasks.length} subtasks` : ''));
 
     res.status(200).json({
       success: true,
@@ -323,9 +395,9 @@ export const deleteTask = async (req, res) => {
  */
 export const updateTaskStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, override } = req.body;
 
-    if (!status || !['todo', 'in_progress', 'completed', 'cancelled'].includes(status)) {
+    if (!status || !TASK_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid status'
@@ -342,31 +414,32 @@ export const updateTaskStatus = async (req, res) => {
     }
 
     // Check access
-    const hasAccess = task.owner.toString() === req.user.id ||
-      task.assignedTo.some(user => user.toString() === req.user.id);
-
-    if (!hasAccess) {
+    if (!(await canWorkOn(task, req.user.id, 'member'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this task'
       });
     }
 
-    task.status = status;
-    if (status === 'completed') {
-      task.completedBy = req.user.id;
-    }
+    await assertCanChangeStatus(task, status, override, req.user);
 
-    await task.save();
+    const { nextOccurrence } = await changeTask(task, req.user, (updated) => {
+      updated.status = status;
+    });
 
     logger.info(`Task status updated: ${task._id} to ${status}`);
 
     res.status(200).json({
       success: true,
       message: 'Task status updated successfully',
-      data: task
+      data: task,
+      ...(nextOccurrence && { nextOccurrence })
     });
   } catch (error) {
+    if (error.statusCode) {
+      return taskRuleResponse(res, error);
+    }
+
     logger.error('Update task status error:', error);
     res.status(500).json({
       success: false,
@@ -376,18 +449,19 @@ export const updateTaskStatus = async (req, res) => {
 };
 
 /**
- * @desc    Get task statistics
+ * @desc    Get task statistics for personal tasks or a workspace
  * @route   GET /api/tasks/stats
  * @access  Private
  */
 export const getTaskStats = async (req, res) => {
   try {
-    const filter = {
-      $or: [
-        { owner: req.user.id },
-        { assignedTo: req.user.id }
-      ]
-    };
+    const { workspace } = req.query;
+
+    if (workspace && !(await Workspace.hasRole(workspace, req.user.id))) {
+      return notMemberResponse(res);
+    }
+
+    const filter = taskScopeFilter(req.user.id, workspace);
 
     const total = await Task.countDocuments(filter);
     const todo = await Task.countDocuments({ ...filter, status: 'todo' });
@@ -429,4 +503,355 @@ export const getTaskStats = async (req, res) => {
       message: 'Server error'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Mark a task as blocked by another task
+ * @route   POST /api/tasks/:id/dependencies
+ * @access  Private
+ */
+export const addTaskDependency = async (req, res) => {
+  try {
+    const { blockedBy } = req.body;
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canWorkOn(task, req.user.id, 'member'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (!blockedBy || !mongoose.isValidObjectId(blockedBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the ID of the blocking task'
+      });
+    }
+
+    const blocker = await Task.findById(blockedBy);
+
+    // Only tasks the user can see may be linked
+    if (!blocker || !(await canWorkOn(blocker, req.user.id, 'viewer'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocking task not found'
+      });
+    }
+
+    await addTaskBlocker(task, blocker, req.user);
+
+    const updated = await Task.findById(task._id).populate('blockedBy', 'title status');
+
+    res.status(200).json({
+      success: true,
+      message: 'Dependency added successfully',
+      data: updated
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return taskRuleResponse(res, error);
+    }
+
+    logger.error('Add task dependency error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a blocking task
+ * @route   DELETE /api/tasks/:id/dependencies/:blockerId
+ * @access  Private
+ */
+export const removeTaskDependency = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canWorkOn(task, req.user.id, 'member'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    await removeTaskBlocker(task, req.params.blockerId, req.user);
+
+    const updated = await Task.findById(task._id).populate('blockedBy', 'title status');
+
+    res.status(200).json({
+      success: true,
+      message: 'Dependency removed successfully',
+      data: updated
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return taskRuleResponse(res, error);
+    }
+
+    logger.error('Remove task dependency error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get the dependency graph around some tasks, your personal tasks or a workspace
+ * @route   GET /api/tasks/dependencies
+ * @access  Private
+ */
+export const getDependencyGraph = async (req, res) => {
+  try {
+    const { ids, workspace } = req.query;
+    const maxNodes = parseInt(process.env.TASK_GRAPH_MAX_NODES) || 500;
+
+    if (workspace && !(await Workspace.hasRole(workspace, req.user.id))) {
+      return notMemberResponse(res);
+    }
+
+    const taskIds = ids ? String(ids).split(',').map(id => id.trim()).filter(Boolean) : [];
+
+    if (!taskIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID in ids'
+      });
+    }
+
+    // Start from the given tasks, or every linked task in scope
+    const seedFilter = taskIds.length > 0
+      ? { _id: { $in: taskIds } }
+      : { ...taskScopeFilter(req.user.id, workspace), 'blockedBy.0': { $exists: true } };
+
+    // Links are followed through any task the user could open
+    const workspaceIds = await Workspace.find({ 'members.user': req.user.id }).distinct('_id');
+    const visibleFilter = {
+      $or: [{ owner: req.user.id }, { assignedTo: req.user.id }, { workspace: { $in: workspaceIds } }]
+    };
+
+    const graph = await Task.getDependencyGraph(seedFilter, visibleFilter, maxNodes);
+
+    res.status(200).json({
+      success: true,
+      data: graph
+    });
+  } catch (error) {
+    logger.error('Get dependency graph error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get personal or workspace tasks as a board, one column per status in card order
+ * @route   GET /api/tasks/board
+ * @access  Private
+ */
+export const getTaskBoard = async (req, res) => {
+  try {
+    const { workspace, priority, parent, limit = 100 } = req.query;
+
+    if (workspace && !(await Workspace.hasRole(workspace, req.user.id))) {
+      return notMemberResponse(res);
+    }
+
+    const scope = taskScopeFilter(req.user.id, workspace);
+
+    const columns = await Promise.all(TASK_STATUSES.map(async (status) => {
+      const filter = { ...scope, status };
+      if (priority) filter.priority = priority;
+      if (parent === 'none') filter.parent = null;
+
+      const [tasks, total] = await Promise.all([
+        Task.find(filter)
+          .populate('assignedTo', 'username email profile.firstName profile.lastName')
+          .sort({ position: 1, _id: 1 })
+          .limit(parseInt(limit)),
+        Task.countDocuments(filter)
+      ]);
+
+      return { status, count: total, tasks };
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: { columns }
+    });
+  } catch (error) {
+    logger.error('Get task board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Move a task on the board, changing its status and position together
+ * @route   PUT /api/tasks/:id/move
+ * @access  Private
+ */
+export const moveTask = async (req, res) => {
+  try {
+    const { afterTaskId, beforeTaskId, override } = req.body;
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const status = req.body.status || task.status;
+
+    if (!TASK_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status'
+      });
+    }
+
+    if (!(await canWorkOn(task, req.user.id, 'member'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    await assertCanChangeStatus(task, status, override, req.user);
+
+    // Place the card among the others in the board the mover is looking at
+    const { nextOccurrence } = await moveTaskOnBoard(task, req.user, {
+      status,
+      afterId: afterTaskId,
+      beforeId: beforeTaskId
+    });
+
+    logger.info(`Task moved: ${task._id} to ${status} at ${task.position} by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Task moved successfully',
+      data: task,
+      ...(nextOccurrence && { nextOccurrence })
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return taskRuleResponse(res, error);
+    }
+
+    logger.error('Move task error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a task's activity timeline, newest first
+ * @route   GET /api/tasks/:id/activity
+ * @access  Private
+ */
+export const getTaskActivity = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await canWorkOn(task, req.user.id, 'viewer'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const activity = await TaskActivity.find({ task: task._id })
+      .populate('actor', 'username profile.firstName profile.lastName')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await TaskActivity.countDocuments({ task: task._id });
+
+    res.status(200).json({
+      success: true,
+      count: activity.length,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalEntries: total
+      },
+      data: activity
+    });
+  } catch (error) {
+    logger.error('Get task activity error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,438 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import TimeEntry from '../models/TimeEntry.js';
+import Workspace from '../models/Workspace.js';
+import logger from '../utils/logger.js';
+
+const USER_FIELDS = 'username profile.firstName profile.lastName';
+
+const entryNotFoundResponse = (res) => res.status(404).json({
+  success: false,
+  message: 'Time entry not found'
+});
+
+// Validation failures, including dates that can't be read
+const isInvalidEntry = (error) => error.name === 'ValidationError' || error.name === 'CastError';
+
+const invalidEntryResponse = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: error.errors ? Object.values(error.errors).map(err => err.message) : [error.message]
+});
+
+const findEntry = (task, entryId) => (mongoose.Types.ObjectId.isValid(entryId)
+  ? TimeEntry.findOne({ _id: entryId, task: task._id })
+  : null);
+
+const timerRunningResponse = (res, running) => res.status(400).json({
+  success: false,
+  message: `You already have a timer running on "${running.task?.title}". Stop it first.`,
+  data: running
+});
+
+const findRunningTimer = (userId) => TimeEntry.findOne({ user: userId, isRunning: true })
+  .populate('task', 'title');
+
+/**
+ * Times for a manual entry: a start and end, or minutes worked starting at
+ * `startedAt` (or on `date`, defaulting to now)
+ * @returns {{ startedAt: Date, endedAt: Date, minutes: number }|null} null when neither is given
+ */
+const manualEntryTimes = ({ minutes, startedAt, endedAt, date }) => {
+  if (startedAt && endedAt) {
+    const start = new Date(startedAt);
+    const end = new Date(endedAt);
+    return { startedAt: start, endedAt: end, minutes: TimeEntry.minutesBetween(start, end) };
+  }
+
+  if (!(Number(minutes) > 0)) return null;
+
+  const start = new Date(startedAt || date || Date.now());
+  return { startedAt: start, endedAt: new Date(start.getTime() + Number(minutes) * 60000), minutes: Number(minutes) };
+};
+
+/**
+ * @desc    Start a timer on a task
+ * @route   POST /api/tasks/:id/time/start
+ * @access  Private
+ */
+export const startTimer = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const running = await findRunningTimer(req.user.id);
+    if (running) {
+      return timerRunningResponse(res, running);
+    }
+
+    const entry = await TimeEntry.create({
+      task: task._id,
+      user: req.user.id,
+      workspace: task.workspace,
+      source: 'timer',
+      startedAt: new Date(),
+      isRunning: true,
+      note: req.body.note
+    });
+
+    logger.info(`Timer started: ${entry._id} on task ${task._id} by user: ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      data: entry
+    });
+  } catch (error) {
+    // Another request started a timer first
+    if (error.code === 11000) {
+      return timerRunningResponse(res, await findRunningTimer(req.user.id));
+    }
+
+    logger.error('Start timer error:', error);
+
+    if (isInvalidEntry(error)) {
+      return invalidEntryResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Stop your running timer on a task
+ * @route   POST /api/tasks/:id/time/stop
+ * @access  Private
+ */
+export const stopTimer = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const entry = await TimeEntry.findOne({ task: task._id, user: req.user.id, isRunning: true });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'No timer running on this task'
+      });
+    }
+
+    if (req.body.note !== undefined) entry.note = req.body.note;
+    await entry.stop();
+
+    logger.info(`Timer stopped: ${entry._id} after ${entry.minutes} minutes by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Timer stopped',
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Stop timer error:', error);
+
+    if (isInvalidEntry(error)) {
+      return invalidEntryResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get your running timer, if any
+ * @route   GET /api/tasks/time/running
+ * @access  Private
+ */
+export const getRunningTimer = async (req, res) => {
+  try {
+    const entry = await findRunningTimer(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Get running timer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Log time on a task by hand
+ * @route   POST /api/tasks/:id/time
+ * @access  Private
+ */
+export const createTimeEntry = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const times = manualEntryTimes(req.body);
+
+    if (!times) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide minutes, or startedAt and endedAt'
+      });
+    }
+
+    const entry = await TimeEntry.create({
+      ...times,
+      task: task._id,
+      user: req.user.id,
+      workspace: task.workspace,
+      source: 'manual',
+      note: req.body.note
+    });
+
+    logger.info(`Time logged: ${entry.minutes} minutes on task ${task._id} by user: ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Time logged successfully',
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Create time entry error:', error);
+
+    if (isInvalidEntry(error)) {
+      return invalidEntryResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get the time logged on a task, newest first
+ * @route   GET /api/tasks/:id/time
+ * @access  Private
+ */
+export const getTimeEntries = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const entries = await TimeEntry.find({ task: task._id })
+      .populate('user', USER_FIELDS)
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await TimeEntry.countDocuments({ task: task._id });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      totals: {
+        timeSpent: task.timeSpent,
+        estimate: task.estimate
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalEntries: total
+      },
+      data: entries
+    });
+  } catch (error) {
+    logger.error('Get time entries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Edit your time entry (only the note while its timer runs)
+ * @route   PUT /api/tasks/:id/time/:entryId
+ * @access  Private
+ */
+export const updateTimeEntry = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const entry = await findEntry(task, req.params.entryId);
+
+    if (!entry) {
+      return entryNotFoundResponse(res);
+    }
+
+    if (entry.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own time entries'
+      });
+    }
+
+    const { note, minutes, startedAt, endedAt } = req.body;
+
+    if (note !== undefined) entry.note = note;
+
+    if (!entry.isRunning && (minutes !== undefined || startedAt !== undefined || endedAt !== undefined)) {
+      if (startedAt !== undefined) entry.startedAt = startedAt;
+
+      if (endedAt !== undefined) {
+        entry.endedAt = endedAt;
+        entry.minutes = TimeEntry.minutesBetween(entry.startedAt, entry.endedAt);
+      } else if (minutes !== undefined) {
+        entry.minutes = minutes;
+        entry.endedAt = new Date(entry.startedAt.getTime() + Number(minutes) * 60000);
+      } else {
+        // Moving the start keeps the length of the entry
+        entry.endedAt = new Date(entry.startedAt.getTime() + entry.minutes * 60000);
+      }
+    }
+
+    await entry.save();
+
+    logger.info(`Time entry updated: ${entry._id} by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry updated successfully',
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Update time entry error:', error);
+
+    if (isInvalidEntry(error)) {
+      return invalidEntryResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a time entry (its user, the task owner or a workspace admin)
+ * @route   DELETE /api/tasks/:id/time/:entryId
+ * @access  Private
+ */
+export const deleteTimeEntry = async (req, res) => {
+  try {
+    const { task } = req;
+
+    const entry = await findEntry(task, req.params.entryId);
+
+    if (!entry) {
+      return entryNotFoundResponse(res);
+    }
+
+    const canDelete = entry.user.toString() === req.user.id ||
+      task.owner.toString() === req.user.id ||
+      (task.workspace && await Workspace.hasRole(task.workspace, req.user.id, 'admin'));
+
+    if (!canDelete) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this time entry'
+      });
+    }
+
+    await entry.deleteOne();
+
+    logger.info(`Time entry deleted: ${entry._id} by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete time entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Report logged time per user, per tag and per day for personal tasks or a workspace
+ * @route   GET /api/tasks/time/report
+ * @access  Private
+ */
+export const getTimeReport = async (req, res) => {
+  try {
+    const { workspace, user, task, from, to } = req.query;
+    const { ObjectId } = mongoose.Types;
+
+    if ([workspace, user, task].some(id => id && !ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid workspace, user or task ID'
+      });
+    }
+
+    const range = { from: from && new Date(from), to: to && new Date(to) };
+
+    if ([range.from, range.to].some(date => date && isNaN(date))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    let match;
+
+    if (workspace) {
+      if (!(await Workspace.hasRole(workspace, req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not a member of this workspace'
+        });
+      }
+      match = { workspace: new ObjectId(workspace) };
+    } else {
+      // Time on personal tasks the user owns or is assigned to
+      const taskIds = await Task.find({
+        $or: [{ owner: req.user.id }, { assignedTo: req.user.id }],
+        workspace: null
+      }).distinct('_id');
+      match = { workspace: null, task: { $in: taskIds } };
+    }
+
+    // Narrowing to one task stays within the scope above
+    if (task) match.task = { ...match.task, $eq: new ObjectId(task) };
+    if (user) match.user = new ObjectId(user);
+    if (range.from || range.to) {
+      match.startedAt = {};
+      if (range.from) match.startedAt.$gte = range.from;
+      if (range.to) match.startedAt.$lte = range.to;
+    }
+
+    const report = await TimeEntry.getReport(match);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: range.from || null,
+        to: range.to || null,
+        ...report
+      }
+    });
+  } catch (error) {
+    logger.error('Get time report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
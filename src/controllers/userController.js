@@ -1,4 +1,8 @@
 import User from '../models/User.js';
+import Role from '../models/Role.js';
+import ApiKey from '../models/ApiKey.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -101,6 +105,14 @@ export const updateUser = async (req, res) => {
   try {
     const { role, isActive, profile } = req.body;
 
+    // Changing roles needs its own permission
+    if (role !== undefined && !req.permissions.includes('roles:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Missing permission: roles:manage'
+      });
+    }
+
     const user = await User.findById(req.params.id);
 
     if (!user) {
@@ -138,6 +150,15 @@ export const updateUser = async (req, res) => {
         message: 'User not found'
       });
     }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -171,6 +192,11 @@ export const deleteUser = async (req, res) => {
     }
 
     await user.deleteOne();
+    await ApiKey.deleteMany({ user: user._id });
+
+    const webhookIds = await Webhook.find({ owner: user._id }).distinct('_id');
+    await WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } });
+    await Webhook.deleteMany({ owner: user._id });
 
     logger.info(`User deleted by admin: ${user.email}`);
 
@@ -204,10 +230,10 @@ export const updateUserRole = async (req, res) => {
   try {
     const { role } = req.body;
 
-    if (!role || !['standard', 'admin'].includes(role)) {
+    if (!role || !(await Role.isValidName(role))) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role. Must be either standard or admin'
+        message: 'Invalid role. Must be a built-in or custom role'
       });
     }
 
@@ -274,6 +300,12 @@ export const getUserStats = async (req, res) => {
       createdAt: { $gte: thirtyDaysAgo }
     });
 
+    // Includes custom roles
+    const roleCounts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
     res.status(200).json({
       success: true,
       data: {
@@ -282,7 +314,8 @@ export const getUserStats = async (req, res) => {
         inactiveUsers: totalUsers - activeUsers,
         adminUsers,
         standardUsers,
-        recentUsers
+        recentUsers,
+        usersByRole: roleCounts.map(({ _id, count }) => ({ role: _id, count }))
       }
     });
   } catch (error) {
@@ -292,4 +325,181 @@ export const getUserStats = async (req, res) => {
       message: 'Server error'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    List a user's active sessions
+ * @route   GET /api/users/:id/sessions
+ * @access  Private/Admin
+ */
+export const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const currentSessionId = user._id.toString() === req.user.id ? req.sessionId : undefined;
+    const sessions = user.getSessions(currentSessionId);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    logger.error('Get user sessions error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke one of a user's sessions
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @access  Private/Admin
+ */
+export const revokeUserSession = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.getSessions().some(session => session.id === req.params.sessionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await user.revokeSession(req.params.sessionId);
+
+    logger.info(`Session ${req.params.sessionId} of ${user.email} revoked by admin: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke user session error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke all of a user's sessions
+ * @route   DELETE /api/users/:id/sessions
+ * @access  Private/Admin
+ */
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Admins revoking their own sessions keep the one they are using
+    const keepSessionId = user._id.toString() === req.user.id ? req.sessionId : undefined;
+    const revoked = user.getSessions(keepSessionId).filter(session => !session.current).length;
+
+    await user.revokeOtherSessions(keepSessionId);
+
+    logger.info(`All sessions of ${user.email} revoked by admin: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      data: { revoked }
+    });
+  } catch (error) {
+    logger.error('Revoke user sessions error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Unlock a user locked out by failed logins
+ * @route   PUT /api/users/:id/unlock
+ * @access  Private/Admin
+ */
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-refreshTokens');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    logger.info(`User unlocked by admin: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: user
+    });
+  } catch (error) {
+    logger.error('Unlock user error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
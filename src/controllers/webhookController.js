@@ -0,0 +1,310 @@
+import mongoose from 'mongoose';
+import Role from '../models/Role.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import Workspace from '../models/Workspace.js';
+import logger from '../utils/logger.js';
+import { WEBHOOK_EVENTS } from '../config/webhooks.js';
+import { redeliver } from '../services/webhookService.js';
+
+const webhookNotFoundResponse = (res) => res.status(404).json({
+  success: false,
+  message: 'Webhook not found'
+});
+
+const invalidEventsResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'events must be an array'
+});
+
+const validationErrorResponse = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: Object.values(error.errors).map(err => err.message)
+});
+
+// Webhooks are only visible to the user who registered them
+const findOwnWebhook = (req) => (mongoose.Types.ObjectId.isValid(req.params.id)
+  ? Webhook.findOne({ _id: req.params.id, owner: req.user.id })
+  : null);
+
+/**
+ * @desc    List the events webhooks can subscribe to
+ * @route   GET /api/webhooks/events
+ * @access  Private
+ */
+export const getWebhookEvents = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(WEBHOOK_EVENTS).map(([name, description]) => ({ name, description }))
+  });
+};
+
+/**
+ * @desc    Register a webhook (the signing secret is only returned once)
+ * @route   POST /api/webhooks
+ * @access  Private
+ */
+export const createWebhook = async (req, res) => {
+  try {
+    const { url, description, events, scope = 'personal', workspace } = req.body;
+    const maxWebhooks = parseInt(process.env.WEBHOOKS_MAX_PER_USER) || 10;
+
+    if (events !== undefined && !Array.isArray(events)) {
+      return invalidEventsResponse(res);
+    }
+
+    if (scope === 'workspace' && !(await Workspace.hasRole(workspace, req.user.id, 'admin'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace admins can add webhooks to a workspace'
+      });
+    }
+
+    if (scope === 'all' && !(await Role.hasPermission(req.user.role, 'webhooks:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Missing permission: webhooks:manage'
+      });
+    }
+
+    if (await Webhook.countDocuments({ owner: req.user.id }) >= maxWebhooks) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${maxWebhooks} webhooks. Delete one first.`
+      });
+    }
+
+    const secret = Webhook.generateSecret();
+
+    const webhook = await Webhook.create({
+      owner: req.user.id,
+      url,
+      description,
+      events: [...new Set(events)],
+      scope,
+      workspace: scope === 'workspace' ? workspace : null,
+      secret
+    });
+
+    logger.info(`Webhook created: ${webhook._id} (${scope}) by user: ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Copy the secret now, it will not be shown again.',
+      data: {
+        ...webhook.toJSON(),
+        secret
+      }
+    });
+  } catch (error) {
+    logger.error('Create webhook error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    List the current user's webhooks
+ * @route   GET /api/webhooks
+ * @access  Private
+ */
+export const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ owner: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      data: webhooks
+    });
+  } catch (error) {
+    logger.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Update a webhook's URL, description, events or active state
+ * @route   PUT /api/webhooks/:id
+ * @access  Private
+ */
+export const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    if (!webhook) {
+      return webhookNotFoundResponse(res);
+    }
+
+    const { url, description, events, active } = req.body;
+
+    if (events !== undefined && !Array.isArray(events)) {
+      return invalidEventsResponse(res);
+    }
+
+    if (url !== undefined) webhook.url = url;
+    if (description !== undefined) webhook.description = description;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (active !== undefined) webhook.active = active;
+
+    await webhook.save();
+
+    logger.info(`Webhook updated: ${webhook._id} by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook
+    });
+  } catch (error) {
+    logger.error('Update webhook error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a webhook and its delivery log
+ * @route   DELETE /api/webhooks/:id
+ * @access  Private
+ */
+export const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    if (!webhook) {
+      return webhookNotFoundResponse(res);
+    }
+
+    // Pending deliveries are dropped too; their jobs find nothing to send
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+
+    logger.info(`Webhook deleted: ${webhook._id} by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a webhook's deliveries, newest first
+ * @route   GET /api/webhooks/:id/deliveries
+ * @access  Private
+ */
+export const getWebhookDeliveries = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    if (!webhook) {
+      return webhookNotFoundResponse(res);
+    }
+
+    const { status, event, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { webhook: webhook._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalDeliveries: total
+      },
+      data: deliveries
+    });
+  } catch (error) {
+    logger.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Send a delivery again
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @access  Private
+ */
+export const redeliverWebhookDelivery = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    if (!webhook) {
+      return webhookNotFoundResponse(res);
+    }
+
+    const delivery = mongoose.Types.ObjectId.isValid(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    if (!webhook.active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook is disabled. Enable it before redelivering.'
+      });
+    }
+
+    const redelivery = await redeliver(delivery);
+
+    logger.info(`Webhook delivery ${delivery._id} redelivered as ${redelivery._id} by user: ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Redelivery scheduled',
+      data: redelivery
+    });
+  } catch (error) {
+    logger.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,563 @@
+import mongoose from 'mongoose';
+import Workspace, { ASSIGNABLE_WORKSPACE_ROLES } from '../models/Workspace.js';
+import User from '../models/User.js';
+import Note from '../models/Note.js';
+import Task from '../models/Task.js';
+import File from '../models/File.js';
+import logger from '../utils/logger.js';
+import { normalizeEmail } from '../utils/email.js';
+import { getIO } from '../config/socket.js';
+import { sendMail } from '../services/mailService.js';
+
+const MEMBER_FIELDS = 'username email profile.firstName profile.lastName';
+
+const invalidRoleResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid role. Must be one of: viewer, member, admin'
+});
+
+const ownerOnlyAdminsResponse = (res) => res.status(403).json({
+  success: false,
+  message: 'Only the workspace owner can manage admins'
+});
+
+/**
+ * Load the workspace in req.params.id and check the caller's role.
+ * Non-members get a 404 so workspace ids can't be probed.
+ * Sends the error response and returns null when access is denied.
+ */
+const loadWorkspace = async (req, res, minRole = 'viewer') => {
+  const workspace = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Workspace.findById(req.params.id)
+    : null;
+
+  if (!workspace || !workspace.getMemberRole(req.user.id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Workspace not found'
+    });
+    return null;
+  }
+
+  if (!workspace.hasRole(req.user.id, minRole)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this workspace'
+    });
+    return null;
+  }
+
+  return workspace;
+};
+
+// Workspace as returned to members; invitations have their own endpoint
+const toResponse = (workspace, userId) => {
+  const { invitations, ...data } = workspace.toJSON();
+  return { ...data, role: workspace.getMemberRole(userId) };
+};
+
+const buildInviteUrl = (req, token) => {
+  const baseUrl = process.env.WORKSPACE_INVITE_URL ||
+    `${req.protocol}://${req.get('host')}/api/workspaces/invitations`;
+  return `${baseUrl}/${token}`;
+};
+
+const handleValidationError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: messages
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+/**
+ * @desc    Create a workspace owned by the current user
+ * @route   POST /api/workspaces
+ * @access  Private
+ */
+export const createWorkspace = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const workspace = await Workspace.create({
+      name,
+      description,
+      owner: req.user.id,
+      members: [{ user: req.user.id, role: 'owner' }]
+    });
+
+    logger.info(`Workspace created: ${workspace._id} by user: ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      data: toResponse(workspace, req.user.id)
+    });
+  } catch (error) {
+    logger.error('Create workspace error:', error);
+    handleValidationError(error, res);
+  }
+};
+
+/**
+ * @desc    Get workspaces the current user belongs to
+ * @route   GET /api/workspaces
+ * @access  Private
+ */
+export const getWorkspaces = async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.user': req.user.id })
+      .select('-invitations')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: workspaces.length,
+      data: workspaces.map(workspace => toResponse(workspace, req.user.id))
+    });
+  } catch (error) {
+    logger.error('Get workspaces error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a workspace with its members
+ * @route   GET /api/workspaces/:id
+ * @access  Private (workspace members)
+ */
+export const getWorkspaceById = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    await workspace.populate('members.user', MEMBER_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: toResponse(workspace, req.user.id)
+    });
+  } catch (error) {
+    logger.error('Get workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Update workspace name or description
+ * @route   PUT /api/workspaces/:id
+ * @access  Private (workspace admins)
+ */
+export const updateWorkspace = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res, 'admin');
+    if (!workspace) return;
+
+    const { name, description } = req.body;
+
+    if (name !== undefined) workspace.name = name;
+    if (description !== undefined) workspace.description = description;
+
+    await workspace.save();
+
+    logger.info(`Workspace updated: ${workspace._id} by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Workspace updated successfully',
+      data: toResponse(workspace, req.user.id)
+    });
+  } catch (error) {
+    logger.error('Update workspace error:', error);
+    handleValidationError(error, res);
+  }
+};
+
+/**
+ * @desc    Delete an empty workspace
+ * @route   DELETE /api/workspaces/:id
+ * @access  Private (workspace owner)
+ */
+export const deleteWorkspace = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res, 'owner');
+    if (!workspace) return;
+
+    // Refuse rather than silently deleting a team's content
+    const filter = { workspace: workspace._id };
+    const [notes, tasks, files] = await Promise.all([
+      Note.countDocuments(filter),
+      Task.countDocuments(filter),
+      File.countDocuments(filter)
+    ]);
+
+    if (notes + tasks + files > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace still contains notes, tasks or files. Delete them first.'
+      });
+    }
+
+    await workspace.deleteOne();
+
+    // Stop live board updates to everyone still connected to it
+    getIO().in(`workspace:${workspace._id}`).socketsLeave(`workspace:${workspace._id}`);
+
+    logger.info(`Workspace deleted: ${req.params.id} by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Workspace deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Change a member's workspace role
+ * @route   PUT /api/workspaces/:id/members/:userId
+ * @access  Private (workspace admins; only the owner manages admins)
+ */
+export const updateMemberRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ASSIGNABLE_WORKSPACE_ROLES.includes(role)) {
+      return invalidRoleResponse(res);
+    }
+
+    const workspace = await loadWorkspace(req, res, 'admin');
+    if (!workspace) return;
+
+    const member = workspace.members.find(m => m.user.toString() === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The workspace owner\'s role cannot be changed'
+      });
+    }
+
+    const isOwner = workspace.hasRole(req.user.id, 'owner');
+    if (!isOwner && (member.role === 'admin' || role === 'admin')) {
+      return ownerOnlyAdminsResponse(res);
+    }
+
+    member.role = role;
+    await workspace.save();
+
+    logger.info(`Workspace ${workspace._id} member ${req.params.userId} set to ${role} by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: member
+    });
+  } catch (error) {
+    logger.error('Update workspace member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a member, or leave the workspace
+ * @route   DELETE /api/workspaces/:id/members/:userId
+ * @access  Private (workspace admins, or the member themselves)
+ */
+export const removeMember = async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user.id;
+
+    const workspace = await loadWorkspace(req, res, isSelf ? 'viewer' : 'admin');
+    if (!workspace) return;
+
+    const member = workspace.members.find(m => m.user.toString() === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The workspace owner cannot be removed'
+      });
+    }
+
+    if (!isSelf && member.role === 'admin' && !workspace.hasRole(req.user.id, 'owner')) {
+      return ownerOnlyAdminsResponse(res);
+    }
+
+    workspace.members = workspace.members.filter(m => m.user.toString() !== req.params.userId);
+    await workspace.save();
+
+    // Drop any live sockets of the removed member from the workspace room
+    getIO().in(`user:${req.params.userId}`).socketsLeave(`workspace:${workspace._id}`);
+
+    logger.info(`Workspace ${workspace._id} member ${req.params.userId} removed by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? 'You have left the workspace' : 'Member removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove workspace member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Invite someone to the workspace by email
+ * @route   POST /api/workspaces/:id/invitations
+ * @access  Private (workspace admins; only the owner invites admins)
+ */
+export const inviteMember = async (req, res) => {
+  let workspace;
+  let token;
+
+  try {
+    const { email, role = 'member' } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    if (!ASSIGNABLE_WORKSPACE_ROLES.includes(role)) {
+      return invalidRoleResponse(res);
+    }
+
+    workspace = await loadWorkspace(req, res, 'admin');
+    if (!workspace) return;
+
+    if (role === 'admin' && !workspace.hasRole(req.user.id, 'owner')) {
+      return ownerOnlyAdminsResponse(res);
+    }
+
+    const existingUser = await User.findOne({ email: normalizeEmail(email) }).select('_id');
+    if (existingUser && workspace.getMemberRole(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a member of this workspace'
+      });
+    }
+
+    token = workspace.createInvitation({ email, role, invitedBy: req.user.id });
+    await workspace.save();
+
+    const expireDays = parseInt(process.env.WORKSPACE_INVITE_EXPIRE_DAYS) || 7;
+
+    await sendMail({
+      to: email,
+      subject: `You're invited to join ${workspace.name} on Vephla`,
+      text: `Hi,\n\n` +
+        `${req.user.username} invited you to join the "${workspace.name}" workspace as ${role === 'admin' ? 'an' : 'a'} ${role}.\n\n` +
+        `Sign in (or register) with this email address and accept the invitation within ${expireDays} days:\n\n` +
+        `${buildInviteUrl(req, token)}\n\n` +
+        'If you were not expecting this invitation, you can ignore this email.'
+    });
+
+    const invitation = workspace.invitations[workspace.invitations.length - 1];
+
+    logger.info(`Workspace ${workspace._id} invitation sent to ${invitation.email} by user: ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: {
+        _id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Invite workspace member error:', error);
+
+    if (error.name === 'ValidationError') {
+      return handleValidationError(error, res);
+    }
+
+    // Don't leave a usable invitation behind if the email never went out
+    if (token) {
+      const hashedToken = Workspace.hashToken(token);
+      await Workspace.updateOne(
+        { _id: workspace._id },
+        { $pull: { invitations: { token: hashedToken } } }
+      ).catch(() => {});
+
+      return res.status(500).json({
+        success: false,
+        message: 'Could not send invitation email. Please try again later.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    List pending invitations
+ * @route   GET /api/workspaces/:id/invitations
+ * @access  Private (workspace admins)
+ */
+export const getInvitations = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res, 'admin');
+    if (!workspace) return;
+
+    const invitations = workspace.invitations
+      .filter(invite => invite.expiresAt > Date.now())
+      .map(invite => ({
+        _id: invite._id,
+        email: invite.email,
+        role: invite.role,
+        invitedBy: invite.invitedBy,
+        createdAt: invite.createdAt,
+        expiresAt: invite.expiresAt
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    logger.error('Get workspace invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/workspaces/:id/invitations/:invitationId
+ * @access  Private (workspace admins)
+ */
+export const revokeInvitation = async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res, 'admin');
+    if (!workspace) return;
+
+    const invitation = workspace.invitations.find(
+      invite => invite._id.toString() === req.params.invitationId
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    workspace.invitations.pull(invitation._id);
+    await workspace.save();
+
+    logger.info(`Workspace ${workspace._id} invitation for ${invitation.email} revoked by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke workspace invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Accept an invitation sent to the current user's email
+ * @route   POST /api/workspaces/invitations/:token
+ * @access  Private
+ */
+export const acceptInvitation = async (req, res) => {
+  try {
+    const hashedToken = Workspace.hashToken(req.params.token);
+
+    const workspace = await Workspace.findOne({
+      invitations: { $elemMatch: { token: hashedToken, expiresAt: { $gt: Date.now() } } }
+    });
+
+    if (!workspace) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const invitation = workspace.invitations.find(invite => invite.token === hashedToken);
+
+    // Compared as registration stores them, also for invitations from before it did
+    if (normalizeEmail(invitation.email) !== normalizeEmail(req.user.email)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    if (!workspace.getMemberRole(req.user.id)) {
+      workspace.members.push({ user: req.user.id, role: invitation.role });
+    }
+    workspace.invitations.pull(invitation._id);
+    await workspace.save();
+
+    logger.info(`Workspace ${workspace._id} joined by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: toResponse(workspace, req.user.id)
+    });
+  } catch (error) {
+    logger.error('Accept workspace invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,30 @@
+import { getBearerToken, authenticateToken } from '../middleware/auth.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Build the GraphQL context for a request.
+ * Uses the same JWT checks as `protect`; instead of rejecting the request,
+ * failures are recorded so introspection (GraphiQL) still works and each
+ * resolver reports the reason when it requires a user.
+ * @param {import('express').Request} req
+ * @returns {Promise<{ user: object|null, authError: string|null }>}
+ */
+const buildContext = async (req) => {
+    const token = getBearerToken(req);
+
+    if (!token) {
+        return { user: null, authError: null };
+    }
+
+    try {
+        const user = await authenticateToken(token);
+        return { user, authError: null };
+    } catch (error) {
+        if (!error.statusCode) {
+            logger.error('GraphQL auth error:', error);
+        }
+        return { user: null, authError: error.statusCode ? error.message : 'Server error during authentication' };
+    }
+};
+
+export default buildContext;
@@ -0,0 +1,90 @@
+import { EventEmitter } from 'events';
+
+// In-process event bus feeding GraphQL subscriptions.
+// Events only reach subscribers connected to the same server instance.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+export const TOPICS = {
+    TASK_UPDATED: 'TASK_UPDATED',
+    NOTIFICATION: 'NOTIFICATION',
+    MESSAGE_RECEIVED: 'MESSAGE_RECEIVED',
+    // A user lost access to a chat room; ends their messageReceived subscriptions
+    ROOM_ACCESS_REVOKED: 'ROOM_ACCESS_REVOKED'
+};
+
+/**
+ * Publish an event to every subscriber of a topic
+ * @param {string} topic
+ * @param {object} payload
+ */
+export const publish = (topic, payload) => {
+    emitter.emit(topic, payload);
+};
+
+/**
+ * Subscribe to a topic as an async iterator, as expected by graphql-js.
+ * The listener is removed as soon as the client unsubscribes.
+ * @param {string} topic
+ * @param {object} [options]
+ * @param {(payload: object) => boolean} [options.filter] - Drop events the subscriber must not see
+ * @param {(payload: object) => object} [options.map] - Shape the event into the subscription result
+ * @param {{ topic: string, filter: (payload: object) => boolean }} [options.endOn] - End the
+ *   subscription on a matching event of another topic, e.g. when the subscriber loses access
+ * @returns {AsyncIterableIterator<object>}
+ */
+export const subscribe = (topic, { filter = () => true, map = payload => payload, endOn } = {}) => {
+    const queue = [];
+    const pending = [];
+    let done = false;
+
+    const listener = (payload) => {
+        if (!filter(payload)) return;
+
+        const value = map(payload);
+        if (pending.length > 0) {
+            pending.shift()({ value, done: false });
+        } else {
+            queue.push(value);
+        }
+    };
+
+    const endListener = (payload) => {
+        if (endOn.filter(payload)) stop();
+    };
+
+    const stop = () => {
+        if (!done) {
+            done = true;
+            emitter.off(topic, listener);
+            if (endOn) emitter.off(endOn.topic, endListener);
+            pending.forEach(resolve => resolve({ value: undefined, done: true }));
+            pending.length = 0;
+            queue.length = 0;
+        }
+        return Promise.resolve({ value: undefined, done: true });
+    };
+
+    emitter.on(topic, listener);
+    if (endOn) emitter.on(endOn.topic, endListener);
+
+    return {
+        next() {
+            if (queue.length > 0) {
+                return Promise.resolve({ value: queue.shift(), done: false });
+            }
+            if (done) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+            return new Promise(resolve => pending.push(resolve));
+        },
+        return: stop,
+        throw(error) {
+            stop();
+            return Promise.reject(error);
+        },
+        [Symbol.asyncIterator]() {
+            return this;
+        }
+    };
+};
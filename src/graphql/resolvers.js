@@ -1,96 +1,804 @@
+import fs from 'fs';
+import mongoose from 'mongoose';
 import Note from '../models/Note.js';
 import Task from '../models/Task.js';
+import File from '../models/File.js';
+import Room from '../models/Room.js';
+import Workspace from '../models/Workspace.js';
+import logger from '../utils/logger.js';
+import { parseRecurrence } from '../utils/recurrence.js';
+import { getIO } from '../config/socket.js';
+import { emitNoteEvent } from '../services/webhookService.js';
+import { assertEmailVerified, assertTwoFactorEnrolled } from '../middleware/auth.js';
+import { notifyUser } from '../services/socketService.js';
+import {
+    TASK_STATUSES,
+    taskScopeFilter,
+    assertAssigneesAreMembers,
+    resolveNewTaskWorkspace,
+    createTask,
+    assertCanChangeStatus,
+    changeTask,
+    moveTask,
+    addTaskBlocker,
+    removeTaskBlocker,
+    deleteTask
+} from '../services/taskService.js';
+import { subscribe, TOPICS } from './pubsub.js';
+
+// Build an error whose code is exposed in the GraphQL response extensions
+const graphqlError = (message, code) => {
+    const error = new Error(message);
+    error.extensions = { code };
+    return error;
+};
+
+// Every resolver runs as the user resolved from the Bearer token,
+// subject to the same admin 2FA rule as REST routes
+const requireUser = async (context) => {
+    if (!context.user) {
+        throw graphqlError(
+            context.authError || 'Not authorized to access this resource. Please login.',
+            'UNAUTHENTICATED'
+        );
+    }
+    try {
+        await assertTwoFactorEnrolled(context.user);
+    } catch (error) {
+        throw graphqlError(error.message, 'FORBIDDEN');
+    }
+    return context.user;
+};
+
+// Mutations follow the same email verification rule as REST write routes
+const requireVerifiedUser = async (context) => {
+    const user = await requireUser(context);
+    try {
+        assertEmailVerified(user);
+    } catch (error) {
+        throw graphqlError(error.message, 'FORBIDDEN');
+    }
+    return user;
+};
+
+// Convert a mongoose document to the plain shape the schema expects
+const format = (doc) => {
+    const obj = doc.toObject({ virtuals: true });
+    const result = { ...obj, id: obj._id.toString() };
+
+    Object.keys(result).forEach(key => {
+        if (result[key] instanceof Date) {
+            result[key] = result[key].toISOString();
+        }
+    });
+
+    // References are exposed as IDs even when populated
+    const toId = value => (value && value._id ? value._id.toString() : value);
+    ['owner', 'completedBy', 'workspace', 'parent', 'seriesId'].forEach(key => {
+        if (result[key]) result[key] = toId(result[key]);
+    });
+    if (result.recurrence?.until instanceof Date) {
+        result.recurrence = { ...result.recurrence, until: result.recurrence.until.toISOString() };
+    }
+    ['assignedTo', 'blockedBy'].forEach(key => {
+        if (Array.isArray(result[key])) result[key] = result[key].map(toId);
+    });
+
+    return result;
+};
+
+const findById = async (Model, id, label) => {
+    const doc = mongoose.Types.ObjectId.isValid(id) ? await Model.findById(id) : null;
+    if (!doc) {
+        throw graphqlError(`${label} not found`, 'NOT_FOUND');
+    }
+    return doc;
+};
+
+// Status codes of rule violations thrown by services
+const ERROR_CODES = { 400: 'BAD_USER_INPUT', 403: 'FORBIDDEN', 404: 'NOT_FOUND' };
+
+// Translate rule violations and mongoose validation failures into user errors
+const rethrow = (error, action) => {
+    if (error.extensions) throw error;
+
+    if (ERROR_CODES[error.statusCode]) {
+        throw graphqlError(error.message, ERROR_CODES[error.statusCode]);
+    }
+
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        throw graphqlError(`Validation failed: ${messages.join(', ')}`, 'BAD_USER_INPUT');
+    }
+
+    logger.error(`GraphQL ${action} error:`, error);
+    throw graphqlError(`Error ${action}`, 'INTERNAL_SERVER_ERROR');
+};
+
+const paginate = (query, { page, limit }) => {
+    const pageSize = limit || 20;
+    return query
+        .skip(((page || 1) - 1) * pageSize)
+        .limit(pageSize);
+};
+
+// Workspace-scoped lists require membership; without a workspace only
+// personal (non-workspace) documents are listed
+const assertWorkspaceMember = async (workspace, userId) => {
+    if (workspace && !(await Workspace.hasRole(workspace, userId))) {
+        throw graphqlError('Not a member of this workspace', 'FORBIDDEN');
+    }
+};
+
+// Creating in a workspace requires at least the member role
+const assertCanAddToWorkspace = async (workspace, userId, label) => {
+    if (workspace && !(await Workspace.hasRole(workspace, userId, 'member'))) {
+        throw graphqlError(`Not authorized to add ${label} to this workspace`, 'FORBIDDEN');
+    }
+};
+
+const hasWorkspaceRole = async (doc, userId, minRole) =>
+    Boolean(doc.workspace) && Workspace.hasRole(doc.workspace, userId, minRole);
+
+const canWorkOnTask = (task, userId, minRole) => task.isAccessibleBy(userId, minRole);
 
 const resolvers = {
-    getNotes: async () => {
-        try {
-            const notes = await Note.find().sort({ createdAt: -1 });
-            return notes.map(note => ({
-                ...note._doc,
-                id: note._id.toString(),
-                createdAt: note.createdAt.toISOString(),
-                updatedAt: note.updatedAt.toISOString()
-            }));
+    // -- Users --
+
+    me: async (args, context) => format(await requireUser(context)),
+
+    // -- Notes --
+
+    getNotes: async ({ category, tags, search, isPinned, workspace, ...pagination }, context) => {
+        const user = await requireUser(context);
+        await assertWorkspaceMember(workspace, user.id);
+
+        try {
+            const filter = workspace ? { workspace } : { owner: user.id, workspace: null };
+
+            if (category) filter.category = category;
+            if (isPinned !== undefined && isPinned !== null) filter.isPinned = isPinned;
+            if (tags && tags.length > 0) {
+                filter.tags = { $in: tags.map(tag => tag.trim().toLowerCase()) };
+            }
+            if (search) filter.$text = { $search: search };
+
+            const notes = await paginate(Note.find(filter), pagination)
+                .sort({ isPinned: -1, createdAt: -1 });
+
+            return notes.map(format);
         } catch (error) {
-            throw new Error('Error fetching notes');
+            rethrow(error, 'fetching notes');
+        }
+    },
+
+    getNote: async ({ id }, context) => {
+        const user = await requireUser(context);
+        const note = await findById(Note, id, 'Note');
+
+        const hasAccess = note.owner.toString() === user.id ||
+            note.sharedWith.some(share => share.user.toString() === user.id) ||
+            await hasWorkspaceRole(note, user.id, 'viewer');
+
+        if (!hasAccess) {
+            throw graphqlError('Not authorized to access this note', 'FORBIDDEN');
         }
+
+        return format(note);
     },
 
-    getTasks: async () => {
+    getSharedNotes: async (pagination, context) => {
+        const user = await requireUser(context);
+
         try {
-            const tasks = await Task.find().sort({ createdAt: -1 });
-            return tasks.map(task => ({
-                ...task._doc,
-                id: task._id.toString(),
-                createdAt: task.createdAt.toISOString(),
-                updatedAt: task.updatedAt.toISOString()
-            }));
+            const notes = await paginate(Note.find({ 'sharedWith.user': user.id }), pagination)
+                .sort({ createdAt: -1 });
+
+            return notes.map(format);
         } catch (error) {
-            throw new Error('Error fetching tasks');
+            rethrow(error, 'fetching shared notes');
         }
     },
 
-    addNote: async ({ input }) => {
+    addNote: async ({ input }, context) => {
+        const user = await requireVerifiedUser(context);
+        await assertCanAddToWorkspace(input.workspace, user.id, 'notes');
+
         try {
-            const User = (await import('../models/User.js')).default;
-            const user = await User.findOne();
+            const note = await Note.create({ ...input, owner: user.id });
 
-            if (!user) {
-                throw new Error('No user found to assign note to. Please create a user first.');
-            }
+            logger.info(`Note created via GraphQL: ${note._id} by user: ${user.email}`);
+
+            await emitNoteEvent('note.created', note, user);
+
+            await notifyUser(getIO(), user.id, {
+                type: 'NOTE_CREATED',
+                message: `Note "${note.title}" created successfully`,
+                data: note
+            });
+
+            return format(note);
+        } catch (error) {
+            rethrow(error, 'adding note');
+        }
+    },
+
+    updateNote: async ({ id, input }, context) => {
+        const user = await requireVerifiedUser(context);
+        const note = await findById(Note, id, 'Note');
+
+        const isOwner = note.owner.toString() === user.id;
+        const hasEditPermission = note.sharedWith.some(
+            share => share.user.toString() === user.id && share.permission === 'edit'
+        );
+
+        if (!isOwner && !hasEditPermission && !(await hasWorkspaceRole(note, user.id, 'member'))) {
+            throw graphqlError('Not authorized to update this note', 'FORBIDDEN');
+        }
+
+        try {
+            Object.entries(input).forEach(([key, value]) => {
+                if (value !== undefined) note[key] = value;
+            });
+
+            await note.save();
+
+            logger.info(`Note updated via GraphQL: ${note._id} by user: ${user.email}`);
+
+            return format(note);
+        } catch (error) {
+            rethrow(error, 'updating note');
+        }
+    },
+
+    deleteNote: async ({ id }, context) => {
+        const user = await requireVerifiedUser(context);
+        const note = await findById(Note, id, 'Note');
+
+        if (note.owner.toString() !== user.id && !(await hasWorkspaceRole(note, user.id, 'admin'))) {
+            throw graphqlError('Not authorized to delete this note', 'FORBIDDEN');
+        }
+
+        await note.deleteOne();
+
+        logger.info(`Note deleted via GraphQL: ${id} by user: ${user.email}`);
+
+        return { success: true, message: 'Note deleted successfully' };
+    },
 
-            const newNote = new Note({
-                title: input.title,
-                content: input.content,
-                tags: input.tags,
-                category: input.category,
-                owner: user._id
+    shareNote: async ({ id, userIds, permission = 'view' }, context) => {
+        const user = await requireVerifiedUser(context);
+        const note = await findById(Note, id, 'Note');
+
+        if (note.owner.toString() !== user.id) {
+            throw graphqlError('Only note owner can share', 'FORBIDDEN');
+        }
+
+        try {
+            userIds.forEach(userId => {
+                const alreadyShared = note.sharedWith.some(
+                    share => share.user.toString() === userId
+                );
+
+                if (!alreadyShared) {
+                    note.sharedWith.push({ user: userId, permission });
+                }
             });
 
-            const savedNote = await newNote.save();
+            note.isShared = note.sharedWith.length > 0;
+            await note.save();
+
+            logger.info(`Note shared via GraphQL: ${note._id} by user: ${user.email}`);
+
+            await emitNoteEvent('note.shared', note, user, { sharedWith: userIds, permission });
+
+            const io = getIO();
+            await Promise.all(userIds.map(userId => notifyUser(io, userId, {
+                type: 'NOTE_SHARED',
+                message: `${user.email} shared a note with you: "${note.title}"`,
+                data: note
+            })));
+
+            return format(note);
+        } catch (error) {
+            rethrow(error, 'sharing note');
+        }
+    },
+
+    // -- Tasks --
+
+    getTasks: async ({ status, priority, search, dueDate, workspace, parent, hasChildren, ...pagination }, context) => {
+        const user = await requireUser(context);
+        await assertWorkspaceMember(workspace, user.id);
+
+        let filter = taskScopeFilter(user.id, workspace);
+
+        if (parent === 'none') {
+            filter.parent = null;
+        } else if (parent) {
+            const parentTask = await findById(Task, parent, 'Parent task');
+
+            if (!(await canWorkOnTask(parentTask, user.id, 'viewer'))) {
+                throw graphqlError('Not authorized to access this task', 'FORBIDDEN');
+            }
+
+            filter = { parent: parentTask._id };
+        }
+
+        try {
+            if (hasChildren === true) filter['subtaskCounts.total'] = { $gt: 0 };
+            if (hasChildren === false) filter['subtaskCounts.total'] = { $not: { $gt: 0 } };
+
+            if (status) filter.status = status;
+            if (priority) filter.priority = priority;
+            if (search) filter.$text = { $search: search };
+            if (dueDate === 'today') {
+                const today = new Date();
+                today.setHours(0, 0, 0, 0);
+                const tomorrow = new Date(today);
+                tomorrow.setDate(tomorrow.getDate() + 1);
+                filter.dueDate = { $gte: today, $lt: tomorrow };
+            } else if (dueDate === 'week') {
+                const today = new Date();
+                const nextWeek = new Date(today);
+                nextWeek.setDate(nextWeek.getDate() + 7);
+                filter.dueDate = { $gte: today, $lte: nextWeek };
+            } else if (dueDate === 'overdue') {
+                filter.dueDate = { $lt: new Date() };
+                filter.status = { $nin: ['completed', 'cancelled'] };
+            }
+
+            const tasks = await paginate(Task.find(filter), pagination)
+                .sort({ priority: 1, dueDate: 1, createdAt: -1 });
+
+            return tasks.map(format);
+        } catch (error) {
+            rethrow(error, 'fetching tasks');
+        }
+    },
+
+    getTask: async ({ id }, context) => {
+        const user = await requireUser(context);
+        const task = await findById(Task, id, 'Task');
+
+        if (!(await canWorkOnTask(task, user.id, 'viewer'))) {
+            throw graphqlError('Not authorized to access this task', 'FORBIDDEN');
+        }
+
+        return format(task);
+    },
+
+    getTaskStats: async ({ workspace }, context) => {
+        const user = await requireUser(context);
+        await assertWorkspaceMember(workspace, user.id);
+        const filter = taskScopeFilter(user.id, workspace);
+
+        const today = new Date();
+        const nextWeek = new Date(today);
+        nextWeek.setDate(nextWeek.getDate() + 7);
+        const open = { $nin: ['completed', 'cancelled'] };
+
+        const [total, todo, inProgress, completed, overdue, dueThisWeek] = await Promise.all([
+            Task.countDocuments(filter),
+            Task.countDocuments({ ...filter, status: 'todo' }),
+            Task.countDocuments({ ...filter, status: 'in_progress' }),
+            Task.countDocuments({ ...filter, status: 'completed' }),
+            Task.countDocuments({ ...filter, dueDate: { $lt: today }, status: open }),
+            Task.countDocuments({ ...filter, dueDate: { $gte: today, $lte: nextWeek }, status: open })
+        ]);
+
+        return { total, todo, inProgress, completed, overdue, dueThisWeek };
+    },
+
+    getTaskDependencies: async ({ ids, workspace }, context) => {
+        const user = await requireUser(context);
+        await assertWorkspaceMember(workspace, user.id);
+
+        if (ids && !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            throw graphqlError('Invalid task ID in ids', 'BAD_USER_INPUT');
+        }
+
+        try {
+            const seedFilter = ids && ids.length > 0
+                ? { _id: { $in: ids } }
+                : { ...taskScopeFilter(user.id, workspace), 'blockedBy.0': { $exists: true } };
+
+            const workspaceIds = await Workspace.find({ 'members.user': user.id }).distinct('_id');
+            const visibleFilter = {
+                $or: [{ owner: user.id }, { assignedTo: user.id }, { workspace: { $in: workspaceIds } }]
+            };
+
+            const graph = await Task.getDependencyGraph(
+                seedFilter,
+                visibleFilter,
+                parseInt(process.env.TASK_GRAPH_MAX_NODES) || 500
+            );
+
             return {
-                ...savedNote._doc,
-                id: savedNote._id.toString(),
-                createdAt: savedNote.createdAt.toISOString(),
-                updatedAt: savedNote.updatedAt.toISOString()
+                ...graph,
+                nodes: graph.nodes.map(node => ({
+                    ...node,
+                    id: node._id.toString(),
+                    workspace: node.workspace?.toString(),
+                    dueDate: node.dueDate?.toISOString()
+                }))
             };
         } catch (error) {
-            console.error(error);
-            throw new Error('Error adding note: ' + error.message);
+            rethrow(error, 'fetching task dependencies');
         }
     },
 
-    addTask: async ({ input }) => {
+    getTaskBoard: async ({ workspace, priority, parent, limit }, context) => {
+        const user = await requireUser(context);
+        await assertWorkspaceMember(workspace, user.id);
+
         try {
-            const User = (await import('../models/User.js')).default;
-            const user = await User.findOne();
+            const scope = taskScopeFilter(user.id, workspace);
+
+            return await Promise.all(TASK_STATUSES.map(async (status) => {
+                const filter = { ...scope, status };
+                if (priority) filter.priority = priority;
+                if (parent === 'none') filter.parent = null;
+
+                const [tasks, count] = await Promise.all([
+                    Task.find(filter).sort({ position: 1, _id: 1 }).limit(limit || 100),
+                    Task.countDocuments(filter)
+                ]);
 
-            if (!user) {
-                throw new Error('No user found to assign task to. Please create a user first.');
+                return { status, count, tasks: tasks.map(format) };
+            }));
+        } catch (error) {
+            rethrow(error, 'fetching task board');
+        }
+    },
+
+    addTask: async ({ input }, context) => {
+        const user = await requireVerifiedUser(context);
+
+        try {
+            const workspace = await resolveNewTaskWorkspace(user.id, input);
+
+            const task = await createTask({
+                ...input,
+                recurrence: parseRecurrence(input.recurrence),
+                workspace
+            }, user);
+
+            logger.info(`Task created via GraphQL: ${task._id} by user: ${user.email}`);
+
+            return format(task);
+        } catch (error) {
+            rethrow(error, 'adding task');
+        }
+    },
+
+    updateTask: async ({ id, input, override }, context) => {
+        const user = await requireVerifiedUser(context);
+        const task = await findById(Task, id, 'Task');
+
+        if (!(await canWorkOnTask(task, user.id, 'member'))) {
+            throw graphqlError('Not authorized to update this task', 'FORBIDDEN');
+        }
+
+        try {
+            if (input.assignedTo) {
+                await assertAssigneesAreMembers(task.workspace, input.assignedTo);
             }
+            await assertCanChangeStatus(task, input.status, override, user);
 
-            const newTask = new Task({
-                title: input.title,
-                description: input.description,
-                status: input.status || 'todo',
-                priority: input.priority || 'medium',
-                dueDate: input.dueDate,
-                tags: input.tags,
-                owner: user._id
+            await changeTask(task, user, (updated) => {
+                Object.entries(input).forEach(([key, value]) => {
+                    if (value !== undefined && key !== 'recurrence') updated[key] = value;
+                });
+                // Editing or clearing the rule changes how the series continues
+                if (input.recurrence !== undefined) {
+                    updated.recurrence = parseRecurrence(input.recurrence);
+                }
             });
 
-            const savedTask = await newTask.save();
-            return {
-                ...savedTask._doc,
-                id: savedTask._id.toString(),
-                createdAt: savedTask.createdAt.toISOString(),
-                updatedAt: savedTask.updatedAt.toISOString()
-            };
+            logger.info(`Task updated via GraphQL: ${task._id} by user: ${user.email}`);
+
+            return format(task);
+        } catch (error) {
+            rethrow(error, 'updating task');
+        }
+    },
+
+    updateTaskStatus: async ({ id, status, override }, context) => {
+        const user = await requireVerifiedUser(context);
+
+        if (!TASK_STATUSES.includes(status)) {
+            throw graphqlError('Invalid status', 'BAD_USER_INPUT');
+        }
+
+        const task = await findById(Task, id, 'Task');
+
+        if (!(await canWorkOnTask(task, user.id, 'member'))) {
+            throw graphqlError('Not authorized to update this task', 'FORBIDDEN');
+        }
+
+        try {
+            await assertCanChangeStatus(task, status, override, user);
+
+            await changeTask(task, user, (updated) => {
+                updated.status = status;
+            });
+
+            logger.info(`Task status updated via GraphQL: ${task._id} to ${status}`);
+
+            return format(task);
+        } catch (error) {
+            rethrow(error, 'updating task status');
+        }
+    },
+
+    moveTask: async ({ id, status, afterTaskId, beforeTaskId, override }, context) => {
+        const user = await requireVerifiedUser(context);
+        const task = await findById(Task, id, 'Task');
+        const targetStatus = status || task.status;
+
+        if (!TASK_STATUSES.includes(targetStatus)) {
+            throw graphqlError('Invalid status', 'BAD_USER_INPUT');
+        }
+
+        if (!(await canWorkOnTask(task, user.id, 'member'))) {
+            throw graphqlError('Not authorized to update this task', 'FORBIDDEN');
+        }
+
+        try {
+            await assertCanChangeStatus(task, targetStatus, override, user);
+
+            await moveTask(task, user, { status: targetStatus, afterId: afterTaskId, beforeId: beforeTaskId });
+
+            logger.info(`Task moved via GraphQL: ${task._id} to ${targetStatus} at ${task.position}`);
+
+            return format(task);
+        } catch (error) {
+            rethrow(error, 'moving task');
+        }
+    },
+
+    deleteTask: async ({ id }, context) => {
+        const user = await requireVerifiedUser(context);
+        const task = await findById(Task, id, 'Task');
+
+        if (task.owner.toString() !== user.id && !(await hasWorkspaceRole(task, user.id, 'admin'))) {
+            throw graphqlError('Only task owner can delete', 'FORBIDDEN');
+        }
+
+        try {
+            // Subtasks go with their parent, and nothing stays blocked by them
+            await deleteTask(task, user);
+
+            logger.info(`Task deleted via GraphQL: ${id} by user: ${user.email}`);
+
+            return { success: true, message: 'Task deleted successfully' };
         } catch (error) {
-            console.error(error);
-            throw new Error('Error adding task: ' + error.message);
+            rethrow(error, 'deleting task');
         }
+    },
+
+    addTaskDependency: async ({ id, blockedBy }, context) => {
+        const user = await requireVerifiedUser(context);
+        const task = await findById(Task, id, 'Task');
+
+        if (!(await canWorkOnTask(task, user.id, 'member'))) {
+            throw graphqlError('Not authorized to update this task', 'FORBIDDEN');
+        }
+
+        const blocker = await findById(Task, blockedBy, 'Blocking task');
+        if (!(await canWorkOnTask(blocker, user.id, 'viewer'))) {
+            throw graphqlError('Blocking task not found', 'NOT_FOUND');
+        }
+
+        try {
+            await addTaskBlocker(task, blocker, user);
+            return format(task);
+        } catch (error) {
+            rethrow(error, 'adding task dependency');
+        }
+    },
+
+    removeTaskDependency: async ({ id, blockedBy }, context) => {
+        const user = await requireVerifiedUser(context);
+        const task = await findById(Task, id, 'Task');
+
+        if (!(await canWorkOnTask(task, user.id, 'member'))) {
+            throw graphqlError('Not authorized to update this task', 'FORBIDDEN');
+        }
+
+        try {
+            await removeTaskBlocker(task, blockedBy, user);
+            return format(task);
+        } catch (error) {
+            rethrow(error, 'removing task dependency');
+        }
+    },
+
+    // -- Files (uploads stay on REST: POST /api/files/upload) --
+
+    getFiles: async ({ uploadedFor, workspace, ...pagination }, context) => {
+        const user = await requireUser(context);
+        await assertWorkspaceMember(workspace, user.id);
+
+        try {
+            const filter = workspace ? { workspace } : { owner: user.id, workspace: null };
+            if (uploadedFor) filter.uploadedFor = uploadedFor;
+
+            const files = await paginate(File.find(filter), pagination)
+                .sort({ createdAt: -1 });
+
+            return files.map(format);
+        } catch (error) {
+            rethrow(error, 'fetching files');
+        }
+    },
+
+    getFile: async ({ id }, context) => {
+        const user = await requireUser(context);
+        const file = await findById(File, id, 'File');
+
+        if (file.owner.toString() !== user.id && !file.isPublic &&
+            !(await hasWorkspaceRole(file, user.id, 'viewer'))) {
+            throw graphqlError('Not authorized to access this file', 'FORBIDDEN');
+        }
+
+        return format(file);
+    },
+
+    getFileStats: async (args, context) => {
+        const user = await requireUser(context);
+        const filter = { owner: new mongoose.Types.ObjectId(user.id) };
+
+        const [totals] = await File.aggregate([
+            { $match: filter },
+            { $group: { _id: null, totalFiles: { $sum: 1 }, totalSize: { $sum: '$size' } } }
+        ]);
+
+        const filesByType = await File.aggregate([
+            { $match: filter },
+            { $group: { _id: '$uploadedFor', count: { $sum: 1 } } }
+        ]);
+
+        const totalSize = totals ? totals.totalSize : 0;
+
+        return {
+            totalFiles: totals ? totals.totalFiles : 0,
+            totalSize,
+            totalSizeFormatted: formatBytes(totalSize),
+            filesByType: filesByType.map(item => ({ uploadedFor: item._id, count: item.count }))
+        };
+    },
+
+    updateFile: async ({ id, input }, context) => {
+        const user = await requireVerifiedUser(context);
+        const file = await findById(File, id, 'File');
+
+        if (file.owner.toString() !== user.id) {
+            throw graphqlError('Not authorized to update this file', 'FORBIDDEN');
+        }
+
+        try {
+            const { isPublic, uploadedFor, relatedDocument } = input;
+
+            if (isPublic !== undefined && isPublic !== null) file.isPublic = isPublic;
+            if (uploadedFor) file.uploadedFor = uploadedFor;
+            if (relatedDocument) file.relatedDocument = relatedDocument;
+
+            await file.save();
+
+            logger.info(`File updated via GraphQL: ${file._id} by user: ${user.email}`);
+
+            return format(file);
+        } catch (error) {
+            rethrow(error, 'updating file');
+        }
+    },
+
+    deleteFile: async ({ id }, context) => {
+        const user = await requireVerifiedUser(context);
+        const file = await findById(File, id, 'File');
+
+        if (file.owner.toString() !== user.id && !(await hasWorkspaceRole(file, user.id, 'admin'))) {
+            throw graphqlError('Not authorized to delete this file', 'FORBIDDEN');
+        }
+
+        if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+
+        await file.deleteOne();
+
+        logger.info(`File deleted via GraphQL: ${id} by user: ${user.email}`);
+
+        return { success: true, message: 'File deleted successfully' };
+    },
+
+    // -- Subscriptions (graphql-ws, see config/graphqlSubscriptions.js) --
+
+    taskUpdated: async ({ taskId }, context) => {
+        const user = await requireUser(context);
+
+        return subscribe(TOPICS.TASK_UPDATED, {
+            filter: ({ task, recipients }) => recipients.includes(user.id) &&
+                (!taskId || task._id.toString() === taskId),
+            map: ({ event, task, payload }) => ({
+                taskUpdated: {
+                    event,
+                    taskId: task._id.toString(),
+                    task: event === 'task_deleted' ? null : format(task),
+                    changes: payload.changes,
+                    // Moves report the columns; the task carries its new position
+                    from: event === 'task_moved' ? payload.from.status : payload.from,
+                    to: event === 'task_moved' ? payload.to.status : payload.to,
+                    added: payload.added,
+                    removed: payload.removed,
+                    changedBy: payload.changedBy && payload.changedBy.id
+                }
+            })
+        });
+    },
+
+    noteShared: async (args, context) => {
+        const user = await requireUser(context);
+
+        return subscribe(TOPICS.NOTIFICATION, {
+            filter: ({ userId, notification }) => userId === user.id && notification.type === 'NOTE_SHARED',
+            map: ({ notification }) => ({ noteShared: format(notification.data) })
+        });
+    },
+
+    notificationReceived: async (args, context) => {
+        const user = await requireUser(context);
+
+        return subscribe(TOPICS.NOTIFICATION, {
+            filter: ({ userId }) => userId === user.id,
+            map: ({ notification }) => ({
+                notificationReceived: {
+                    id: notification.id,
+                    type: notification.type,
+                    message: notification.message,
+                    data: notification.data === undefined ? null : JSON.stringify(notification.data)
+                }
+            })
+        });
+    },
+
+    messageReceived: async ({ room }, context) => {
+        const user = await requireUser(context);
+        const chatRoom = await Room.findOne({ name: room });
+
+        if (!chatRoom) {
+            throw graphqlError('Room not found', 'NOT_FOUND');
+        }
+        if (!chatRoom.canAccess(user.id)) {
+            throw graphqlError('Not authorized to access this room', 'FORBIDDEN');
+        }
+
+        return subscribe(TOPICS.MESSAGE_RECEIVED, {
+            filter: message => message.room === room,
+            // Removed members stop receiving the room's messages, as on Socket.IO
+            endOn: {
+                topic: TOPICS.ROOM_ACCESS_REVOKED,
+                filter: revoked => revoked.room === room && revoked.userId === user.id
+            },
+            map: message => ({
+                messageReceived: {
+                    ...message,
+                    timestamp: new Date(message.timestamp).toISOString()
+                }
+            })
+        });
     }
 };
 
-export default resolvers;
\ No newline at end of file
+// Helper function to format bytes
+function formatBytes(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+}
+
+export default resolvers;
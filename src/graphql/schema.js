@@ -1,10 +1,27 @@
 import { buildSchema } from 'graphql';
 
 const schema = buildSchema(`
+  type Profile {
+    firstName: String
+    lastName: String
+    avatar: String
+    bio: String
+  }
+
   type User {
     id: ID!
     username: String!
     email: String!
+    role: String
+    profile: Profile
+    isActive: Boolean
+    lastLogin: String
+    createdAt: String
+  }
+
+  type NoteShare {
+    user: ID!
+    permission: String
   }
 
   type Note {
@@ -13,6 +30,13 @@ const schema = buildSchema(`
     content: String!
     tags: [String]
     category: String
+    color: String
+    isPinned: Boolean
+    isShared: Boolean
+    sharedWith: [NoteShare]
+    sharedCount: Int
+    owner: ID
+    workspace: ID
     createdAt: String
     updatedAt: String
   }
@@ -24,16 +48,159 @@ const schema = buildSchema(`
     status: String
     priority: String
     dueDate: String
+    estimate: Int
+    timeSpent: Float
     tags: [String]
+    owner: ID
+    workspace: ID
+    parent: ID
+    recurrence: Recurrence
+    rrule: String
+    seriesId: ID
+    occurrence: Int
+    blockedBy: [ID]
+    position: Float
+    subtaskCounts: SubtaskCounts
+    progress: Int
+    assignedTo: [ID]
+    completedAt: String
+    completedBy: ID
+    isOverdue: Boolean
+    daysUntilDue: Int
+    createdAt: String
+    updatedAt: String
+  }
+
+  type Recurrence {
+    frequency: String
+    interval: Int
+    byWeekday: [Int]
+    byMonthDay: Int
+    until: String
+    count: Int
+  }
+
+  type DependencyNode {
+    id: ID!
+    title: String
+    status: String
+    priority: String
+    dueDate: String
+    workspace: ID
+    isBlocked: Boolean
+  }
+
+  type DependencyEdge {
+    from: ID!
+    to: ID!
+  }
+
+  type DependencyGraph {
+    nodes: [DependencyNode]
+    edges: [DependencyEdge]
+    truncated: Boolean
+  }
+
+  type BoardColumn {
+    status: String!
+    count: Int
+    tasks: [Task]
+  }
+
+  type SubtaskCounts {
+    total: Int
+    open: Int
+    completed: Int
+  }
+
+  type File {
+    id: ID!
+    originalName: String!
+    fileName: String!
+    mimeType: String
+    size: Int
+    sizeFormatted: String
+    url: String
+    uploadedFor: String
+    relatedDocument: ID
+    isPublic: Boolean
+    owner: ID
+    workspace: ID
     createdAt: String
     updatedAt: String
   }
 
+  type TaskStats {
+    total: Int
+    todo: Int
+    inProgress: Int
+    completed: Int
+    overdue: Int
+    dueThisWeek: Int
+  }
+
+  type FileTypeCount {
+    uploadedFor: String
+    count: Int
+  }
+
+  type FileStats {
+    totalFiles: Int
+    totalSize: Int
+    totalSizeFormatted: String
+    filesByType: [FileTypeCount]
+  }
+
+  type TaskEvent {
+    event: String!
+    taskId: ID!
+    task: Task
+    changes: [String]
+    from: String
+    to: String
+    added: [ID]
+    removed: [ID]
+    changedBy: ID
+  }
+
+  type Notification {
+    id: ID
+    type: String!
+    message: String
+    data: String
+  }
+
+  type ChatMessage {
+    id: ID!
+    room: String!
+    message: String!
+    senderId: ID
+    senderName: String
+    timestamp: String
+  }
+
+  type DeleteResult {
+    success: Boolean!
+    message: String
+  }
+
   input NoteInput {
     title: String!
     content: String!
     tags: [String]
     category: String
+    color: String
+    isPinned: Boolean
+    workspace: ID
+  }
+
+  input NoteUpdateInput {
+    title: String
+    content: String
+    tags: [String]
+    category: String
+    color: String
+    isPinned: Boolean
   }
 
   input TaskInput {
@@ -42,19 +209,84 @@ const schema = buildSchema(`
     status: String
     priority: String
     dueDate: String
+    estimate: Int
+    assignedTo: [ID]
     tags: [String]
+    workspace: ID
+    parent: ID
+    recurrence: RecurrenceInput
+  }
+
+  input TaskUpdateInput {
+    title: String
+    description: String
+    status: String
+    priority: String
+    dueDate: String
+    estimate: Int
+    assignedTo: [ID]
+    tags: [String]
+    recurrence: RecurrenceInput
+  }
+
+  input RecurrenceInput {
+    rrule: String
+    frequency: String
+    interval: Int
+    byWeekday: [Int]
+    byMonthDay: Int
+    until: String
+    count: Int
+  }
+
+  input FileUpdateInput {
+    isPublic: Boolean
+    uploadedFor: String
+    relatedDocument: ID
   }
 
   type Query {
-    getNotes: [Note]
-    getTasks: [Task]
+    me: User
+
+    getNotes(page: Int, limit: Int, category: String, tags: [String], search: String, isPinned: Boolean, workspace: ID): [Note]
+    getNote(id: ID!): Note
+    getSharedNotes(page: Int, limit: Int): [Note]
+
+    getTasks(page: Int, limit: Int, status: String, priority: String, search: String, dueDate: String, workspace: ID, parent: ID, hasChildren: Boolean): [Task]
+    getTask(id: ID!): Task
+    getTaskStats(workspace: ID): TaskStats
+    getTaskDependencies(ids: [ID], workspace: ID): DependencyGraph
+    getTaskBoard(workspace: ID, priority: String, parent: ID, limit: Int): [BoardColumn]
+
+    getFiles(page: Int, limit: Int, uploadedFor: String, workspace: ID): [File]
+    getFile(id: ID!): File
+    getFileStats: FileStats
   }
 
   type Mutation {
-    addNote(input: NoteInput): Note
-    # NEW: Add Task Mutation
-    addTask(input: TaskInput): Task
+    addNote(input: NoteInput!): Note
+    updateNote(id: ID!, input: NoteUpdateInput!): Note
+    deleteNote(id: ID!): DeleteResult
+    shareNote(id: ID!, userIds: [ID!]!, permission: String): Note
+
+    addTask(input: TaskInput!): Task
+    updateTask(id: ID!, input: TaskUpdateInput!, override: Boolean): Task
+    updateTaskStatus(id: ID!, status: String!, override: Boolean): Task
+    moveTask(id: ID!, status: String, afterTaskId: ID, beforeTaskId: ID, override: Boolean): Task
+    deleteTask(id: ID!): DeleteResult
+    addTaskDependency(id: ID!, blockedBy: ID!): Task
+    removeTaskDependency(id: ID!, blockedBy: ID!): Task
+
+    updateFile(id: ID!, input: FileUpdateInput!): File
+    deleteFile(id: ID!): DeleteResult
+  }
+
+  type Subscription {
+    taskUpdated(taskId: ID): TaskEvent
+    noteShared: Note
+    notificationReceived: Notification
+    messageReceived(room: String!): ChatMessage
   }
 `);
 
-export default schema;
\ No newline at end of file
+export default schema;
@@ -1,78 +1,245 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Role from '../models/Role.js';
+import ApiKey, { API_KEY_PREFIX } from '../models/ApiKey.js';
 import logger from '../utils/logger.js';
 
 /**
- * Protect routes - Verify JWT token
+ * Build an authentication error carrying the HTTP status to respond with
+ * @param {number} statusCode
+ * @param {string} message
  */
-export const protect = async (req, res, next) => {
-  try {
-    let token;
+const authError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Methods that never change data, allowed for unverified accounts
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Reject users who haven't verified their email address when
+ * REQUIRE_EMAIL_VERIFICATION is enabled
+ * @param {object} user
+ * @throws {Error} With `statusCode` 403 when the user may not make changes
+ */
+export const assertEmailVerified = (user) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified) {
+    throw authError(403, 'Please verify your email address before making changes');
+  }
+};
+
+/**
+ * Whether a user must enroll in two-factor authentication: with
+ * REQUIRE_ADMIN_2FA enabled, every role holding a permission does,
+ * built-in or custom
+ * @param {object} user
+ * @returns {Promise<boolean>}
+ */
+export const requiresTwoFactor = async (user) => {
+  if (process.env.REQUIRE_ADMIN_2FA !== 'true') return false;
+
+  const permissions = await Role.getPermissions(user.role);
+  return permissions.length > 0;
+};
+
+/**
+ * Reject users who must enroll in two-factor authentication (see
+ * requiresTwoFactor) and haven't yet
+ * @param {object} user
+ * @throws {Error} With `statusCode` 403 when the user must enroll first
+ */
+export const assertTwoFactorEnrolled = async (user) => {
+  if (!user.twoFactor?.enabled && await requiresTwoFactor(user)) {
+    throw authError(403, 'Two-factor authentication must be enabled for accounts with admin permissions');
+  }
+};
 
-    // Check for token in Authorization header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
+/**
+ * Extract a Bearer token from the Authorization header
+ * @param {import('express').Request} req
+ * @returns {string|undefined}
+ */
+export const getBearerToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return undefined;
+};
+
+/**
+ * Resolve the user behind an access token.
+ * Throws an error with `statusCode` when the token or account is not usable.
+ * @param {string} token - JWT access token
+ * @returns {Promise<import('mongoose').Document>} The authenticated user
+ */
+export const authenticateToken = async (token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw authError(401, 'Token expired. Please login again.');
+    }
+    if (error.name === 'JsonWebTokenError') {
+      throw authError(401, 'Invalid token. Please login again.');
     }
+    throw error;
+  }
+
+  // Only access tokens are accepted (not e.g. 2FA challenge tokens)
+  if (decoded.type && decoded.type !== 'access') {
+    throw authError(401, 'Invalid token. Please login again.');
+  }
+
+  // Check if user still exists
+  const user = await User.findById(decoded.id);
+
+  if (!user) {
+    throw authError(401, 'User no longer exists');
+  }
+
+  // Check if user is active
+  if (!user.isActive) {
+    throw authError(403, 'User account has been deactivated');
+  }
+
+  // Check if user changed password after token was issued
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw authError(401, 'Password recently changed. Please login again.');
+  }
+
+  // Check the session the token belongs to hasn't been logged out or revoked
+  if (decoded.sid && !user.refreshTokens.some(entry => entry.family === decoded.sid)) {
+    throw authError(401, 'Session has been revoked. Please login again.');
+  }
+
+  return user;
+};
+
+/**
+ * Extract a personal API key from the X-API-Key header
+ * @param {import('express').Request} req
+ * @returns {string|undefined}
+ */
+export const getApiKey = (req) => req.headers['x-api-key'] || undefined;
+
+/**
+ * Resolve the user behind a personal API key and record its use.
+ * Throws an error with `statusCode` when the key or account is not usable.
+ * @param {string} key - Raw API key
+ * @param {string} [ip] - Caller's IP, stored as the key's last use
+ * @returns {Promise<{ user: import('mongoose').Document, apiKey: import('mongoose').Document }>}
+ */
+export const authenticateApiKey = async (key, ip) => {
+  const apiKey = key.startsWith(API_KEY_PREFIX)
+    ? await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) })
+    : null;
+
+  if (!apiKey) {
+    throw authError(401, 'Invalid API key');
+  }
+
+  if (apiKey.isExpired) {
+    throw authError(401, 'API key has expired');
+  }
+
+  const user = await User.findById(apiKey.user);
+
+  if (!user) {
+    throw authError(401, 'User no longer exists');
+  }
+
+  if (!user.isActive) {
+    throw authError(403, 'User account has been deactivated');
+  }
+
+  await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip });
+
+  return { user, apiKey };
+};
+
+/**
+ * Let personal API keys call the routes that follow.
+ * Mount before `protect`; routes without it only accept JWTs.
+ * @param {string} resource - API the routes belong to (notes, tasks or files)
+ */
+export const allowApiKey = (resource) => (req, res, next) => {
+  req.apiKeyResource = resource;
+  next();
+};
+
+/**
+ * Check an API key's scopes against the route and method
+ * @throws {Error} With `statusCode` 403 when the key may not make this request
+ */
+const assertApiKeyScope = (apiKey, req) => {
+  if (!apiKey.canAccess(req.apiKeyResource)) {
+    throw authError(403, `API key does not have the ${req.apiKeyResource} scope`);
+  }
+
+  if (apiKey.readOnly && !READ_METHODS.includes(req.method)) {
+    throw authError(403, 'API key is read-only');
+  }
+};
+
+/**
+ * Build the JWT and API key route guard
+ * @param {object} [options]
+ * @param {boolean} [options.accountAccess] - Skip the email verification and admin 2FA
+ *   requirements (account housekeeping routes users need to meet them)
+ */
+const createProtect = ({ accountAccess = false } = {}) => async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    const key = getApiKey(req);
 
     // Check if token exists
-    if (!token) {
+    if (!token && !key) {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to access this route. Please login.'
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Check if user still exists
-      const user = await User.findById(decoded.id);
+    let user;
 
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User no longer exists'
-        });
+    if (token) {
+      user = await authenticateToken(token);
+      req.sessionId = jwt.decode(token).sid;
+    } else {
+      // Account, admin and workspace routes only accept JWTs
+      if (!req.apiKeyResource) {
+        throw authError(403, 'API keys cannot be used for this route');
       }
 
-      // Check if user is active
-      if (!user.isActive) {
-        return res.status(403).json({
-          success: false,
-          message: 'User account has been deactivated'
-        });
-      }
+      let apiKey;
+      ({ user, apiKey } = await authenticateApiKey(key, req.ip));
+      assertApiKeyScope(apiKey, req);
+      req.apiKey = apiKey;
+    }
 
-      // Check if user changed password after token was issued
-      if (user.changedPasswordAfter(decoded.iat)) {
-        return res.status(401).json({
-          success: false,
-          message: 'Password recently changed. Please login again.'
-        });
-      }
+    if (!accountAccess) {
+      await assertTwoFactorEnrolled(user);
 
-      // Attach user to request
-      req.user = user;
-      next();
-    } catch (error) {
-      if (error.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token. Please login again.'
-        });
-      }
-      
-      if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Token expired. Please login again.'
-        });
+      if (!READ_METHODS.includes(req.method)) {
+        assertEmailVerified(user);
       }
-
-      throw error;
     }
+
+    // Attach user to request
+    req.user = user;
+    next();
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     logger.error('Auth middleware error:', error);
     res.status(500).json({
       success: false,
@@ -81,6 +248,33 @@ export const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Protect routes - Verify JWT token, or a personal API key where `allowApiKey` permits
+ * Write requests from unverified users are rejected when REQUIRE_EMAIL_VERIFICATION=true,
+ * and roles with permissions are rejected without 2FA when REQUIRE_ADMIN_2FA=true
+ */
+export const protect = createProtect();
+
+/**
+ * Protect account routes that must stay usable before those requirements are met
+ * (logout, password change, sessions, email verification and 2FA enrollment)
+ */
+export const protectAccount = createProtect({ accountAccess: true });
+
+/**
+ * Turn off password sign-in and sign-up when OIDC_REQUIRED=true,
+ * leaving single sign-on as the only way in
+ */
+export const rejectWhenSsoRequired = (req, res, next) => {
+  if (process.env.OIDC_REQUIRED === 'true') {
+    return res.status(403).json({
+      success: false,
+      message: 'Password login is disabled. Please sign in with single sign-on.'
+    });
+  }
+  next();
+};
+
 /**
  * Grant access to specific roles
  * @param  {...string} roles - Roles that have access
@@ -97,29 +291,50 @@ export const authorize = (...roles) => {
   };
 };
 
+/**
+ * Grant access to roles holding every listed permission
+ * Attaches the caller's permissions as `req.permissions`
+ * @param  {...string} permissions - Permissions from config/permissions.js
+ */
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const granted = await Role.getPermissions(req.user.role);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Missing permission: ${missing.join(', ')}`
+        });
+      }
+
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      logger.error('Permission check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during authorization'
+      });
+    }
+  };
+};
+
 /**
  * Optional authentication - Adds user to request if token exists
  * Does not block if no token
  */
 export const optionalAuth = async (req, res, next) => {
   try {
-    let token;
-
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    const token = getBearerToken(req);
 
     if (!token) {
       return next();
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
-
-      if (user && user.isActive) {
-        req.user = user;
-      }
+      req.user = await authenticateToken(token);
     } catch (error) {
       // Silently fail for optional auth
       logger.debug('Optional auth failed:', error.message);
@@ -130,4 +345,4 @@ export const optionalAuth = async (req, res, next) => {
     logger.error('Optional auth middleware error:', error);
     next();
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,71 @@
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
+import jwt from 'jsonwebtoken';
+import { getBearerToken } from './auth.js';
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+// Integration tests make far more requests than any real client;
+// RATE_LIMIT_IN_TESTS=true turns the limits back on to test them
+const skipInTests = () => process.env.NODE_ENV === 'test' && process.env.RATE_LIMIT_IN_TESTS !== 'true';
+
+/**
+ * Count signed-in users per account and everyone else per IP,
+ * so people sharing an office IP don't exhaust each other's quota
+ */
+const userOrIpKey = (req) => {
+  const token = getBearerToken(req);
+
+  if (token) {
+    try {
+      const { id } = jwt.verify(token, process.env.JWT_SECRET);
+      return `user:${id}`;
+    } catch (error) {
+      // Fall back to the IP for invalid or expired tokens
+    }
+  }
+
+  return ipKeyGenerator(req.ip);
+};
+
+/**
+ * General limiter for the whole REST API
+ */
+export const apiLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || FIFTEEN_MINUTES,
+  limit: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  keyGenerator: userOrIpKey,
+  skip: skipInTests,
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later.'
+  }
+});
+
+/**
+ * Stricter per-IP limiter for unauthenticated auth endpoints
+ * (login, registration, password reset)
+ */
+export const authLimiter = rateLimit({
+  windowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || FIFTEEN_MINUTES,
+  limit: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 30,
+  skip: skipInTests,
+  message: {
+    success: false,
+    message: 'Too many authentication requests from this IP, please try again later.'
+  }
+});
+
+/**
+ * Per-IP limit on failed login attempts across all accounts.
+ * Successful logins don't count, so a shared IP is only blocked by repeated failures.
+ */
+export const loginFailureLimiter = rateLimit({
+  windowMs: parseInt(process.env.LOGIN_FAILURE_WINDOW_MS) || FIFTEEN_MINUTES,
+  limit: parseInt(process.env.LOGIN_FAILURE_MAX_PER_IP) || 20,
+  skipSuccessfulRequests: true,
+  skip: skipInTests,
+  message: {
+    success: false,
+    message: 'Too many failed login attempts from this IP, please try again later.'
+  }
+});
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Load the task in req.params.id as `req.task`, for routes on a task's
+ * comments and time entries. Use after protect.
+ * @param {string} minRole - Workspace role needed: viewer to see the task,
+ *   member to work on it
+ */
+export const requireTaskAccess = (minRole) => {
+  return async (req, res, next) => {
+    try {
+      const task = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await Task.findById(req.params.id)
+        : null;
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task not found'
+        });
+      }
+
+      if (!(await task.isAccessibleBy(req.user.id, minRole))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this task'
+        });
+      }
+
+      req.task = task;
+      next();
+    } catch (error) {
+      logger.error('Task access check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  };
+};
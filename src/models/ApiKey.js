@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Keys look like vps_<random>, so they're easy to recognise in logs and secret scanners
+export const API_KEY_PREFIX = 'vps_';
+
+// `notes`, `tasks` and `files` select the APIs a key may call (all three when
+// none is given); `read` limits the key to read-only requests
+export const API_KEY_SCOPES = ['read', 'notes', 'tasks', 'files'];
+
+const RESOURCE_SCOPES = ['notes', 'tasks', 'files'];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a key name'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    // SHA-256 of the full key; the key itself is only shown once
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    // Leading characters of the key, to tell keys apart in listings
+    prefix: {
+      type: String,
+      required: true
+    },
+    scopes: {
+      type: [{
+        type: String,
+        enum: {
+          values: API_KEY_SCOPES,
+          message: 'Unknown scope: {VALUE}'
+        }
+      }],
+      validate: {
+        validator: scopes => scopes.length > 0,
+        message: 'Please provide at least one scope'
+      }
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Create a random key; returns the raw key with the hash and prefix to store
+apiKeySchema.statics.generateKey = function() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, keyHash: this.hashKey(key), prefix: key.slice(0, API_KEY_PREFIX.length + 6) };
+};
+
+apiKeySchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+apiKeySchema.virtual('readOnly').get(function() {
+  return this.scopes.includes('read');
+});
+
+// Whether the key's scopes cover an API (notes, tasks or files)
+apiKeySchema.methods.canAccess = function(resource) {
+  const resources = this.scopes.filter(scope => RESOURCE_SCOPES.includes(scope));
+  return resources.length === 0 || resources.includes(resource);
+};
+
+// The hash is never returned, even right after creation
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+apiKeySchema.set('toObject', { virtuals: true });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
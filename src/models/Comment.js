@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Usernames mentioned as @username
+const MENTION_PATTERN = /(?:^|[^\w@])@([a-zA-Z0-9_]{3,30})\b/g;
+
+const commentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    content: {
+      type: String,
+      required: [true, 'Please provide comment content'],
+      trim: true,
+      maxlength: [5000, 'Comment cannot exceed 5000 characters']
+    },
+    // Users mentioned with @username who could see the task
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    editedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Thread order within a task
+commentSchema.index({ task: 1, createdAt: 1 });
+
+/**
+ * Usernames mentioned in a text, without duplicates
+ * @param {string} text
+ * @returns {string[]}
+ */
+commentSchema.statics.parseMentions = function(text) {
+  return [...new Set([...String(text || '').matchAll(MENTION_PATTERN)].map(match => match[1]))];
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
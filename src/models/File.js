@@ -39,6 +39,12 @@ const fileSchema = new mongoose.Schema(
       required: true,
       index: true
     },
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true
+    },
     uploadedFor: {
       type: String,
       enum: ['note', 'task', 'profile', 'general'],
@@ -62,6 +68,7 @@ const fileSchema = new mongoose.Schema(
 // Compound indexes
 fileSchema.index({ owner: 1, uploadedFor: 1 });
 fileSchema.index({ owner: 1, createdAt: -1 });
+fileSchema.index({ workspace: 1, createdAt: -1 });
 
 // Virtual for file URL
 fileSchema.virtual('url').get(function() {
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+// Jobs run by services/schedulerService.js. They live in Mongo so restarts
+// don't lose them, and are claimed atomically so only one server instance
+// runs each job.
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true
+    },
+    // Identifies what the job is for; scheduling the same key twice keeps one job
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    runAt: {
+      type: Date,
+      required: true
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5
+    },
+    // Instance running the job, and until when; expired locks are picked up again
+    lockedBy: String,
+    lockedUntil: Date,
+    lastError: String,
+    finishedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, 'data.task': 1, status: 1 });
+// Finished jobs are kept for a week
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+/**
+ * Schedule a job unless one with the same key exists. A cancelled job with
+ * the key is brought back instead; finished ones are left alone, so a job
+ * never runs twice.
+ * @param {object} job
+ * @param {string} job.type
+ * @param {string} job.key
+ * @param {Date} job.runAt
+ * @param {object} [job.data]
+ * @param {number} [job.maxAttempts]
+ */
+jobSchema.statics.schedule = async function ({ type, key, runAt, data = {}, maxAttempts }) {
+  await this.updateOne(
+    { key, status: 'cancelled' },
+    { $set: { status: 'pending', runAt, data, attempts: 0 }, $unset: { finishedAt: 1, lastError: 1 } }
+  );
+
+  try {
+    await this.updateOne(
+      { key },
+      { $setOnInsert: { type, key, runAt, data, status: 'pending', attempts: 0, ...(maxAttempts && { maxAttempts }) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another instance scheduled it at the same time
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Cancel pending jobs
+ * @param {object} filter
+ */
+jobSchema.statics.cancel = function (filter) {
+  return this.updateMany({ ...filter, status: 'pending' }, { status: 'cancelled', finishedAt: new Date() });
+};
+
+/**
+ * Claim the most overdue job that is due, or whose runner's lock expired
+ * @param {string} workerId - This instance
+ * @param {number} lockMs - How long the claim holds
+ * @returns {Promise<Job|null>}
+ */
+jobSchema.statics.claimNext = function (workerId, lockMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: workerId, lockedUntil: new Date(now.getTime() + lockMs) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, returnDocument: 'after' }
+  );
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
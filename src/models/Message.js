@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const messageSchema = new mongoose.Schema(
+  {
+    room: {
+      type: String,
+      required: [true, 'Please provide a room'],
+      trim: true,
+      index: true
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    senderName: {
+      type: String,
+      trim: true
+    },
+    content: {
+      type: String,
+      required: [true, 'Please provide message content'],
+      trim: true,
+      maxlength: [5000, 'Message cannot exceed 5000 characters']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound index for cursor pagination within a room
+messageSchema.index({ room: 1, _id: -1 });
+
+// Shape sent to clients over socket and REST
+messageSchema.methods.toPayload = function() {
+  return {
+    id: this._id.toString(),
+    room: this.room,
+    message: this.content,
+    senderId: this.sender.toString(),
+    senderName: this.senderName,
+    timestamp: this.createdAt
+  };
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
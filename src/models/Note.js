@@ -30,6 +30,12 @@ const noteSchema = new mongoose.Schema(
       required: true,
       index: true
     },
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true
+    },
     isShared: {
       type: Boolean,
       default: false
@@ -63,6 +69,7 @@ const noteSchema = new mongoose.Schema(
 // Compound indexes for efficient queries
 noteSchema.index({ owner: 1, createdAt: -1 });
 noteSchema.index({ owner: 1, isPinned: -1, createdAt: -1 });
+noteSchema.index({ workspace: 1, isPinned: -1, createdAt: -1 });
 noteSchema.index({ tags: 1 });
 noteSchema.index({ category: 1 });
 
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// Notifications sent through services/socketService.js, kept so users can
+// catch up on what they missed while offline. A room notification is stored
+// once for everyone in the room. Recipients are those who get it in-app.
+const notificationSchema = new mongoose.Schema(
+  {
+    recipients: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    type: {
+      type: String,
+      required: true
+    },
+    message: String,
+    // As sent to clients
+    data: mongoose.Schema.Types.Mixed,
+    // Set when sent to a room rather than a single user
+    room: String,
+    // Recipients who have read it
+    readBy: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Users it still has to be emailed to (see services/notificationService.js)
+    emailQueue: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+notificationSchema.index({ recipients: 1, _id: -1 });
+notificationSchema.index({ emailQueue: 1 });
+// Notifications are kept for 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+/**
+ * Filter for a user's notifications
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {boolean} [options.unread] - Only those the user hasn't read
+ * @returns {object}
+ */
+notificationSchema.statics.inboxFilter = function (userId, { unread = false } = {}) {
+  return {
+    recipients: userId,
+    ...(unread && { readBy: { $ne: userId } })
+  };
+};
+
+/**
+ * Mark a user's notifications as read
+ * @param {string} userId
+ * @param {object} [filter] - Narrows which ones, e.g. { _id } or { type }
+ * @returns {Promise<number>} Notifications marked
+ */
+notificationSchema.statics.markRead = async function (userId, filter = {}) {
+  const result = await this.updateMany(
+    { ...filter, ...this.inboxFilter(userId, { unread: true }) },
+    { $addToSet: { readBy: userId } }
+  );
+  return result.modifiedCount;
+};
+
+// Shape sent to a recipient over socket and REST
+notificationSchema.methods.toPayload = function (userId) {
+  return {
+    id: this._id.toString(),
+    type: this.type,
+    message: this.message,
+    data: this.data,
+    room: this.room,
+    read: this.readBy.some(id => id.toString() === userId.toString()),
+    createdAt: this.createdAt
+  };
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS, BUILT_IN_ROLES } from '../config/permissions.js';
+
+// Custom roles; the built-in admin and standard roles are defined in config/permissions.js
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a role name'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 characters: letters, numbers, hyphens and underscores'],
+      validate: {
+        validator: name => !Object.hasOwn(BUILT_IN_ROLES, name),
+        message: 'Role name is reserved'
+      }
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    permissions: [{
+      type: String,
+      enum: {
+        values: Object.keys(PERMISSIONS),
+        message: 'Unknown permission: {VALUE}'
+      }
+    }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Whether a role name is built in or exists as a custom role
+roleSchema.statics.isValidName = async function(name) {
+  if (Object.hasOwn(BUILT_IN_ROLES, name)) return true;
+  return Boolean(await this.exists({ name }));
+};
+
+// Permissions granted to a role (none for unknown roles)
+roleSchema.statics.getPermissions = async function(name) {
+  if (Object.hasOwn(BUILT_IN_ROLES, name)) {
+    return BUILT_IN_ROLES[name].permissions;
+  }
+
+  const role = await this.findOne({ name }).select('permissions').lean();
+  return role ? role.permissions : [];
+};
+
+// Check whether a role grants a permission
+roleSchema.statics.hasPermission = async function(name, permission) {
+  const permissions = await this.getPermissions(name);
+  return permissions.includes(permission);
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// Prefixes used for server-managed socket rooms (user notifications, direct messages, etc.)
+const RESERVED_PREFIXES = ['user:', 'task:', 'dm:', 'workspace:'];
+
+const roomSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a room name'],
+      unique: true,
+      trim: true,
+      maxlength: [100, 'Room name cannot exceed 100 characters']
+    },
+    visibility: {
+      type: String,
+      enum: {
+        values: ['public', 'private', 'direct'],
+        message: 'Visibility must be one of: public, private, direct'
+      },
+      default: 'public',
+      index: true
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Reserved prefixes are only allowed for direct rooms, which are named by the server
+roomSchema.path('name').validate(function(value) {
+  if (this.visibility === 'direct') return true;
+  return !Room.isReservedName(value);
+}, 'Room name uses a reserved prefix');
+
+// Direct rooms always have exactly two members
+roomSchema.path('members').validate(function(value) {
+  if (this.visibility !== 'direct') return true;
+  return value.length === 2;
+}, 'Direct rooms must have exactly two members');
+
+// Check if a name belongs to a server-managed room
+roomSchema.statics.isReservedName = function(name) {
+  return RESERVED_PREFIXES.some(prefix => String(name).startsWith(prefix));
+};
+
+// Build the canonical name of the direct room between two users
+roomSchema.statics.directName = function(userA, userB) {
+  return `dm:${[userA.toString(), userB.toString()].sort().join(':')}`;
+};
+
+// Check membership
+roomSchema.methods.isMember = function(userId) {
+  return this.members.some(member => member.toString() === userId.toString());
+};
+
+// Public rooms are open to everyone, private and direct rooms to members only
+roomSchema.methods.canAccess = function(userId) {
+  return this.visibility === 'public' || this.isMember(userId);
+};
+
+const Room = mongoose.model('Room', roomSchema);
+
+export default Room;
@@ -1,4 +1,63 @@
 import mongoose from 'mongoose';
+import Workspace from './Workspace.js';
+import { FREQUENCIES, formatRRule, nextOccurrence } from '../utils/recurrence.js';
+
+const OPEN_STATUSES = ['todo', 'in_progress'];
+
+// Board cards are ordered by a fractional position: new cards go POSITION_GAP
+// below the last one and moves take the midpoint of their new neighbours.
+// Columns are renumbered once neighbours get closer than MIN_POSITION_GAP.
+const POSITION_GAP = 1024;
+const MIN_POSITION_GAP = 1e-6;
+
+const positionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// How a task repeats; see utils/recurrence.js
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      required: [true, 'Please provide a recurrence frequency'],
+      enum: {
+        values: FREQUENCIES,
+        message: 'Recurrence frequency must be one of: daily, weekly, monthly'
+      }
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, 'Recurrence interval must be at least 1'],
+      max: [365, 'Recurrence interval cannot exceed 365']
+    },
+    // Weekdays for weekly rules, 0 = Sunday
+    byWeekday: [{
+      type: Number,
+      min: [0, 'Weekdays run from 0 (Sunday) to 6 (Saturday)'],
+      max: [6, 'Weekdays run from 0 (Sunday) to 6 (Saturday)']
+    }],
+    // Day of the month for monthly rules, -1 = last day
+    byMonthDay: {
+      type: Number,
+      min: [-1, 'Day of the month must be between 1 and 31, or -1 for the last day'],
+      max: [31, 'Day of the month must be between 1 and 31, or -1 for the last day'],
+      validate: {
+        validator: day => day !== 0,
+        message: 'Day of the month must be between 1 and 31, or -1 for the last day'
+      }
+    },
+    until: Date,
+    // Total number of occurrences in the series
+    count: {
+      type: Number,
+      min: [1, 'Recurrence count must be at least 1']
+    }
+  },
+  { _id: false }
+);
 
 const taskSchema = new mongoose.Schema(
   {
@@ -35,12 +94,74 @@ const taskSchema = new mongoose.Schema(
       type: Date,
       index: true
     },
+    // Expected effort in minutes
+    estimate: {
+      type: Number,
+      default: null,
+      min: [0, 'Estimate cannot be negative'],
+      validate: {
+        validator: value => value === null || Number.isInteger(value),
+        message: 'Estimate must be a whole number of minutes'
+      }
+    },
+    // Minutes logged in finished time entries; see TimeEntry
+    timeSpent: {
+      type: Number,
+      default: 0
+    },
     owner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
       index: true
     },
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true
+    },
+    // Parent task when this is a subtask; subtasks stay one level deep
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+      immutable: true,
+      index: true
+    },
+    // Tasks that must be finished before this one can start ("blocked by");
+    // the tasks this one blocks are those listing it here
+    blockedBy: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }],
+    // Order within its board column (status); see positionInColumn
+    position: {
+      type: Number,
+      default: null
+    },
+    // Kept up to date as subtasks are added, change status or are removed
+    subtaskCounts: {
+      total: { type: Number, default: 0 },
+      open: { type: Number, default: 0 },
+      completed: { type: Number, default: 0 }
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      default: null
+    },
+    // First task of a recurring series, shared by all its occurrences
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+      index: true
+    },
+    // Position of this occurrence in its series
+    occurrence: {
+      type: Number,
+      default: 1
+    },
     assignedTo: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -78,7 +199,17 @@ const taskSchema = new mongoose.Schema(
 taskSchema.index({ owner: 1, status: 1, priority: 1 });
 taskSchema.index({ owner: 1, dueDate: 1 });
 taskSchema.index({ assignedTo: 1, status: 1 });
+taskSchema.index({ workspace: 1, status: 1, priority: 1 });
 taskSchema.index({ status: 1, dueDate: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ workspace: 1, status: 1, position: 1 });
+taskSchema.index({ owner: 1, status: 1, position: 1 });
+// One task per place in a recurring series, even when an occurrence is
+// completed twice at once
+taskSchema.index(
+  { seriesId: 1, occurrence: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $type: 'objectId' } } }
+);
 
 // Text index for search
 taskSchema.index({ title: 'text', description: 'text' });
@@ -98,13 +229,380 @@ taskSchema.virtual('daysUntilDue').get(function () {
   return Math.ceil(diff / (1000 * 60 * 60 * 24));
 });
 
+// Share of subtasks completed, ignoring cancelled ones (null without subtasks)
+taskSchema.virtual('progress').get(function () {
+  const { open = 0, completed = 0 } = this.subtaskCounts || {};
+  if (open + completed === 0) return null;
+  return Math.round((completed / (open + completed)) * 100);
+});
+
+// Tasks waiting on this one, when populated
+taskSchema.virtual('blocks', {
+  ref: 'Task',
+  localField: '_id',
+  foreignField: 'blockedBy'
+});
+
+taskSchema.virtual('rrule').get(function () {
+  return formatRRule(this.recurrence);
+});
+
+// Weekly and monthly rules without days repeat on the due date's weekday or day of the month
+taskSchema.pre('validate', function () {
+  if (!this.recurrence) return;
+
+  if (!this.dueDate) {
+    this.invalidate('recurrence', 'Recurring tasks need a due date');
+  } else if (this.parent) {
+    this.invalidate('recurrence', 'Subtasks cannot repeat');
+  } else if (this.recurrence.frequency === 'weekly' && this.recurrence.byWeekday.length === 0) {
+    this.recurrence.byWeekday = [this.dueDate.getUTCDay()];
+  } else if (this.recurrence.frequency === 'monthly' && !this.recurrence.byMonthDay) {
+    this.recurrence.byMonthDay = this.dueDate.getUTCDate();
+  }
+});
+
 // Pre-save hook to set completedAt
-taskSchema.pre('save', function () {
+taskSchema.pre('save', async function () {
   if (this.isModified('status') && this.status === 'completed' && !this.completedAt) {
     this.completedAt = new Date();
   }
+
+  // New cards, and cards changing status other than by a board move, go to
+  // the bottom of their column
+  if (this.position === null || (this.isModified('status') && !this.isModified('position'))) {
+    const column = this.workspace
+      ? { workspace: this.workspace }
+      : { owner: this.owner, workspace: null };
+
+    this.position = await this.constructor.bottomPosition({ ...column, status: this.status, _id: { $ne: this._id } });
+  }
+
+  this.$locals.refreshParent = Boolean(this.parent) && (this.isNew || this.isModified('status'));
+});
+
+// Keep the parent's subtask counts in step with its subtasks
+taskSchema.post('save', async function () {
+  if (this.$locals.refreshParent) {
+    await this.constructor.refreshSubtaskCounts(this.parent);
+  }
+});
+
+taskSchema.post('deleteOne', { document: true, query: false }, async function () {
+  if (this.parent) {
+    await this.constructor.refreshSubtaskCounts(this.parent);
+  }
 });
 
+/**
+ * Recount a task's subtasks by status
+ * @param {mongoose.Types.ObjectId|string} taskId
+ */
+taskSchema.statics.refreshSubtaskCounts = async function (taskId) {
+  const byStatus = await this.aggregate([
+    { $match: { parent: new mongoose.Types.ObjectId(String(taskId)) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const count = statuses => byStatus
+    .filter(({ _id }) => statuses.includes(_id))
+    .reduce((sum, { count }) => sum + count, 0);
+
+  await this.updateOne({ _id: taskId }, {
+    subtaskCounts: {
+      total: byStatus.reduce((sum, { count }) => sum + count, 0),
+      open: count(OPEN_STATUSES),
+      completed: count(['completed'])
+    }
+  });
+};
+
+/**
+ * Create the next occurrence of a completed recurring task, rolling the due
+ * date forward past any occurrences missed meanwhile
+ * @returns {Promise<Task|null>} The new task, or null when the series has ended
+ *   or the next occurrence already exists
+ */
+taskSchema.methods.createNextOccurrence = async function () {
+  if (!this.recurrence || !this.dueDate) return null;
+
+  const seriesId = this.seriesId || this._id;
+  const { until, count } = this.recurrence;
+  const now = new Date();
+
+  let dueDate = this.dueDate;
+  let occurrence = this.occurrence;
+
+  do {
+    dueDate = nextOccurrence(this.recurrence, dueDate);
+    occurrence += 1;
+
+    if ((count && occurrence > count) || (until && dueDate > until)) return null;
+  } while (dueDate <= now);
+
+  // Reopening and completing an occurrence again doesn't add another one
+  if (await this.constructor.exists({ seriesId, occurrence: { $gt: this.occurrence } })) return null;
+
+  if (!this.seriesId) {
+    this.seriesId = seriesId;
+    await this.save();
+  }
+
+  // Subtasks can't repeat, so there is no parent to carry over. Time spent
+  // starts again, against the same estimate.
+  try {
+    return await this.constructor.create({
+      title: this.title,
+      description: this.description,
+      priority: this.priority,
+      dueDate,
+      estimate: this.estimate,
+      owner: this.owner,
+      workspace: this.workspace,
+      assignedTo: this.assignedTo,
+      tags: this.tags,
+      recurrence: this.recurrence.toObject(),
+      seriesId,
+      occurrence
+    });
+  } catch (error) {
+    // Another request completing this occurrence created it first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Blockers that are still to do
+taskSchema.methods.findOpenBlockers = function () {
+  if (this.blockedBy.length === 0) return Promise.resolve([]);
+
+  return this.constructor.find({ _id: { $in: this.blockedBy }, status: { $in: OPEN_STATUSES } })
+    .select('title status');
+};
+
+/**
+ * Whether making `taskId` blocked by `blockerId` would close a loop, i.e.
+ * the blocker already (transitively) waits on the task
+ * @param {mongoose.Types.ObjectId|string} taskId
+ * @param {mongoose.Types.ObjectId|string} blockerId
+ * @returns {Promise<boolean>}
+ */
+taskSchema.statics.wouldCreateCycle = async function (taskId, blockerId) {
+  const target = String(taskId);
+  const visited = new Set();
+  let frontier = [String(blockerId)];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+
+    frontier.forEach(id => visited.add(id));
+
+    const tasks = await this.find({ _id: { $in: frontier } }).select('blockedBy').lean();
+    frontier = [...new Set(tasks.flatMap(task => task.blockedBy.map(String)))]
+      .filter(id => !visited.has(id));
+  }
+
+  return false;
+};
+
+/**
+ * Collect the dependency graph around some tasks, following links in both
+ * directions through tasks matching `visibleFilter`
+ * @param {object} seedFilter - Tasks to start from
+ * @param {object} visibleFilter - Tasks the caller may see
+ * @param {number} maxNodes
+ * @returns {Promise<{ nodes: object[], edges: object[], truncated: boolean }>}
+ */
+taskSchema.statics.getDependencyGraph = async function (seedFilter, visibleFilter, maxNodes) {
+  const fields = 'title status priority dueDate workspace blockedBy';
+  const nodes = new Map();
+  let truncated = false;
+
+  let frontier = await this.find({ $and: [seedFilter, visibleFilter] })
+    .select(fields)
+    .limit(maxNodes + 1)
+    .lean();
+
+  while (frontier.length > 0) {
+    for (const task of frontier) {
+      if (nodes.size === maxNodes) {
+        truncated = true;
+        break;
+      }
+      nodes.set(task._id.toString(), task);
+    }
+    if (truncated) break;
+
+    const ids = frontier.map(task => task._id);
+    const blockerIds = frontier.flatMap(task => task.blockedBy);
+
+    frontier = await this.find({
+      $and: [
+        visibleFilter,
+        { _id: { $nin: [...nodes.keys()] } },
+        { $or: [{ _id: { $in: blockerIds } }, { blockedBy: { $in: ids } }] }
+      ]
+    })
+      .select(fields)
+      .limit(maxNodes - nodes.size + 1)
+      .lean();
+  }
+
+  const edges = [];
+  nodes.forEach(task => {
+    task.blockedBy = task.blockedBy.map(String).filter(id => nodes.has(id));
+    task.blockedBy.forEach(blocker => edges.push({ from: blocker, to: task._id.toString() }));
+  });
+
+  return {
+    nodes: [...nodes.values()].map(({ blockedBy, ...task }) => ({
+      ...task,
+      // Waiting on a blocker that is still to do
+      isBlocked: blockedBy.some(id => OPEN_STATUSES.includes(nodes.get(id).status))
+    })),
+    edges,
+    truncated
+  };
+};
+
+/**
+ * Position below the last card of a column
+ * @param {object} column - Filter selecting the column's tasks
+ * @returns {Promise<number>}
+ */
+taskSchema.statics.bottomPosition = async function (column) {
+  const last = await this.findOne({ ...column, position: { $ne: null } })
+    .sort({ position: -1 })
+    .select('position');
+
+  return (last ? last.position : 0) + POSITION_GAP;
+};
+
+/**
+ * Number a column's cards POSITION_GAP apart, keeping their order. Cards
+ * without a position (created before boards existed) go last, oldest first.
+ * @param {object} column - Filter selecting the column's tasks
+ */
+taskSchema.statics.rebalanceColumn = async function (column) {
+  const tasks = await this.find(column).select('position createdAt').lean();
+
+  tasks.sort((a, b) => ((a.position ?? Infinity) - (b.position ?? Infinity)) ||
+    (a.createdAt - b.createdAt) ||
+    String(a._id).localeCompare(String(b._id)));
+
+  await this.bulkWrite(tasks.map((task, index) => ({
+    updateOne: { filter: { _id: task._id }, update: { $set: { position: (index + 1) * POSITION_GAP } } }
+  })));
+};
+
+// Cards from before boards existed have no position. Number the columns
+// holding any; run at startup so showing the board never writes. Returns
+// how many columns were numbered.
+taskSchema.statics.assignMissingPositions = async function () {
+  const columns = await this.aggregate([
+    { $match: { position: null } },
+    {
+      $group: {
+        _id: {
+          workspace: '$workspace',
+          // Personal columns belong to the owner; workspace columns are shared
+          owner: { $cond: [{ $ifNull: ['$workspace', false] }, null, '$owner'] },
+          status: '$status'
+        }
+      }
+    }
+  ]);
+
+  for (const { _id: { workspace, owner, status } } of columns) {
+    await this.rebalanceColumn(workspace
+      ? { workspace, status }
+      : { owner, workspace: null, status });
+  }
+
+  return columns.length;
+};
+
+/**
+ * Position for a card dropped into a column, right after `afterId` or right
+ * before `beforeId`, or at the bottom when neither is given. Renumbers the
+ * column when there is no room left between the neighbours.
+ * @param {object} column - Filter selecting the column's tasks, excluding the moved one
+ * @param {object} [neighbours]
+ * @param {string} [neighbours.afterId] - Card that should end up just above
+ * @param {string} [neighbours.beforeId] - Card that should end up just below
+ * @returns {Promise<number>}
+ * @throws {Error} With `statusCode` 400 when a neighbour is not in the column
+ */
+taskSchema.statics.positionInColumn = async function (column, { afterId, beforeId } = {}) {
+  const referenceId = afterId || beforeId;
+  if (!referenceId) return this.bottomPosition(column);
+
+  const findReference = () => (mongoose.isValidObjectId(referenceId)
+    ? this.findOne({ ...column, _id: referenceId }).select('position')
+    : null);
+
+  const place = async () => {
+    const reference = await findReference();
+    if (!reference) {
+      throw positionError('The task to place this one next to is not in that column');
+    }
+    if (reference.position === null) return null;
+
+    // The reference card's neighbour on the other side of the gap
+    const neighbour = await this.findOne({
+      ...column,
+      position: afterId ? { $gt: reference.position } : { $lt: reference.position }
+    })
+      .sort({ position: afterId ? 1 : -1 })
+      .select('position');
+
+    if (!neighbour) {
+      return reference.position + (afterId ? POSITION_GAP : -POSITION_GAP);
+    }
+    if (Math.abs(neighbour.position - reference.position) < MIN_POSITION_GAP) return null;
+
+    return (reference.position + neighbour.position) / 2;
+  };
+
+  const position = await place();
+  if (position !== null) return position;
+
+  await this.rebalanceColumn(column);
+  return place();
+};
+
+// Subtasks still to do; a task can't be completed while any are left
+taskSchema.methods.countOpenSubtasks = function () {
+  return this.constructor.countDocuments({ parent: this._id, status: { $in: OPEN_STATUSES } });
+};
+
+/**
+ * Whether a user may work on the task: its owner and assignees, members of its
+ * workspace with at least `minRole` and, for personal subtasks, the people on
+ * the parent task
+ * @param {string} userId
+ * @param {string} [minRole='viewer'] - Workspace role needed
+ * @returns {Promise<boolean>}
+ */
+taskSchema.methods.isAccessibleBy = async function (userId, minRole = 'viewer') {
+  const idOf = user => (user._id || user).toString();
+
+  if (idOf(this.owner) === userId || this.assignedTo.some(user => idOf(user) === userId)) return true;
+  if (this.workspace) return Workspace.hasRole(idOf(this.workspace), userId, minRole);
+
+  return this.isParentParticipant(userId);
+};
+
+// People on a personal parent task may also work on its subtasks
+taskSchema.methods.isParentParticipant = async function (userId) {
+  if (!this.parent || this.workspace) return false;
+
+  const parent = await this.constructor.findById(this.parent._id || this.parent).select('owner assignedTo');
+
+  return Boolean(parent) && (parent.owner.toString() === userId ||
+    parent.assignedTo.some(user => user.toString() === userId));
+};
+
 // Ensure virtuals are included
 taskSchema.set('toJSON', { virtuals: true });
 taskSchema.set('toObject', { virtuals: true });
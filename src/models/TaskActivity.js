@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// Fields left out of the timeline: bookkeeping that follows from other
+// changes, and the card's order on the board
+const IGNORED_FIELDS = ['updatedAt', 'completedAt', 'completedBy', 'subtaskCounts', 'seriesId', 'position', 'timeSpent'];
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  },
+  { _id: false }
+);
+
+const taskActivitySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['created', 'updated'],
+      required: true
+    },
+    changes: [changeSchema]
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Newest first within a task
+taskActivitySchema.index({ task: 1, createdAt: -1 });
+
+// Store references as ID strings and subdocuments as plain objects
+const toValue = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(toValue);
+  if (value && typeof value.toObject === 'function') return value.toObject();
+  return value;
+};
+
+/**
+ * Record a task's creation
+ * @param {object} task - The new task document
+ * @param {string} actorId
+ */
+taskActivitySchema.statics.recordCreated = function(task, actorId) {
+  return this.create({ task: task._id, actor: actorId, action: 'created' });
+};
+
+/**
+ * Record field changes as old -> new pairs
+ * @param {object} task - Task document after the change
+ * @param {object} before - task.toObject() taken before the change
+ * @param {string[]} paths - Modified paths (task.directModifiedPaths())
+ * @param {string} actorId
+ * @returns {Promise<object|null>} The activity entry, or null when nothing worth recording changed
+ */
+taskActivitySchema.statics.recordChanges = function(task, before, paths, actorId) {
+  const changes = paths
+    .map(path => path.split('.')[0])
+    .filter((field, index, fields) => fields.indexOf(field) === index && !IGNORED_FIELDS.includes(field))
+    .map(field => ({ field, from: toValue(before[field]), to: toValue(task.get(field)) }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+
+  if (changes.length === 0) return Promise.resolve(null);
+
+  return this.create({ task: task._id, actor: actorId, action: 'updated', changes });
+};
+
+const TaskActivity = mongoose.model('TaskActivity', taskActivitySchema);
+
+export default TaskActivity;
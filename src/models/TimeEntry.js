@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+import Task from './Task.js';
+
+const timeEntrySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Copied from the task so reports can be scoped without a lookup
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null
+    },
+    source: {
+      type: String,
+      enum: ['timer', 'manual'],
+      required: true
+    },
+    startedAt: {
+      type: Date,
+      required: [true, 'Please provide when the work started']
+    },
+    // Unset while a timer is running
+    endedAt: {
+      type: Date,
+      default: null
+    },
+    // Logged time; set when a timer stops
+    minutes: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minutes cannot be negative'],
+      max: [24 * 60, 'A time entry cannot exceed 24 hours']
+    },
+    isRunning: {
+      type: Boolean,
+      default: false
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+timeEntrySchema.index({ task: 1, startedAt: -1 });
+timeEntrySchema.index({ workspace: 1, startedAt: -1 });
+timeEntrySchema.index({ user: 1, startedAt: -1 });
+// One running timer per user, even when two starts race
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isRunning: true } });
+
+timeEntrySchema.pre('validate', function () {
+  if (this.endedAt && this.endedAt < this.startedAt) {
+    this.invalidate('endedAt', 'A time entry cannot end before it starts');
+  }
+});
+
+// Keep the task's logged time in step with its entries
+timeEntrySchema.post('save', async function () {
+  if (!this.isRunning) {
+    await this.constructor.refreshTaskTotal(this.task);
+  }
+});
+
+timeEntrySchema.post('deleteOne', { document: true, query: false }, async function () {
+  await this.constructor.refreshTaskTotal(this.task);
+});
+
+/**
+ * Minutes between two dates, to the hundredth
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number}
+ */
+timeEntrySchema.statics.minutesBetween = function (from, to) {
+  return Math.round((to - from) / 600) / 100;
+};
+
+/**
+ * Recompute a task's `timeSpent` from its finished entries
+ * @param {mongoose.Types.ObjectId|string} taskId
+ */
+timeEntrySchema.statics.refreshTaskTotal = async function (taskId) {
+  const [totals] = await this.aggregate([
+    { $match: { task: new mongoose.Types.ObjectId(String(taskId)), isRunning: false } },
+    { $group: { _id: null, minutes: { $sum: '$minutes' } } }
+  ]);
+
+  await Task.updateOne({ _id: taskId }, { $set: { timeSpent: totals ? totals.minutes : 0 } });
+};
+
+/**
+ * Stop the timer, logging the time since it started
+ * @param {Date} [at=new Date()]
+ * @returns {Promise<TimeEntry>}
+ */
+timeEntrySchema.methods.stop = function (at = new Date()) {
+  this.endedAt = at;
+  this.minutes = Math.min(this.constructor.minutesBetween(this.startedAt, at), 24 * 60);
+  this.isRunning = false;
+  return this.save();
+};
+
+/**
+ * Logged time matching a filter, in total and per user, per task tag and per
+ * day (UTC). Tasks with several tags count towards each of them; running
+ * timers are left out.
+ * @param {object} match - Filter on time entries
+ * @returns {Promise<{ totalMinutes: number, entries: number, byUser: object[], byTag: object[], byDay: object[] }>}
+ */
+timeEntrySchema.statics.getReport = async function (match) {
+  const [report] = await this.aggregate([
+    { $match: { ...match, isRunning: false } },
+    {
+      $facet: {
+        total: [
+          { $group: { _id: null, minutes: { $sum: '$minutes' }, entries: { $sum: 1 } } }
+        ],
+        byUser: [
+          { $group: { _id: '$user', minutes: { $sum: '$minutes' }, entries: { $sum: 1 } } },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+          { $project: { _id: 0, user: '$_id', username: '$user.username', minutes: 1, entries: 1 } },
+          { $sort: { minutes: -1 } }
+        ],
+        byTag: [
+          { $lookup: { from: 'tasks', localField: 'task', foreignField: '_id', as: 'taskDoc' } },
+          { $unwind: { path: '$taskDoc', preserveNullAndEmptyArrays: true } },
+          { $unwind: { path: '$taskDoc.tags', preserveNullAndEmptyArrays: true } },
+          { $group: { _id: { $ifNull: ['$taskDoc.tags', null] }, minutes: { $sum: '$minutes' }, entries: { $sum: 1 } } },
+          { $project: { _id: 0, tag: '$_id', minutes: 1, entries: 1 } },
+          { $sort: { minutes: -1 } }
+        ],
+        byDay: [
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt' } },
+              minutes: { $sum: '$minutes' },
+              entries: { $sum: 1 }
+            }
+          },
+          { $project: { _id: 0, date: '$_id', minutes: 1, entries: 1 } },
+          { $sort: { date: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const [total] = report.total;
+  const round = group => ({ ...group, minutes: Math.round(group.minutes * 100) / 100 });
+
+  return {
+    totalMinutes: total ? Math.round(total.minutes * 100) / 100 : 0,
+    entries: total ? total.entries : 0,
+    byUser: report.byUser.map(round),
+    byTag: report.byTag.map(round),
+    byDay: report.byDay.map(round)
+  };
+};
+
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+export default TimeEntry;
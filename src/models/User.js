@@ -1,6 +1,14 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { authenticator } from 'otplib';
+import Role from './Role.js';
+import { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, REMINDER_TYPES, defaultChannels } from '../config/notifications.js';
+import { TIME_OF_DAY, isValidTimeZone, isBetweenLocalTimes, nextLocalTime } from '../utils/timezone.js';
+
+// Accept codes from the previous and next 30s step to allow for clock drift
+const totp = authenticator.clone({ window: 1 });
 
 const userSchema = new mongoose.Schema(
   {
@@ -30,13 +38,16 @@ const userSchema = new mongoose.Schema(
       minlength: [6, 'Password must be at least 6 characters long'],
       select: false
     },
+    // Built-in (standard, admin) or custom role; see models/Role.js
     role: {
       type: String,
-      enum: {
-        values: ['standard', 'admin'],
-        message: 'Role must be either standard or admin'
-      },
-      default: 'standard'
+      trim: true,
+      lowercase: true,
+      default: 'standard',
+      validate: {
+        validator: name => Role.isValidName(name),
+        message: 'Role {VALUE} does not exist'
+      }
     },
     profile: {
       firstName: {
@@ -58,28 +69,174 @@ const userSchema = new mongoose.Schema(
         maxlength: [500, 'Bio cannot exceed 500 characters']
       }
     },
+    // When to be reminded of tasks you own or are assigned to
+    reminderPreferences: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      // Minutes before the due date
+      offsets: {
+        type: [{
+          type: Number,
+          min: [1, 'Reminder offsets must be at least 1 minute'],
+          max: [30 * 24 * 60, 'Reminder offsets cannot exceed 30 days']
+        }],
+        default: [24 * 60, 60],
+        validate: {
+          validator: offsets => offsets.length <= 5,
+          message: 'You can have at most 5 reminders per task'
+        }
+      },
+      // Notify when a task becomes overdue
+      overdue: {
+        type: Boolean,
+        default: true
+      }
+    },
+    // How notifications reach you; see config/notifications.js
+    notificationPreferences: {
+      // Channels chosen per notification type, over the type's defaults
+      channels: {
+        type: Map,
+        of: new mongoose.Schema({
+          inApp: Boolean,
+          email: Boolean,
+          webhook: Boolean
+        }, { _id: false }),
+        default: {},
+        validate: {
+          validator: channels => [...channels.keys()].every(type => type in NOTIFICATION_TYPES),
+          message: 'Unknown notification type'
+        }
+      },
+      // No live notifications, emails or webhooks in this local time range;
+      // notifications still reach the inbox and the rest follows when it ends
+      quietHours: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        start: {
+          type: String,
+          default: '22:00',
+          match: [TIME_OF_DAY, 'Quiet hours must be given as HH:mm']
+        },
+        end: {
+          type: String,
+          default: '07:00',
+          match: [TIME_OF_DAY, 'Quiet hours must be given as HH:mm']
+        }
+      },
+      // Collect notification emails into one email a day at this local time
+      digest: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        time: {
+          type: String,
+          default: '08:00',
+          match: [TIME_OF_DAY, 'Digest time must be given as HH:mm']
+        }
+      },
+      timezone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+          validator: isValidTimeZone,
+          message: 'Unknown time zone'
+        }
+      }
+    },
     isActive: {
       type: Boolean,
       default: true
     },
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false
+    },
+    emailVerificationExpire: {
+      type: Date,
+      select: false
+    },
     lastLogin: {
       type: Date,
       default: null
     },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0
+    },
+    // Logins are refused until this time (progressive delay, then lockout)
+    lockUntil: Date,
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false
+      },
+      // Last accepted TOTP time step, so a code can't be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false
+      },
+      enabledAt: Date
+    },
+    // Only SHA-256 hashes of refresh tokens are stored. Each login starts a
+    // family (a session); refreshing replaces the family's token in place.
     refreshTokens: [{
       token: {
         type: String,
         required: true
       },
+      family: String,
+      userAgent: String,
+      ip: String,
       createdAt: {
         type: Date,
-        default: Date.now,
-        expires: 2592000 // 30 days
+        default: Date.now
+      },
+      lastUsedAt: Date,
+      expiresAt: Date
+    }],
+    // External OpenID Connect identities (issuer + subject) that sign in as this user
+    identities: [{
+      issuer: {
+        type: String,
+        required: true
+      },
+      subject: {
+        type: String,
+        required: true
+      },
+      linkedAt: {
+        type: Date,
+        default: Date.now
       }
     }],
     passwordChangedAt: Date,
-    resetPasswordToken: String,
-    resetPasswordExpire: Date
+    resetPasswordToken: {
+      type: String,
+      select: false
+    },
+    resetPasswordExpire: {
+      type: Date,
+      select: false
+    }
   },
   {
     timestamps: true
@@ -88,6 +245,11 @@ const userSchema = new mongoose.Schema(
 
 // Index for performance (role only - email and username are already indexed via unique constraint)
 userSchema.index({ role: 1 });
+// An external identity can only be linked to one account
+userSchema.index(
+  { 'identities.issuer': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // Hash password before saving
 userSchema.pre('save', async function() {
@@ -113,30 +275,192 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// Generate access token
-userSchema.methods.generateAccessToken = function() {
+// Generate access token (bound to a session when one is given)
+userSchema.methods.generateAccessToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id,
-      role: this.role 
+      role: this.role,
+      sid: sessionId
     },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE || '7d' }
   );
 };
 
-// Generate refresh token
-userSchema.methods.generateRefreshToken = function() {
+// Generate refresh token belonging to a token family
+userSchema.methods.generateRefreshToken = function(family) {
   return jwt.sign(
     { 
       id: this._id,
-      type: 'refresh'
+      type: 'refresh',
+      family,
+      jti: crypto.randomUUID()
     },
     process.env.JWT_REFRESH_SECRET,
     { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d' }
   );
 };
 
+// Start a new session: issue a refresh token in a new family and store its hash
+userSchema.methods.issueRefreshToken = function({ userAgent, ip } = {}) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = this.generateRefreshToken(sessionId);
+  const { exp } = jwt.decode(refreshToken);
+
+  // Drop expired tokens so the list doesn't grow forever
+  this.refreshTokens
+    .filter(entry => entry.expiresAt && entry.expiresAt <= new Date())
+    .forEach(entry => this.refreshTokens.pull(entry._id));
+
+  this.refreshTokens.push({
+    token: this.constructor.hashToken(refreshToken),
+    family: sessionId,
+    userAgent,
+    ip,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(exp * 1000)
+  });
+
+  return { refreshToken, sessionId };
+};
+
+// Swap a stored refresh token for a new one in the same family.
+// The swap is atomic, so a token can only be rotated once; returns null otherwise.
+userSchema.methods.rotateRefreshToken = async function(refreshToken, { ip } = {}) {
+  const { family } = jwt.decode(refreshToken);
+  const newRefreshToken = this.generateRefreshToken(family);
+  const { exp } = jwt.decode(newRefreshToken);
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'refreshTokens.token': this.constructor.hashToken(refreshToken) },
+    {
+      $set: {
+        'refreshTokens.$.token': this.constructor.hashToken(newRefreshToken),
+        'refreshTokens.$.ip': ip,
+        'refreshTokens.$.lastUsedAt': new Date(),
+        'refreshTokens.$.expiresAt': new Date(exp * 1000)
+      }
+    }
+  );
+
+  return result.modifiedCount > 0 ? newRefreshToken : null;
+};
+
+// List active sessions, most recently used first
+userSchema.methods.getSessions = function(currentSessionId) {
+  const now = new Date();
+
+  return this.refreshTokens
+    .filter(entry => entry.family && (!entry.expiresAt || entry.expiresAt > now))
+    .map(entry => ({
+      id: entry.family,
+      userAgent: entry.userAgent,
+      ip: entry.ip,
+      createdAt: entry.createdAt,
+      lastUsedAt: entry.lastUsedAt || entry.createdAt,
+      expiresAt: entry.expiresAt,
+      current: entry.family === currentSessionId
+    }))
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+};
+
+// Revoke a single session
+userSchema.methods.revokeSession = function(sessionId) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { refreshTokens: { family: sessionId } } }
+  );
+};
+
+// Revoke every session except the one to keep (all of them when omitted)
+userSchema.methods.revokeOtherSessions = function(keepSessionId) {
+  const update = keepSessionId
+    ? { $pull: { refreshTokens: { family: { $ne: keepSessionId } } } }
+    : { $set: { refreshTokens: [] } };
+
+  return this.constructor.updateOne({ _id: this._id }, update);
+};
+
+// Generate the short-lived token that stands in for a session until the 2FA code is checked
+userSchema.methods.generateTwoFactorChallengeToken = function() {
+  return jwt.sign(
+    {
+      id: this._id,
+      type: '2fa_challenge'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+  );
+};
+
+// Start 2FA enrollment with a new secret (requires twoFactor.secret to be selected)
+userSchema.methods.createTwoFactorSecret = function() {
+  const secret = totp.generateSecret();
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'Vephla Productivity Suite';
+
+  this.twoFactor.secret = secret;
+  this.twoFactor.enabled = false;
+  this.twoFactor.lastUsedStep = undefined;
+
+  return { secret, otpauthUrl: totp.keyuri(this.email, issuer, secret) };
+};
+
+// Replace the recovery codes, returning the plain codes to show once
+userSchema.methods.generateRecoveryCodes = function() {
+  const count = parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10;
+  const codes = Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => this.constructor.hashToken(code));
+
+  return codes;
+};
+
+// Check a TOTP code, or consume a recovery code (requires the twoFactor secrets to be selected)
+userSchema.methods.verifyTwoFactorCode = async function(code, { allowRecoveryCode = true } = {}) {
+  const value = String(code || '').trim();
+
+  if (/^\d{6}$/.test(value) && this.twoFactor.secret) {
+    const delta = totp.checkDelta(value, this.twoFactor.secret);
+    if (delta === null) return false;
+
+    const step = Math.floor(Date.now() / 1000 / totp.allOptions().step) + delta;
+
+    // Record the step atomically so the same code can't be used twice
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (!allowRecoveryCode) return false;
+
+  // Recovery codes are single use
+  const hashedCode = this.constructor.hashToken(value.toLowerCase());
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodes': hashedCode },
+    { $pull: { 'twoFactor.recoveryCodes': hashedCode } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  this.twoFactor.recoveryCodes = (this.twoFactor.recoveryCodes || []).filter(hash => hash !== hashedCode);
+  return true;
+};
+
 // Check if password was changed after token was issued
 userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   if (this.passwordChangedAt) {
@@ -146,12 +470,202 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
+// Hash a one-time token (only the hash is stored)
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate password reset token, storing its hash and expiry
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expireMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 10;
+
+  this.resetPasswordToken = this.constructor.hashToken(resetToken);
+  this.resetPasswordExpire = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Generate email verification token, storing its hash and expiry
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = this.constructor.hashToken(verificationToken);
+  this.emailVerificationExpire = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Whether logins are currently refused for this account
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Record a failed login. After LOGIN_DELAY_AFTER failures each further one
+// makes the user wait longer; after MAX_LOGIN_ATTEMPTS the account is locked.
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+  const delayAfter = parseInt(process.env.LOGIN_DELAY_AFTER) || 3;
+  const lockMinutes = parseInt(process.env.LOCK_TIME_MINUTES) || 15;
+
+  // A lockout that has run out starts the count again
+  const lockExpired = this.lockUntil && this.lockUntil <= Date.now() && this.failedLoginAttempts >= maxAttempts;
+
+  const user = await this.constructor.findByIdAndUpdate(
+    this._id,
+    lockExpired
+      ? { $set: { failedLoginAttempts: 1 }, $unset: { lockUntil: 1 } }
+      : { $inc: { failedLoginAttempts: 1 } },
+    { returnDocument: 'after' }
+  );
+
+  const attempts = user.failedLoginAttempts;
+  let lockUntil;
+
+  if (attempts >= maxAttempts) {
+    lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  } else if (attempts >= delayAfter) {
+    const delaySeconds = Math.min(2 ** (attempts - delayAfter), 60);
+    lockUntil = new Date(Date.now() + delaySeconds * 1000);
+  }
+
+  if (lockUntil) {
+    await this.constructor.updateOne({ _id: this._id }, { $set: { lockUntil } });
+  }
+
+  this.failedLoginAttempts = attempts;
+  this.lockUntil = lockUntil;
+
+  return { attempts, locked: attempts >= maxAttempts };
+};
+
+// Clear failed login tracking (successful login or admin unlock)
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+};
+
 // Update last login
 userSchema.methods.updateLastLogin = async function() {
   this.lastLogin = new Date();
   await this.save({ validateBeforeSave: false });
 };
 
+// Channels chosen for a notification type, falling back to the type's defaults
+const chosenChannels = (preferences, type) => {
+  const chosen = preferences.channels.get(type);
+
+  return Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [
+    channel,
+    chosen?.[channel] ?? defaultChannels(type)[channel]
+  ]));
+};
+
+// Channels a notification type reaches this user on. The webhook channel
+// posts to the user's personal webhooks subscribed to `notification`.
+userSchema.methods.getNotificationChannels = function(type) {
+  return chosenChannels(this.notificationPreferences, type);
+};
+
+// When quiet hours that are on now end, or null outside quiet hours
+userSchema.methods.quietHoursEndAt = function(date = new Date()) {
+  const { quietHours, timezone } = this.notificationPreferences;
+
+  if (!quietHours.enabled || !isBetweenLocalTimes(date, quietHours.start, quietHours.end, timezone)) {
+    return null;
+  }
+  return nextLocalTime(quietHours.end, timezone, date);
+};
+
+// When notification emails are next sent: the digest time with a daily
+// digest, the end of quiet hours, or null for straight away
+userSchema.methods.nextNotificationEmailAt = function(date = new Date()) {
+  const { digest, timezone } = this.notificationPreferences;
+
+  if (digest.enabled) return nextLocalTime(digest.time, timezone, date);
+  return this.quietHoursEndAt(date);
+};
+
+// Notification preferences with the channels of every type filled in
+userSchema.methods.getNotificationSettings = function() {
+  const { quietHours, digest, timezone } = this.notificationPreferences;
+
+  const types = Object.entries(NOTIFICATION_TYPES).map(([type, { description }]) => ({
+    type,
+    description,
+    ...chosenChannels(this.notificationPreferences, type)
+  }));
+
+  return {
+    types,
+    quietHours: { enabled: quietHours.enabled, start: quietHours.start, end: quietHours.end },
+    digest: { enabled: digest.enabled, time: digest.time },
+    timezone
+  };
+};
+
+// Reminder preferences, with `email` set when both reminder types are emailed
+userSchema.methods.getReminderSettings = function() {
+  const { enabled, offsets, overdue } = this.reminderPreferences;
+  const email = REMINDER_TYPES.every(type => chosenChannels(this.notificationPreferences, type).email);
+
+  return { enabled, offsets, overdue, email };
+};
+
+// Turn the email channel of both reminder types on or off
+userSchema.methods.setReminderEmail = function(email) {
+  const { channels } = this.notificationPreferences;
+
+  REMINDER_TYPES.forEach(type => {
+    channels.set(type, { ...channels.get(type)?.toObject(), email });
+  });
+};
+
+// Reminder emails used to be turned on with reminderPreferences.email, which
+// notification preferences replaced. Carry it over to the email channel of
+// the reminder types and drop it; safe to run on every start.
+userSchema.statics.migrateReminderEmailPreferences = async function() {
+  const options = { strict: false };
+
+  const { modifiedCount } = await this.updateMany(
+    { 'reminderPreferences.email': true },
+    {
+      $set: Object.fromEntries(REMINDER_TYPES.map(type => [`notificationPreferences.channels.${type}.email`, true])),
+      $unset: { 'reminderPreferences.email': 1 }
+    },
+    options
+  );
+  await this.updateMany(
+    { 'reminderPreferences.email': { $exists: true } },
+    { $unset: { 'reminderPreferences.email': 1 } },
+    options
+  );
+
+  return modifiedCount;
+};
+
+// Derive a free, valid username from names supplied by an identity provider
+userSchema.statics.generateUsername = async function(...candidates) {
+  const base = (candidates.find(Boolean) || 'user')
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .slice(0, 24)
+    .padEnd(3, '_');
+
+  if (!(await this.exists({ username: base }))) return base;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const username = `${base}_${crypto.randomInt(1000, 10000)}`;
+    if (!(await this.exists({ username }))) return username;
+  }
+
+  return `user_${crypto.randomBytes(8).toString('hex')}`;
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS, WEBHOOK_SCOPES } from '../config/webhooks.js';
+import { isPublicUrl } from '../utils/publicUrl.js';
+
+// Secrets look like whsec_<random>, like API keys they're easy to spot in logs
+export const WEBHOOK_SECRET_PREFIX = 'whsec_';
+
+// Endpoints that events are posted to (see services/webhookService.js)
+const webhookSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    url: {
+      type: String,
+      required: [true, 'Please provide a webhook URL'],
+      trim: true,
+      match: [/^https?:\/\/\S+$/, 'Webhook URL must be an http or https URL'],
+      // Checked again before each delivery, as DNS can change
+      validate: {
+        validator: isPublicUrl,
+        message: 'Webhook URL must resolve to a public address'
+      }
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    events: {
+      type: [{
+        type: String,
+        enum: {
+          values: Object.keys(WEBHOOK_EVENTS),
+          message: 'Unknown event: {VALUE}'
+        }
+      }],
+      validate: {
+        validator: events => events.length > 0,
+        message: 'Please subscribe to at least one event'
+      }
+    },
+    scope: {
+      type: String,
+      enum: {
+        values: WEBHOOK_SCOPES,
+        message: 'Scope must be one of: personal, workspace, all'
+      },
+      default: 'personal'
+    },
+    // Set for workspace webhooks
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null
+    },
+    // Signs deliveries, so it is kept as is; only returned when created
+    secret: {
+      type: String,
+      required: true,
+      select: false
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+webhookSchema.index({ events: 1, active: 1 });
+
+webhookSchema.statics.generateSecret = function() {
+  return `${WEBHOOK_SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+};
+
+// HMAC-SHA256 of "<timestamp>.<body>", hex encoded
+webhookSchema.statics.sign = function(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// The secret is never returned except right after creation
+webhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  }
+});
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+export default Webhook;
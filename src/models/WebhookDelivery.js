@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// One attempt at posting a delivery, kept for the delivery log
+const attemptSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      required: true
+    },
+    // Missing when no response came back. Response bodies aren't kept, so
+    // the log can't be used to read from the endpoint.
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  },
+  { _id: false }
+);
+
+// An event sent to a webhook, with every attempt at posting it
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true
+    },
+    event: {
+      type: String,
+      required: true
+    },
+    // Request body as posted; its id is the same for every webhook and redelivery
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    attempts: [attemptSchema],
+    // When a failed attempt is tried again
+    nextAttemptAt: Date,
+    deliveredAt: Date,
+    // Set on deliveries made through the redeliver endpoint
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+webhookDeliverySchema.index({ webhook: 1, _id: -1 });
+// The delivery log covers 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { normalizeEmail } from '../utils/email.js';
+
+// Workspace roles, from least to most privileged:
+// viewers read, members also create and edit, admins also manage
+// members and invitations, and the owner may delete the workspace
+export const WORKSPACE_ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+// Roles that can be granted through invitations or role changes
+export const ASSIGNABLE_WORKSPACE_ROLES = ['viewer', 'member', 'admin'];
+
+// Roles at or above the given role
+const rolesAtLeast = (role) => WORKSPACE_ROLES.slice(WORKSPACE_ROLES.indexOf(role));
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: {
+        values: WORKSPACE_ROLES,
+        message: 'Role must be one of: viewer, member, admin, owner'
+      },
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Please provide an email'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ASSIGNABLE_WORKSPACE_ROLES,
+      message: 'Role must be one of: viewer, member, admin'
+    },
+    default: 'member'
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+const workspaceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a workspace name'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    members: [memberSchema],
+    invitations: [invitationSchema]
+  },
+  {
+    timestamps: true
+  }
+);
+
+workspaceSchema.index({ 'members.user': 1 });
+workspaceSchema.index({ 'invitations.token': 1 });
+
+workspaceSchema.statics.hashToken = hashToken;
+
+// A member's role in this workspace, or null for non-members
+workspaceSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Whether a user holds at least the given role in this workspace
+workspaceSchema.methods.hasRole = function(userId, minRole = 'viewer') {
+  const role = this.getMemberRole(userId);
+  return Boolean(role) && rolesAtLeast(minRole).includes(role);
+};
+
+// Invite an email address, replacing any pending invitation for it.
+// Returns the raw token; only its hash is stored.
+workspaceSchema.methods.createInvitation = function({ email, role = 'member', invitedBy }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expireDays = parseInt(process.env.WORKSPACE_INVITE_EXPIRE_DAYS) || 7;
+  const normalizedEmail = normalizeEmail(email);
+
+  // Drop expired invitations and any earlier one for the same address
+  this.invitations = this.invitations.filter(
+    invite => normalizeEmail(invite.email) !== normalizedEmail && invite.expiresAt > Date.now()
+  );
+  this.invitations.push({
+    email: normalizedEmail,
+    role,
+    token: hashToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + expireDays * 24 * 60 * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Whether a user holds at least the given role in a workspace, by id
+workspaceSchema.statics.hasRole = async function(workspaceId, userId, minRole = 'viewer') {
+  if (!mongoose.Types.ObjectId.isValid(workspaceId)) return false;
+
+  return Boolean(await this.exists({
+    _id: workspaceId,
+    members: { $elemMatch: { user: userId, role: { $in: rolesAtLeast(minRole) } } }
+  }));
+};
+
+// Whether every given user is a member of a workspace
+workspaceSchema.statics.areMembers = async function(workspaceId, userIds) {
+  const ids = [...new Set((userIds || []).map(String))];
+  if (ids.length === 0) return true;
+  if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) return false;
+
+  const workspace = await this.findById(workspaceId).select('members.user').lean();
+  if (!workspace) return false;
+
+  const memberIds = workspace.members.map(m => m.user.toString());
+  return ids.every(id => memberIds.includes(id));
+};
+
+// Never expose invitation token hashes
+workspaceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (Array.isArray(ret.invitations)) {
+      ret.invitations.forEach(invite => delete invite.token);
+    }
+    return ret;
+  }
+});
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+export default Workspace;
@@ -6,10 +6,42 @@ import {
   refreshToken,
   logout,
   updateProfile,
-  changePassword
+  getReminderPreferences,
+  updateReminderPreferences,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  oidcLogin,
+  oidcCallback
 } from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
-import { validateRegistration, validateLogin } from '../validators/authValidators.js';
+import {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+import { protect, protectAccount, rejectWhenSsoRequired } from '../middleware/auth.js';
+import { authLimiter, loginFailureLimiter } from '../middleware/rateLimiter.js';
+import {
+  validateRegistration,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateApiKey
+} from '../validators/authValidators.js';
 
 const router = express.Router();
 
@@ -100,13 +132,9 @@ const router = express.Router();
  *               password:
  *                 type: string
  *                 example: password123
- *               role:
- *                 type: string
- *                 enum: [standard, admin]
- *                 example: standard
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully, with the standard role
  *         content:
  *           application/json:
  *             schema:
@@ -128,7 +156,7 @@ const router = express.Router();
  *       400:
  *         description: Validation error or user already exists
  */
-router.post('/register', validateRegistration, register);
+router.post('/register', authLimiter, rejectWhenSsoRequired, validateRegistration, register);
 
 /**
  * @swagger
@@ -154,7 +182,7 @@ router.post('/register', validateRegistration, register);
  *                 example: password123
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a 2FA challenge (data.twoFactorRequired and data.challengeToken) when the account has 2FA enabled
  *         content:
  *           application/json:
  *             schema:
@@ -175,8 +203,12 @@ router.post('/register', validateRegistration, register);
  *                       type: string
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many attempts; wait for the Retry-After header before trying again
  */
-router.post('/login', validateLogin, login);
+router.post('/login', authLimiter, rejectWhenSsoRequired, loginFailureLimiter, validateLogin, login);
 
 /**
  * @swagger
@@ -201,13 +233,14 @@ router.post('/login', validateLogin, login);
  *       401:
  *         description: Not authorized
  */
-router.get('/me', protect, getMe);
+router.get('/me', protectAccount, getMe);
 
 /**
  * @swagger
  * /api/auth/refresh:
  *   post:
  *     summary: Refresh access token
+ *     description: Rotates the refresh token. The old token stops working; presenting it again revokes every token issued from the same login.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -237,8 +270,10 @@ router.get('/me', protect, getMe);
  *                   properties:
  *                     accessToken:
  *                       type: string
+ *                     refreshToken:
+ *                       type: string
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, expired or already used refresh token
  */
 router.post('/refresh', refreshToken);
 
@@ -264,7 +299,7 @@ router.post('/refresh', refreshToken);
  *       401:
  *         description: Not authorized
  */
-router.post('/logout', protect, logout);
+router.post('/logout', protectAccount, logout);
 
 /**
  * @swagger
@@ -296,6 +331,203 @@ router.post('/logout', protect, logout);
  */
 router.put('/profile', protect, updateProfile);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReminderPreferences:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           description: Send due date reminders for tasks you own or are assigned to
+ *         offsets:
+ *           type: array
+ *           maxItems: 5
+ *           items:
+ *             type: integer
+ *             minimum: 1
+ *             maximum: 43200
+ *           description: Minutes before the due date to be reminded
+ *           example: [1440, 60]
+ *         overdue:
+ *           type: boolean
+ *           description: Notify when a task becomes overdue
+ *         email:
+ *           type: boolean
+ *           description: Email reminders too; the email channel of TASK_DUE_SOON and TASK_OVERDUE in notification preferences
+ */
+
+/**
+ * @swagger
+ * /api/auth/reminder-preferences:
+ *   get:
+ *     summary: Get task reminder preferences
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reminder preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReminderPreferences'
+ *       401:
+ *         description: Not authorized
+ *   put:
+ *     summary: Update task reminder preferences
+ *     description: Reminders already scheduled for your open tasks are updated to match.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReminderPreferences'
+ *     responses:
+ *       200:
+ *         description: Reminder preferences updated successfully
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/reminder-preferences', protect, getReminderPreferences);
+router.put('/reminder-preferences', protect, updateReminderPreferences);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationChannels:
+ *       type: object
+ *       properties:
+ *         inApp:
+ *           type: boolean
+ *           description: Live over Socket.IO and in the notification inbox
+ *         email:
+ *           type: boolean
+ *         webhook:
+ *           type: boolean
+ *           description: Posted to your personal webhooks subscribed to the notification event
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         types:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     example: TASK_ASSIGNED
+ *                   description:
+ *                     type: string
+ *               - $ref: '#/components/schemas/NotificationChannels'
+ *         quietHours:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             start:
+ *               type: string
+ *               example: '22:00'
+ *             end:
+ *               type: string
+ *               example: '07:00'
+ *         digest:
+ *           type: object
+ *           description: Send notification emails once a day instead of straight away
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             time:
+ *               type: string
+ *               example: '08:00'
+ *         timezone:
+ *           type: string
+ *           example: Europe/Berlin
+ */
+
+/**
+ * @swagger
+ * /api/auth/notification-preferences:
+ *   get:
+ *     summary: Get notification preferences
+ *     description: Lists every notification type with the channels it reaches you on.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         description: Not authorized
+ *   put:
+ *     summary: Update notification preferences
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channels:
+ *                 type: object
+ *                 description: Channels per notification type, merged into the current ones; null resets a type to its defaults
+ *                 additionalProperties:
+ *                   $ref: '#/components/schemas/NotificationChannels'
+ *                 example:
+ *                   TASK_ASSIGNED: { email: true }
+ *                   NOTE_SHARED: { inApp: false }
+ *               quietHours:
+ *                 type: object
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   start:
+ *                     type: string
+ *                   end:
+ *                     type: string
+ *               digest:
+ *                 type: object
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   time:
+ *                     type: string
+ *               timezone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Notification preferences updated successfully
+ *       400:
+ *         description: Unknown notification type or channel, or validation failed
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/notification-preferences', protect, getNotificationPreferences);
+router.put('/notification-preferences', protect, updateNotificationPreferences);
+
 /**
  * @swagger
  * /api/auth/password:
@@ -324,6 +556,560 @@ router.put('/profile', protect, updateProfile);
  *       401:
  *         description: Current password is incorrect
  */
-router.put('/password', protect, changePassword);
+router.put('/password', protectAccount, changePassword);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds with the same message so registered emails cannot be discovered. The emailed link expires after RESET_PASSWORD_EXPIRE_MINUTES (default 10).
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: john@example.com
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Email could not be sent
+ */
+router.post('/forgot-password', authLimiter, rejectWhenSsoRequired, validateForgotPassword, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Reset password using the emailed token
+ *     description: Signs out every existing session by clearing all refresh tokens.
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: newpassword123
+ *     responses:
+ *       200:
+ *         description: Password reset successful
+ *       400:
+ *         description: Invalid or expired token, or validation error
+ */
+router.post('/reset-password/:token', authLimiter, rejectWhenSsoRequired, validateResetPassword, resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   get:
+ *     summary: Verify email address
+ *     description: Confirms ownership of the email address using the token sent at registration. Links expire after EMAIL_VERIFICATION_EXPIRE_HOURS (default 24).
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.get('/verify-email/:token', verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the verification email
+ *     description: Issues a new verification link; earlier links stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/resend-verification', protectAccount, resendVerification);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       description: A login on one device, kept alive by its refresh token
+ *       properties:
+ *         id:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         ip:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: Whether the request was made from this session
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authorized
+ *   delete:
+ *     summary: Log out everywhere else
+ *     description: Revokes every session except the one making the request.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/sessions', protectAccount, getSessions);
+router.delete('/sessions', protectAccount, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Signs that device out; its access and refresh tokens stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ *       401:
+ *         description: Not authorized
+ */
+router.delete('/sessions/:id', protectAccount, revokeSession);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Nightly task export
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, to tell keys apart
+ *           example: vps_Xb3kQ9
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [read, notes, tasks, files]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         isExpired:
+ *           type: boolean
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/auth/api-keys:
+ *   post:
+ *     summary: Create a personal API key
+ *     description: |
+ *       Send the key in the `X-API-Key` header to call the notes, tasks and files endpoints
+ *       without logging in. `notes`, `tasks` and `files` choose which of those APIs the key
+ *       may call (all three when none is given); `read` makes the key read-only.
+ *       The key is only returned in this response.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [read, notes, tasks, files]
+ *                 example: [tasks, read]
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Defaults to API_KEY_DEFAULT_EXPIRE_DAYS (90), at most API_KEY_MAX_EXPIRE_DAYS (365)
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ApiKey'
+ *                     - type: object
+ *                       properties:
+ *                         key:
+ *                           type: string
+ *       400:
+ *         description: Validation failed, expiry too long or too many keys
+ *       401:
+ *         description: Not authorized
+ *   get:
+ *     summary: List your API keys
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys (without the keys themselves)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/api-keys', protect, validateApiKey, createApiKey);
+router.get('/api-keys', protectAccount, getApiKeys);
+
+/**
+ * @swagger
+ * /api/auth/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ *       401:
+ *         description: Not authorized
+ */
+router.delete('/api-keys/:id', protectAccount, revokeApiKey);
+
+/**
+ * @swagger
+ * /api/auth/oidc/login:
+ *   get:
+ *     summary: Start single sign-on
+ *     description: Redirects the browser to the OpenID Connect provider configured with OIDC_ISSUER and OIDC_CLIENT_ID (authorization code flow with PKCE). The flow state is kept in a short-lived cookie.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: Single sign-on is not configured
+ */
+router.get('/oidc/login', authLimiter, oidcLogin);
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   get:
+ *     summary: Complete single sign-on
+ *     description: Redirect target for the identity provider. Links the external identity to the account with the same verified email, or creates a new account (unless OIDC_AUTO_CREATE_USERS=false). Responds like /api/auth/login, including the 2FA challenge.
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or two-factor code required
+ *       400:
+ *         description: SSO session invalid or expired
+ *       401:
+ *         description: The provider rejected the login
+ *       403:
+ *         description: No verified email, no matching account or account deactivated
+ *       404:
+ *         description: Single sign-on is not configured
+ */
+router.get('/oidc/callback', authLimiter, oidcCallback);
+
+/**
+ * @swagger
+ * /api/auth/2fa/login:
+ *   post:
+ *     summary: Complete login with a two-factor code
+ *     description: Second login step for accounts with 2FA. Exchanges the challengeToken returned by /api/auth/login (valid for TWO_FACTOR_CHALLENGE_EXPIRE, default 5m) and an authenticator or recovery code for access and refresh tokens.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid challenge or code
+ */
+router.post('/2fa/login', authLimiter, loginFailureLimiter, validateTwoFactorLogin, verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new TOTP secret and otpauth URI for an authenticator app. 2FA is enabled once a code is confirmed with /api/auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUrl:
+ *                       type: string
+ *       400:
+ *         description: 2FA already enabled
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/2fa/setup', protectAccount, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment and enable two-factor authentication
+ *     description: Returns one-time recovery codes, which are only shown once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: 2FA enabled; recovery codes returned
+ *       400:
+ *         description: Invalid code, setup not started or already enabled
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/2fa/enable', protectAccount, validateTwoFactorCode, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires the password and an authenticator or recovery code. Not allowed for roles with any permission when REQUIRE_ADMIN_2FA is enabled.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: 2FA not enabled
+ *       401:
+ *         description: Wrong password or code
+ *       403:
+ *         description: 2FA is mandatory for admins
+ */
+router.post('/2fa/disable', protectAccount, validateTwoFactorCode, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: New recovery codes returned
+ *       400:
+ *         description: 2FA not enabled
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/2fa/recovery-codes', protectAccount, validateTwoFactorCode, regenerateRecoveryCodes);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -4,7 +4,15 @@ import { protect } from '../middleware/auth.js'; // Assuming auth middleware exi
 // Usually in 'middleware/authMiddleware.js'.
 // I'll assume 'protect' is the name. If not I'll fix it.
 // Checking file structure earlier, I didn't list middlewares.
-import { getChatHistory, sendMessageAPI } from '../controllers/chatController.js';
+import {
+    getChatHistory,
+    sendMessageAPI,
+    createRoom,
+    getRooms,
+    getDirectRoom,
+    addRoomMembers,
+    removeRoomMember
+} from '../controllers/chatController.js';
 
 const router = express.Router();
 
@@ -13,6 +21,45 @@ const router = express.Router();
 // based on 'src/controllers/noteController.js', creates are 'Private'.
 // I will assume there is an auth middleware.
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Message:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         room:
+ *           type: string
+ *         message:
+ *           type: string
+ *         senderId:
+ *           type: string
+ *         senderName:
+ *           type: string
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *     Room:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Unique room name, used as the socket room and in chat URLs
+ *         visibility:
+ *           type: string
+ *           enum: [public, private, direct]
+ *         owner:
+ *           type: string
+ *         members:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
 /**
  * @swagger
  * /api/chat/history/{roomId}:
@@ -28,9 +75,25 @@ const router = express.Router();
  *           type: string
  *         required: true
  *         description: ID of the room
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Return messages older than this message ID
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Return messages newer than this message ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of messages per page (max 100)
  *     responses:
  *       200:
- *         description: Chat history
+ *         description: Chat history in chronological order
  *         content:
  *           application/json:
  *             schema:
@@ -38,12 +101,31 @@ const router = express.Router();
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *                     before:
+ *                       type: string
+ *                     after:
+ *                       type: string
  *                 data:
  *                   type: array
  *                   items:
- *                     type: object
+ *                     $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Invalid cursor
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Not a member of this room
+ *       404:
+ *         description: Room not found
  *       500:
  *         description: Server error
  */
@@ -72,15 +154,194 @@ router.get('/history/:roomId', protect, getChatHistory);
  *               message:
  *                 type: string
  *     responses:
- *       200:
+ *       201:
  *         description: Message sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Message'
  *       400:
  *         description: Validation error
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Not a member of this room
+ *       404:
+ *         description: Room not found
  *       500:
  *         description: Server error
  */
 router.post('/message', protect, sendMessageAPI);
 
+/**
+ * @swagger
+ * /api/chat/rooms:
+ *   post:
+ *     summary: Create a chat room
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, private]
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Room created successfully
+ *       400:
+ *         description: Validation error, name taken or invalid member IDs
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: A member is not a user
+ */
+router.post('/rooms', protect, createRoom);
+
+/**
+ * @swagger
+ * /api/chat/rooms:
+ *   get:
+ *     summary: Get rooms the current user belongs to
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: visibility
+ *         schema:
+ *           type: string
+ *           enum: [public, private, direct]
+ *     responses:
+ *       200:
+ *         description: List of rooms
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/rooms', protect, getRooms);
+
+/**
+ * @swagger
+ * /api/chat/rooms/direct:
+ *   post:
+ *     summary: Get or create the direct room with another user
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Direct room
+ *       400:
+ *         description: Invalid user ID
+ *       404:
+ *         description: User not found
+ */
+router.post('/rooms/direct', protect, getDirectRoom);
+
+/**
+ * @swagger
+ * /api/chat/rooms/{roomId}/members:
+ *   post:
+ *     summary: Add members to a room (owner only)
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Room name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIds
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Members added successfully
+ *       400:
+ *         description: userIds is empty or has an invalid ID, or the room is a direct room
+ *       403:
+ *         description: Only room owner can add members
+ *       404:
+ *         description: Room or user not found
+ */
+router.post('/rooms/:roomId/members', protect, addRoomMembers);
+
+/**
+ * @swagger
+ * /api/chat/rooms/{roomId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a room
+ *     description: |
+ *       The owner can remove members of private rooms. Anyone can join a
+ *       public room, so members can only leave those themselves.
+ *     tags: [Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Room name
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: Owner, direct room, or another member of a public room
+ *       403:
+ *         description: Only room owner can remove other members
+ *       404:
+ *         description: Room not found
+ */
+router.delete('/rooms/:roomId/members/:userId', protect, removeRoomMember);
+
 export default router;
@@ -8,11 +8,14 @@ import {
   updateFile,
   getFileStats
 } from '../controllers/fileController.js';
-import { protect } from '../middleware/auth.js';
+import { protect, allowApiKey } from '../middleware/auth.js';
 import { uploadSingle, handleUploadError } from '../middleware/upload.js';
 
 const router = express.Router();
 
+// Personal API keys with the files scope may call every file endpoint
+router.use(allowApiKey('files'));
+
 /**
  * @swagger
  * components:
@@ -32,6 +35,9 @@ const router = express.Router();
  *           type: number
  *         owner:
  *           type: string
+ *         workspace:
+ *           type: string
+ *           nullable: true
  *         uploadedFor:
  *           type: string
  *           enum: [note, task, profile, general]
@@ -45,6 +51,7 @@ const router = express.Router();
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -62,9 +69,14 @@ const router = express.Router();
  *                 enum: [note, task, profile, general]
  *               relatedDocument:
  *                 type: string
+ *               workspace:
+ *                 type: string
+ *                 description: Workspace to upload the file to (requires the member role)
  *     responses:
  *       201:
  *         description: File uploaded successfully
+ *       403:
+ *         description: Not allowed to add files to this workspace
  */
 router.post('/upload', protect, uploadSingle, handleUploadError, uploadFile);
 
@@ -72,10 +84,11 @@ router.post('/upload', protect, uploadSingle, handleUploadError, uploadFile);
  * @swagger
  * /api/files:
  *   get:
- *     summary: Get all files for current user
+ *     summary: Get personal files for current user, or all files in a workspace
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -85,9 +98,16 @@ router.post('/upload', protect, uploadSingle, handleUploadError, uploadFile);
  *         name: uploadedFor
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: workspace
+ *         schema:
+ *           type: string
+ *         description: List every file in this workspace instead of your personal files
  *     responses:
  *       200:
  *         description: List of files
+ *       403:
+ *         description: Not a member of this workspace
  */
 router.get('/', protect, getFiles);
 
@@ -99,6 +119,7 @@ router.get('/', protect, getFiles);
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: File statistics
@@ -113,6 +134,7 @@ router.get('/stats', protect, getFileStats);
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -133,6 +155,7 @@ router.get('/:id', protect, getFileById);
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -153,6 +176,7 @@ router.get('/:id/download', protect, downloadFile);
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -190,6 +214,7 @@ router.put('/:id', protect, updateFile);
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -8,10 +8,13 @@ import {
   shareNote,
   getSharedNotes
 } from '../controllers/noteController.js';
-import { protect } from '../middleware/auth.js';
+import { protect, allowApiKey } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Personal API keys with the notes scope may call every note endpoint
+router.use(allowApiKey('notes'));
+
 /**
  * @swagger
  * components:
@@ -36,6 +39,9 @@ const router = express.Router();
  *             type: string
  *         owner:
  *           type: string
+ *         workspace:
+ *           type: string
+ *           nullable: true
  *         isPinned:
  *           type: boolean
  *         color:
@@ -58,6 +64,7 @@ const router = express.Router();
  *     tags: [Notes]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -82,6 +89,9 @@ const router = express.Router();
  *                 type: string
  *               isPinned:
  *                 type: boolean
+ *               workspace:
+ *                 type: string
+ *                 description: Workspace to create the note in (requires the member role)
  *     responses:
  *       201:
  *         description: Note created successfully
@@ -94,10 +104,11 @@ router.post('/', protect, createNote);
  * @swagger
  * /api/notes:
  *   get:
- *     summary: Get all notes for current user
+ *     summary: Get personal notes for current user, or all notes in a workspace
  *     tags: [Notes]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -123,9 +134,16 @@ router.post('/', protect, createNote);
  *         name: isPinned
  *         schema:
  *           type: boolean
+ *       - in: query
+ *         name: workspace
+ *         schema:
+ *           type: string
+ *         description: List every note in this workspace instead of your personal notes
  *     responses:
  *       200:
  *         description: List of notes
+ *       403:
+ *         description: Not a member of this workspace
  */
 router.get('/', protect, getNotes);
 
@@ -137,6 +155,7 @@ router.get('/', protect, getNotes);
  *     tags: [Notes]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: List of shared notes
@@ -151,6 +170,7 @@ router.get('/shared', protect, getSharedNotes);
  *     tags: [Notes]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -173,6 +193,7 @@ router.get('/:id', protect, getNoteById);
  *     tags: [Notes]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -209,6 +230,7 @@ router.put('/:id', protect, updateNote);
  *     tags: [Notes]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -229,6 +251,7 @@ router.delete('/:id', protect, deleteNote);
  *     tags: [Notes]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -0,0 +1,183 @@
+import express from 'express';
+import {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controllers/roleController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: support
+ *         description:
+ *           type: string
+ *           example: Support staff
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [users:read, stats:view]
+ *         builtIn:
+ *           type: boolean
+ */
+
+// Every role endpoint requires roles:manage
+router.use(protect, requirePermission('roles:manage'));
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: List the permissions that can be granted to roles
+ *     description: Requires the `roles:manage` permission.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of permissions with descriptions
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/permissions', getPermissions);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List built-in and custom roles
+ *     description: Requires the `roles:manage` permission.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing permission
+ *   post:
+ *     summary: Create a custom role
+ *     description: Requires the `roles:manage` permission. Assign it to users with PUT /api/users/{id}/role.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: support
+ *               description:
+ *                 type: string
+ *                 example: Support staff
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [users:read, stats:view]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error, unknown permission or name already taken
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/', getRoles);
+router.post('/', createRole);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   put:
+ *     summary: Update a custom role
+ *     description: Requires the `roles:manage` permission. Changes apply immediately to every user holding the role.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error or built-in role
+ *       404:
+ *         description: Role not found
+ *   delete:
+ *     summary: Delete a custom role
+ *     description: Requires the `roles:manage` permission. Fails while any user still holds the role.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Built-in role or role still assigned
+ *       404:
+ *         description: Role not found
+ */
+router.put('/:name', updateRole);
+router.delete('/:name', deleteRole);
+
+export default router;
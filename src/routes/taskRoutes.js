@@ -6,12 +6,38 @@ import {
   updateTask,
   deleteTask,
   updateTaskStatus,
-  getTaskStats
+  getTaskStats,
+  addTaskDependency,
+  removeTaskDependency,
+  getDependencyGraph,
+  getTaskBoard,
+  moveTask,
+  getTaskActivity
 } from '../controllers/taskController.js';
-import { protect } from '../middleware/auth.js';
+import {
+  createComment,
+  getComments,
+  updateComment,
+  deleteComment
+} from '../controllers/commentController.js';
+import {
+  startTimer,
+  stopTimer,
+  getRunningTimer,
+  createTimeEntry,
+  getTimeEntries,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimeReport
+} from '../controllers/timeEntryController.js';
+import { protect, allowApiKey } from '../middleware/auth.js';
+import { requireTaskAccess } from '../middleware/taskAccess.js';
 
 const router = express.Router();
 
+// Personal API keys with the tasks scope may call every task endpoint
+router.use(allowApiKey('tasks'));
+
 /**
  * @swagger
  * components:
@@ -42,10 +68,91 @@ const router = express.Router();
  *           type: array
  *           items:
  *             type: string
+ *         workspace:
+ *           type: string
+ *           nullable: true
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: Parent task when this is a subtask
+ *         subtaskCounts:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             open:
+ *               type: integer
+ *             completed:
+ *               type: integer
+ *         progress:
+ *           type: integer
+ *           nullable: true
+ *           description: Percentage of subtasks completed, ignoring cancelled ones
+ *         recurrence:
+ *           $ref: '#/components/schemas/Recurrence'
+ *         rrule:
+ *           type: string
+ *           nullable: true
+ *           description: The recurrence rule as an RFC 5545 RRULE
+ *           example: FREQ=WEEKLY;BYDAY=MO,WE
+ *         seriesId:
+ *           type: string
+ *           nullable: true
+ *           description: First task of the recurring series this task belongs to
+ *         occurrence:
+ *           type: integer
+ *           description: Position of this task in its series
+ *         blockedBy:
+ *           type: array
+ *           description: Tasks that must be finished before this one can start
+ *           items:
+ *             type: string
+ *         blocks:
+ *           type: array
+ *           description: Tasks waiting on this one (only returned by GET /api/tasks/{id})
+ *           items:
+ *             type: object
+ *         estimate:
+ *           type: integer
+ *           nullable: true
+ *           description: Expected effort in minutes
+ *         timeSpent:
+ *           type: number
+ *           description: Minutes logged in finished time entries
+ *         position:
+ *           type: number
+ *           description: Order within its board column; lower comes first
  *         tags:
  *           type: array
  *           items:
  *             type: string
+ *     Recurrence:
+ *       type: object
+ *       nullable: true
+ *       description: How a task repeats. Dates are calculated in UTC. Send an RRULE string (or `{ rrule }`) instead of the fields if you prefer; FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY, BYMONTHDAY, UNTIL and COUNT are supported.
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *         interval:
+ *           type: integer
+ *           minimum: 1
+ *           description: Repeat every N days, weeks or months
+ *         byWeekday:
+ *           type: array
+ *           description: Weekdays for weekly rules, 0 (Sunday) to 6 (Saturday). Defaults to the due date's weekday.
+ *           items:
+ *             type: integer
+ *         byMonthDay:
+ *           type: integer
+ *           description: Day of the month for monthly rules, -1 for the last day. Defaults to the due date's day.
+ *         until:
+ *           type: string
+ *           format: date-time
+ *           description: No occurrences after this date
+ *         count:
+ *           type: integer
+ *           description: Total number of occurrences in the series
  */
 
 /**
@@ -56,6 +163,7 @@ const router = express.Router();
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -76,13 +184,32 @@ const router = express.Router();
  *               dueDate:
  *                 type: string
  *                 format: date-time
+ *               estimate:
+ *                 type: integer
+ *                 description: Expected effort in minutes
  *               assignedTo:
  *                 type: array
  *                 items:
  *                   type: string
+ *               workspace:
+ *                 type: string
+ *                 description: Workspace to create the task in (requires the member role; assignees must be members)
+ *               parent:
+ *                 type: string
+ *                 description: Create the task as a subtask of this top-level task, in the parent's workspace
+ *               recurrence:
+ *                 description: Repeat the task (needs a dueDate). Completing it creates the next occurrence.
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/Recurrence'
+ *                   - type: string
+ *                     example: FREQ=WEEKLY;BYDAY=FR
  *     responses:
  *       201:
  *         description: Task created successfully
+ *       400:
+ *         description: Validation failed, assignees are not workspace members, or the parent task is invalid
+ *       403:
+ *         description: Not allowed to add tasks to this workspace or subtasks to the parent task
  */
 router.post('/', protect, createTask);
 
@@ -90,10 +217,11 @@ router.post('/', protect, createTask);
  * @swagger
  * /api/tasks:
  *   get:
- *     summary: Get all tasks for current user
+ *     summary: Get personal tasks for current user, or all tasks in a workspace
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -111,9 +239,28 @@ router.post('/', protect, createTask);
  *         name: dueDate
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: workspace
+ *         schema:
+ *           type: string
+ *         description: List every task in this workspace instead of your personal tasks
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         description: List the subtasks of this task, or only top-level tasks with `none`
+ *       - in: query
+ *         name: hasChildren
+ *         schema:
+ *           type: boolean
+ *         description: Only tasks with (true) or without (false) subtasks
  *     responses:
  *       200:
  *         description: List of tasks
+ *       403:
+ *         description: Not a member of this workspace, or not allowed to see the parent task
+ *       404:
+ *         description: Parent task not found
  */
 router.get('/', protect, getTasks);
 
@@ -125,12 +272,207 @@ router.get('/', protect, getTasks);
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: workspace
+ *         schema:
+ *           type: string
+ *         description: Count the tasks in this workspace instead of your personal tasks
  *     responses:
  *       200:
  *         description: Task statistics
  */
 router.get('/stats', protect, getTaskStats);
 
+/**
+ * @swagger
+ * /api/tasks/dependencies:
+ *   get:
+ *     summary: Get a task dependency graph
+ *     description: Starts from the given tasks, or from every task with blockers in your personal tasks or a workspace, and follows "blocked by" links in both directions through tasks you can see (up to TASK_GRAPH_MAX_NODES, default 500). Each edge points from the blocking task to the blocked task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ids
+ *         schema:
+ *           type: string
+ *         description: Comma-separated task IDs to start from
+ *       - in: query
+ *         name: workspace
+ *         schema:
+ *           type: string
+ *         description: Start from the linked tasks in this workspace instead of your personal tasks
+ *     responses:
+ *       200:
+ *         description: Nodes (with isBlocked), edges ({ from, to }) and whether the graph was truncated
+ *       400:
+ *         description: Invalid task ID
+ *       403:
+ *         description: Not a member of this workspace
+ */
+router.get('/dependencies', protect, getDependencyGraph);
+
+/**
+ * @swagger
+ * /api/tasks/board:
+ *   get:
+ *     summary: Get tasks as a kanban board
+ *     description: Personal tasks, or the tasks of a workspace, in one column per status (todo, in_progress, completed, cancelled) with cards in board order.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: workspace
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *           enum: [none]
+ *         description: Leave subtasks off the board
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Cards per column
+ *     responses:
+ *       200:
+ *         description: Board columns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     columns:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           status:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                             description: Cards in the column, including those past the limit
+ *                           tasks:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/Task'
+ *       403:
+ *         description: Not a member of this workspace
+ */
+router.get('/board', protect, getTaskBoard);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TimeEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         task:
+ *           type: string
+ *         user:
+ *           type: string
+ *         workspace:
+ *           type: string
+ *           nullable: true
+ *         source:
+ *           type: string
+ *           enum: [timer, manual]
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         minutes:
+ *           type: number
+ *           description: Logged time, set when a timer stops (at most 24 hours per entry)
+ *         isRunning:
+ *           type: boolean
+ *         note:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/tasks/time/running:
+ *   get:
+ *     summary: Get your running timer
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The running time entry (with its task's title), or null
+ */
+router.get('/time/running', protect, getRunningTimer);
+
+/**
+ * @swagger
+ * /api/tasks/time/report:
+ *   get:
+ *     summary: Report logged time
+ *     description: Finished time entries on your personal tasks, or in a workspace, in total and broken down per user, per task tag and per day (UTC). Tasks with several tags count towards each of them; time on untagged tasks is reported under a null tag.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: workspace
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Entries started at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Entries started at or before this time
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: task
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: totalMinutes, entries, byUser, byTag and byDay
+ *       400:
+ *         description: Invalid ID or date range
+ *       403:
+ *         description: Not a member of this workspace
+ */
+router.get('/time/report', protect, getTimeReport);
+
 /**
  * @swagger
  * /api/tasks/{id}:
@@ -139,6 +481,7 @@ router.get('/stats', protect, getTaskStats);
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -159,6 +502,7 @@ router.get('/:id', protect, getTaskById);
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -185,6 +529,9 @@ router.get('/:id', protect, getTaskById);
  *               dueDate:
  *                 type: string
  *                 format: date-time
+ *               estimate:
+ *                 type: integer
+ *                 description: Expected effort in minutes
  *               assignedTo:
  *                 type: array
  *                 items:
@@ -193,9 +540,19 @@ router.get('/:id', protect, getTaskById);
  *                 type: array
  *                 items:
  *                   type: string
+ *               override:
+ *                 type: boolean
+ *                 description: Start or complete the task even though blocking tasks are still open
+ *               recurrence:
+ *                 description: Change how the series continues, or null to stop repeating
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/Recurrence'
+ *                   - type: string
  *     responses:
  *       200:
- *         description: Task updated successfully
+ *         description: Task updated successfully. Completing a recurring task also returns the created `nextOccurrence`.
+ *       400:
+ *         description: Validation failed, invalid recurrence, cannot complete a task with open subtasks, or blocked by open tasks
  */
 router.put('/:id', protect, updateTask);
 
@@ -207,6 +564,7 @@ router.put('/:id', protect, updateTask);
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -215,7 +573,7 @@ router.put('/:id', protect, updateTask);
  *           type: string
  *     responses:
  *       200:
- *         description: Task deleted successfully
+ *         description: Task deleted successfully, along with its subtasks
  */
 router.delete('/:id', protect, deleteTask);
 
@@ -227,6 +585,7 @@ router.delete('/:id', protect, deleteTask);
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -245,10 +604,577 @@ router.delete('/:id', protect, deleteTask);
  *               status:
  *                 type: string
  *                 enum: [todo, in_progress, completed, cancelled]
+ *               override:
+ *                 type: boolean
+ *                 description: Start or complete the task even though blocking tasks are still open
  *     responses:
  *       200:
- *         description: Status updated successfully
+ *         description: Status updated successfully. Completing a recurring task also returns the created `nextOccurrence`.
+ *       400:
+ *         description: Invalid status, cannot complete a task with open subtasks, or blocked by open tasks (listed in blockedBy)
  */
 router.put('/:id/status', protect, updateTaskStatus);
 
+/**
+ * @swagger
+ * /api/tasks/{id}/move:
+ *   put:
+ *     summary: Move a task on the board
+ *     description: Changes the task's status and position in one update and broadcasts task_moved. Without afterTaskId or beforeTaskId the task goes to the bottom of the column.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [todo, in_progress, completed, cancelled]
+ *                 description: Column to move to (defaults to the current one)
+ *               afterTaskId:
+ *                 type: string
+ *                 description: Card the task should follow
+ *               beforeTaskId:
+ *                 type: string
+ *                 description: Card the task should precede (used when afterTaskId is not given)
+ *               override:
+ *                 type: boolean
+ *                 description: Start or complete the task even though blocking tasks are still open
+ *     responses:
+ *       200:
+ *         description: Task moved. Completing a recurring task also returns the created `nextOccurrence`.
+ *       400:
+ *         description: Invalid status, neighbouring card not in that column, open subtasks, or blocked by open tasks
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task not found
+ */
+router.put('/:id/move', protect, moveTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies:
+ *   post:
+ *     summary: Mark a task as blocked by another task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - blockedBy
+ *             properties:
+ *               blockedBy:
+ *                 type: string
+ *                 description: ID of the blocking task
+ *     responses:
+ *       200:
+ *         description: Dependency added
+ *       400:
+ *         description: Invalid blocker, or the dependency would create a cycle
+ *       404:
+ *         description: Task or blocking task not found
+ */
+router.post('/:id/dependencies', protect, addTaskDependency);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies/{blockerId}:
+ *   delete:
+ *     summary: Remove a blocking task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: blockerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dependency removed
+ *       404:
+ *         description: Task or dependency not found
+ */
+router.delete('/:id/dependencies/:blockerId', protect, removeTaskDependency);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Comment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         task:
+ *           type: string
+ *         author:
+ *           type: object
+ *         content:
+ *           type: string
+ *         mentions:
+ *           type: array
+ *           description: Users mentioned with @username who can see the task
+ *           items:
+ *             type: string
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     TaskActivity:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         task:
+ *           type: string
+ *         actor:
+ *           type: object
+ *         action:
+ *           type: string
+ *           enum: [created, updated]
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               from: {}
+ *               to: {}
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments:
+ *   post:
+ *     summary: Comment on a task
+ *     description: Users mentioned as @username who can see the task get a TASK_MENTION notification.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 example: '@jane can you review this?'
+ *     responses:
+ *       201:
+ *         description: Comment added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not authorized to access this task
+ *       404:
+ *         description: Task not found
+ *   get:
+ *     summary: Get a task's comments, oldest first
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of comments
+ *       403:
+ *         description: Not authorized to access this task
+ *       404:
+ *         description: Task not found
+ */
+router.post('/:id/comments', protect, requireTaskAccess('member'), createComment);
+router.get('/:id/comments', protect, requireTaskAccess('viewer'), getComments);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit your comment
+ *     description: Only newly mentioned users are notified.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *       403:
+ *         description: Only the comment author can edit it
+ *       404:
+ *         description: Task or comment not found
+ *   delete:
+ *     summary: Delete a comment
+ *     description: Allowed for the comment author, the task owner and workspace admins.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       403:
+ *         description: Not authorized to delete this comment
+ *       404:
+ *         description: Task or comment not found
+ */
+router.put('/:id/comments/:commentId', protect, requireTaskAccess('member'), updateComment);
+router.delete('/:id/comments/:commentId', protect, requireTaskAccess('viewer'), deleteComment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/activity:
+ *   get:
+ *     summary: Get a task's activity timeline
+ *     description: Newest first. Records the task's creation and every field change made through task updates (REST or GraphQL), with who made it, when, and the old and new values.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Activity entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskActivity'
+ *       403:
+ *         description: Not authorized to access this task
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/activity', protect, getTaskActivity);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time:
+ *   post:
+ *     summary: Log time on a task by hand
+ *     description: Send startedAt and endedAt, or minutes (starting at startedAt or date, default now).
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minutes:
+ *                 type: number
+ *                 example: 90
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *               endedAt:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Time logged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TimeEntry'
+ *       400:
+ *         description: No minutes or times given, or validation failed
+ *       403:
+ *         description: Not authorized to access this task
+ *   get:
+ *     summary: Get the time logged on a task, newest first
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Time entries, including running timers, with the task's timeSpent and estimate in totals
+ */
+router.post('/:id/time', protect, requireTaskAccess('member'), createTimeEntry);
+router.get('/:id/time', protect, requireTaskAccess('viewer'), getTimeEntries);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time/start:
+ *   post:
+ *     summary: Start a timer on a task
+ *     description: You can only run one timer at a time; stop the running one first.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Timer started
+ *       400:
+ *         description: You already have a timer running (returned in data)
+ *       403:
+ *         description: Not authorized to access this task
+ */
+router.post('/:id/time/start', protect, requireTaskAccess('member'), startTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time/stop:
+ *   post:
+ *     summary: Stop your timer on a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Timer stopped and its time logged
+ *       404:
+ *         description: No timer running on this task
+ */
+router.post('/:id/time/stop', protect, requireTaskAccess('viewer'), stopTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time/{entryId}:
+ *   put:
+ *     summary: Edit your time entry
+ *     description: Running timers only take a new note.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minutes:
+ *                 type: number
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *               endedAt:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Time entry updated
+ *       403:
+ *         description: You can only edit your own time entries
+ *       404:
+ *         description: Task or time entry not found
+ *   delete:
+ *     summary: Delete a time entry
+ *     description: Allowed for the entry's user, the task owner and workspace admins.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Time entry deleted
+ *       403:
+ *         description: Not authorized to delete this time entry
+ *       404:
+ *         description: Task or time entry not found
+ */
+router.put('/:id/time/:entryId', protect, requireTaskAccess('viewer'), updateTimeEntry);
+router.delete('/:id/time/:entryId', protect, requireTaskAccess('viewer'), deleteTimeEntry);
+
 export default router;
\ No newline at end of file
@@ -5,9 +5,13 @@ import {
   updateUser,
   deleteUser,
   updateUserRole,
-  getUserStats
+  getUserStats,
+  getUserSessions,
+  revokeUserSession,
+  revokeUserSessions,
+  unlockUser
 } from '../controllers/userController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -15,7 +19,7 @@ const router = express.Router();
  * @swagger
  * tags:
  *   name: Users
- *   description: User management endpoints (Admin only)
+ *   description: User management endpoints (require the permission noted on each endpoint)
  */
 
 /**
@@ -23,6 +27,7 @@ const router = express.Router();
  * /api/users:
  *   get:
  *     summary: Get all users with pagination and filtering
+ *     description: Requires the `users:read` permission.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -61,15 +66,16 @@ const router = express.Router();
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Not authorized (admin only)
+ *         description: Missing permission
  */
-router.get('/', protect, authorize('admin'), getAllUsers);
+router.get('/', protect, requirePermission('users:read'), getAllUsers);
 
 /**
  * @swagger
  * /api/users/stats:
  *   get:
  *     summary: Get user statistics
+ *     description: Requires the `stats:view` permission.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -98,18 +104,28 @@ router.get('/', protect, authorize('admin'), getAllUsers);
  *                       type: integer
  *                     recentUsers:
  *                       type: integer
+ *                     usersByRole:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           role:
+ *                             type: string
+ *                           count:
+ *                             type: integer
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Not authorized (admin only)
+ *         description: Missing permission
  */
-router.get('/stats', protect, authorize('admin'), getUserStats);
+router.get('/stats', protect, requirePermission('stats:view'), getUserStats);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
  *     summary: Get user by ID
+ *     description: Requires the `users:read` permission.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -128,13 +144,14 @@ router.get('/stats', protect, authorize('admin'), getUserStats);
  *       401:
  *         description: Not authorized
  */
-router.get('/:id', protect, authorize('admin'), getUserById);
+router.get('/:id', protect, requirePermission('users:read'), getUserById);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   put:
  *     summary: Update user
+ *     description: Requires the `users:write` permission, and `roles:manage` to change the role.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -175,13 +192,14 @@ router.get('/:id', protect, authorize('admin'), getUserById);
  *       401:
  *         description: Not authorized
  */
-router.put('/:id', protect, authorize('admin'), updateUser);
+router.put('/:id', protect, requirePermission('users:write'), updateUser);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   delete:
  *     summary: Delete user
+ *     description: Requires the `users:delete` permission.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -202,13 +220,14 @@ router.put('/:id', protect, authorize('admin'), updateUser);
  *       401:
  *         description: Not authorized
  */
-router.delete('/:id', protect, authorize('admin'), deleteUser);
+router.delete('/:id', protect, requirePermission('users:delete'), deleteUser);
 
 /**
  * @swagger
  * /api/users/{id}/role:
  *   put:
  *     summary: Update user role
+ *     description: Requires the `roles:manage` permission.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -241,6 +260,124 @@ router.delete('/:id', protect, authorize('admin'), deleteUser);
  *       401:
  *         description: Not authorized
  */
-router.put('/:id/role', protect, authorize('admin'), updateUserRole);
+router.put('/:id/role', protect, requirePermission('roles:manage'), updateUserRole);
 
-export default router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   put:
+ *     summary: Unlock a user locked out by failed logins
+ *     description: Clears the failed login count and any login delay or lockout. Requires the `users:write` permission.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Not authorized
+ */
+router.put('/:id/unlock', protect, requirePermission('users:write'), unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions
+ *     description: Requires the `users:read` permission.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: List of sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Not authorized
+ *   delete:
+ *     summary: Revoke all of a user's sessions
+ *     description: Signs the user out on every device. Admins revoking their own sessions keep the current one. Requires the `users:write` permission.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/:id/sessions', protect, requirePermission('users:read'), getUserSessions);
+router.delete('/:id/sessions', protect, requirePermission('users:write'), revokeUserSessions);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of a user's sessions
+ *     description: Requires the `users:write` permission.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: User or session not found
+ *       401:
+ *         description: Not authorized
+ */
+router.delete('/:id/sessions/:sessionId', protect, requirePermission('users:write'), revokeUserSession);
+
+export default router;
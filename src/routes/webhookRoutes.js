@@ -0,0 +1,320 @@
+import express from 'express';
+import {
+  getWebhookEvents,
+  createWebhook,
+  getWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery
+} from '../controllers/webhookController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *           example: https://ci.example.com/hooks/vephla
+ *         description:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [task.created, task.status_changed]
+ *         scope:
+ *           type: string
+ *           enum: [personal, workspace, all]
+ *         workspace:
+ *           type: string
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         webhook:
+ *           type: string
+ *         event:
+ *           type: string
+ *         payload:
+ *           type: object
+ *           description: Request body as posted ({ id, event, createdAt, data })
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: integer
+ *               error:
+ *                 type: string
+ *               durationMs:
+ *                 type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         redeliveryOf:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/webhooks/events:
+ *   get:
+ *     summary: List the events webhooks can subscribe to
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Event names with descriptions
+ */
+router.get('/events', protect, getWebhookEvents);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: |
+ *       The response includes the secret deliveries are signed with. Copy it
+ *       straight away, it is not shown again.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               scope:
+ *                 type: string
+ *                 enum: [personal, workspace, all]
+ *                 default: personal
+ *                 description: workspace needs admin rights in `workspace`; all needs the webhooks:manage permission
+ *               workspace:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Webhook created, with its `secret`
+ *       400:
+ *         description: Validation failed, events not an array or webhook limit reached
+ *       403:
+ *         description: Not allowed to use this scope
+ *   get:
+ *     summary: List your webhooks
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ */
+router.post('/', protect, createWebhook);
+router.get('/', protect, getWebhooks);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *       400:
+ *         description: Validation failed or events not an array
+ *       404:
+ *         description: Webhook not found
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       404:
+ *         description: Webhook not found
+ */
+router.put('/:id', protect, updateWebhook);
+router.delete('/:id', protect, deleteWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get a webhook's deliveries, newest first
+ *     description: Deliveries are kept for 30 days.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/deliveries', protect, getWebhookDeliveries);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again
+ *     description: Posts the same payload again as a new delivery, with a new signature.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Redelivery scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Webhook is disabled
+ *       404:
+ *         description: Webhook or delivery not found
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', protect, redeliverWebhookDelivery);
+
+export default router;
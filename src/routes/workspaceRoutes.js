@@ -0,0 +1,445 @@
+import express from 'express';
+import {
+  createWorkspace,
+  getWorkspaces,
+  getWorkspaceById,
+  updateWorkspace,
+  deleteWorkspace,
+  updateMemberRole,
+  removeMember,
+  inviteMember,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation
+} from '../controllers/workspaceController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WorkspaceMember:
+ *       type: object
+ *       properties:
+ *         user:
+ *           type: string
+ *           description: User id (populated with username and email on GET /api/workspaces/{id})
+ *         role:
+ *           type: string
+ *           enum: [viewer, member, admin, owner]
+ *         joinedAt:
+ *           type: string
+ *           format: date-time
+ *     Workspace:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Marketing
+ *         description:
+ *           type: string
+ *         owner:
+ *           type: string
+ *         members:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WorkspaceMember'
+ *         role:
+ *           type: string
+ *           description: The current user's role in the workspace
+ *           enum: [viewer, member, admin, owner]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     WorkspaceInvitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [viewer, member, admin]
+ *         invitedBy:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/workspaces/invitations/{token}:
+ *   post:
+ *     summary: Accept a workspace invitation
+ *     description: The token comes from the invitation email. The invitation must have been sent to the current user's email address.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Joined the workspace
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Workspace'
+ *       400:
+ *         description: Invitation is invalid or has expired
+ *       403:
+ *         description: Invitation was sent to a different email address
+ */
+router.post('/invitations/:token', protect, acceptInvitation);
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   post:
+ *     summary: Create a workspace
+ *     description: The creator becomes the workspace owner.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Workspace created successfully
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/', protect, createWorkspace);
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   get:
+ *     summary: List the workspaces the current user belongs to
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of workspaces with the caller's role in each
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Workspace'
+ */
+router.get('/', protect, getWorkspaces);
+
+/**
+ * @swagger
+ * /api/workspaces/{id}:
+ *   get:
+ *     summary: Get a workspace and its members
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Workspace details
+ *       404:
+ *         description: Workspace not found (or caller is not a member)
+ */
+router.get('/:id', protect, getWorkspaceById);
+
+/**
+ * @swagger
+ * /api/workspaces/{id}:
+ *   put:
+ *     summary: Rename or describe a workspace
+ *     description: Requires the workspace admin or owner role.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Workspace updated successfully
+ *       403:
+ *         description: Not a workspace admin
+ *       404:
+ *         description: Workspace not found
+ */
+router.put('/:id', protect, updateWorkspace);
+
+/**
+ * @swagger
+ * /api/workspaces/{id}:
+ *   delete:
+ *     summary: Delete an empty workspace
+ *     description: Only the owner can delete a workspace, and only once its notes, tasks and files are gone.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Workspace deleted successfully
+ *       400:
+ *         description: Workspace still contains notes, tasks or files
+ *       403:
+ *         description: Not the workspace owner
+ *       404:
+ *         description: Workspace not found
+ */
+router.delete('/:id', protect, deleteWorkspace);
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's workspace role
+ *     description: Requires the workspace admin role. Only the owner can grant or change the admin role.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, member, admin]
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *       400:
+ *         description: Invalid role, or the target is the owner
+ *       403:
+ *         description: Not allowed to manage this member
+ *       404:
+ *         description: Workspace or member not found
+ */
+router.put('/:id/members/:userId', protect, updateMemberRole);
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member, or leave the workspace
+ *     description: Admins can remove viewers and members; only the owner can remove admins. Any member can remove themselves. The owner cannot be removed.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: The owner cannot be removed
+ *       403:
+ *         description: Not allowed to remove this member
+ *       404:
+ *         description: Workspace or member not found
+ */
+router.delete('/:id/members/:userId', protect, removeMember);
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/invitations:
+ *   post:
+ *     summary: Invite someone to the workspace by email
+ *     description: Requires the workspace admin role; only the owner can invite admins. Sending a new invitation to the same address replaces the previous one.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, member, admin]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/WorkspaceInvitation'
+ *       400:
+ *         description: Invalid email or role, or already a member
+ *       403:
+ *         description: Not a workspace admin
+ *       500:
+ *         description: Invitation email could not be sent
+ */
+router.post('/:id/invitations', protect, inviteMember);
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/invitations:
+ *   get:
+ *     summary: List pending invitations
+ *     description: Requires the workspace admin role.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WorkspaceInvitation'
+ */
+router.get('/:id/invitations', protect, getInvitations);
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     description: Requires the workspace admin role.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Workspace or invitation not found
+ */
+router.delete('/:id/invitations/:invitationId', protect, revokeInvitation);
+
+export default router;
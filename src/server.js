@@ -2,7 +2,14 @@ import http from 'http';
 import app from './app.js';
 import connectDB from './config/db.js';
 import logger from './utils/logger.js';
+import User from './models/User.js';
+import Task from './models/Task.js';
 import { initSocket } from './config/socket.js';
+import { initGraphQLSubscriptions } from './config/graphqlSubscriptions.js';
+import { startScheduler } from './services/schedulerService.js';
+import { registerReminderJobs } from './services/reminderService.js';
+import { registerNotificationJobs } from './services/notificationService.js';
+import { registerWebhookJobs } from './services/webhookService.js';
 
 // Connect to database
 connectDB();
@@ -11,6 +18,23 @@ const PORT = process.env.PORT || 5000;
 
 const httpServer = http.createServer(app);
 const io = initSocket(httpServer);
+initGraphQLSubscriptions(httpServer);
+
+// Carry over settings from before notification preferences
+User.migrateReminderEmailPreferences()
+  .then(count => count > 0 && logger.info(`Moved reminder email settings of ${count} users to notification preferences`))
+  .catch(error => logger.error('Could not migrate reminder email settings:', error.message));
+
+// Give board positions to cards from before boards existed
+Task.assignMissingPositions()
+  .then(count => count > 0 && logger.info(`Numbered ${count} board columns with cards missing a position`))
+  .catch(error => logger.error('Could not number board columns:', error.message));
+
+// Background jobs such as task reminders, notification emails and webhooks
+registerReminderJobs();
+registerNotificationJobs();
+registerWebhookJobs();
+startScheduler();
 
 const server = httpServer.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import logger from '../utils/logger.js';
+
+/**
+ * Mail transports share one shape: { name, send({ to, subject, text, html }) }.
+ * The active transport is picked from MAIL_TRANSPORT (console, file or smtp)
+ * and can be swapped at runtime with setMailTransport (e.g. in tests).
+ * Without MAIL_TRANSPORT, development logs mail and everything else writes files.
+ */
+
+// Log messages instead of sending them (local development). Bodies carry
+// reset, verification and invite links, so they stay out of logs elsewhere.
+const consoleTransport = () => ({
+    name: 'console',
+    send: async (mail) => {
+        const body = process.env.NODE_ENV === 'development'
+            ? mail.text
+            : '(body not logged outside development)';
+
+        logger.info(`Mail to ${mail.to}: ${mail.subject}\n${body}`);
+        return { accepted: [mail.to] };
+    }
+});
+
+// Write each message as a JSON file (local development and tests)
+const fileTransport = () => {
+    const dir = process.env.MAIL_FILE_PATH || path.join(process.cwd(), 'tmp', 'mail');
+
+    return {
+        name: 'file',
+        send: async (mail) => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`);
+            await fs.promises.writeFile(file, JSON.stringify({ ...mail, sentAt: new Date() }, null, 2));
+            return { accepted: [mail.to], file };
+        }
+    };
+};
+
+// Deliver through an SMTP server
+const smtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: (mail) => transporter.sendMail(mail)
+    };
+};
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport,
+    smtp: smtpTransport
+};
+
+let activeTransport;
+
+/**
+ * Create a transport by name
+ * @param {string} name - console, file or smtp
+ */
+export const createMailTransport = (name) => {
+    const factory = transports[name];
+    if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return factory();
+};
+
+/**
+ * Replace the active transport
+ * @param {{ name?: string, send: Function }} transport
+ */
+export const setMailTransport = (transport) => {
+    activeTransport = transport;
+};
+
+const getMailTransport = () => {
+    if (!activeTransport) {
+        const defaultTransport = process.env.NODE_ENV === 'development' ? 'console' : 'file';
+        activeTransport = createMailTransport(process.env.MAIL_TRANSPORT || defaultTransport);
+    }
+    return activeTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {object} mail
+ * @param {string} mail.to
+ * @param {string} mail.subject
+ * @param {string} mail.text
+ * @param {string} [mail.html]
+ */
+export const sendMail = async (mail) => {
+    const transport = getMailTransport();
+    const message = {
+        from: process.env.MAIL_FROM || 'Vephla Productivity Suite <no-reply@vephla.local>',
+        ...mail
+    };
+
+    const info = await transport.send(message);
+    logger.info(`Mail sent via ${transport.name || 'custom'} transport to ${mail.to}: ${mail.subject}`);
+    return info;
+};
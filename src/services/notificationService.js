@@ -0,0 +1,66 @@
+import Job from '../models/Job.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { sendMail } from './mailService.js';
+import { registerJobHandler } from './schedulerService.js';
+
+/**
+ * Email delivery of notifications. socketService.js decides who gets a
+ * notification on which channel; sending emails is left to scheduled jobs, so
+ * it can wait for quiet hours or a daily digest and is retried when it fails.
+ * The webhook channel goes through webhookService.js.
+ */
+
+const EMAIL_JOB = 'notification_email';
+
+/**
+ * Email a user the notifications queued for them at a time. Notifications
+ * queued before then go out in the same email.
+ * @param {object} delivery
+ * @param {string} delivery.user - User ID
+ * @param {Date} delivery.sendAt
+ * @param {boolean} [delivery.digest] - Sent as the daily digest
+ */
+export const scheduleNotificationEmail = ({ user, sendAt, digest = false }) => Job.schedule({
+    type: EMAIL_JOB,
+    key: `${EMAIL_JOB}:${user}:${sendAt.getTime()}`,
+    runAt: sendAt,
+    data: { user: user.toString(), digest }
+});
+
+const emailSubject = (notifications, digest) => {
+    if (digest) return `Your daily digest: ${notifications.length} notification${notifications.length === 1 ? '' : 's'}`;
+    if (notifications.length === 1) return notifications[0].message;
+    return `${notifications.length} new notifications`;
+};
+
+const sendQueuedEmail = async (job) => {
+    const { user: userId, digest } = job.data;
+
+    const user = await User.findById(userId).select('username email isActive');
+    const notifications = await Notification.find({ emailQueue: userId }).sort({ _id: 1 });
+
+    if (notifications.length === 0) return;
+
+    if (user?.isActive) {
+        await sendMail({
+            to: user.email,
+            subject: emailSubject(notifications, digest),
+            text: `Hi ${user.username},\n\n` +
+                notifications.map(notification => `- ${notification.message} (${notification.createdAt.toUTCString()})`).join('\n') +
+                '\n\nYou can change which notifications you get by email in your notification preferences.'
+        });
+    }
+
+    await Notification.updateMany(
+        { _id: { $in: notifications.map(notification => notification._id) } },
+        { $pull: { emailQueue: userId } }
+    );
+};
+
+/**
+ * Register the notification email job handler with the scheduler
+ */
+export const registerNotificationJobs = () => {
+    registerJobHandler(EMAIL_JOB, sendQueuedEmail);
+};
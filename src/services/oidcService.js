@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import logger from '../utils/logger.js';
+
+/**
+ * OpenID Connect client for single sign-on with any standards-compliant
+ * provider (authorization code flow with PKCE). Configured through env:
+ * OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET (optional for public
+ * clients), OIDC_REDIRECT_URI and OIDC_SCOPES.
+ */
+
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Provider metadata and signing keys, cached per issuer
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Read the OIDC settings from the environment
+ * @returns {{ issuer: string, clientId: string, clientSecret?: string, redirectUri?: string, scopes: string }}
+ */
+export const getOidcConfig = () => ({
+    issuer: process.env.OIDC_ISSUER?.replace(/\/+$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile'
+});
+
+/**
+ * Whether single sign-on is configured
+ * @returns {boolean}
+ */
+export const isOidcEnabled = () => {
+    const { issuer, clientId } = getOidcConfig();
+    return Boolean(issuer && clientId);
+};
+
+/**
+ * Forget cached provider metadata and keys (e.g. after a key rotation in tests)
+ */
+export const resetOidcCache = () => {
+    discoveryCache.clear();
+    jwksCache.clear();
+};
+
+const fetchJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const detail = body.error_description || body.error || response.statusText;
+        throw new Error(`OIDC request to ${url} failed (${response.status}): ${detail}`);
+    }
+
+    return body;
+};
+
+/**
+ * Fetch the provider's discovery document
+ * @returns {Promise<object>}
+ */
+const discover = async () => {
+    const { issuer } = getOidcConfig();
+
+    if (!discoveryCache.has(issuer)) {
+        const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+        if (metadata.issuer?.replace(/\/+$/, '') !== issuer) {
+            throw new Error(`OIDC discovery issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+        }
+
+        discoveryCache.set(issuer, metadata);
+    }
+
+    return discoveryCache.get(issuer);
+};
+
+/**
+ * Find the public key for a key id, refetching the JWKS once so rotated keys are picked up
+ * @param {string} kid
+ * @returns {Promise<crypto.KeyObject>}
+ */
+const getSigningKey = async (kid) => {
+    const { jwks_uri: jwksUri } = await discover();
+
+    const findKey = () => (jwksCache.get(jwksUri) || []).find(
+        key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig')
+    );
+
+    if (!findKey()) {
+        const { keys = [] } = await fetchJson(jwksUri);
+        jwksCache.set(jwksUri, keys);
+    }
+
+    const jwk = findKey();
+    if (!jwk) {
+        throw new Error(`No OIDC signing key found for kid ${kid}`);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Start an authorization code + PKCE login
+ * @param {string} redirectUri - Callback URL registered with the provider
+ * @returns {Promise<{ url: string, state: string, nonce: string, codeVerifier: string }>}
+ */
+export const createAuthorizationRequest = async (redirectUri) => {
+    const { clientId, scopes } = getOidcConfig();
+    const metadata = await discover();
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    }).toString();
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+/**
+ * Validate an ID token's signature and claims
+ * @param {string} idToken
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<object>} The token claims
+ */
+export const verifyIdToken = async (idToken, nonce) => {
+    const { issuer, clientId } = getOidcConfig();
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded || !SIGNING_ALGORITHMS.includes(decoded.header.alg)) {
+        throw new Error('OIDC ID token is malformed or uses an unsupported algorithm');
+    }
+
+    const key = await getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+        algorithms: SIGNING_ALGORITHMS,
+        issuer: [issuer, `${issuer}/`],
+        audience: clientId
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error('OIDC ID token nonce mismatch');
+    }
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+        throw new Error('OIDC ID token was issued to another client');
+    }
+
+    return claims;
+};
+
+/**
+ * Exchange an authorization code and return the verified identity claims
+ * @param {object} params
+ * @param {string} params.code
+ * @param {string} params.codeVerifier
+ * @param {string} params.nonce
+ * @param {string} params.redirectUri
+ * @returns {Promise<object>} ID token claims, completed from the userinfo endpoint when needed
+ */
+export const completeAuthorization = async ({ code, codeVerifier, nonce, redirectUri }) => {
+    const { clientId, clientSecret } = getOidcConfig();
+    const metadata = await discover();
+
+    const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+        client_id: clientId
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    // Confidential clients authenticate with client_secret_basic
+    if (clientSecret) {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params });
+
+    if (!tokens.id_token) {
+        throw new Error('OIDC token response did not include an ID token');
+    }
+
+    const claims = await verifyIdToken(tokens.id_token, nonce);
+
+    // Some providers only return the email from the userinfo endpoint
+    if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+        try {
+            const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+                headers: { Authorization: `Bearer ${tokens.access_token}` }
+            });
+
+            if (userInfo.sub === claims.sub) {
+                return { ...userInfo, ...claims, email: userInfo.email, email_verified: userInfo.email_verified };
+            }
+        } catch (error) {
+            logger.warn(`OIDC userinfo request failed: ${error.message}`);
+        }
+    }
+
+    return claims;
+};
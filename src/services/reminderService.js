@@ -0,0 +1,183 @@
+import Job from '../models/Job.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+import { getIO } from '../config/socket.js';
+import { notifyUser } from './socketService.js';
+import { registerJobHandler } from './schedulerService.js';
+
+/**
+ * Due date reminders for tasks. Each participant (owner and assignees) gets
+ * a scheduled job per reminder offset in their preferences, plus one for
+ * when the task becomes overdue. Jobs are keyed by task, user and due date,
+ * so rescheduling never sends the same reminder twice.
+ */
+
+const REMINDER_JOB = 'task_reminder';
+const OVERDUE_JOB = 'task_overdue';
+const JOB_TYPES = [REMINDER_JOB, OVERDUE_JOB];
+
+const OPEN_STATUSES = ['todo', 'in_progress'];
+
+// Task fields that decide who is reminded and when
+const REMINDER_FIELDS = ['dueDate', 'status', 'assignedTo'];
+
+const participantIds = (task) => [...new Set(
+    [task.owner, ...task.assignedTo].map(user => (user._id || user).toString())
+)];
+
+/**
+ * Describe a reminder offset, e.g. "1 day", "2 hours" or "90 minutes"
+ * @param {number} minutes
+ * @returns {string}
+ */
+const formatOffset = (minutes) => {
+    const [unit, size] = [['day', 24 * 60], ['hour', 60], ['minute', 1]]
+        .find(([, size]) => minutes % size === 0);
+    const count = minutes / size;
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+/**
+ * Bring a task's reminder jobs in line with its due date, status and
+ * participants. Errors are logged rather than thrown so they never fail the
+ * change that triggered them.
+ * @param {object} task - Task document after the change
+ * @param {string[]} [changes] - Modified paths; nothing happens unless one affects reminders
+ */
+export const syncTaskReminders = async (task, changes) => {
+    if (changes && !changes.some(path => REMINDER_FIELDS.includes(path.split('.')[0]))) return;
+
+    const taskId = task._id.toString();
+
+    try {
+        const jobs = [];
+
+        if (OPEN_STATUSES.includes(task.status) && task.dueDate) {
+            const dueAt = task.dueDate.getTime();
+            const now = Date.now();
+
+            const users = await User.find({ _id: { $in: participantIds(task) }, isActive: true })
+                .select('reminderPreferences');
+
+            users.forEach(user => {
+                const preferences = user.reminderPreferences;
+                if (!preferences.enabled) return;
+
+                const userId = user._id.toString();
+                const data = { task: taskId, user: userId, dueDate: task.dueDate };
+
+                [...new Set(preferences.offsets)].forEach(offset => {
+                    const runAt = new Date(dueAt - offset * 60000);
+                    if (runAt <= now) return;
+
+                    jobs.push({
+                        type: REMINDER_JOB,
+                        key: `${REMINDER_JOB}:${taskId}:${userId}:${dueAt}:${offset}`,
+                        runAt,
+                        data: { ...data, offset }
+                    });
+                });
+
+                if (preferences.overdue && dueAt > now) {
+                    jobs.push({
+                        type: OVERDUE_JOB,
+                        key: `${OVERDUE_JOB}:${taskId}:${userId}:${dueAt}`,
+                        runAt: task.dueDate,
+                        data
+                    });
+                }
+            });
+        }
+
+        // Jobs already due are left to run; they check whether they still apply
+        await Job.cancel({
+            type: { $in: JOB_TYPES },
+            'data.task': taskId,
+            key: { $nin: jobs.map(job => job.key) },
+            runAt: { $gt: new Date() }
+        });
+        await Promise.all(jobs.map(job => Job.schedule(job)));
+    } catch (error) {
+        logger.error(`Could not schedule reminders for task ${taskId}:`, error.message);
+    }
+};
+
+/**
+ * Cancel the reminders of deleted tasks
+ * @param {Array<string|import('mongoose').Types.ObjectId>} taskIds
+ */
+export const cancelTaskReminders = async (taskIds) => {
+    try {
+        await Job.cancel({ type: { $in: JOB_TYPES }, 'data.task': { $in: taskIds.map(String) } });
+    } catch (error) {
+        logger.error('Could not cancel task reminders:', error.message);
+    }
+};
+
+/**
+ * Reschedule reminders for every open task a user is on, e.g. after they
+ * change their reminder preferences
+ * @param {string} userId
+ */
+export const rescheduleUserReminders = async (userId) => {
+    const tasks = await Task.find({
+        $or: [{ owner: userId }, { assignedTo: userId }],
+        status: { $in: OPEN_STATUSES },
+        dueDate: { $gt: new Date() }
+    }).select('owner assignedTo status dueDate');
+
+    for (const task of tasks) {
+        await syncTaskReminders(task);
+    }
+};
+
+/**
+ * Load what a reminder job is about, or null when it no longer applies
+ * (task done or deleted, due date moved, user removed or opted out)
+ */
+const loadReminder = async (job) => {
+    const { task: taskId, user: userId, dueDate } = job.data;
+
+    const [task, user] = await Promise.all([
+        Task.findById(taskId).select('title owner assignedTo status dueDate'),
+        User.findById(userId).select('isActive reminderPreferences')
+    ]);
+
+    const stillApplies = task && user && user.isActive && user.reminderPreferences.enabled &&
+        OPEN_STATUSES.includes(task.status) &&
+        task.dueDate?.getTime() === new Date(dueDate).getTime() &&
+        participantIds(task).includes(userId);
+
+    return stillApplies ? { task, user } : null;
+};
+
+// Sent on the channels the user chose for reminders in their notification preferences
+const sendReminder = ({ task, user }, type, message) => notifyUser(getIO(), user._id, {
+    type,
+    message,
+    data: { taskId: task._id, title: task.title, dueDate: task.dueDate }
+});
+
+/**
+ * Register the reminder job handlers with the scheduler
+ */
+export const registerReminderJobs = () => {
+    registerJobHandler(REMINDER_JOB, async (job) => {
+        const reminder = await loadReminder(job);
+        if (!reminder) return;
+
+        await sendReminder(
+            reminder,
+            'TASK_DUE_SOON',
+            `Task "${reminder.task.title}" is due in ${formatOffset(job.data.offset)}`
+        );
+    });
+
+    registerJobHandler(OVERDUE_JOB, async (job) => {
+        const reminder = await loadReminder(job);
+        if (!reminder || !reminder.user.reminderPreferences.overdue) return;
+
+        await sendReminder(reminder, 'TASK_OVERDUE', `Task "${reminder.task.title}" is overdue`);
+    });
+};
@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import os from 'os';
+import Job from '../models/Job.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Background job runner. Jobs are persisted (see models/Job.js) and every
+ * instance polls for due ones; claiming a job is atomic, so each runs on one
+ * instance only. Failed jobs are retried with exponential backoff.
+ * Configured through SCHEDULER_ENABLED and SCHEDULER_INTERVAL_MS.
+ */
+
+// Identifies this instance in job locks
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// A job not finished within this time is considered abandoned and picked up again
+const LOCK_MS = 5 * 60 * 1000;
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+const handlers = new Map();
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type
+ * @param {(job: object) => Promise<void>} handler - Throw to have the job retried
+ */
+export const registerJobHandler = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+/**
+ * Delay before retrying a job that failed `attempts` times: 30s, 1m, 2m, ... capped at 6h
+ * @param {number} attempts
+ * @returns {number} Milliseconds
+ */
+export const backoffDelay = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+
+const finish = (job, update) => Job.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    { $set: update, $unset: { lockedBy: 1, lockedUntil: 1 } }
+);
+
+const runJob = async (job) => {
+    const handler = handlers.get(job.type);
+
+    try {
+        if (!handler) {
+            throw new Error(`No handler registered for job type ${job.type}`);
+        }
+        // Abandoned by an instance that crashed too often
+        if (job.attempts > job.maxAttempts) {
+            throw new Error('Job ran out of attempts');
+        }
+
+        await handler(job);
+        await finish(job, { status: 'completed', finishedAt: new Date() });
+    } catch (error) {
+        const retry = handler && job.attempts < job.maxAttempts;
+
+        logger.error(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}): ${error.message}`);
+
+        await finish(job, retry
+            ? { status: 'pending', runAt: new Date(Date.now() + backoffDelay(job.attempts)), lastError: error.message }
+            : { status: 'failed', finishedAt: new Date(), lastError: error.message });
+    }
+};
+
+/**
+ * Run jobs that are due, one at a time
+ * @param {object} [options]
+ * @param {number} [options.limit=100] - Most jobs to run in this call
+ * @returns {Promise<number>} Jobs run
+ */
+export const runDueJobs = async ({ limit = 100 } = {}) => {
+    let ran = 0;
+
+    while (ran < limit) {
+        const job = await Job.claimNext(WORKER_ID, LOCK_MS);
+        if (!job) break;
+
+        await runJob(job);
+        ran += 1;
+    }
+
+    return ran;
+};
+
+const tick = async () => {
+    // A slow batch delays the next one rather than overlapping it
+    if (ticking) return;
+    ticking = true;
+
+    try {
+        await runDueJobs();
+    } catch (error) {
+        logger.error('Scheduler error:', error.message);
+    } finally {
+        ticking = false;
+    }
+};
+
+/**
+ * Start polling for due jobs, unless SCHEDULER_ENABLED=false
+ */
+export const startScheduler = () => {
+    if (timer || process.env.SCHEDULER_ENABLED === 'false') return;
+
+    const intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 30000;
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+
+    logger.info(`Scheduler started on ${WORKER_ID}, polling every ${intervalMs}ms`);
+};
+
+/**
+ * Stop polling (jobs already running finish)
+ */
+export const stopScheduler = () => {
+    clearInterval(timer);
+    timer = null;
+};
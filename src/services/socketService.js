@@ -1,8 +1,77 @@
+import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
+import Message from '../models/Message.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import Room from '../models/Room.js';
+import Task from '../models/Task.js';
+import Workspace from '../models/Workspace.js';
+import { publish, TOPICS } from '../graphql/pubsub.js';
+import { scheduleNotificationEmail } from './notificationService.js';
+import { emitNotificationEvent } from './webhookService.js';
 
 // Store active users: userId -> [socketId]
 const activeUsers = new Map();
 
+// Most notifications sent to a reconnecting socket; older ones stay in the inbox
+const MAX_REPLAYED_NOTIFICATIONS = 100;
+
+/**
+ * Find a chat room by name, creating a public room owned by the user
+ * when the name is free. Reserved names are never created implicitly.
+ * @param {string} name
+ * @param {string} userId
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+const findOrCreateRoom = async (name, userId) => {
+    if (!name || typeof name !== 'string') return null;
+
+    const room = await Room.findOne({ name });
+    if (room || Room.isReservedName(name)) return room;
+
+    try {
+        return await Room.create({
+            name,
+            visibility: 'public',
+            owner: userId,
+            members: [userId]
+        });
+    } catch (error) {
+        // Another socket created it first
+        if (error.code === 11000) return Room.findOne({ name });
+        throw error;
+    }
+};
+
+/**
+ * Check whether a user may join a task room (owner, assignee or workspace member)
+ * @param {string} name - Room name in the form task:<taskId>
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const canJoinTaskRoom = async (name, userId) => {
+    const taskId = name.slice('task:'.length);
+    if (!mongoose.Types.ObjectId.isValid(taskId)) return false;
+
+    const task = await Task.findById(taskId).select('owner assignedTo workspace parent');
+    if (!task) return false;
+
+    return task.isAccessibleBy(userId);
+};
+
+/**
+ * Check whether a user may join a workspace room (any workspace member)
+ * @param {string} name - Room name in the form workspace:<workspaceId>
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const canJoinWorkspaceRoom = async (name, userId) => {
+    const workspaceId = name.slice('workspace:'.length);
+    if (!mongoose.Types.ObjectId.isValid(workspaceId)) return false;
+
+    return Workspace.hasRole(workspaceId, userId);
+};
+
 /**
  * Handle new socket connection
  * @param {import('socket.io').Socket} socket 
@@ -12,6 +81,7 @@ export const handleSocketConnection = (socket, io) => {
 
     // -- Events --
     const userId = socket.user.id;
+    const displayName = socket.user.username || socket.user.email;
     logger.info(`User authenticated: ${userId} with socket ${socket.id}`);
 
     // Add to active users
@@ -23,13 +93,62 @@ export const handleSocketConnection = (socket, io) => {
     // Join a room specific to this user for private notifications
     socket.join(`user:${userId}`);
 
+    // Clients reconnect with the id of the last notification they received
+    replayNotifications(socket, userId, socket.handshake.auth?.lastNotificationId);
+
     // Broadcast active status (optional)
     io.emit('user_status', { userId, status: 'online' });
 
     // Join Room
-    socket.on('join_room', (room) => {
-        socket.join(room);
-        logger.info(`Socket ${socket.id} joined room ${room}`);
+    socket.on('join_room', async (name) => {
+        try {
+            // Task rooms are backed by the task itself rather than a Room document
+            if (typeof name === 'string' && name.startsWith('task:')) {
+                if (!(await canJoinTaskRoom(name, userId))) {
+                    return socket.emit('room_error', { room: name, message: 'Not authorized to join this task' });
+                }
+
+                socket.join(name);
+                socket.emit('room_joined', { room: name, visibility: 'task' });
+                logger.info(`Socket ${socket.id} joined task room ${name}`);
+                return;
+            }
+
+            // Workspace rooms carry board updates for everyone in the workspace
+            if (typeof name === 'string' && name.startsWith('workspace:')) {
+                if (!(await canJoinWorkspaceRoom(name, userId))) {
+                    return socket.emit('room_error', { room: name, message: 'Not authorized to join this workspace' });
+                }
+
+                socket.join(name);
+                socket.emit('room_joined', { room: name, visibility: 'workspace' });
+                logger.info(`Socket ${socket.id} joined workspace room ${name}`);
+                return;
+            }
+
+            const room = await findOrCreateRoom(name, userId);
+
+            if (!room) {
+                return socket.emit('room_error', { room: name, message: 'Room not found' });
+            }
+
+            if (!room.canAccess(userId)) {
+                logger.warn(`Socket ${socket.id} denied access to room ${name}`);
+                return socket.emit('room_error', { room: name, message: 'Not authorized to join this room' });
+            }
+
+            // Joining a public room makes the user a member
+            if (!room.isMember(userId)) {
+                await Room.updateOne({ _id: room._id }, { $addToSet: { members: userId } });
+            }
+
+            socket.join(room.name);
+            socket.emit('room_joined', { room: room.name, visibility: room.visibility });
+            logger.info(`Socket ${socket.id} joined room ${room.name}`);
+        } catch (error) {
+            logger.error('Join room error:', error.message);
+            socket.emit('room_error', { room: name, message: 'Could not join room' });
+        }
     });
 
     // Leave Room
@@ -39,28 +158,48 @@ export const handleSocketConnection = (socket, io) => {
     });
 
     // Chat Message
-    socket.on('send_message', (data) => {
-        const { room, message, senderId, senderName } = data;
-
-        // Broadcast to room (excluding sender if needed, but usually include for confirm)
-        io.to(room).emit('receive_message', {
-            room,
-            message,
-            senderId,
-            senderName,
-            timestamp: new Date()
-        });
+    socket.on('send_message', async (data) => {
+        const { room, message } = data || {};
+
+        try {
+            const chatRoom = await Room.findOne({ name: room });
+
+            if (!chatRoom || !chatRoom.canAccess(userId)) {
+                return socket.emit('message_error', {
+                    room,
+                    message: 'Not authorized to send messages to this room'
+                });
+            }
+
+            const saved = await Message.create({
+                room,
+                content: message,
+                sender: userId,
+                senderName: displayName
+            });
+
+            // Broadcast to room (excluding sender if needed, but usually include for confirm)
+            broadcastMessage(io, saved.toPayload());
+        } catch (error) {
+            logger.error('Send message error:', error.message);
+            socket.emit('message_error', {
+                room,
+                message: 'Message could not be sent'
+            });
+        }
     });
 
-    // Typing Indicator
+    // Typing Indicator (only relayed to rooms this socket has joined)
     socket.on('typing', (data) => {
-        const { room, user } = data;
-        socket.to(room).emit('user_typing', { room, user });
+        const { room } = data || {};
+        if (!socket.rooms.has(room)) return;
+        socket.to(room).emit('user_typing', { room, user: displayName });
     });
 
     socket.on('stop_typing', (data) => {
-        const { room, user } = data;
-        socket.to(room).emit('user_stop_typing', { room, user });
+        const { room } = data || {};
+        if (!socket.rooms.has(room)) return;
+        socket.to(room).emit('user_stop_typing', { room, user: displayName });
     });
 
     // Disconnect
@@ -82,23 +221,346 @@ export const handleSocketConnection = (socket, io) => {
 };
 
 /**
- * Send notification to a specific user
+ * Send a user the notifications they missed: those newer than the last one
+ * they received, oldest first
+ * @param {import('socket.io').Socket} socket
+ * @param {string} userId
+ * @param {string} [lastNotificationId]
+ */
+const replayNotifications = async (socket, userId, lastNotificationId) => {
+    if (!lastNotificationId || !mongoose.Types.ObjectId.isValid(lastNotificationId)) return;
+
+    try {
+        const missed = await Notification.find({
+            ...Notification.inboxFilter(userId),
+            _id: { $gt: lastNotificationId }
+        })
+            .sort({ _id: 1 })
+            .limit(MAX_REPLAYED_NOTIFICATIONS);
+
+        missed.forEach(notification => socket.emit('notification', {
+            ...notification.toPayload(userId),
+            replayed: true
+        }));
+
+        if (missed.length > 0) {
+            logger.info(`Replayed ${missed.length} notifications to socket ${socket.id}`);
+        }
+    } catch (error) {
+        logger.error('Notification replay error:', error.message);
+    }
+};
+
+/**
+ * Users a room notification is stored for: the user of a user room, the
+ * owner and assignees of a task room, workspace members or chat room members
+ * @param {string} roomId
+ * @returns {Promise<string[]>}
+ */
+const findRoomRecipients = async (roomId) => {
+    const [prefix, id] = roomId.split(':');
+
+    if (['user', 'task', 'workspace'].includes(prefix) && !mongoose.Types.ObjectId.isValid(id)) return [];
+
+    if (prefix === 'user') return [id];
+
+    if (prefix === 'task') {
+        const task = await Task.findById(id).select('owner assignedTo');
+        return task ? [task.owner, ...task.assignedTo] : [];
+    }
+
+    if (prefix === 'workspace') {
+        const workspace = await Workspace.findById(id).select('members.user');
+        return workspace ? workspace.members.map(member => member.user) : [];
+    }
+
+    const room = await Room.findOne({ name: roomId }).select('members');
+    return room ? room.members : [];
+};
+
+/**
+ * Build the stored notification, with `data` in the form clients receive it
+ * @param {object} notification - { type, message, data }
+ * @param {string} [room]
+ */
+const buildNotification = ({ type, message, data }, room) => new Notification({
+    type,
+    message,
+    data: data === undefined ? undefined : JSON.parse(JSON.stringify(data)),
+    room
+});
+
+/**
+ * Deliver a notification to users on the channels they chose for its type
+ * (see User#getNotificationChannels). In-app notifications are stored in the
+ * inbox and sent live, except during quiet hours. Emails wait for the digest
+ * or the end of quiet hours, and webhooks (see webhookService.js) for the end
+ * of quiet hours.
+ * Failures are logged rather than thrown.
+ * @param {object} notification - { type, message, data }
+ * @param {Array<string|import('mongoose').Types.ObjectId>} userIds
+ * @param {string} [room] - Room it was sent to
+ * @returns {Promise<{ payload: object, live: string[], muted: string[] }|null>}
+ *   What to send live, who gets it live and who doesn't; null on failure
+ */
+const deliverNotification = async (notification, userIds, room) => {
+    try {
+        const saved = buildNotification(notification, room);
+        const now = new Date();
+
+        const users = await User.find({ _id: { $in: userIds }, isActive: true })
+            .select('notificationPreferences');
+
+        const live = [];
+        const muted = [];
+        const emails = [];
+        const webhooks = [];
+
+        users.forEach(user => {
+            const channels = user.getNotificationChannels(notification.type);
+            const quietUntil = user.quietHoursEndAt(now);
+
+            if (channels.inApp) {
+                saved.recipients.push(user._id);
+            }
+            (channels.inApp && !quietUntil ? live : muted).push(user._id.toString());
+
+            if (channels.email) {
+                saved.emailQueue.push(user._id);
+                emails.push({
+                    user: user._id,
+                    sendAt: user.nextNotificationEmailAt(now) || now,
+                    digest: user.notificationPreferences.digest.enabled
+                });
+            }
+
+            if (channels.webhook) {
+                webhooks.push({ user: user._id, runAt: quietUntil || now });
+            }
+        });
+
+        // Only stored notifications get an id, which clients use to mark them read
+        const stored = saved.recipients.length > 0 || saved.emailQueue.length > 0 || webhooks.length > 0;
+        const payload = { ...notification, ...(stored && { id: saved.id }), ...(room && { room }) };
+
+        if (stored) {
+            // Saved before emails are scheduled, as they are read back from the queue
+            await saved.save();
+            await Promise.all([
+                ...emails.map(scheduleNotificationEmail),
+                ...webhooks.map(({ user, runAt }) => emitNotificationEvent(user, payload, runAt))
+            ]);
+        }
+
+        return { payload, live, muted };
+    } catch (error) {
+        logger.error(`Could not deliver ${notification.type} notification:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Send notification to a specific user on the channels they chose for it
+ * @param {import('socket.io').Server} io 
+ * @param {string} userId 
+ * @param {object} notification - { type, message, data }
+ * @returns {Promise<void>} Resolves once delivered or scheduled
+ */
+export const notifyUser = async (io, userId, notification) => {
+    const delivery = await deliverNotification(notification, [userId]);
+    if (!delivery || delivery.live.length === 0) return;
+
+    publish(TOPICS.NOTIFICATION, { userId: userId.toString(), notification: delivery.payload });
+    if (io) {
+        io.to(`user:${userId}`).emit('notification', delivery.payload);
+    }
+};
+
+/**
+ * Deliver a saved chat message to everyone in its room
  * @param {import('socket.io').Server} io 
+ * @param {object} message - Result of Message#toPayload
+ */
+export const broadcastMessage = (io, message) => {
+    publish(TOPICS.MESSAGE_RECEIVED, message);
+    if (!io) return;
+    io.to(message.room).emit('receive_message', message);
+};
+
+/**
+ * Stop a user's live messages from a chat room they were removed from:
+ * their sockets leave it and their GraphQL subscriptions to it end
+ * @param {import('socket.io').Server} io 
+ * @param {string} roomName 
  * @param {string} userId 
- * @param {object} notification 
  */
-export const notifyUser = (io, userId, notification) => {
+export const revokeRoomAccess = (io, roomName, userId) => {
+    publish(TOPICS.ROOM_ACCESS_REVOKED, { room: roomName, userId: userId.toString() });
     if (!io) return;
-    io.to(`user:${userId}`).emit('notification', notification);
+    io.in(`user:${userId}`).socketsLeave(roomName);
 };
 
 /**
- * Send notification to a room (e.g. shared document or project)
+ * Send notification to a room (e.g. shared document or project). Everyone in
+ * the room gets it on the channels they chose for it; those who turned it off
+ * in-app or are in quiet hours are left out of the live event.
  * @param {import('socket.io').Server} io 
  * @param {string} roomId 
- * @param {object} notification 
+ * @param {object} notification - { type, message, data }
+ * @returns {Promise<void>} Resolves once delivered or scheduled
  */
-export const notifyRoom = (io, roomId, notification) => {
+export const notifyRoom = async (io, roomId, notification) => {
+    let recipients = [];
+    try {
+        recipients = await findRoomRecipients(roomId);
+    } catch (error) {
+        logger.error(`Could not find the members of room ${roomId}:`, error.message);
+    }
+
+    const delivery = await deliverNotification(notification, recipients, roomId);
+    if (!delivery || !io) return;
+
+    // Sockets in the room are sent it unless their user opted out or is in quiet hours
+    io.to(roomId)
+        .except(delivery.muted.map(userId => `user:${userId}`))
+        .emit('notification', delivery.payload);
+};
+
+/**
+ * Send a task event to the task room plus the owner and every assignee
+ * @param {import('socket.io').Server} io 
+ * @param {object} task - Task document (owner/assignedTo may be populated)
+ * @param {string} event - e.g. task_updated, task_status_changed, task_deleted
+ * @param {object} payload 
+ * @param {string[]} [extraUserIds] - Additional users to reach (e.g. just unassigned)
+ */
+export const notifyTaskParticipants = (io, task, event, payload, extraUserIds = []) => {
+    const idOf = (user) => (user._id || user).toString();
+    const userIds = [task.owner, ...task.assignedTo].map(idOf).concat(extraUserIds.map(String));
+
+    publish(TOPICS.TASK_UPDATED, { event, task, payload, recipients: userIds });
+    if (!io) return;
+
+    // A socket in several of these rooms still receives the event once
+    const rooms = new Set([`task:${task._id}`, ...userIds.map(id => `user:${id}`)]);
+    io.to([...rooms]).emit(event, payload);
+};
+
+/**
+ * Capture the task fields that collaborators are notified about
+ * @param {object} task - Task document
+ * @returns {{ status: string, assignedTo: string[] }}
+ */
+export const snapshotTask = (task) => ({
+    status: task.status,
+    assignedTo: task.assignedTo.map(user => (user._id || user).toString())
+});
+
+/**
+ * Push task changes to the task room, owner and assignees
+ * @param {import('socket.io').Server} io 
+ * @param {object} task - Task document after the change
+ * @param {object} previous - Result of snapshotTask before the change
+ * @param {string[]} changes - Modified paths
+ * @param {object} actor - User who made the change
+ * @returns {Promise<void>} Resolves once the notifications it sent are delivered
+ */
+export const notifyTaskChanges = (io, task, previous, changes, actor) => {
+    const taskId = task._id.toString();
+    const actorId = actor.id.toString();
+    const ownerId = (task.owner._id || task.owner).toString();
+    const changedBy = { id: actorId, email: actor.email };
+
+    const current = snapshotTask(task).assignedTo;
+    const added = current.filter(id => !previous.assignedTo.includes(id));
+    const removed = previous.assignedTo.filter(id => !current.includes(id));
+    const notifications = [];
+
+    notifyTaskParticipants(io, task, 'task_updated', { taskId, changes, changedBy, task }, removed);
+
+    if (task.status !== previous.status) {
+        notifyTaskParticipants(io, task, 'task_status_changed', {
+            taskId,
+            from: previous.status,
+            to: task.status,
+            changedBy,
+            task
+        });
+    }
+
+    if (added.length > 0) {
+        notifyTaskParticipants(io, task, 'task_reassigned', { taskId, added, assignedTo: current, changedBy, task });
+
+        added.forEach(userId => {
+            if (userId !== actorId) {
+                notifications.push(notifyUser(io, userId, {
+                    type: 'TASK_ASSIGNED',
+                    message: `${actor.email} assigned you a task: "${task.title}"`,
+                    data: task
+                }));
+            }
+        });
+    }
+
+    if (removed.length > 0) {
+        // Removed users still get this one so their boards can drop the task
+        notifyTaskParticipants(io, task, 'task_unassigned', { taskId, removed, assignedTo: current, changedBy }, removed);
+
+        removed.forEach(userId => {
+            if (userId !== actorId) {
+                notifications.push(notifyUser(io, userId, {
+                    type: 'TASK_UNASSIGNED',
+                    message: `${actor.email} removed you from task: "${task.title}"`,
+                    data: { taskId }
+                }));
+            }
+
+            if (io && userId !== ownerId) {
+                io.in(`user:${userId}`).socketsLeave(`task:${taskId}`);
+            }
+        });
+    }
+
+    return Promise.all(notifications);
+};
+
+/**
+ * Tell board viewers a card moved: the task room, owner and assignees and,
+ * for workspace tasks, the workspace room
+ * @param {import('socket.io').Server} io 
+ * @param {object} task - Task document after the move
+ * @param {{ status: string, position: number }} from - Column and position before the move
+ * @param {object} actor - User who moved it
+ */
+export const notifyTaskMoved = (io, task, from, actor) => {
+    const payload = {
+        taskId: task._id.toString(),
+        from,
+        to: { status: task.status, position: task.position },
+        changedBy: { id: actor.id.toString(), email: actor.email }
+    };
+
+    notifyTaskParticipants(io, task, 'task_moved', payload);
+    if (!io || !task.workspace) return;
+
+    // Members already reached through the task or their user room get it once
+    const idOf = (user) => (user._id || user).toString();
+    const rooms = [`task:${task._id}`, ...[task.owner, ...task.assignedTo].map(user => `user:${idOf(user)}`)];
+    io.to(`workspace:${idOf(task.workspace)}`).except(rooms).emit('task_moved', payload);
+};
+
+/**
+ * Tell task participants a task was deleted and close its room
+ * @param {import('socket.io').Server} io 
+ * @param {object} task - Deleted task document
+ * @param {object} actor - User who deleted it
+ */
+export const notifyTaskDeleted = (io, task, actor) => {
+    const taskId = task._id.toString();
+    notifyTaskParticipants(io, task, 'task_deleted', {
+        taskId,
+        changedBy: { id: actor.id.toString(), email: actor.email }
+    });
     if (!io) return;
-    io.to(roomId).emit('notification', notification);
+    io.in(`task:${taskId}`).socketsLeave(`task:${taskId}`);
 };
@@ -0,0 +1,325 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Workspace from '../models/Workspace.js';
+import Comment from '../models/Comment.js';
+import TaskActivity from '../models/TaskActivity.js';
+import TimeEntry from '../models/TimeEntry.js';
+import logger from '../utils/logger.js';
+import { getIO } from '../config/socket.js';
+import { syncTaskReminders, cancelTaskReminders } from './reminderService.js';
+import { emitTaskEvent, emitTaskChanges } from './webhookService.js';
+import {
+    notifyUser,
+    snapshotTask,
+    notifyTaskChanges,
+    notifyTaskMoved,
+    notifyTaskDeleted
+} from './socketService.js';
+
+/**
+ * Task rules shared by the REST controller and the GraphQL resolvers:
+ * where tasks may be created, when their status may change, and what follows
+ * a change (activity, reminders, recurring tasks, live updates, webhooks).
+ * Callers check access and translate the errors thrown here, which carry
+ * the HTTP `statusCode` they map to.
+ */
+
+// Board columns, in board order
+export const TASK_STATUSES = Task.schema.path('status').enumValues;
+
+const MAX_BLOCKERS = 50;
+
+const taskError = (statusCode, message, details = {}) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return Object.assign(error, details);
+};
+
+/**
+ * Tasks a user sees: a workspace's tasks, or without one their personal
+ * tasks (owned or assigned)
+ * @param {string} userId
+ * @param {string} [workspace]
+ * @returns {object} Task filter
+ */
+export const taskScopeFilter = (userId, workspace) => (workspace
+    ? { workspace }
+    : { $or: [{ owner: userId }, { assignedTo: userId }], workspace: null });
+
+/**
+ * Check that workspace tasks are only assigned to its members
+ * @param {string} [workspace]
+ * @param {string[]} [assignedTo]
+ * @throws {Error} With `statusCode` 400 otherwise
+ */
+export const assertAssigneesAreMembers = async (workspace, assignedTo) => {
+    if (workspace && !(await Workspace.areMembers(workspace, assignedTo))) {
+        throw taskError(400, 'Tasks in a workspace can only be assigned to its members');
+    }
+};
+
+/**
+ * Work out which workspace a new task goes in. Subtasks must be added to a
+ * top-level task the user can work on, and live in its workspace.
+ * @param {string} userId
+ * @param {object} fields
+ * @param {string} [fields.parent]
+ * @param {string} [fields.workspace]
+ * @param {string[]} [fields.assignedTo]
+ * @returns {Promise<string|null>} The workspace, or null for a personal task
+ * @throws {Error} With `statusCode` 400 or 403 when the task can't go there
+ */
+export const resolveNewTaskWorkspace = async (userId, { parent, workspace, assignedTo }) => {
+    if (parent) {
+        const parentTask = mongoose.isValidObjectId(parent) ? await Task.findById(parent) : null;
+
+        if (!parentTask) {
+            throw taskError(400, 'Parent task not found');
+        }
+        if (parentTask.parent) {
+            throw taskError(400, 'Subtasks cannot have subtasks of their own');
+        }
+        if (!(await parentTask.isAccessibleBy(userId, 'member'))) {
+            throw taskError(403, 'Not authorized to add subtasks to this task');
+        }
+        if (workspace && workspace !== String(parentTask.workspace)) {
+            throw taskError(400, 'A subtask must be in the same workspace as its parent task');
+        }
+
+        workspace = parentTask.workspace;
+    }
+
+    if (workspace && !(await Workspace.hasRole(workspace, userId, 'member'))) {
+        throw taskError(403, 'Not authorized to add tasks to this workspace');
+    }
+    await assertAssigneesAreMembers(workspace, assignedTo);
+
+    return workspace || null;
+};
+
+/**
+ * Create a task and tell its assignees
+ * @param {object} fields - Task fields, with the workspace from resolveNewTaskWorkspace
+ * @param {object} user - User creating it, who becomes the owner
+ * @returns {Promise<object>} The new task
+ */
+export const createTask = async (fields, user) => {
+    const task = await Task.create({ ...fields, owner: user.id });
+
+    await TaskActivity.recordCreated(task, user.id);
+    await syncTaskReminders(task);
+    await emitTaskEvent('task.created', task, user);
+
+    // Don't notify self if self-assigned
+    const io = getIO();
+    await Promise.all((fields.assignedTo || [])
+        .filter(userId => userId.toString() !== user.id)
+        .map(userId => notifyUser(io, userId, {
+            type: 'TASK_ASSIGNED',
+            message: `${user.email} assigned you a task: "${task.title}"`,
+            data: task
+        })));
+
+    return task;
+};
+
+/**
+ * Check a task may move to a status. Completing waits for its subtasks;
+ * starting or completing waits for its blockers unless overridden.
+ * @param {object} task - Task document before the change
+ * @param {string} [status] - New status; nothing is checked without one
+ * @param {boolean} [override] - Go ahead past open blockers
+ * @param {object} user - User making the change
+ * @throws {Error} With `statusCode` 400, and `blockedBy` for open blockers
+ */
+export const assertCanChangeStatus = async (task, status, override, user) => {
+    if (!status || status === task.status) return;
+
+    if (status === 'completed') {
+        const open = await task.countOpenSubtasks();
+        if (open > 0) {
+            throw taskError(
+                400,
+                `This task has ${open} open subtask${open === 1 ? '' : 's'}. Complete or cancel ${open === 1 ? 'it' : 'them'} first.`
+            );
+        }
+    }
+
+    if (!['in_progress', 'completed'].includes(status)) return;
+
+    const blockers = await task.findOpenBlockers();
+    if (blockers.length === 0) return;
+
+    if (override === true) {
+        logger.info(`Task ${task._id} moved to ${status} past ${blockers.length} open blockers by user: ${user.email}`);
+        return;
+    }
+
+    throw taskError(
+        400,
+        `This task is blocked by ${blockers.length} open task${blockers.length === 1 ? '' : 's'}. ` +
+        'Finish them first, or pass override: true.',
+        { blockedBy: blockers }
+    );
+};
+
+// Completing a recurring task creates its next occurrence
+const scheduleNextOccurrence = async (task, changes, user) => {
+    if (!changes.includes('status') || task.status !== 'completed') return null;
+
+    const next = await task.createNextOccurrence();
+    if (next) {
+        await TaskActivity.recordCreated(next, user.id);
+        await syncTaskReminders(next);
+        await emitTaskEvent('task.created', next, user);
+        logger.info(`Next occurrence of task ${task._id} created: ${next._id} due ${next.dueDate.toISOString()} (completed by ${user.email})`);
+    }
+    return next;
+};
+
+/**
+ * Change a task and follow the change up. Check the new status with
+ * assertCanChangeStatus first.
+ * @param {object} task - Task document
+ * @param {object} user - User making the change
+ * @param {(task: object) => void} apply - Sets the new values on the task
+ * @param {object} [options]
+ * @param {{ status: string, position: number }} [options.movedFrom] - Set for
+ *   board moves, which only notify about the card otherwise
+ * @returns {Promise<{ changes: string[], nextOccurrence: object|null }>}
+ */
+export const changeTask = async (task, user, apply, { movedFrom } = {}) => {
+    const previous = snapshotTask(task);
+    const before = task.toObject();
+
+    apply(task);
+    if (task.isModified('status') && task.status === 'completed') {
+        task.completedBy = user.id;
+    }
+
+    const changes = task.directModifiedPaths();
+
+    await task.save();
+    await TaskActivity.recordChanges(task, before, changes, user.id);
+    await syncTaskReminders(task, changes);
+
+    const io = getIO();
+    if (movedFrom) {
+        notifyTaskMoved(io, task, movedFrom, user);
+    }
+    if (movedFrom ? changes.includes('status') : changes.length > 0) {
+        await notifyTaskChanges(io, task, previous, changes, user);
+        await emitTaskChanges(task, previous, changes, user);
+    }
+
+    const nextOccurrence = await scheduleNextOccurrence(task, changes, user);
+
+    return { changes, nextOccurrence };
+};
+
+/**
+ * Move a card on the board the user is looking at: into a column, right
+ * after `afterId` or before `beforeId`, or at the bottom. The status and
+ * position are saved together, so no one sees the new status at the old
+ * position.
+ * @param {object} task - Task document
+ * @param {object} user - User moving it
+ * @param {object} move
+ * @param {string} move.status - Column to move it to
+ * @param {string} [move.afterId]
+ * @param {string} [move.beforeId]
+ * @returns {Promise<{ changes: string[], nextOccurrence: object|null }>}
+ * @throws {Error} With `statusCode` 400 when a neighbour is not in the column
+ */
+export const moveTask = async (task, user, { status, afterId, beforeId }) => {
+    const column = {
+        ...taskScopeFilter(user.id, task.workspace),
+        status,
+        _id: { $ne: task._id }
+    };
+    const position = await Task.positionInColumn(column, { afterId, beforeId });
+    const movedFrom = { status: task.status, position: task.position };
+
+    return changeTask(task, user, (moved) => {
+        moved.status = status;
+        moved.position = position;
+    }, { movedFrom });
+};
+
+/**
+ * Make a task wait for another one. Adding a blocker twice changes nothing.
+ * @param {object} task - Task document
+ * @param {object} blocker - Task document it waits for
+ * @param {object} user - User adding it
+ * @throws {Error} With `statusCode` 400 past the limit or for a cycle
+ */
+export const addTaskBlocker = async (task, blocker, user) => {
+    if (task._id.equals(blocker._id)) {
+        throw taskError(400, 'A task cannot block itself');
+    }
+    if (task.blockedBy.some(id => id.equals(blocker._id))) return;
+
+    if (task.blockedBy.length >= MAX_BLOCKERS) {
+        throw taskError(400, `A task can be blocked by at most ${MAX_BLOCKERS} tasks`);
+    }
+    if (await Task.wouldCreateCycle(task._id, blocker._id)) {
+        throw taskError(400, 'This dependency would create a cycle');
+    }
+
+    const previous = snapshotTask(task);
+    task.blockedBy.push(blocker._id);
+    await task.save();
+
+    logger.info(`Task ${task._id} now blocked by ${blocker._id} (user: ${user.email})`);
+
+    await notifyTaskChanges(getIO(), task, previous, ['blockedBy'], user);
+    await emitTaskChanges(task, previous, ['blockedBy'], user);
+};
+
+/**
+ * Stop a task waiting for another one
+ * @param {object} task - Task document
+ * @param {string} blockerId
+ * @param {object} user - User removing it
+ * @throws {Error} With `statusCode` 404 when the task isn't blocked by it
+ */
+export const removeTaskBlocker = async (task, blockerId, user) => {
+    if (!task.blockedBy.some(id => id.toString() === blockerId)) {
+        throw taskError(404, 'Dependency not found');
+    }
+
+    const previous = snapshotTask(task);
+    task.blockedBy.pull(blockerId);
+    await task.save();
+
+    logger.info(`Task ${task._id} no longer blocked by ${blockerId} (user: ${user.email})`);
+
+    await notifyTaskChanges(getIO(), task, previous, ['blockedBy'], user);
+    await emitTaskChanges(task, previous, ['blockedBy'], user);
+};
+
+/**
+ * Delete a task with its subtasks, comments, activity, time entries and
+ * reminders; nothing stays blocked by them
+ * @param {object} task - Task document
+ * @param {object} user - User deleting it
+ * @returns {Promise<object[]>} The subtasks deleted with it
+ */
+export const deleteTask = async (task, user) => {
+    const subtasks = await Task.find({ parent: task._id });
+    const deletedIds = [task._id, ...subtasks.map(subtask => subtask._id)];
+
+    await Task.deleteMany({ parent: task._id });
+    await task.deleteOne();
+    await Task.updateMany({ blockedBy: { $in: deletedIds } }, { $pull: { blockedBy: { $in: deletedIds } } });
+    await Comment.deleteMany({ task: { $in: deletedIds } });
+    await TaskActivity.deleteMany({ task: { $in: deletedIds } });
+    await TimeEntry.deleteMany({ task: { $in: deletedIds } });
+    await cancelTaskReminders(deletedIds);
+
+    const io = getIO();
+    [task, ...subtasks].forEach(deleted => notifyTaskDeleted(io, deleted, user));
+    await Promise.all([task, ...subtasks].map(deleted => emitTaskEvent('task.deleted', deleted, user)));
+
+    return subtasks;
+};
@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+import Role from '../models/Role.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import Workspace from '../models/Workspace.js';
+import logger from '../utils/logger.js';
+import { isPublicUrl } from '../utils/publicUrl.js';
+import { backoffDelay, registerJobHandler } from './schedulerService.js';
+
+/**
+ * Outgoing webhooks. Controllers report events here; each webhook subscribed
+ * to an event gets a delivery, posted by a scheduled job so it is retried with
+ * exponential backoff when the endpoint fails. Deliveries and their attempts
+ * are kept as a log (see models/WebhookDelivery.js).
+ */
+
+const DELIVERY_JOB = 'webhook_delivery';
+
+const TIMEOUT_MS = 10 * 1000;
+
+const toIds = (users) => users
+    .filter(Boolean)
+    .map(user => (user._id || user).toString());
+
+// Webhook owners can lose the role or permission a webhook relies on
+const isStillAllowed = async (webhook) => {
+    const { owner } = webhook;
+    if (!owner?.isActive) return false;
+
+    if (webhook.scope === 'all') return Role.hasPermission(owner.role, 'webhooks:manage');
+    if (webhook.scope === 'workspace') return Workspace.hasRole(webhook.workspace, owner._id, 'admin');
+    return true;
+};
+
+const scheduleDelivery = (delivery, runAt = new Date()) => Job.schedule({
+    type: DELIVERY_JOB,
+    key: `${DELIVERY_JOB}:${delivery._id}`,
+    runAt,
+    data: { delivery: delivery._id.toString() }
+});
+
+// Log a delivery of the event to each webhook whose owner may still see it
+const createDeliveries = async (webhooks, event, data, runAt) => {
+    if (webhooks.length === 0) return;
+
+    const payload = {
+        id: crypto.randomUUID(),
+        event,
+        createdAt: new Date().toISOString(),
+        data: JSON.parse(JSON.stringify(data))
+    };
+
+    for (const webhook of webhooks) {
+        if (!(await isStillAllowed(webhook))) continue;
+
+        const delivery = await WebhookDelivery.create({ webhook: webhook._id, event, payload });
+        await scheduleDelivery(delivery, runAt);
+    }
+};
+
+/**
+ * Send an event to every webhook subscribed to it that may see it. Failures
+ * are logged rather than thrown.
+ * @param {string} event - One of config/webhooks.js
+ * @param {object} data - Event details, e.g. { task }
+ * @param {object} audience
+ * @param {Array} [audience.users] - Users the event concerns, as IDs or documents
+ * @param {string} [audience.workspace] - Workspace it happened in
+ * @returns {Promise<void>} Resolves once deliveries are scheduled
+ */
+export const emitWebhookEvent = async (event, data, { users = [], workspace = null } = {}) => {
+    try {
+        const webhooks = await Webhook.find({
+            events: event,
+            active: true,
+            $or: [
+                { scope: 'all' },
+                { scope: 'personal', owner: { $in: toIds(users) } },
+                ...(workspace ? [{ scope: 'workspace', workspace }] : [])
+            ]
+        }).populate('owner', 'role isActive');
+
+        await createDeliveries(webhooks, event, data);
+    } catch (error) {
+        logger.error(`Could not send ${event} webhooks:`, error.message);
+    }
+};
+
+/**
+ * Send a notification to its recipient's personal webhooks subscribed to
+ * `notification`; this is the webhook channel of notification preferences.
+ * Failures are logged rather than thrown.
+ * @param {string} userId - Recipient
+ * @param {object} notification - As sent over the socket
+ * @param {Date} [runAt] - When to post it, e.g. the end of quiet hours
+ * @returns {Promise<void>} Resolves once deliveries are scheduled
+ */
+export const emitNotificationEvent = async (userId, notification, runAt = new Date()) => {
+    try {
+        const webhooks = await Webhook.find({
+            events: 'notification',
+            active: true,
+            scope: 'personal',
+            owner: userId
+        }).populate('owner', 'role isActive');
+
+        await createDeliveries(webhooks, 'notification', { notification }, runAt);
+    } catch (error) {
+        logger.error('Could not send notification webhooks:', error.message);
+    }
+};
+
+// Who caused an event
+const actorOf = (user) => ({ id: user.id, email: user.email });
+
+/**
+ * Send a task event to webhooks of its owner, assignees and workspace
+ * @param {string} event
+ * @param {object} task - Task document (owner/assignedTo may be populated)
+ * @param {object} actor - User who caused it
+ * @param {object} [details] - Added to the event, e.g. { changes }
+ */
+export const emitTaskEvent = (event, task, actor, details = {}) => emitWebhookEvent(
+    event,
+    { task, actor: actorOf(actor), ...details },
+    { users: [task.owner, ...task.assignedTo], workspace: task.workspace }
+);
+
+/**
+ * Send task.updated for changed fields, and task.status_changed when the
+ * status is one of them
+ * @param {object} task - Task document after the change
+ * @param {object} previous - Result of snapshotTask before the change
+ * @param {string[]} changes - Modified paths
+ * @param {object} actor - User who made the change
+ */
+export const emitTaskChanges = async (task, previous, changes, actor) => {
+    await emitTaskEvent('task.updated', task, actor, { changes });
+
+    if (changes.includes('status') && previous.status !== task.status) {
+        await emitTaskEvent('task.status_changed', task, actor, { from: previous.status, to: task.status });
+    }
+};
+
+/**
+ * Send a note event to webhooks of its owner, the users it is shared with
+ * and its workspace
+ * @param {string} event
+ * @param {object} note - Note document
+ * @param {object} actor - User who caused it
+ * @param {object} [details]
+ */
+export const emitNoteEvent = (event, note, actor, details = {}) => emitWebhookEvent(
+    event,
+    { note, actor: actorOf(actor), ...details },
+    { users: [note.owner, ...note.sharedWith.map(share => share.user)], workspace: note.workspace }
+);
+
+/**
+ * Send a file event to webhooks of its owner and workspace
+ * @param {string} event
+ * @param {object} file - File document
+ * @param {object} actor - User who caused it
+ */
+export const emitFileEvent = (event, file, actor) => emitWebhookEvent(
+    event,
+    { file, actor: actorOf(actor) },
+    { users: [file.owner], workspace: file.workspace }
+);
+
+/**
+ * Send a delivery's payload again, as a new delivery
+ * @param {object} delivery - WebhookDelivery document
+ * @returns {Promise<object>} The new delivery
+ */
+export const redeliver = async (delivery) => {
+    const redelivery = await WebhookDelivery.create({
+        webhook: delivery.webhook,
+        event: delivery.event,
+        payload: delivery.payload,
+        redeliveryOf: delivery.redeliveryOf || delivery._id
+    });
+    await scheduleDelivery(redelivery);
+    return redelivery;
+};
+
+const postDelivery = async (job) => {
+    const delivery = await WebhookDelivery.findById(job.data.delivery);
+    // Deleted along with its webhook
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook?.active) {
+        delivery.status = 'failed';
+        delivery.attempts.push({ at: new Date(), error: 'Webhook is disabled' });
+        await delivery.save();
+        return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { at: new Date() };
+
+    try {
+        // The host may have been pointed at a private address since the webhook was saved
+        if (!(await isPublicUrl(webhook.url))) {
+            throw new Error('Webhook URL does not resolve to a public address');
+        }
+
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Vephla-Webhooks',
+                'X-Vephla-Event': delivery.event,
+                'X-Vephla-Delivery': delivery._id.toString(),
+                'X-Vephla-Timestamp': String(timestamp),
+                'X-Vephla-Signature': `sha256=${Webhook.sign(webhook.secret, timestamp, body)}`
+            },
+            body,
+            // Redirects count as failures rather than being followed
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+
+        attempt.statusCode = response.status;
+
+        if (!response.ok) {
+            throw new Error(`Webhook responded with ${response.status}`);
+        }
+    } catch (error) {
+        attempt.error = error.message;
+    } finally {
+        attempt.durationMs = Date.now() - attempt.at.getTime();
+    }
+
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+        delivery.status = 'succeeded';
+        delivery.deliveredAt = new Date();
+        delivery.nextAttemptAt = undefined;
+        await delivery.save();
+        return;
+    }
+
+    // Mirrors the scheduler's retries, so the log shows what happens next
+    const retry = job.attempts < job.maxAttempts;
+    delivery.status = retry ? 'pending' : 'failed';
+    delivery.nextAttemptAt = retry ? new Date(Date.now() + backoffDelay(job.attempts)) : undefined;
+    await delivery.save();
+
+    throw new Error(attempt.error);
+};
+
+/**
+ * Register the webhook delivery job handler with the scheduler
+ */
+export const registerWebhookJobs = () => {
+    registerJobHandler(DELIVERY_JOB, postDelivery);
+};
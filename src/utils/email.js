@@ -0,0 +1,13 @@
+import validator from 'validator';
+
+/**
+ * Normalize an email address the way the auth validators do (express-validator's
+ * normalizeEmail with its defaults), so an address written another way, e.g.
+ * with different case or Gmail dots, matches the one an account was registered with
+ * @param {string} email
+ * @returns {string} Lowercased and trimmed when it isn't a valid address
+ */
+export const normalizeEmail = (email) => {
+  const trimmed = String(email).trim();
+  return validator.isEmail(trimmed) ? validator.normalizeEmail(trimmed) : trimmed.toLowerCase();
+};
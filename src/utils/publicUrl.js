@@ -0,0 +1,68 @@
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Checks for URLs the server posts to on a user's behalf (webhooks), so they
+ * can't be pointed at the server itself or the network behind it.
+ */
+
+// Loopback, private, link-local (including cloud metadata), shared,
+// multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is on the public internet. IPv4-mapped IPv6
+ * addresses are checked as IPv4.
+ * @param {string} address
+ * @returns {boolean}
+ */
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Whether a URL is http(s) and its host only resolves to public addresses
+ * @param {string} url
+ * @returns {Promise<boolean>} False for hosts that don't resolve
+ */
+export const isPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+
+  try {
+    // IPv6 literals come wrapped in brackets
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    const addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address));
+  } catch (error) {
+    return false;
+  }
+};
@@ -0,0 +1,205 @@
+/**
+ * Recurrence rules for repeating tasks: daily, weekly on given weekdays and
+ * monthly on a day of the month, every `interval` periods. Rules can also be
+ * given as an RFC 5545 RRULE using FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL
+ * and COUNT. Dates are calculated in UTC and keep the time of day.
+ */
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Index = JavaScript weekday (0 = Sunday)
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const recurrenceError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseWeekday = (day) => {
+  if (Number.isInteger(day) && day >= 0 && day <= 6) return day;
+
+  const index = WEEKDAY_CODES.indexOf(String(day).slice(0, 2).toUpperCase());
+  if (index === -1) {
+    throw recurrenceError(`Unknown weekday: ${day}`);
+  }
+  return index;
+};
+
+// UNTIL is either a date (20261231) or a UTC date-time (20261231T170000Z)
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    throw recurrenceError(`Invalid UNTIL value: ${value}`);
+  }
+
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Parse an RRULE such as `FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10`
+ * @param {string} rrule
+ * @returns {object} Recurrence rule
+ * @throws {Error} With `statusCode` 400 for rules outside the supported subset
+ */
+export const parseRRule = (rrule) => {
+  const rule = {};
+
+  String(rrule).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [name, value] = part.split('=');
+
+    if (!value) {
+      throw recurrenceError(`Invalid RRULE part: ${part}`);
+    }
+
+    switch (name.toUpperCase()) {
+      case 'FREQ':
+        rule.frequency = value.toLowerCase();
+        if (!FREQUENCIES.includes(rule.frequency)) {
+          throw recurrenceError(`Unsupported FREQ: ${value}. Use DAILY, WEEKLY or MONTHLY`);
+        }
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value);
+        break;
+      case 'BYDAY':
+        // Ordinals such as 1MO (first Monday) are not supported
+        rule.byWeekday = value.split(',').map(day => {
+          if (!/^[A-Z]{2}$/i.test(day)) {
+            throw recurrenceError(`Unsupported BYDAY value: ${day}`);
+          }
+          return parseWeekday(day);
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseInt(value);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value);
+        break;
+      case 'WKST':
+        if (value.toUpperCase() !== 'MO') {
+          throw recurrenceError('Only WKST=MO is supported');
+        }
+        break;
+      default:
+        throw recurrenceError(`Unsupported RRULE part: ${name}`);
+    }
+  });
+
+  if (!rule.frequency) {
+    throw recurrenceError('RRULE must include FREQ');
+  }
+
+  if (rule.until && rule.count) {
+    throw recurrenceError('RRULE cannot have both UNTIL and COUNT');
+  }
+
+  return rule;
+};
+
+/**
+ * Format a recurrence rule as an RRULE
+ * @param {object} rule
+ * @returns {string|null}
+ */
+export const formatRRule = (rule) => {
+  if (!rule?.frequency) return null;
+
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday?.length) parts.push(`BYDAY=${rule.byWeekday.map(day => WEEKDAY_CODES[day]).join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(new Date(rule.until))}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+  return parts.join(';');
+};
+
+/**
+ * Normalize recurrence from a request: an RRULE string, `{ rrule }`, or an
+ * object with frequency, interval, byWeekday (0-6 or MO..SU), byMonthDay, until
+ * and count. Range checks are left to the Task schema.
+ * @param {string|object|null} input
+ * @returns {object|null} The rule, or null to stop repeating
+ */
+export const parseRecurrence = (input) => {
+  if (!input) return null;
+
+  if (typeof input === 'string') return parseRRule(input);
+  if (input.rrule) return parseRRule(input.rrule);
+
+  const rule = {
+    frequency: typeof input.frequency === 'string' ? input.frequency.toLowerCase() : input.frequency,
+    interval: input.interval,
+    byMonthDay: input.byMonthDay,
+    until: input.until,
+    count: input.count
+  };
+
+  if (input.byWeekday !== undefined && input.byWeekday !== null) {
+    rule.byWeekday = [].concat(input.byWeekday).map(parseWeekday);
+  }
+
+  return rule;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * The occurrence after `from` according to a rule (ignoring UNTIL and COUNT)
+ * @param {object} rule
+ * @param {Date} from - Due date of the current occurrence
+ * @returns {Date}
+ */
+export const nextOccurrence = (rule, from) => {
+  const interval = rule.interval || 1;
+
+  if (rule.frequency === 'daily') {
+    return new Date(from.getTime() + interval * DAY_MS);
+  }
+
+  if (rule.frequency === 'weekly') {
+    // Weeks start on Monday, as with the RRULE default WKST=MO
+    const mondayBased = day => (day + 6) % 7;
+    const weekdays = (rule.byWeekday?.length ? rule.byWeekday : [from.getUTCDay()])
+      .map(mondayBased)
+      .sort((a, b) => a - b);
+    const today = mondayBased(from.getUTCDay());
+
+    // The next listed weekday this week, else the first one `interval` weeks on
+    const laterThisWeek = weekdays.find(day => day > today);
+    const offset = laterThisWeek !== undefined
+      ? laterThisWeek - today
+      : 7 * interval - today + weekdays[0];
+
+    return new Date(from.getTime() + offset * DAY_MS);
+  }
+
+  // Monthly: days past the end of a month (e.g. the 31st) fall on its last day
+  const onDay = (month) => {
+    const year = from.getUTCFullYear();
+    const lastDay = daysInMonth(year, month);
+    const day = rule.byMonthDay === -1
+      ? lastDay
+      : Math.min(rule.byMonthDay || from.getUTCDate(), lastDay);
+
+    return new Date(Date.UTC(
+      year, month, day,
+      from.getUTCHours(), from.getUTCMinutes(), from.getUTCSeconds(), from.getUTCMilliseconds()
+    ));
+  };
+
+  // Later this month, else `interval` months on
+  const thisMonth = onDay(from.getUTCMonth());
+  return thisMonth > from ? thisMonth : onDay(from.getUTCMonth() + interval);
+};
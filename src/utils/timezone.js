@@ -0,0 +1,92 @@
+/**
+ * Local times of day in IANA time zones (e.g. "Europe/Berlin"), for
+ * settings such as quiet hours that users give in their own time.
+ * Times of day are "HH:mm" strings.
+ */
+
+export const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Check that a time zone is known to the runtime
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Wall clock time in a time zone, as if it were UTC
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} Milliseconds
+ */
+const wallClock = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+/**
+ * Whether a date falls between two local times of day. The range may cross
+ * midnight (22:00 to 07:00); equal times make an empty range.
+ * @param {Date} date
+ * @param {string} start - "HH:mm", inclusive
+ * @param {string} end - "HH:mm", exclusive
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isBetweenLocalTimes = (date, start, end, timeZone) => {
+  const now = Math.floor((wallClock(date, timeZone) % DAY) / MINUTE);
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  return from <= to
+    ? now >= from && now < to
+    : now >= from || now < to;
+};
+
+/**
+ * The next time the clock shows a local time of day, after a date
+ * @param {string} time - "HH:mm"
+ * @param {string} timeZone
+ * @param {Date} [after]
+ * @returns {Date}
+ */
+export const nextLocalTime = (time, timeZone, after = new Date()) => {
+  // Wall clock times are whole seconds
+  const from = after.getTime() - (after.getTime() % 1000);
+  const local = wallClock(new Date(from), timeZone);
+  let target = local - (local % DAY) + toMinutes(time) * MINUTE;
+  if (target <= local) target += DAY;
+
+  // Back from wall clock to UTC, using the offset in effect at the target
+  const guess = new Date(from + (target - local));
+  const offsetChange = wallClock(guess, timeZone) - local - (guess.getTime() - from);
+
+  return new Date(guess.getTime() - offsetChange);
+};
@@ -1,4 +1,5 @@
 import { body, validationResult } from 'express-validator';
+import { API_KEY_SCOPES } from '../models/ApiKey.js';
 
 /**
  * Middleware to handle validation errors
@@ -43,10 +44,11 @@ export const validateRegistration = [
     .matches(/\d/)
     .withMessage('Password must contain at least one number'),
   
+  // Roles are given by users with roles:manage, never chosen at sign-up
   body('role')
-    .optional()
-    .isIn(['standard', 'admin'])
-    .withMessage('Role must be either standard or admin'),
+    .not()
+    .exists()
+    .withMessage('Role cannot be chosen at registration'),
   
   handleValidationErrors
 ];
@@ -114,4 +116,81 @@ export const validateProfileUpdate = [
     .withMessage('Avatar must be a valid URL'),
   
   handleValidationErrors
-];
\ No newline at end of file
+];
+
+/**
+ * Validation rules for forgot password
+ */
+export const validateForgotPassword = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for password reset
+ */
+export const validateResetPassword = [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/\d/)
+    .withMessage('Password must contain at least one number'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for a two-factor authentication code
+ */
+export const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Two-factor authentication code is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the second login step
+ */
+export const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Login challenge token is required'),
+  
+  ...validateTwoFactorCode
+];
+
+/**
+ * Validation rules for creating a personal API key
+ */
+export const validateApiKey = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('API key name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Please provide at least one scope'),
+  
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be from: ${API_KEY_SCOPES.join(', ')}`),
+  
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('expiresInDays must be a positive whole number')
+    .toInt(),
+  
+  handleValidationErrors
+];
@@ -0,0 +1,48 @@
+import { createServer } from 'http';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import { initSocket } from '../../src/config/socket.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Shared setup for integration tests: the test database, a Socket.IO server
+ * for the notifications the API sends, and users to make requests as
+ */
+
+// Connect to the test database, in beforeAll
+export const connectTestDB = () => mongoose.connect(
+  process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/vephla-test'
+);
+
+// Close the connection, in afterAll
+export const closeTestDB = () => mongoose.connection.close();
+
+// Empty the given models' collections, in beforeEach
+export const clearCollections = (...models) => Promise.all(models.map(Model => Model.deleteMany({})));
+
+/**
+ * Start Socket.IO on a server that doesn't listen, so routes that notify
+ * users can run. Close the returned server in afterAll.
+ * @returns {import('socket.io').Server}
+ */
+export const startTestSocket = () => initSocket(createServer());
+
+/**
+ * Register a user as <username>@example.com with password "password123"
+ * @param {string} username
+ * @returns {Promise<{ token: string, userId: string }>} Their access token and id
+ */
+export const registerUser = async (username) => {
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({ username, email: `${username}@example.com`, password: 'password123' })
+    .expect(201);
+
+  return {
+    token: response.body.data.accessToken,
+    userId: response.body.data.user._id
+  };
+};
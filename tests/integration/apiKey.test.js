@@ -0,0 +1,165 @@
+import { createServer } from 'http';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import Task from '../../src/models/Task.js';
+import ApiKey from '../../src/models/ApiKey.js';
+import { initSocket } from '../../src/config/socket.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+let token, userId, io;
+
+beforeAll(async () => {
+  const testDbUri = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/vephla-test';
+  await mongoose.connect(testDbUri);
+  io = initSocket(createServer());
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Task.deleteMany({});
+  await ApiKey.deleteMany({});
+
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({
+      username: 'scripter',
+      email: 'scripter@example.com',
+      password: 'password123'
+    });
+
+  token = response.body.data.accessToken;
+  userId = response.body.data.user._id;
+});
+
+afterAll(async () => {
+  io.close();
+  await mongoose.connection.close();
+});
+
+const createKey = (body) => request(app)
+  .post('/api/auth/api-keys')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ name: 'Cron job', ...body });
+
+describe('API Key Tests', () => {
+  describe('POST /api/auth/api-keys', () => {
+    it('should return the key once and store only its hash', async () => {
+      const response = await createKey({ scopes: ['tasks'] }).expect(201);
+
+      const { key, prefix, keyHash } = response.body.data;
+      expect(key).toMatch(/^vps_/);
+      expect(key.startsWith(prefix)).toBe(true);
+      expect(keyHash).toBeUndefined();
+
+      const stored = await ApiKey.findById(response.body.data._id).select('+keyHash');
+      expect(stored.keyHash).toBe(ApiKey.hashKey(key));
+
+      const list = await request(app)
+        .get('/api/auth/api-keys')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(list.body.count).toBe(1);
+      expect(list.body.data[0].key).toBeUndefined();
+    });
+
+    it('should reject unknown scopes', async () => {
+      const response = await createKey({ scopes: ['admin'] }).expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+
+    it('should reject expiry beyond the maximum', async () => {
+      await createKey({ scopes: ['tasks'], expiresInDays: 1000 }).expect(400);
+    });
+
+    it('should not let an API key create more keys', async () => {
+      const { body } = await createKey({ scopes: ['tasks'] });
+
+      const response = await request(app)
+        .post('/api/auth/api-keys')
+        .set('X-API-Key', body.data.key)
+        .send({ name: 'Another', scopes: ['tasks'] })
+        .expect(403);
+
+      expect(response.body.message).toBe('API keys cannot be used for this route');
+    });
+  });
+
+  describe('Using API keys', () => {
+    it('should authenticate task requests and record last use', async () => {
+      const { body } = await createKey({ scopes: ['tasks'] });
+
+      await request(app)
+        .post('/api/tasks')
+        .set('X-API-Key', body.data.key)
+        .send({ title: 'From cron' })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/tasks')
+        .set('X-API-Key', body.data.key)
+        .expect(200);
+
+      expect(response.body.data[0].owner._id).toBe(userId);
+
+      const stored = await ApiKey.findById(body.data._id);
+      expect(stored.lastUsedAt).toBeDefined();
+    });
+
+    it('should enforce resource scopes', async () => {
+      const { body } = await createKey({ scopes: ['notes'] });
+
+      const response = await request(app)
+        .get('/api/tasks')
+        .set('X-API-Key', body.data.key)
+        .expect(403);
+
+      expect(response.body.message).toBe('API key does not have the tasks scope');
+    });
+
+    it('should keep read-only keys from writing', async () => {
+      const { body } = await createKey({ scopes: ['tasks', 'read'] });
+
+      await request(app)
+        .get('/api/tasks')
+        .set('X-API-Key', body.data.key)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('X-API-Key', body.data.key)
+        .send({ title: 'Blocked' })
+        .expect(403);
+
+      expect(response.body.message).toBe('API key is read-only');
+    });
+
+    it('should reject expired and revoked keys', async () => {
+      const { body } = await createKey({ scopes: ['tasks'] });
+
+      await ApiKey.updateOne({ _id: body.data._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const expired = await request(app)
+        .get('/api/tasks')
+        .set('X-API-Key', body.data.key)
+        .expect(401);
+      expect(expired.body.message).toBe('API key has expired');
+
+      await request(app)
+        .delete(`/api/auth/api-keys/${body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const revoked = await request(app)
+        .get('/api/tasks')
+        .set('X-API-Key', body.data.key)
+        .expect(401);
+      expect(revoked.body.message).toBe('Invalid API key');
+    });
+  });
+});
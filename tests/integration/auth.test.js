@@ -1,7 +1,12 @@
+import { jest } from '@jest/globals';
 import request from 'supertest';
+import { authenticator } from 'otplib';
 import mongoose from 'mongoose';
 import app from '../../src/app.js';
 import User from '../../src/models/User.js';
+import Role from '../../src/models/Role.js';
+import logger from '../../src/utils/logger.js';
+import { setMailTransport, createMailTransport } from '../../src/services/mailService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -15,6 +20,7 @@ beforeAll(async () => {
 // Clear database after each test
 afterEach(async () => {
   await User.deleteMany({});
+  await Role.deleteMany({});
 });
 
 // Close database connection
@@ -46,7 +52,7 @@ describe('Authentication Tests', () => {
       expect(response.body.data.user).not.toHaveProperty('password');
     });
 
-    it('should register an admin user', async () => {
+    it('should not let users choose their role', async () => {
       const userData = {
         username: 'adminuser',
         email: 'admin@example.com',
@@ -54,12 +60,12 @@ describe('Authentication Tests', () => {
         role: 'admin'
       };
 
-      const response = await request(app)
+      await request(app)
         .post('/api/auth/register')
         .send(userData)
-        .expect(201);
+        .expect(400);
 
-      expect(response.body.data.user.role).toBe('admin');
+      expect(await User.countDocuments({ role: 'admin' })).toBe(0);
     });
 
     it('should fail with duplicate email', async () => {
@@ -289,6 +295,56 @@ describe('Authentication Tests', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('accessToken');
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+    });
+
+    it('should store refresh tokens hashed', async () => {
+      const user = await User.findOne({ email: 'test@example.com' });
+
+      expect(user.refreshTokens).toHaveLength(1);
+      expect(user.refreshTokens[0].token).toBe(User.hashToken(refreshToken));
+    });
+
+    it('should reject a refresh token that was already rotated', async () => {
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid refresh token');
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      // A second login is a separate family and must survive
+      const otherLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: otherLogin.body.data.refreshToken })
+        .expect(200);
     });
 
     it('should fail with invalid refresh token', async () => {
@@ -414,4 +470,633 @@ describe('Authentication Tests', () => {
       expect(response.body.success).toBe(true);
     });
   });
-});
\ No newline at end of file
+
+  describe('Password reset', () => {
+    let sent;
+
+    const resetTokenFrom = (mail) => mail.text.match(/reset-password\/([a-f0-9]+)/)[1];
+
+    beforeEach(async () => {
+      sent = [];
+      setMailTransport({ name: 'test', send: async (mail) => { sent.push(mail); } });
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'testuser',
+          email: 'test@example.com',
+          password: 'password123'
+        });
+    });
+
+    it('should email a reset link for a registered address', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe('test@example.com');
+
+      // Only the hash is stored
+      const user = await User.findOne({ email: 'test@example.com' }).select('+resetPasswordToken');
+      expect(user.resetPasswordToken).toBe(User.hashToken(resetTokenFrom(sent[0])));
+    });
+
+    it('should keep reset links out of the logs outside development', async () => {
+      setMailTransport(createMailTransport('console'));
+      const logged = jest.spyOn(logger, 'info');
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      const messages = logged.mock.calls.map(([message]) => String(message));
+      expect(messages.some(message => message.startsWith('Mail to test@example.com'))).toBe(true);
+      expect(messages.some(message => message.includes('reset-password/'))).toBe(false);
+    });
+
+    it('should give the same response for an unknown address', async () => {
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(unknown.body).toEqual(known.body);
+      expect(sent).toHaveLength(1);
+    });
+
+    it('should reset the password and revoke refresh tokens', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      const response = await request(app)
+        .post(`/api/auth/reset-password/${resetTokenFrom(sent[0])}`)
+        .send({ password: 'newpassword123' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      const user = await User.findOne({ email: 'test@example.com' });
+      expect(user.refreshTokens).toHaveLength(0);
+      expect(user.passwordChangedAt).toBeDefined();
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'newpassword123' })
+        .expect(200);
+    });
+
+    it('should not accept a token twice', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      const resetToken = resetTokenFrom(sent[0]);
+
+      await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'newpassword123' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'another123' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Password reset token is invalid or has expired');
+    });
+
+    it('should reject an expired token', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      await User.updateOne(
+        { email: 'test@example.com' },
+        { resetPasswordExpire: new Date(Date.now() - 1000) }
+      );
+
+      await request(app)
+        .post(`/api/auth/reset-password/${resetTokenFrom(sent[0])}`)
+        .send({ password: 'newpassword123' })
+        .expect(400);
+    });
+  });
+
+  describe('Email verification', () => {
+    let sent, token;
+
+    const verificationTokenFrom = (mail) => mail.text.match(/verify-email\/([a-f0-9]+)/)[1];
+
+    beforeEach(async () => {
+      sent = [];
+      setMailTransport({ name: 'test', send: async (mail) => { sent.push(mail); } });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'testuser',
+          email: 'test@example.com',
+          password: 'password123'
+        });
+
+      token = response.body.data.accessToken;
+    });
+
+    afterEach(() => {
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+    });
+
+    it('should send a verification email on registration', async () => {
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe('test@example.com');
+
+      const user = await User.findOne({ email: 'test@example.com' });
+      expect(user.emailVerified).toBe(false);
+    });
+
+    it('should verify the email with the mailed token', async () => {
+      const response = await request(app)
+        .get(`/api/auth/verify-email/${verificationTokenFrom(sent[0])}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Email verified successfully');
+
+      const user = await User.findOne({ email: 'test@example.com' });
+      expect(user.emailVerified).toBe(true);
+    });
+
+    it('should reject an unknown token', async () => {
+      const response = await request(app)
+        .get('/api/auth/verify-email/invalidtoken')
+        .expect(400);
+
+      expect(response.body.message).toBe('Verification token is invalid or has expired');
+    });
+
+    it('should resend a new token and invalidate the old one', async () => {
+      const oldToken = verificationTokenFrom(sent[0]);
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(sent).toHaveLength(2);
+
+      await request(app)
+        .get(`/api/auth/verify-email/${oldToken}`)
+        .expect(400);
+
+      await request(app)
+        .get(`/api/auth/verify-email/${verificationTokenFrom(sent[1])}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Email is already verified');
+    });
+
+    it('should block writes from unverified users when required', async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+      const response = await request(app)
+        .put('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ firstName: 'John' })
+        .expect(403);
+
+      expect(response.body.message).toBe('Please verify your email address before making changes');
+
+      // Reads still work
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/auth/verify-email/${verificationTokenFrom(sent[0])}`)
+        .expect(200);
+
+      await request(app)
+        .put('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ firstName: 'John' })
+        .expect(200);
+    });
+  });
+
+  describe('Sessions', () => {
+    let token, otherToken, otherRefreshToken;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .set('User-Agent', 'Laptop')
+        .send({
+          username: 'testuser',
+          email: 'test@example.com',
+          password: 'password123'
+        });
+
+      token = response.body.data.accessToken;
+
+      const otherResponse = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'Phone')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      otherToken = otherResponse.body.data.accessToken;
+      otherRefreshToken = otherResponse.body.data.refreshToken;
+    });
+
+    it('should list active sessions with device details', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+
+      const current = response.body.data.find(session => session.current);
+      expect(current.userAgent).toBe('Laptop');
+      expect(current).toHaveProperty('ip');
+      expect(current).toHaveProperty('lastUsedAt');
+      expect(response.body.data.find(session => !session.current).userAgent).toBe('Phone');
+    });
+
+    it('should keep the session id across refreshes', async () => {
+      const before = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: otherRefreshToken })
+        .expect(200);
+
+      const after = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${refreshed.body.data.accessToken}`)
+        .expect(200);
+
+      const currentId = sessions => sessions.find(session => session.current).id;
+      expect(currentId(after.body.data)).toBe(currentId(before.body.data));
+    });
+
+    it('should revoke a session and its tokens', async () => {
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`);
+
+      const phone = list.body.data.find(session => !session.current);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${phone.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(401);
+
+      expect(response.body.message).toBe('Session has been revoked. Please login again.');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: otherRefreshToken })
+        .expect(401);
+    });
+
+    it('should return 404 for an unknown session', async () => {
+      await request(app)
+        .delete('/api/auth/sessions/unknown')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+
+    it('should log out everywhere else', async () => {
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.revoked).toBe(1);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    let token, secret;
+
+    // Codes from different time steps, since each code is accepted only once
+    const codeAt = (step = 0) => authenticator.clone({ epoch: Date.now() + step * 30000 }).generate(secret);
+
+    const login = () => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'password123' });
+
+    const enable = async () => {
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      secret = setup.body.data.secret;
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: codeAt(-1) })
+        .expect(200);
+
+      return response.body.data.recoveryCodes;
+    };
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'testuser',
+          email: 'test@example.com',
+          password: 'password123'
+        });
+
+      token = response.body.data.accessToken;
+    });
+
+    afterEach(() => {
+      delete process.env.REQUIRE_ADMIN_2FA;
+    });
+
+    it('should return a secret and otpauth URI on setup', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.secret).toBeDefined();
+      expect(response.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+    });
+
+    it('should enable 2FA with a valid code and return recovery codes', async () => {
+      const recoveryCodes = await enable();
+
+      expect(recoveryCodes).toHaveLength(10);
+
+      const user = await User.findOne({ email: 'test@example.com' });
+      expect(user.twoFactor.enabled).toBe(true);
+    });
+
+    it('should reject an invalid confirmation code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`);
+
+      await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '000000' })
+        .expect(400);
+    });
+
+    it('should require a code after the password when enabled', async () => {
+      await enable();
+
+      const response = await login().expect(200);
+
+      expect(response.body.data.twoFactorRequired).toBe(true);
+      expect(response.body.data).not.toHaveProperty('accessToken');
+
+      // The challenge token is not an access token
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.challengeToken}`)
+        .expect(401);
+
+      const verified = await request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken: response.body.data.challengeToken, code: codeAt(0) })
+        .expect(200);
+
+      expect(verified.body.data).toHaveProperty('accessToken');
+      expect(verified.body.data.user.twoFactor).not.toHaveProperty('secret');
+    });
+
+    it('should not accept the same code twice', async () => {
+      await enable();
+
+      const code = codeAt(0);
+      const first = await login();
+
+      await request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken: first.body.data.challengeToken, code })
+        .expect(200);
+
+      const second = await login();
+
+      await request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken: second.body.data.challengeToken, code })
+        .expect(401);
+    });
+
+    it('should accept each recovery code once', async () => {
+      const [recoveryCode] = await enable();
+
+      const first = await login();
+      await request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken: first.body.data.challengeToken, code: recoveryCode })
+        .expect(200);
+
+      const second = await login();
+      await request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken: second.body.data.challengeToken, code: recoveryCode })
+        .expect(401);
+    });
+
+    it('should count wrong codes toward the account lockout', async () => {
+      await enable();
+
+      const challenge = async () => (await login().expect(200)).body.data.challengeToken;
+      const verify = (challengeToken, code) => request(app)
+        .post('/api/auth/2fa/login')
+        .send({ challengeToken, code });
+
+      await verify(await challenge(), '000000').expect(401);
+
+      // The right password alone doesn't clear the count
+      const challengeToken = await challenge();
+      expect((await User.findOne({ email: 'test@example.com' })).failedLoginAttempts).toBe(1);
+
+      await User.updateOne({ email: 'test@example.com' }, { failedLoginAttempts: 4 });
+      await verify(challengeToken, '000000').expect(401);
+
+      // Even the right code is refused once the account is locked
+      const response = await verify(challengeToken, codeAt(0)).expect(423);
+      expect(response.body.message).toContain('Account temporarily locked');
+    });
+
+    it('should disable 2FA with the password and a code', async () => {
+      await enable();
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'password123', code: codeAt(0) })
+        .expect(200);
+
+      const response = await login().expect(200);
+      expect(response.body.data).toHaveProperty('accessToken');
+    });
+
+    it('should force admins to enroll when required', async () => {
+      process.env.REQUIRE_ADMIN_2FA = 'true';
+
+      const admin = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'adminuser',
+          email: 'admin@example.com',
+          password: 'password123'
+        });
+      await User.updateOne({ _id: admin.body.data.user._id }, { role: 'admin' });
+
+      const adminToken = admin.body.data.accessToken;
+
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('Two-factor authentication must be enabled for accounts with admin permissions');
+
+      token = adminToken;
+      await enable();
+
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+
+    it('should require 2FA for custom roles with permissions too', async () => {
+      process.env.REQUIRE_ADMIN_2FA = 'true';
+
+      await Role.create({ name: 'support', permissions: ['users:read'] });
+      await User.updateOne({ email: 'test@example.com' }, { role: 'support' });
+
+      await request(app)
+        .get('/api/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      await enable();
+
+      await request(app)
+        .get('/api/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'password123', code: codeAt(0) })
+        .expect(403);
+
+      expect(response.body.message).toBe('Two-factor authentication is required for accounts with admin permissions');
+    });
+  });
+
+  describe('Login throttling and lockout', () => {
+    const attempt = (password) => request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password });
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'testuser',
+          email: 'test@example.com',
+          password: 'password123'
+        });
+    });
+
+    it('should count failed logins per account', async () => {
+      await attempt('wrongpassword').expect(401);
+      await attempt('wrongpassword').expect(401);
+
+      const user = await User.findOne({ email: 'test@example.com' });
+      expect(user.failedLoginAttempts).toBe(2);
+    });
+
+    it('should reset the count after a successful login', async () => {
+      await attempt('wrongpassword').expect(401);
+      await attempt('password123').expect(200);
+
+      const user = await User.findOne({ email: 'test@example.com' });
+      expect(user.failedLoginAttempts).toBe(0);
+    });
+
+    it('should delay further attempts after repeated failures', async () => {
+      await attempt('wrongpassword').expect(401);
+      await attempt('wrongpassword').expect(401);
+      await attempt('wrongpassword').expect(401);
+
+      // Even the right password is refused until the delay has passed
+      const response = await attempt('password123').expect(429);
+
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should lock the account after too many failures', async () => {
+      await User.updateOne({ email: 'test@example.com' }, { failedLoginAttempts: 4 });
+
+      await attempt('wrongpassword').expect(401);
+
+      const response = await attempt('password123').expect(423);
+      expect(response.body.message).toContain('Account temporarily locked');
+
+      const user = await User.findOne({ email: 'test@example.com' });
+      expect(user.isLocked).toBe(true);
+    });
+
+    it('should start counting again once a lockout has expired', async () => {
+      await User.updateOne(
+        { email: 'test@example.com' },
+        { failedLoginAttempts: 5, lockUntil: new Date(Date.now() - 1000) }
+      );
+
+      await attempt('wrongpassword').expect(401);
+
+      const user = await User.findOne({ email: 'test@example.com' });
+      expect(user.failedLoginAttempts).toBe(1);
+      expect(user.isLocked).toBe(false);
+    });
+  });
+});
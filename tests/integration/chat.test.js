@@ -0,0 +1,323 @@
+import { createServer } from 'http';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import Message from '../../src/models/Message.js';
+import Room from '../../src/models/Room.js';
+import { initSocket } from '../../src/config/socket.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+let token, userId, otherToken, otherUserId, io;
+
+beforeAll(async () => {
+  const testDbUri = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/vephla-test';
+  await mongoose.connect(testDbUri);
+  io = initSocket(createServer());
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Message.deleteMany({});
+  await Room.deleteMany({});
+
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({
+      username: 'chatuser',
+      email: 'chat@example.com',
+      password: 'password123'
+    });
+
+  token = response.body.data.accessToken;
+  userId = response.body.data.user._id;
+
+  const otherResponse = await request(app)
+    .post('/api/auth/register')
+    .send({
+      username: 'otheruser',
+      email: 'other@example.com',
+      password: 'password123'
+    });
+
+  otherToken = otherResponse.body.data.accessToken;
+  otherUserId = otherResponse.body.data.user._id;
+
+  await request(app)
+    .post('/api/chat/rooms')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: 'general' });
+});
+
+afterAll(async () => {
+  io.close();
+  await mongoose.connection.close();
+});
+
+const sendMessage = (room, message) => request(app)
+  .post('/api/chat/message')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ room, message });
+
+describe('Chat Tests', () => {
+  describe('POST /api/chat/message', () => {
+    it('should persist and return the message', async () => {
+      const response = await sendMessage('general', 'Hello World').expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveProperty('id');
+      expect(response.body.data.message).toBe('Hello World');
+      expect(response.body.data.senderId).toBe(userId);
+
+      const count = await Message.countDocuments({ room: 'general' });
+      expect(count).toBe(1);
+    });
+
+    it('should fail for unknown room', async () => {
+      const response = await sendMessage('missing', 'Hello').expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should fail for private room when not a member', async () => {
+      await request(app)
+        .post('/api/chat/rooms')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ name: 'secret', visibility: 'private' });
+
+      const response = await sendMessage('secret', 'Let me in').expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should fail without room or message', async () => {
+      const response = await request(app)
+        .post('/api/chat/message')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ room: 'general' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/chat/history/:roomId', () => {
+    beforeEach(async () => {
+      for (let i = 1; i <= 5; i++) {
+        await sendMessage('general', `Message ${i}`);
+      }
+      await request(app)
+        .post('/api/chat/rooms')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'other' });
+      await sendMessage('other', 'Elsewhere');
+    });
+
+    it('should return room history in chronological order', async () => {
+      const response = await request(app)
+        .get('/api/chat/history/general')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.count).toBe(5);
+      expect(response.body.data.map(m => m.message)).toEqual([
+        'Message 1', 'Message 2', 'Message 3', 'Message 4', 'Message 5'
+      ]);
+      expect(response.body.pagination.hasMore).toBe(false);
+    });
+
+    it('should page backwards with before cursor', async () => {
+      const first = await request(app)
+        .get('/api/chat/history/general?limit=2')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(first.body.data.map(m => m.message)).toEqual(['Message 4', 'Message 5']);
+      expect(first.body.pagination.hasMore).toBe(true);
+
+      const second = await request(app)
+        .get(`/api/chat/history/general?limit=2&before=${first.body.pagination.before}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(second.body.data.map(m => m.message)).toEqual(['Message 2', 'Message 3']);
+    });
+
+    it('should page forwards with after cursor', async () => {
+      const first = await request(app)
+        .get('/api/chat/history/general?limit=2')
+        .set('Authorization', `Bearer ${token}`);
+
+      const older = await request(app)
+        .get(`/api/chat/history/general?limit=2&before=${first.body.pagination.before}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      const response = await request(app)
+        .get(`/api/chat/history/general?after=${older.body.pagination.after}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.map(m => m.message)).toEqual(['Message 4', 'Message 5']);
+    });
+
+    it('should fail with invalid cursor', async () => {
+      const response = await request(app)
+        .get('/api/chat/history/general?before=invalid')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should fail without authentication', async () => {
+      await request(app)
+        .get('/api/chat/history/general')
+        .expect(401);
+    });
+  });
+
+  describe('Rooms', () => {
+    it('should create a private room with members', async () => {
+      const response = await request(app)
+        .post('/api/chat/rooms')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'team', visibility: 'private', members: [otherUserId] })
+        .expect(201);
+
+      expect(response.body.data.visibility).toBe('private');
+      expect(response.body.data.members).toEqual(expect.arrayContaining([userId, otherUserId]));
+    });
+
+    it('should reject invalid or unknown members when creating a room', async () => {
+      const createRoom = (members) => request(app)
+        .post('/api/chat/rooms')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'team', visibility: 'private', members });
+
+      let response = await createRoom(otherUserId).expect(400);
+      expect(response.body.message).toBe('members must be an array');
+
+      response = await createRoom([otherUserId, 'not-an-id']).expect(400);
+      expect(response.body.message).toBe('members must be valid user IDs');
+
+      await createRoom([new mongoose.Types.ObjectId().toString()]).expect(404);
+
+      expect(await Room.exists({ name: 'team' })).toBeNull();
+    });
+
+    it('should reject reserved room names', async () => {
+      const response = await request(app)
+        .post('/api/chat/rooms')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: `user:${otherUserId}` })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject names of workspace rooms', async () => {
+      await request(app)
+        .post('/api/chat/rooms')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: `workspace:${new mongoose.Types.ObjectId()}` })
+        .expect(400);
+    });
+
+    it('should hide private history from non-members', async () => {
+      await request(app)
+        .post('/api/chat/rooms')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'team', visibility: 'private' });
+
+      await request(app)
+        .get('/api/chat/history/team')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+    });
+
+    it('should let owner add members', async () => {
+      await request(app)
+        .post('/api/chat/rooms')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'team', visibility: 'private' });
+
+      await request(app)
+        .post('/api/chat/rooms/team/members')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ userIds: [otherUserId] })
+        .expect(403);
+
+      await request(app)
+        .post('/api/chat/rooms/team/members')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ userIds: [otherUserId] })
+        .expect(200);
+
+      await request(app)
+        .get('/api/chat/history/team')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+    });
+
+    it('should reject invalid or unknown user IDs when adding members', async () => {
+      await request(app)
+        .post('/api/chat/rooms')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'team', visibility: 'private' });
+
+      const response = await request(app)
+        .post('/api/chat/rooms/team/members')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ userIds: [otherUserId, 'not-an-id'] })
+        .expect(400);
+
+      expect(response.body.message).toBe('userIds must be valid user IDs');
+
+      await request(app)
+        .post('/api/chat/rooms/team/members')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ userIds: [new mongoose.Types.ObjectId().toString()] })
+        .expect(404);
+    });
+
+    it('should only let members leave public rooms themselves', async () => {
+      await request(app)
+        .post('/api/chat/rooms')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'lobby', members: [otherUserId] })
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/chat/rooms/lobby/members/${otherUserId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      const response = await request(app)
+        .delete(`/api/chat/rooms/lobby/members/${otherUserId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(response.body.data.members).not.toContain(otherUserId);
+    });
+
+    it('should return the same direct room for both users', async () => {
+      const first = await request(app)
+        .post('/api/chat/rooms/direct')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ userId: otherUserId })
+        .expect(200);
+
+      const second = await request(app)
+        .post('/api/chat/rooms/direct')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ userId })
+        .expect(200);
+
+      expect(first.body.data.visibility).toBe('direct');
+      expect(second.body.data._id).toBe(first.body.data._id);
+    });
+  });
+});
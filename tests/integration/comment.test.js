@@ -0,0 +1,198 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import Task from '../../src/models/Task.js';
+import Comment from '../../src/models/Comment.js';
+import TaskActivity from '../../src/models/TaskActivity.js';
+import {
+  connectTestDB,
+  closeTestDB,
+  clearCollections,
+  startTestSocket,
+  registerUser
+} from '../helpers/setup.js';
+
+let token, token2, user2Id, taskId, io;
+
+beforeAll(async () => {
+  await connectTestDB();
+  io = startTestSocket();
+});
+
+beforeEach(async () => {
+  await clearCollections(User, Task, Comment, TaskActivity);
+
+  ({ token } = await registerUser('owner'));
+  ({ token: token2, userId: user2Id } = await registerUser('helper'));
+  await registerUser('outsider');
+
+  const response = await request(app)
+    .post('/api/tasks')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: 'Write launch post', assignedTo: [user2Id] });
+
+  taskId = response.body.data._id;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  io.close();
+  await closeTestDB();
+});
+
+const addComment = (content, authToken = token) => request(app)
+  .post(`/api/tasks/${taskId}/comments`)
+  .set('Authorization', `Bearer ${authToken}`)
+  .send({ content });
+
+describe('Task Comment Tests', () => {
+  describe('POST /api/tasks/:id/comments', () => {
+    it('should add a comment and notify mentioned users who can see the task', async () => {
+      const notifications = [];
+      jest.spyOn(io, 'to').mockImplementation((room) => ({
+        emit: (event, payload) => notifications.push({ room, event, payload })
+      }));
+
+      const response = await addComment('@helper can you proofread? cc @outsider').expect(201);
+
+      expect(response.body.data.author.username).toBe('owner');
+      expect(response.body.data.mentions).toEqual([user2Id]);
+
+      const mentions = notifications.filter(n => n.payload?.type === 'TASK_MENTION');
+      expect(mentions).toHaveLength(1);
+      expect(mentions[0].room).toBe(`user:${user2Id}`);
+    });
+
+    it('should not let users without access comment', async () => {
+      const outsider = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'outsider@example.com', password: 'password123' });
+
+      await addComment('Hello', outsider.body.data.accessToken).expect(403);
+    });
+
+    it('should reject empty comments', async () => {
+      const response = await addComment('').expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('GET /api/tasks/:id/comments', () => {
+    it('should list comments oldest first', async () => {
+      await addComment('First');
+      await addComment('Second', token2);
+
+      const response = await request(app)
+        .get(`/api/tasks/${taskId}/comments`)
+        .set('Authorization', `Bearer ${token2}`)
+        .expect(200);
+
+      expect(response.body.data.map(c => c.content)).toEqual(['First', 'Second']);
+      expect(response.body.pagination.totalComments).toBe(2);
+    });
+  });
+
+  describe('PUT and DELETE /api/tasks/:id/comments/:commentId', () => {
+    it('should only let the author edit a comment', async () => {
+      const { body } = await addComment('Draft');
+      const commentId = body.data._id;
+
+      const denied = await request(app)
+        .put(`/api/tasks/${taskId}/comments/${commentId}`)
+        .set('Authorization', `Bearer ${token2}`)
+        .send({ content: 'Hijacked' })
+        .expect(403);
+      expect(denied.body.message).toBe('Only the comment author can edit it');
+
+      const response = await request(app)
+        .put(`/api/tasks/${taskId}/comments/${commentId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Final' })
+        .expect(200);
+
+      expect(response.body.data.content).toBe('Final');
+      expect(response.body.data.editedAt).toBeDefined();
+    });
+
+    it('should let the task owner delete any comment', async () => {
+      const { body } = await addComment('Off topic', token2);
+
+      await request(app)
+        .delete(`/api/tasks/${taskId}/comments/${body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Comment.countDocuments()).toBe(0);
+    });
+
+    it('should not let other users delete a comment', async () => {
+      const { body } = await addComment('Mine');
+
+      await request(app)
+        .delete(`/api/tasks/${taskId}/comments/${body.data._id}`)
+        .set('Authorization', `Bearer ${token2}`)
+        .expect(403);
+    });
+  });
+});
+
+describe('Task Activity Tests', () => {
+  it('should record who changed which fields', async () => {
+    await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Write launch blog post', priority: 'high' })
+      .expect(200);
+
+    await request(app)
+      .put(`/api/tasks/${taskId}/status`)
+      .set('Authorization', `Bearer ${token2}`)
+      .send({ status: 'completed' })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/tasks/${taskId}/activity`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const [statusChange, edit, created] = response.body.data;
+
+    expect(created.action).toBe('created');
+    expect(edit.actor.username).toBe('owner');
+    expect(edit.changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'title', from: 'Write launch post', to: 'Write launch blog post' }),
+      expect.objectContaining({ field: 'priority', from: 'medium', to: 'high' })
+    ]));
+    expect(statusChange.actor.username).toBe('helper');
+    expect(statusChange.changes).toEqual([
+      expect.objectContaining({ field: 'status', from: 'todo', to: 'completed' })
+    ]);
+  });
+
+  it('should not record updates that change nothing', async () => {
+    await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Write launch post' })
+      .expect(200);
+
+    expect(await TaskActivity.countDocuments({ task: taskId })).toBe(1);
+  });
+
+  it('should delete comments and activity with the task', async () => {
+    await addComment('Soon gone');
+
+    await request(app)
+      .delete(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(await Comment.countDocuments()).toBe(0);
+    expect(await TaskActivity.countDocuments()).toBe(0);
+  });
+});
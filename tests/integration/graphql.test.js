@@ -0,0 +1,264 @@
+import { createServer } from 'http';
+import { parse, subscribe } from 'graphql';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import Note from '../../src/models/Note.js';
+import Task from '../../src/models/Task.js';
+import Room from '../../src/models/Room.js';
+import { initSocket } from '../../src/config/socket.js';
+import schema from '../../src/graphql/schema.js';
+import resolvers from '../../src/graphql/resolvers.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+let token, userId, otherToken, otherUserId, io;
+
+beforeAll(async () => {
+  const testDbUri = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/vephla-test';
+  await mongoose.connect(testDbUri);
+  io = initSocket(createServer());
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Note.deleteMany({});
+  await Task.deleteMany({});
+  await Room.deleteMany({});
+
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({
+      username: 'graphuser',
+      email: 'graph@example.com',
+      password: 'password123'
+    });
+
+  token = response.body.data.accessToken;
+  userId = response.body.data.user._id;
+
+  const otherResponse = await request(app)
+    .post('/api/auth/register')
+    .send({
+      username: 'otheruser',
+      email: 'other@example.com',
+      password: 'password123'
+    });
+
+  otherToken = otherResponse.body.data.accessToken;
+  otherUserId = otherResponse.body.data.user._id;
+});
+
+afterAll(async () => {
+  io.close();
+  await mongoose.connection.close();
+});
+
+const graphql = (query, variables, authToken = token) => {
+  const req = request(app)
+    .post('/graphql')
+    .set('Accept', 'application/json')
+    .send({ query, variables });
+
+  return authToken ? req.set('Authorization', `Bearer ${authToken}`) : req;
+};
+
+describe('GraphQL API Tests', () => {
+  describe('Authentication', () => {
+    it('should reject queries without a token', async () => {
+      const response = await graphql('{ getNotes { id } }', {}, null);
+
+      expect(response.body.errors[0].message).toContain('Not authorized');
+      expect(response.body.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+    });
+
+    it('should reject an invalid token', async () => {
+      const response = await graphql('{ me { id } }', {}, 'invalid');
+
+      expect(response.body.errors[0].message).toBe('Invalid token. Please login again.');
+    });
+
+    it('should return the current user', async () => {
+      const response = await graphql('{ me { id username email } }');
+
+      expect(response.body.data.me).toMatchObject({ id: userId, username: 'graphuser' });
+    });
+  });
+
+  describe('Notes', () => {
+    it('should create notes for the caller only', async () => {
+      const response = await graphql(
+        'mutation($input: NoteInput!) { addNote(input: $input) { id title owner } }',
+        { input: { title: 'GraphQL Note', content: 'Body' } }
+      );
+
+      expect(response.body.data.addNote.owner).toBe(userId);
+
+      const mine = await graphql('{ getNotes { title } }');
+      const theirs = await graphql('{ getNotes { title } }', {}, otherToken);
+
+      expect(mine.body.data.getNotes).toHaveLength(1);
+      expect(theirs.body.data.getNotes).toHaveLength(0);
+    });
+
+    it('should share a note and expose it to the recipient', async () => {
+      const note = await Note.create({ title: 'Shared', content: 'Body', owner: userId });
+
+      await graphql(
+        'mutation($id: ID!, $userIds: [ID!]!) { shareNote(id: $id, userIds: $userIds) { isShared } }',
+        { id: note._id.toString(), userIds: [otherUserId] }
+      );
+
+      const response = await graphql('{ getSharedNotes { title } }', {}, otherToken);
+
+      expect(response.body.data.getSharedNotes).toEqual([{ title: 'Shared' }]);
+    });
+
+    it('should forbid updating someone else\'s note', async () => {
+      const note = await Note.create({ title: 'Private', content: 'Body', owner: otherUserId });
+
+      const response = await graphql(
+        'mutation($id: ID!) { updateNote(id: $id, input: { title: "Hacked" }) { id } }',
+        { id: note._id.toString() }
+      );
+
+      expect(response.body.errors[0].extensions.code).toBe('FORBIDDEN');
+    });
+  });
+
+  describe('Tasks', () => {
+    it('should create and update task status', async () => {
+      const created = await graphql(
+        'mutation($input: TaskInput!) { addTask(input: $input) { id status } }',
+        { input: { title: 'GraphQL Task' } }
+      );
+
+      const { id } = created.body.data.addTask;
+
+      const response = await graphql(
+        'mutation($id: ID!) { updateTaskStatus(id: $id, status: "completed") { status completedAt completedBy } }',
+        { id }
+      );
+
+      expect(response.body.data.updateTaskStatus.status).toBe('completed');
+      expect(response.body.data.updateTaskStatus.completedBy).toBe(userId);
+    });
+
+    it('should reject an invalid status', async () => {
+      const task = await Task.create({ title: 'Task', owner: userId });
+
+      const response = await graphql(
+        'mutation($id: ID!) { updateTaskStatus(id: $id, status: "done") { id } }',
+        { id: task._id.toString() }
+      );
+
+      expect(response.body.errors[0].extensions.code).toBe('BAD_USER_INPUT');
+    });
+
+    it('should return task statistics scoped to the caller', async () => {
+      await Task.create([
+        { title: 'Mine', owner: userId, status: 'todo' },
+        { title: 'Theirs', owner: otherUserId, status: 'todo' }
+      ]);
+
+      const response = await graphql('{ getTaskStats { total todo } }');
+
+      expect(response.body.data.getTaskStats).toEqual({ total: 1, todo: 1 });
+    });
+
+    it('should only let the owner delete', async () => {
+      const task = await Task.create({ title: 'Task', owner: userId, assignedTo: [otherUserId] });
+
+      const denied = await graphql(
+        'mutation($id: ID!) { deleteTask(id: $id) { success } }',
+        { id: task._id.toString() },
+        otherToken
+      );
+      expect(denied.body.errors[0].extensions.code).toBe('FORBIDDEN');
+
+      const response = await graphql(
+        'mutation($id: ID!) { deleteTask(id: $id) { success } }',
+        { id: task._id.toString() }
+      );
+      expect(response.body.data.deleteTask.success).toBe(true);
+    });
+  });
+
+  describe('Subscriptions', () => {
+    const subscribeAs = async (query, id, variableValues = {}) => subscribe({
+      schema,
+      document: parse(query),
+      rootValue: resolvers,
+      contextValue: { user: await User.findById(id) },
+      variableValues
+    });
+
+    it('should reject subscriptions without a user', async () => {
+      const result = await subscribe({
+        schema,
+        document: parse('subscription { noteShared { id } }'),
+        rootValue: resolvers,
+        contextValue: { user: null }
+      });
+
+      expect(result.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+    });
+
+    it('should push shared notes to the recipient', async () => {
+      const iterator = await subscribeAs('subscription { noteShared { title } }', otherUserId);
+      const note = await Note.create({ title: 'Live Note', content: 'Body', owner: userId });
+
+      await request(app)
+        .post(`/api/notes/${note._id}/share`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ userIds: [otherUserId] })
+        .expect(200);
+
+      const { value } = await iterator.next();
+      expect(value.data.noteShared.title).toBe('Live Note');
+      await iterator.return();
+    });
+
+    it('should push task status changes to assignees', async () => {
+      const task = await Task.create({ title: 'Live Task', owner: userId, assignedTo: [otherUserId] });
+      const iterator = await subscribeAs(
+        'subscription($taskId: ID) { taskUpdated(taskId: $taskId) { event from to } }',
+        otherUserId,
+        { taskId: task._id.toString() }
+      );
+
+      await request(app)
+        .put(`/api/tasks/${task._id}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'in_progress' })
+        .expect(200);
+
+      const first = await iterator.next();
+      const second = await iterator.next();
+      expect([first.value.data.taskUpdated.event, second.value.data.taskUpdated.event])
+        .toEqual(['task_updated', 'task_status_changed']);
+      expect(second.value.data.taskUpdated).toMatchObject({ from: 'todo', to: 'in_progress' });
+      await iterator.return();
+    });
+
+    it('should end room message subscriptions of removed members', async () => {
+      await request(app)
+        .post('/api/chat/rooms')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'team', visibility: 'private', members: [otherUserId] })
+        .expect(201);
+
+      const iterator = await subscribeAs('subscription { messageReceived(room: "team") { message } }', otherUserId);
+
+      await request(app)
+        .delete(`/api/chat/rooms/team/members/${otherUserId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const { done } = await iterator.next();
+      expect(done).toBe(true);
+    });
+  });
+});
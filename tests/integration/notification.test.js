@@ -0,0 +1,207 @@
+import { createServer } from 'http';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import Client from 'socket.io-client';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import Task from '../../src/models/Task.js';
+import Notification from '../../src/models/Notification.js';
+import { initSocket } from '../../src/config/socket.js';
+import { notifyUser, notifyRoom } from '../../src/services/socketService.js';
+import {
+  connectTestDB,
+  closeTestDB,
+  clearCollections,
+  registerUser
+} from '../helpers/setup.js';
+
+let token, userId, token2, user2Id, io, httpServer, port;
+
+beforeAll(async () => {
+  await connectTestDB();
+
+  // Socket clients connect to this one, so it listens
+  httpServer = createServer();
+  io = initSocket(httpServer);
+  await new Promise(resolve => httpServer.listen(0, resolve));
+  port = httpServer.address().port;
+});
+
+beforeEach(async () => {
+  await clearCollections(User, Task, Notification);
+
+  ({ token, userId } = await registerUser('owner'));
+  ({ token: token2, userId: user2Id } = await registerUser('helper'));
+});
+
+afterAll(async () => {
+  io.close();
+  await closeTestDB();
+});
+
+// Send notifications one after another, so they are stored in order
+const sendNotifications = async (recipientId, types) => {
+  for (const type of types) {
+    await notifyUser(io, recipientId, { type, message: `${type} happened`, data: { type } });
+  }
+};
+
+const getInbox = (query = {}, authToken = token) => request(app)
+  .get('/api/notifications')
+  .query(query)
+  .set('Authorization', `Bearer ${authToken}`)
+  .expect(200);
+
+describe('Notification Tests', () => {
+  describe('Storing notifications', () => {
+    it('should store each notification sent to a user, with the id it was sent with', async () => {
+      const sent = [];
+      jest.spyOn(io, 'to').mockImplementation((room) => ({
+        emit: (event, payload) => sent.push({ room, event, payload })
+      }));
+
+      await notifyUser(io, userId, { type: 'TASK_ASSIGNED', message: 'You have a task', data: { taskId: 'abc' } });
+
+      expect(sent).toHaveLength(1);
+      expect(sent[0].room).toBe(`user:${userId}`);
+
+      const stored = await Notification.findById(sent[0].payload.id);
+      expect(stored.type).toBe('TASK_ASSIGNED');
+      expect(stored.data).toEqual({ taskId: 'abc' });
+      expect(stored.recipients.map(String)).toEqual([userId]);
+    });
+
+    it('should store room notifications once for everyone in the room', async () => {
+      const task = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Plan launch', assignedTo: [user2Id] });
+
+      await notifyRoom(io, `task:${task.body.data._id}`, { type: 'TASK_REMINDER', message: 'Launch is tomorrow' });
+
+      const notifications = await Notification.find({ type: 'TASK_REMINDER' });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].recipients.map(String).sort()).toEqual([userId, user2Id].sort());
+    });
+  });
+
+  describe('GET /api/notifications', () => {
+    beforeEach(async () => {
+      await sendNotifications(userId, ['TASK_ASSIGNED', 'TASK_MENTION', 'NOTE_SHARED']);
+      await sendNotifications(user2Id, ['TASK_ASSIGNED']);
+    });
+
+    it('should list your notifications, newest first', async () => {
+      const response = await getInbox();
+
+      expect(response.body.count).toBe(3);
+      expect(response.body.unreadCount).toBe(3);
+      expect(response.body.data.map(n => n.type)).toEqual(['NOTE_SHARED', 'TASK_MENTION', 'TASK_ASSIGNED']);
+      expect(response.body.data[0]).toMatchObject({ message: 'NOTE_SHARED happened', read: false });
+    });
+
+    it('should filter by type and unread', async () => {
+      const { body } = await getInbox({ type: 'TASK_MENTION' });
+      expect(body.count).toBe(1);
+
+      await request(app)
+        .put(`/api/notifications/${body.data[0].id}/read`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const unread = await getInbox({ unread: 'true' });
+      expect(unread.body.data.map(n => n.type)).toEqual(['NOTE_SHARED', 'TASK_ASSIGNED']);
+      expect(unread.body.unreadCount).toBe(2);
+    });
+  });
+
+  describe('Marking as read', () => {
+    beforeEach(async () => {
+      await sendNotifications(userId, ['TASK_ASSIGNED', 'TASK_MENTION', 'TASK_MENTION']);
+    });
+
+    it('should mark one notification as read', async () => {
+      const { body } = await getInbox();
+
+      const response = await request(app)
+        .put(`/api/notifications/${body.data[0].id}/read`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.read).toBe(true);
+
+      const count = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(count.body.data.count).toBe(2);
+    });
+
+    it("should not let users mark someone else's notification", async () => {
+      const { body } = await getInbox();
+
+      await request(app)
+        .put(`/api/notifications/${body.data[0].id}/read`)
+        .set('Authorization', `Bearer ${token2}`)
+        .expect(404);
+    });
+
+    it('should mark all notifications, or those of a type, as read', async () => {
+      const byType = await request(app)
+        .put('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ type: 'TASK_MENTION' })
+        .expect(200);
+      expect(byType.body.data.updated).toBe(2);
+
+      const all = await request(app)
+        .put('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(all.body.data.updated).toBe(1);
+
+      expect((await getInbox({ unread: 'true' })).body.count).toBe(0);
+    });
+
+    it('should keep read state per recipient of a room notification', async () => {
+      const task = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Plan launch', assignedTo: [user2Id] });
+      await notifyRoom(io, `task:${task.body.data._id}`, { type: 'TASK_REMINDER', message: 'Launch is tomorrow' });
+
+      await request(app)
+        .put('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const helperInbox = await getInbox({ unread: 'true', type: 'TASK_REMINDER' }, token2);
+      expect(helperInbox.body.count).toBe(1);
+    });
+  });
+
+  describe('Replay on reconnect', () => {
+    it('should send notifications newer than the last one received', async () => {
+      await sendNotifications(userId, ['TASK_ASSIGNED', 'TASK_MENTION', 'NOTE_SHARED']);
+      const [first] = await Notification.find().sort({ _id: 1 });
+
+      const received = [];
+      const client = new Client(`http://localhost:${port}`, {
+        auth: { token, lastNotificationId: first.id },
+        transports: ['websocket']
+      });
+
+      await new Promise((resolve, reject) => {
+        client.on('notification', (notification) => {
+          received.push(notification);
+          if (received.length === 2) resolve();
+        });
+        client.on('connect_error', reject);
+      });
+      client.close();
+
+      expect(received.map(n => n.type)).toEqual(['TASK_MENTION', 'NOTE_SHARED']);
+      expect(received[0]).toMatchObject({ replayed: true, read: false });
+    });
+  });
+});
@@ -0,0 +1,276 @@
+import dns from 'dns';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import Task from '../../src/models/Task.js';
+import Note from '../../src/models/Note.js';
+import Job from '../../src/models/Job.js';
+import Notification from '../../src/models/Notification.js';
+import Webhook from '../../src/models/Webhook.js';
+import WebhookDelivery from '../../src/models/WebhookDelivery.js';
+import { setMailTransport } from '../../src/services/mailService.js';
+import { runDueJobs } from '../../src/services/schedulerService.js';
+import { registerNotificationJobs } from '../../src/services/notificationService.js';
+import { registerWebhookJobs } from '../../src/services/webhookService.js';
+import { registerReminderJobs } from '../../src/services/reminderService.js';
+import {
+  connectTestDB,
+  closeTestDB,
+  clearCollections,
+  startTestSocket,
+  registerUser
+} from '../helpers/setup.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+let token, token2, user2Id, io, sent, emitted;
+
+const updatePreferences = (body, authToken = token2) => request(app)
+  .put('/api/auth/notification-preferences')
+  .set('Authorization', `Bearer ${authToken}`)
+  .send(body);
+
+const assignTask = () => request(app)
+  .post('/api/tasks')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ title: 'Write changelog', assignedTo: [user2Id] })
+  .expect(201);
+
+// Run the jobs scheduled so far as if they were due
+const runScheduledJobs = async () => {
+  await Job.updateMany({ status: 'pending' }, { runAt: new Date(Date.now() - 1000) });
+  await runDueJobs();
+};
+
+// "HH:mm" in UTC, some time from now
+const utcTime = (fromNow) => new Date(Date.now() + fromNow).toISOString().slice(11, 16);
+
+beforeAll(async () => {
+  await connectTestDB();
+  io = startTestSocket();
+  registerNotificationJobs();
+  registerWebhookJobs();
+  registerReminderJobs();
+});
+
+beforeEach(async () => {
+  await clearCollections(User, Task, Note, Job, Notification, Webhook, WebhookDelivery);
+
+  ({ token } = await registerUser('owner'));
+  ({ token: token2, userId: user2Id } = await registerUser('assignee'));
+
+  sent = [];
+  setMailTransport({ name: 'test', send: async (mail) => { sent.push(mail); } });
+
+  emitted = [];
+  jest.spyOn(io, 'to').mockImplementation((room) => ({
+    emit: (event, payload) => emitted.push({ room, event, payload })
+  }));
+});
+
+afterAll(async () => {
+  io.close();
+  await closeTestDB();
+});
+
+describe('Notification Preference Tests', () => {
+  describe('GET /api/auth/notification-preferences', () => {
+    it('should list every type with its default channels', async () => {
+      const response = await request(app)
+        .get('/api/auth/notification-preferences')
+        .set('Authorization', `Bearer ${token2}`)
+        .expect(200);
+
+      const { types, quietHours, digest, timezone } = response.body.data;
+      expect(types.find(t => t.type === 'TASK_ASSIGNED')).toMatchObject({ inApp: true, email: false, webhook: false });
+      expect(types.find(t => t.type === 'NOTE_CREATED')).toMatchObject({ inApp: false, email: false, webhook: false });
+      expect(quietHours).toEqual({ enabled: false, start: '22:00', end: '07:00' });
+      expect(digest).toEqual({ enabled: false, time: '08:00' });
+      expect(timezone).toBe('UTC');
+    });
+
+    it('should not notify users about notes they create by default', async () => {
+      await request(app)
+        .post('/api/notes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Ideas', content: 'Write more tests' })
+        .expect(201);
+
+      expect(emitted.filter(e => e.event === 'notification')).toHaveLength(0);
+      expect(await Notification.countDocuments({ type: 'NOTE_CREATED' })).toBe(0);
+    });
+  });
+
+  describe('PUT /api/auth/notification-preferences', () => {
+    it('should merge channel changes and reset a type with null', async () => {
+      const response = await updatePreferences({ channels: { TASK_ASSIGNED: { email: true } } }).expect(200);
+      expect(response.body.data.types.find(t => t.type === 'TASK_ASSIGNED'))
+        .toMatchObject({ inApp: true, email: true, webhook: false });
+
+      const reset = await updatePreferences({ channels: { TASK_ASSIGNED: null } }).expect(200);
+      expect(reset.body.data.types.find(t => t.type === 'TASK_ASSIGNED'))
+        .toMatchObject({ inApp: true, email: false, webhook: false });
+    });
+
+    it('should stop in-app notifications of a type that was turned off', async () => {
+      await updatePreferences({ channels: { TASK_ASSIGNED: { inApp: false } } }).expect(200);
+
+      await assignTask();
+
+      expect(emitted.filter(e => e.room === `user:${user2Id}` && e.event === 'notification')).toHaveLength(0);
+      expect(await Notification.countDocuments({ recipients: user2Id })).toBe(0);
+    });
+
+    it('should reject unknown types, channels and invalid settings', async () => {
+      await updatePreferences({ channels: { TASK_EXPLODED: { inApp: true } } }).expect(400);
+      await updatePreferences({ channels: { TASK_ASSIGNED: { pigeon: true } } }).expect(400);
+      await updatePreferences({ timezone: 'Mars/Olympus_Mons' }).expect(400);
+      await updatePreferences({ quietHours: { start: '25:00' } }).expect(400);
+    });
+  });
+
+  describe('Email and webhook delivery', () => {
+    it('should email notifications when the email channel is on', async () => {
+      await updatePreferences({ channels: { TASK_ASSIGNED: { email: true } } }).expect(200);
+
+      await assignTask();
+      await runScheduledJobs();
+
+      const mail = sent.find(m => m.to === 'assignee@example.com');
+      expect(mail.subject).toBe('owner@example.com assigned you a task: "Write changelog"');
+
+      const stored = await Notification.findOne({ type: 'TASK_ASSIGNED' });
+      expect(stored.emailQueue).toHaveLength(0);
+    });
+
+    it('should collect emails into a daily digest', async () => {
+      await updatePreferences({
+        channels: { TASK_ASSIGNED: { email: true } },
+        digest: { enabled: true, time: '08:00' }
+      }).expect(200);
+
+      await assignTask();
+      await assignTask();
+
+      const jobs = await Job.find({ type: 'notification_email', status: 'pending' });
+      expect(jobs).toHaveLength(1);
+      expect(jobs[0].runAt.toISOString().slice(11, 16)).toBe('08:00');
+      expect(jobs[0].data.digest).toBe(true);
+
+      await runScheduledJobs();
+
+      const mail = sent.find(m => m.to === 'assignee@example.com');
+      expect(mail.subject).toBe('Your daily digest: 2 notifications');
+    });
+
+    it("should post notifications to the user's webhooks subscribed to them", async () => {
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.215.14', family: 4 }]);
+      const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+
+      const webhook = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', `Bearer ${token2}`)
+        .send({ url: 'https://example.com/hooks/vephla', events: ['notification'] })
+        .expect(201);
+
+      await updatePreferences({ channels: { TASK_ASSIGNED: { webhook: true } } }).expect(200);
+
+      await assignTask();
+      await runScheduledJobs();
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      const [url, options] = fetchSpy.mock.calls[0];
+      expect(url).toBe('https://example.com/hooks/vephla');
+      expect(JSON.parse(options.body)).toMatchObject({
+        event: 'notification',
+        data: { notification: { type: 'TASK_ASSIGNED' } }
+      });
+      expect(options.headers['X-Vephla-Signature'])
+        .toBe(`sha256=${Webhook.sign(webhook.body.data.secret, options.headers['X-Vephla-Timestamp'], options.body)}`);
+    });
+  });
+
+  describe('Reminders by email', () => {
+    const getSettings = async (path) => {
+      const response = await request(app)
+        .get(`/api/auth/${path}`)
+        .set('Authorization', `Bearer ${token2}`)
+        .expect(200);
+      return response.body.data;
+    };
+
+    it('should email reminders when TASK_DUE_SOON has the email channel on', async () => {
+      await updatePreferences({ channels: { TASK_DUE_SOON: { email: true } } }).expect(200);
+
+      await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Ship release', dueDate: new Date(Date.now() + 3 * DAY), assignedTo: [user2Id] })
+        .expect(201);
+
+      // The reminders, then the email they queue
+      await Job.updateMany({ type: 'task_reminder', 'data.user': user2Id }, { runAt: new Date(Date.now() - 1000) });
+      await runDueJobs();
+      await Job.updateMany({ type: 'notification_email', status: 'pending' }, { runAt: new Date(Date.now() - 1000) });
+      await runDueJobs();
+
+      const mails = sent.filter(m => m.to === 'assignee@example.com');
+      expect(mails.length).toBeGreaterThan(0);
+      expect(mails.map(m => m.text).join('\n')).toContain('Task "Ship release" is due in');
+      expect(sent.filter(m => m.to === 'owner@example.com')).toHaveLength(0);
+    });
+
+    it('should move the old reminder email setting to notification preferences', async () => {
+      await User.collection.updateOne(
+        { _id: new mongoose.Types.ObjectId(user2Id) },
+        { $set: { 'reminderPreferences.email': true } }
+      );
+
+      expect(await User.migrateReminderEmailPreferences()).toBe(1);
+
+      const stored = await User.collection.findOne({ _id: new mongoose.Types.ObjectId(user2Id) });
+      expect(stored.reminderPreferences.email).toBeUndefined();
+
+      const { types } = await getSettings('notification-preferences');
+      expect(types.find(t => t.type === 'TASK_DUE_SOON').email).toBe(true);
+      expect(types.find(t => t.type === 'TASK_OVERDUE').email).toBe(true);
+      expect((await getSettings('reminder-preferences')).email).toBe(true);
+    });
+
+    it('should accept email in reminder preferences as a shorthand for both reminder types', async () => {
+      const response = await request(app)
+        .put('/api/auth/reminder-preferences')
+        .set('Authorization', `Bearer ${token2}`)
+        .send({ email: true })
+        .expect(200);
+
+      expect(response.body.data.email).toBe(true);
+
+      const { types } = await getSettings('notification-preferences');
+      expect(types.find(t => t.type === 'TASK_OVERDUE')).toMatchObject({ inApp: true, email: true });
+    });
+  });
+
+  describe('Quiet hours', () => {
+    it('should hold live notifications and emails but keep them in the inbox', async () => {
+      await updatePreferences({
+        channels: { TASK_ASSIGNED: { email: true } },
+        quietHours: { enabled: true, start: utcTime(-HOUR), end: utcTime(HOUR) }
+      }).expect(200);
+
+      await assignTask();
+
+      expect(emitted.filter(e => e.room === `user:${user2Id}` && e.event === 'notification')).toHaveLength(0);
+      expect(await Notification.countDocuments({ recipients: user2Id })).toBe(1);
+
+      const [job] = await Job.find({ type: 'notification_email', status: 'pending' });
+      expect(job.runAt.getTime()).toBeGreaterThan(Date.now() + HOUR / 2);
+
+      await runDueJobs();
+      expect(sent.filter(m => m.to === 'assignee@example.com')).toHaveLength(0);
+    });
+  });
+});
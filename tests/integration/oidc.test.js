@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import { createServer } from 'http';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import { resetOidcCache } from '../../src/services/oidcService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const CLIENT_ID = 'vephla-test';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Authorization codes handed out by the mock provider, with the login they complete
+let codes;
+let issuerServer, issuer;
+
+// Minimal OpenID Connect provider: discovery, JWKS and a token endpoint checking PKCE
+const startIssuer = () => new Promise((resolve) => {
+  const provider = express();
+  provider.use(express.urlencoded({ extended: false }));
+
+  provider.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`
+    });
+  });
+
+  provider.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' }] });
+  });
+
+  provider.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+
+    if (!grant || challenge !== grant.codeChallenge || req.body.client_id !== CLIENT_ID) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    codes.delete(req.body.code);
+
+    const idToken = jwt.sign(
+      { nonce: grant.nonce, ...grant.claims },
+      privateKey,
+      { algorithm: 'RS256', keyid: 'test-key', issuer, audience: CLIENT_ID, expiresIn: '5m' }
+    );
+
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  issuerServer = createServer(provider).listen(0, '127.0.0.1', () => {
+    issuer = `http://127.0.0.1:${issuerServer.address().port}`;
+    resolve();
+  });
+});
+
+// Start a login, "authenticate" at the provider with the given claims and
+// return the callback request carrying the flow cookie
+const signIn = async (claims, { state } = {}) => {
+  const login = await request(app).get('/api/auth/oidc/login').expect(302);
+
+  const authorizeUrl = new URL(login.headers.location);
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    claims,
+    nonce: authorizeUrl.searchParams.get('nonce'),
+    codeChallenge: authorizeUrl.searchParams.get('code_challenge')
+  });
+
+  return request(app)
+    .get('/api/auth/oidc/callback')
+    .query({ code, state: state || authorizeUrl.searchParams.get('state') })
+    .set('Cookie', login.headers['set-cookie']);
+};
+
+beforeAll(async () => {
+  const testDbUri = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/vephla-test';
+  await mongoose.connect(testDbUri);
+  await startIssuer();
+
+  process.env.OIDC_ISSUER = issuer;
+  process.env.OIDC_CLIENT_ID = CLIENT_ID;
+  resetOidcCache();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  codes = new Map();
+});
+
+afterEach(() => {
+  delete process.env.OIDC_REQUIRED;
+  delete process.env.OIDC_AUTO_CREATE_USERS;
+});
+
+afterAll(async () => {
+  delete process.env.OIDC_ISSUER;
+  delete process.env.OIDC_CLIENT_ID;
+  await new Promise(resolve => issuerServer.close(resolve));
+  await mongoose.connection.close();
+});
+
+describe('OIDC Single Sign-On Tests', () => {
+  describe('GET /api/auth/oidc/login', () => {
+    it('should redirect to the provider with PKCE', async () => {
+      const response = await request(app)
+        .get('/api/auth/oidc/login')
+        .expect(302);
+
+      const authorizeUrl = new URL(response.headers.location);
+      expect(authorizeUrl.origin + authorizeUrl.pathname).toBe(`${issuer}/authorize`);
+      expect(authorizeUrl.searchParams.get('client_id')).toBe(CLIENT_ID);
+      expect(authorizeUrl.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(response.headers['set-cookie'][0]).toMatch(/HttpOnly/);
+    });
+  });
+
+  describe('GET /api/auth/oidc/callback', () => {
+    it('should create an account for a new identity', async () => {
+      const response = await signIn({
+        sub: 'provider-user-1',
+        email: 'Ada@Example.com',
+        email_verified: true,
+        preferred_username: 'ada.lovelace',
+        given_name: 'Ada',
+        family_name: 'Lovelace'
+      }).expect(200);
+
+      expect(response.body.data.accessToken).toBeDefined();
+      expect(response.body.data.user.email).toBe('ada@example.com');
+
+      const user = await User.findOne({ email: 'ada@example.com' });
+      expect(user.username).toBe('ada_lovelace');
+      expect(user.emailVerified).toBe(true);
+      expect(user.profile.firstName).toBe('Ada');
+      expect(user.identities[0]).toMatchObject({ issuer, subject: 'provider-user-1' });
+    });
+
+    it('should link an existing account with the same verified email', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'grace', email: 'grace@example.com', password: 'password123' })
+        .expect(201);
+
+      const response = await signIn({ sub: 'provider-user-2', email: 'grace@example.com', email_verified: true })
+        .expect(200);
+
+      expect(response.body.data.user.username).toBe('grace');
+      expect(await User.countDocuments()).toBe(1);
+
+      // Later logins find the account through the linked identity, even if the email changed
+      const again = await signIn({ sub: 'provider-user-2', email: 'grace@new.example.com', email_verified: true })
+        .expect(200);
+
+      expect(again.body.data.user.username).toBe('grace');
+    });
+
+    it('should link accounts whose email registration normalized differently', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'katherine', email: 'Katherine.Johnson+nasa@gmail.com', password: 'password123' })
+        .expect(201);
+
+      const response = await signIn({ sub: 'provider-user-3', email: 'katherine.johnson@gmail.com', email_verified: true })
+        .expect(200);
+
+      expect(response.body.data.user.username).toBe('katherine');
+      expect(await User.countDocuments()).toBe(1);
+    });
+
+    it('should not link or create accounts for unverified emails', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'grace', email: 'grace@example.com', password: 'password123' })
+        .expect(201);
+
+      const response = await signIn({ sub: 'attacker', email: 'grace@example.com', email_verified: false })
+        .expect(403);
+
+      expect(response.body.message).toBe('Your identity provider did not share a verified email address');
+
+      const user = await User.findOne({ email: 'grace@example.com' });
+      expect(user.identities).toHaveLength(0);
+    });
+
+    it('should not create accounts when auto-creation is off', async () => {
+      process.env.OIDC_AUTO_CREATE_USERS = 'false';
+
+      const response = await signIn({ sub: 'provider-user-3', email: 'new@example.com', email_verified: true })
+        .expect(403);
+
+      expect(response.body.message).toBe('No account exists for this email address');
+    });
+
+    it('should reject a state that does not match the login', async () => {
+      const response = await signIn(
+        { sub: 'provider-user-4', email: 'state@example.com', email_verified: true },
+        { state: 'forged-state' }
+      ).expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(await User.countDocuments()).toBe(0);
+    });
+
+    it('should reject a callback without the flow cookie', async () => {
+      await request(app)
+        .get('/api/auth/oidc/callback')
+        .query({ code: 'anything', state: 'anything' })
+        .expect(400);
+    });
+  });
+
+  describe('OIDC_REQUIRED', () => {
+    it('should turn off password login and registration', async () => {
+      process.env.OIDC_REQUIRED = 'true';
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'grace@example.com', password: 'password123' })
+        .expect(403);
+
+      expect(response.body.message).toBe('Password login is disabled. Please sign in with single sign-on.');
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'grace', email: 'grace@example.com', password: 'password123' })
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Limits are skipped in tests unless turned back on. Counts are kept in
+// memory for the whole file, so each test stays under the limits the others
+// come close to.
+beforeAll(async () => {
+  const testDbUri = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/vephla-test';
+  await mongoose.connect(testDbUri);
+  process.env.RATE_LIMIT_IN_TESTS = 'true';
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+});
+
+afterAll(async () => {
+  delete process.env.RATE_LIMIT_IN_TESTS;
+  await mongoose.connection.close();
+});
+
+describe('Rate Limiting Tests', () => {
+  it('should refuse an IP after too many failed logins across accounts', async () => {
+    const attempt = (i) => request(app)
+      .post('/api/auth/login')
+      .send({ email: `nobody${i}@example.com`, password: 'password123' });
+
+    const max = parseInt(process.env.LOGIN_FAILURE_MAX_PER_IP) || 20;
+    for (let i = 0; i < max; i++) {
+      await attempt(i).expect(401);
+    }
+
+    const response = await attempt(max).expect(429);
+    expect(response.body.message).toBe('Too many failed login attempts from this IP, please try again later.');
+  });
+
+  it('should limit signed-in users per account, not per IP', async () => {
+    const register = (username) => request(app)
+      .post('/api/auth/register')
+      .send({ username, email: `${username}@example.com`, password: 'password123' })
+      .expect(201);
+
+    const busy = (await register('busy')).body.data.accessToken;
+    const quiet = (await register('quiet')).body.data.accessToken;
+
+    const getTasks = (token) => request(app)
+      .get('/api/tasks')
+      .set('Authorization', `Bearer ${token}`);
+
+    const max = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+    for (let i = 0; i < max; i++) {
+      await getTasks(busy).expect(200);
+    }
+
+    const response = await getTasks(busy).expect(429);
+    expect(response.body.message).toBe('Too many requests, please try again later.');
+
+    await getTasks(quiet).expect(200);
+  });
+});
@@ -0,0 +1,218 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import Task from '../../src/models/Task.js';
+import Job from '../../src/models/Job.js';
+import { registerJobHandler, runDueJobs } from '../../src/services/schedulerService.js';
+import { registerReminderJobs } from '../../src/services/reminderService.js';
+import {
+  connectTestDB,
+  closeTestDB,
+  clearCollections,
+  startTestSocket,
+  registerUser
+} from '../helpers/setup.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let token, userId, token2, user2Id, taskId, io;
+
+beforeAll(async () => {
+  await connectTestDB();
+  io = startTestSocket();
+  registerReminderJobs();
+});
+
+beforeEach(async () => {
+  await clearCollections(User, Task, Job);
+
+  ({ token, userId } = await registerUser('owner'));
+  ({ token: token2, userId: user2Id } = await registerUser('assignee'));
+
+  const task = await request(app)
+    .post('/api/tasks')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: 'Ship release', dueDate: new Date(Date.now() + 3 * DAY), assignedTo: [user2Id] });
+  taskId = task.body.data._id;
+});
+
+afterAll(async () => {
+  io.close();
+  await closeTestDB();
+});
+
+const pendingJobs = (filter = {}) => Job.find({ 'data.task': taskId, status: 'pending', ...filter });
+
+// Make matching jobs due and run them, collecting the notifications sent
+const runNow = async (filter) => {
+  await Job.updateMany({ 'data.task': taskId, status: 'pending', ...filter }, { runAt: new Date(Date.now() - 1000) });
+
+  const notifications = [];
+  jest.spyOn(io, 'to').mockImplementation((room) => ({
+    emit: (event, payload) => notifications.push({ room, event, payload })
+  }));
+
+  await runDueJobs();
+  return notifications.filter(n => n.event === 'notification');
+};
+
+describe('Task Reminder Tests', () => {
+  describe('Scheduling', () => {
+    it('should schedule reminders and an overdue notice for the owner and assignees', async () => {
+      const jobs = await pendingJobs();
+
+      // A day and an hour ahead, plus overdue, for each of the two users
+      expect(jobs).toHaveLength(6);
+      expect(jobs.filter(job => job.data.user === user2Id)).toHaveLength(3);
+      expect(jobs.filter(job => job.type === 'task_overdue')).toHaveLength(2);
+    });
+
+    it('should move reminders with the due date', async () => {
+      const dueDate = new Date(Date.now() + 5 * DAY);
+
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ dueDate })
+        .expect(200);
+
+      const jobs = await pendingJobs();
+      expect(jobs).toHaveLength(6);
+      jobs.forEach(job => expect(new Date(job.data.dueDate).getTime()).toBe(dueDate.getTime()));
+    });
+
+    it('should cancel reminders of removed assignees and completed tasks', async () => {
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ assignedTo: [] })
+        .expect(200);
+
+      expect(await pendingJobs({ 'data.user': user2Id })).toHaveLength(0);
+
+      await request(app)
+        .put(`/api/tasks/${taskId}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      expect(await pendingJobs()).toHaveLength(0);
+    });
+
+    it('should skip reminders that are already due', async () => {
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ dueDate: new Date(Date.now() + 30 * 60000) })
+        .expect(200);
+
+      // Only the overdue notices are left
+      const jobs = await pendingJobs();
+      expect(jobs.map(job => job.type)).toEqual(['task_overdue', 'task_overdue']);
+    });
+  });
+
+  describe('Delivery', () => {
+    it('should notify each participant once', async () => {
+      const notifications = await runNow({ type: 'task_reminder', 'data.offset': 24 * 60 });
+
+      expect(notifications).toHaveLength(2);
+      expect(notifications.map(n => n.room).sort()).toEqual([`user:${userId}`, `user:${user2Id}`].sort());
+      expect(notifications[0].payload).toMatchObject({
+        type: 'TASK_DUE_SOON',
+        message: 'Task "Ship release" is due in 1 day'
+      });
+
+      expect(await runNow({ type: 'task_reminder', 'data.offset': 24 * 60 })).toHaveLength(0);
+    });
+
+    it('should send overdue notices', async () => {
+      const notifications = await runNow({ type: 'task_overdue', 'data.user': userId });
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].payload.type).toBe('TASK_OVERDUE');
+    });
+
+    it('should not send reminders for tasks finished in the meantime', async () => {
+      await Task.updateOne({ _id: taskId }, { status: 'completed' });
+
+      expect(await runNow({})).toHaveLength(0);
+      expect(await Job.countDocuments({ 'data.task': taskId, status: 'completed' })).toBe(6);
+    });
+  });
+
+  describe('Preferences', () => {
+    it('should return the defaults', async () => {
+      const response = await request(app)
+        .get('/api/auth/reminder-preferences')
+        .set('Authorization', `Bearer ${token2}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ enabled: true, offsets: [1440, 60], overdue: true, email: false });
+    });
+
+    it('should reschedule existing reminders when preferences change', async () => {
+      await request(app)
+        .put('/api/auth/reminder-preferences')
+        .set('Authorization', `Bearer ${token2}`)
+        .send({ offsets: [30], overdue: false })
+        .expect(200);
+
+      const jobs = await pendingJobs({ 'data.user': user2Id });
+      expect(jobs).toHaveLength(1);
+      expect(jobs[0].data.offset).toBe(30);
+
+      const notifications = await runNow({ 'data.user': user2Id });
+      expect(notifications[0].payload.message).toBe('Task "Ship release" is due in 30 minutes');
+    });
+
+    it('should cancel reminders when they are turned off', async () => {
+      await request(app)
+        .put('/api/auth/reminder-preferences')
+        .set('Authorization', `Bearer ${token2}`)
+        .send({ enabled: false })
+        .expect(200);
+
+      expect(await pendingJobs({ 'data.user': user2Id })).toHaveLength(0);
+      expect(await pendingJobs({ 'data.user': userId })).toHaveLength(3);
+    });
+
+    it('should reject invalid offsets', async () => {
+      await request(app)
+        .put('/api/auth/reminder-preferences')
+        .set('Authorization', `Bearer ${token2}`)
+        .send({ offsets: [0] })
+        .expect(400);
+
+      await request(app)
+        .put('/api/auth/reminder-preferences')
+        .set('Authorization', `Bearer ${token2}`)
+        .send({ offsets: [5, 10, 15, 20, 25, 30] })
+        .expect(400);
+    });
+  });
+
+  describe('Scheduler', () => {
+    it('should retry failed jobs with backoff', async () => {
+      registerJobHandler('test_failure', async () => {
+        throw new Error('Service unavailable');
+      });
+      await Job.schedule({ type: 'test_failure', key: 'test_failure:1', runAt: new Date(), maxAttempts: 2 });
+
+      await runDueJobs();
+
+      let job = await Job.findOne({ key: 'test_failure:1' });
+      expect(job.status).toBe('pending');
+      expect(job.attempts).toBe(1);
+      expect(job.lastError).toBe('Service unavailable');
+      expect(job.runAt.getTime()).toBeGreaterThan(Date.now());
+
+      await Job.updateOne({ _id: job._id }, { runAt: new Date() });
+      await runDueJobs();
+
+      job = await Job.findOne({ key: 'test_failure:1' });
+      expect(job.status).toBe('failed');
+    });
+  });
+});
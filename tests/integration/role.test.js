@@ -0,0 +1,212 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import Role from '../../src/models/Role.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+let adminToken, staffToken, staffUser, otherUser;
+
+beforeAll(async () => {
+  const testDbUri = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/vephla-test';
+  await mongoose.connect(testDbUri);
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Role.deleteMany({});
+
+  const adminResponse = await request(app)
+    .post('/api/auth/register')
+    .send({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'admin123'
+    });
+  await User.updateOne({ _id: adminResponse.body.data.user._id }, { role: 'admin' });
+
+  adminToken = adminResponse.body.data.accessToken;
+
+  const staffResponse = await request(app)
+    .post('/api/auth/register')
+    .send({
+      username: 'staff',
+      email: 'staff@example.com',
+      password: 'staff123'
+    });
+
+  staffToken = staffResponse.body.data.accessToken;
+  staffUser = staffResponse.body.data.user;
+
+  const otherResponse = await request(app)
+    .post('/api/auth/register')
+    .send({
+      username: 'other',
+      email: 'other@example.com',
+      password: 'other123'
+    });
+
+  otherUser = otherResponse.body.data.user;
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+const createSupportRole = () => request(app)
+  .post('/api/roles')
+  .set('Authorization', `Bearer ${adminToken}`)
+  .send({
+    name: 'support',
+    description: 'Support staff',
+    permissions: ['users:read', 'stats:view']
+  });
+
+describe('Roles and Permissions Tests', () => {
+  describe('GET /api/roles', () => {
+    it('should list built-in roles and permissions as admin', async () => {
+      const response = await request(app)
+        .get('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(role => role.name)).toEqual(['admin', 'standard']);
+
+      const permissions = await request(app)
+        .get('/api/roles/permissions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(permissions.body.data.map(permission => permission.name)).toContain('stats:view');
+    });
+
+    it('should fail for standard users', async () => {
+      const response = await request(app)
+        .get('/api/roles')
+        .set('Authorization', `Bearer ${staffToken}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('Missing permission: roles:manage');
+    });
+  });
+
+  describe('POST /api/roles', () => {
+    it('should create a custom role', async () => {
+      const response = await createSupportRole().expect(201);
+
+      expect(response.body.data.name).toBe('support');
+      expect(response.body.data.permissions).toEqual(['users:read', 'stats:view']);
+    });
+
+    it('should reject unknown permissions', async () => {
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'broken', permissions: ['everything'] })
+        .expect(400);
+    });
+
+    it('should reject permissions that are not an array', async () => {
+      for (const permissions of [null, 42, 'users:read', { 'users:read': true }]) {
+        const response = await request(app)
+          .post('/api/roles')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ name: 'broken', permissions })
+          .expect(400);
+
+        expect(response.body.message).toBe('permissions must be an array');
+      }
+
+      await createSupportRole().expect(201);
+      await request(app)
+        .put('/api/roles/support')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: 'users:read' })
+        .expect(400);
+    });
+
+    it('should not allow built-in role names', async () => {
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'admin' })
+        .expect(400);
+    });
+  });
+
+  describe('Custom role permissions', () => {
+    beforeEach(async () => {
+      await createSupportRole();
+
+      await request(app)
+        .put(`/api/users/${staffUser._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'support' })
+        .expect(200);
+    });
+
+    it('should let support staff view users and stats', async () => {
+      await request(app)
+        .get('/api/users/stats')
+        .set('Authorization', `Bearer ${staffToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${staffToken}`)
+        .expect(200);
+    });
+
+    it('should not let support staff change roles or delete users', async () => {
+      await request(app)
+        .put(`/api/users/${otherUser._id}/role`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ role: 'admin' })
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/users/${otherUser._id}`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .expect(403);
+    });
+
+    it('should apply permission changes immediately', async () => {
+      await request(app)
+        .put('/api/roles/support')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['users:read'] })
+        .expect(200);
+
+      await request(app)
+        .get('/api/users/stats')
+        .set('Authorization', `Bearer ${staffToken}`)
+        .expect(403);
+    });
+
+    it('should not delete a role that is still assigned', async () => {
+      const response = await request(app)
+        .delete('/api/roles/support')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.message).toContain('assigned to 1 user');
+    });
+  });
+
+  describe('Built-in roles', () => {
+    it('should not be editable or deletable', async () => {
+      await request(app)
+        .put('/api/roles/admin')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: [] })
+        .expect(400);
+
+      await request(app)
+        .delete('/api/roles/standard')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+});
@@ -1,17 +1,21 @@
+import { createServer } from 'http';
+import { jest } from '@jest/globals';
 import request from 'supertest';
 import mongoose from 'mongoose';
 import app from '../../src/app.js';
 import User from '../../src/models/User.js';
 import Task from '../../src/models/Task.js';
+import { initSocket } from '../../src/config/socket.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-let token, userId, taskId;
+let token, userId, taskId, io;
 
 beforeAll(async () => {
   const testDbUri = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/vephla-test';
   await mongoose.connect(testDbUri);
+  io = initSocket(createServer());
 });
 
 beforeEach(async () => {
@@ -31,6 +35,7 @@ beforeEach(async () => {
 });
 
 afterAll(async () => {
+  io.close();
   await mongoose.connection.close();
 });
 
@@ -565,4 +570,519 @@ describe('Task CRUD Tests', () => {
       expect(response.body.data.completed).toBe(1);
     });
   });
-});
\ No newline at end of file
+
+  describe('Subtasks', () => {
+    let parentId;
+
+    const addSubtask = (title, body = {}) => request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title, parent: parentId, ...body });
+
+    beforeEach(async () => {
+      const parent = await Task.create({ title: 'Launch', owner: userId });
+      parentId = parent._id.toString();
+    });
+
+    it('should track subtask progress on the parent', async () => {
+      const first = await addSubtask('Write copy').expect(201);
+      await addSubtask('Design banner').expect(201);
+      await addSubtask('Dropped idea', { status: 'cancelled' }).expect(201);
+
+      expect(first.body.data.parent).toBe(parentId);
+
+      await request(app)
+        .put(`/api/tasks/${first.body.data._id}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/tasks/${parentId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.subtaskCounts).toEqual({ total: 3, open: 1, completed: 1 });
+      expect(response.body.data.progress).toBe(50);
+    });
+
+    it('should not nest subtasks', async () => {
+      const { body } = await addSubtask('Write copy');
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Too deep', parent: body.data._id })
+        .expect(400);
+
+      expect(response.body.message).toBe('Subtasks cannot have subtasks of their own');
+    });
+
+    it('should block completing a task with open subtasks', async () => {
+      const { body } = await addSubtask('Write copy');
+
+      const response = await request(app)
+        .put(`/api/tasks/${parentId}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'completed' })
+        .expect(400);
+
+      expect(response.body.message).toBe('This task has 1 open subtask. Complete or cancel it first.');
+
+      await request(app)
+        .put(`/api/tasks/${body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'cancelled' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/tasks/${parentId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'completed' })
+        .expect(200);
+    });
+
+    it('should filter by parent and hasChildren', async () => {
+      await addSubtask('Write copy');
+      await Task.create({ title: 'Standalone', owner: userId });
+
+      const subtasks = await request(app)
+        .get(`/api/tasks?parent=${parentId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(subtasks.body.data.map(task => task.title)).toEqual(['Write copy']);
+
+      const topLevel = await request(app)
+        .get('/api/tasks?parent=none')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(topLevel.body.count).toBe(2);
+
+      const withChildren = await request(app)
+        .get('/api/tasks?hasChildren=true')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(withChildren.body.data.map(task => task.title)).toEqual(['Launch']);
+    });
+
+    it('should delete subtasks with their parent', async () => {
+      await addSubtask('Write copy');
+
+      await request(app)
+        .delete(`/api/tasks/${parentId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Task.countDocuments({ parent: parentId })).toBe(0);
+    });
+  });
+
+  describe('Recurring tasks', () => {
+    const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    const createRecurring = (recurrence, dueDate = inDays(1), extra = {}) => request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Weekly report', dueDate: dueDate.toISOString(), recurrence, ...extra });
+
+    const complete = (id) => request(app)
+      .put(`/api/tasks/${id}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'completed' });
+
+    it('should create the next occurrence when completed', async () => {
+      const dueDate = inDays(1);
+      const { body } = await createRecurring('FREQ=WEEKLY', dueDate).expect(201);
+
+      expect(body.data.rrule).toBe(`FREQ=WEEKLY;BYDAY=${['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][dueDate.getUTCDay()]}`);
+
+      const response = await complete(body.data._id).expect(200);
+
+      const next = response.body.nextOccurrence;
+      expect(next.title).toBe('Weekly report');
+      expect(next.status).toBe('todo');
+      expect(new Date(next.dueDate).getTime()).toBe(dueDate.getTime() + 7 * 24 * 60 * 60 * 1000);
+      expect(next.seriesId).toBe(body.data._id);
+      expect(next.occurrence).toBe(2);
+    });
+
+    it('should skip occurrences that are already past due', async () => {
+      const { body } = await createRecurring({ frequency: 'daily' }, inDays(-3.5)).expect(201);
+
+      const response = await complete(body.data._id).expect(200);
+
+      const dueDate = new Date(response.body.nextOccurrence.dueDate);
+      expect(dueDate > new Date()).toBe(true);
+      expect(dueDate < inDays(1)).toBe(true);
+      expect(response.body.nextOccurrence.occurrence).toBe(5);
+    });
+
+    it('should only create one next occurrence per task', async () => {
+      const { body } = await createRecurring({ frequency: 'daily' }).expect(201);
+
+      await complete(body.data._id).expect(200);
+
+      await request(app)
+        .put(`/api/tasks/${body.data._id}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'todo' })
+        .expect(200);
+
+      const again = await complete(body.data._id).expect(200);
+
+      expect(again.body.nextOccurrence).toBeUndefined();
+      expect(await Task.countDocuments({ seriesId: body.data._id })).toBe(2);
+    });
+
+    it('should not create two next occurrences when completed twice at once', async () => {
+      await Task.init();
+      const { body } = await createRecurring({ frequency: 'daily' }).expect(201);
+
+      const responses = await Promise.all([complete(body.data._id), complete(body.data._id)]);
+
+      responses.forEach(response => expect(response.status).toBe(200));
+      expect(await Task.countDocuments({ seriesId: body.data._id, occurrence: 2 })).toBe(1);
+    });
+
+    it('should carry the estimate over to the next occurrence', async () => {
+      const { body } = await createRecurring({ frequency: 'daily' }, inDays(1), { estimate: 45 }).expect(201);
+
+      const response = await complete(body.data._id).expect(200);
+
+      expect(response.body.nextOccurrence.estimate).toBe(45);
+      expect(response.body.nextOccurrence.timeSpent).toBe(0);
+    });
+
+    it('should end the series after COUNT occurrences', async () => {
+      const { body } = await createRecurring('FREQ=DAILY;COUNT=2').expect(201);
+
+      const second = await complete(body.data._id).expect(200);
+      const last = await complete(second.body.nextOccurrence._id).expect(200);
+
+      expect(last.body.nextOccurrence).toBeUndefined();
+    });
+
+    it('should stop repeating when the recurrence is cleared', async () => {
+      const { body } = await createRecurring({ frequency: 'monthly' }).expect(201);
+
+      await request(app)
+        .put(`/api/tasks/${body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ recurrence: null })
+        .expect(200);
+
+      const response = await complete(body.data._id).expect(200);
+
+      expect(response.body.nextOccurrence).toBeUndefined();
+    });
+
+    it('should reject unsupported rules and rules without a due date', async () => {
+      const unsupported = await createRecurring('FREQ=HOURLY').expect(400);
+      expect(unsupported.body.message).toBe('Unsupported FREQ: HOURLY. Use DAILY, WEEKLY or MONTHLY');
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'No date', recurrence: { frequency: 'daily' } })
+        .expect(400);
+
+      expect(response.body.errors).toContain('Recurring tasks need a due date');
+    });
+  });
+
+  describe('Task dependencies', () => {
+    let designId, buildId, shipId;
+
+    const block = (id, blockedBy) => request(app)
+      .post(`/api/tasks/${id}/dependencies`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ blockedBy });
+
+    // design -> build -> ship
+    beforeEach(async () => {
+      const [design, build, ship] = await Task.create([
+        { title: 'Design', owner: userId },
+        { title: 'Build', owner: userId },
+        { title: 'Ship', owner: userId }
+      ]);
+      [designId, buildId, shipId] = [design, build, ship].map(task => task._id.toString());
+
+      await block(buildId, designId).expect(200);
+      await block(shipId, buildId).expect(200);
+    });
+
+    it('should return both directions of a link', async () => {
+      const response = await request(app)
+        .get(`/api/tasks/${buildId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.blockedBy.map(task => task.title)).toEqual(['Design']);
+      expect(response.body.data.blocks.map(task => task.title)).toEqual(['Ship']);
+    });
+
+    it('should reject cycles', async () => {
+      const response = await block(designId, shipId).expect(400);
+      expect(response.body.message).toBe('This dependency would create a cycle');
+
+      await block(designId, designId).expect(400);
+    });
+
+    it('should refuse to start a blocked task unless overridden', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${buildId}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'in_progress' })
+        .expect(400);
+
+      expect(response.body.blockedBy.map(task => task.title)).toEqual(['Design']);
+
+      await request(app)
+        .put(`/api/tasks/${buildId}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'in_progress', override: true })
+        .expect(200);
+    });
+
+    it('should unblock a task once its blockers are done', async () => {
+      await request(app)
+        .put(`/api/tasks/${designId}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/tasks/${buildId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'completed' })
+        .expect(200);
+    });
+
+    it('should return the dependency graph', async () => {
+      const response = await request(app)
+        .get(`/api/tasks/dependencies?ids=${shipId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const { nodes, edges, truncated } = response.body.data;
+      expect(nodes).toHaveLength(3);
+      expect(edges).toEqual(expect.arrayContaining([
+        { from: designId, to: buildId },
+        { from: buildId, to: shipId }
+      ]));
+      expect(nodes.find(node => node._id === designId).isBlocked).toBe(false);
+      expect(nodes.find(node => node._id === shipId).isBlocked).toBe(true);
+      expect(truncated).toBe(false);
+    });
+
+    it('should drop links to deleted tasks', async () => {
+      await request(app)
+        .delete(`/api/tasks/${designId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const build = await Task.findById(buildId);
+      expect(build.blockedBy).toHaveLength(0);
+
+      await request(app)
+        .delete(`/api/tasks/${shipId}/dependencies/${buildId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Kanban board', () => {
+    let ids;
+
+    const createTask = (title) => request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title });
+
+    const move = (id, body) => request(app)
+      .put(`/api/tasks/${id}/move`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    const column = async (status) => {
+      const response = await request(app)
+        .get('/api/tasks/board')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      return response.body.data.columns.find(c => c.status === status).tasks.map(task => task.title);
+    };
+
+    beforeEach(async () => {
+      ids = {};
+      for (const title of ['A', 'B', 'C']) {
+        const response = await createTask(title);
+        ids[title] = response.body.data._id;
+      }
+    });
+
+    it('should return one column per status with new tasks at the bottom', async () => {
+      const response = await request(app)
+        .get('/api/tasks/board')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.columns.map(c => c.status))
+        .toEqual(['todo', 'in_progress', 'completed', 'cancelled']);
+      expect(await column('todo')).toEqual(['A', 'B', 'C']);
+    });
+
+    it('should reorder cards within a column', async () => {
+      await move(ids.C, { afterTaskId: ids.A }).expect(200);
+      expect(await column('todo')).toEqual(['A', 'C', 'B']);
+
+      await move(ids.B, { beforeTaskId: ids.A }).expect(200);
+      expect(await column('todo')).toEqual(['B', 'A', 'C']);
+    });
+
+    it('should change status and position together', async () => {
+      await move(ids.A, { status: 'in_progress' }).expect(200);
+      const response = await move(ids.C, { status: 'in_progress', beforeTaskId: ids.A }).expect(200);
+
+      expect(response.body.data.status).toBe('in_progress');
+      expect(await column('in_progress')).toEqual(['C', 'A']);
+      expect(await column('todo')).toEqual(['B']);
+    });
+
+    it('should number cards from before boards existed at startup, not when the board is read', async () => {
+      const oldIds = [ids.A, ids.B].map(id => new mongoose.Types.ObjectId(id));
+      await Task.collection.updateMany({ _id: { $in: oldIds } }, { $unset: { position: '' } });
+
+      await column('todo');
+      expect(await Task.countDocuments({ position: null })).toBe(2);
+
+      expect(await Task.assignMissingPositions()).toBe(1);
+      expect(await Task.countDocuments({ position: null })).toBe(0);
+      expect(await column('todo')).toEqual(['C', 'A', 'B']);
+    });
+
+    it('should keep order when positions run out of room', async () => {
+      // Repeatedly dropping cards into the same gap halves it each time
+      for (let i = 0; i < 40; i++) {
+        await move(i % 2 ? ids.B : ids.C, { afterTaskId: ids.A }).expect(200);
+      }
+
+      expect(await column('todo')).toEqual(['A', 'B', 'C']);
+    });
+
+    it('should reject neighbours from another column', async () => {
+      await move(ids.A, { status: 'in_progress' }).expect(200);
+
+      const response = await move(ids.B, { status: 'completed', afterTaskId: ids.A }).expect(400);
+
+      expect(response.body.message).toBe('The task to place this one next to is not in that column');
+    });
+
+    it('should apply the status change rules', async () => {
+      await request(app)
+        .post(`/api/tasks/${ids.B}/dependencies`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ blockedBy: ids.A })
+        .expect(200);
+
+      await move(ids.B, { status: 'in_progress' }).expect(400);
+      await move(ids.B, { status: 'in_progress', override: true }).expect(200);
+    });
+
+    it('should broadcast the move', async () => {
+      const emitted = [];
+      jest.spyOn(io, 'to').mockImplementation(() => ({
+        emit: (event, payload) => emitted.push({ event, payload })
+      }));
+
+      await move(ids.A, { status: 'in_progress' }).expect(200);
+
+      const moved = emitted.find(e => e.event === 'task_moved');
+      expect(moved.payload).toMatchObject({
+        taskId: ids.A,
+        from: { status: 'todo' },
+        to: { status: 'in_progress' }
+      });
+    });
+  });
+
+  describe('Real-time task events', () => {
+    let user2Id, emitted;
+
+    beforeEach(async () => {
+      const user2Response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'user2',
+          email: 'user2@example.com',
+          password: 'password123'
+        });
+      user2Id = user2Response.body.data.user._id;
+
+      const task = await Task.create({
+        title: 'Collaborative Task',
+        owner: userId,
+        assignedTo: [user2Id]
+      });
+      taskId = task._id.toString();
+
+      // Capture every emit with the rooms it was addressed to
+      emitted = [];
+      jest.spyOn(io, 'to').mockImplementation((rooms) => ({
+        emit: (event, payload) => emitted.push({ rooms: [].concat(rooms), event, payload })
+      }));
+    });
+
+    const eventsNamed = (event) => emitted.filter(e => e.event === event);
+
+    it('should broadcast status changes to the task room, owner and assignees', async () => {
+      await request(app)
+        .put(`/api/tasks/${taskId}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'in_progress' })
+        .expect(200);
+
+      const [event] = eventsNamed('task_status_changed');
+      expect(event.payload).toMatchObject({ taskId, from: 'todo', to: 'in_progress' });
+      expect(event.rooms).toEqual(expect.arrayContaining([
+        `task:${taskId}`, `user:${userId}`, `user:${user2Id}`
+      ]));
+      expect(eventsNamed('task_updated')).toHaveLength(1);
+    });
+
+    it('should notify unassigned users', async () => {
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ assignedTo: [] })
+        .expect(200);
+
+      const [event] = eventsNamed('task_unassigned');
+      expect(event.payload.removed).toEqual([user2Id]);
+      expect(event.rooms).toContain(`user:${user2Id}`);
+    });
+
+    it('should not broadcast when nothing changed', async () => {
+      await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Collaborative Task' })
+        .expect(200);
+
+      expect(eventsNamed('task_updated')).toHaveLength(0);
+    });
+
+    it('should broadcast deletion', async () => {
+      jest.spyOn(io, 'in').mockReturnValue({ socketsLeave: jest.fn() });
+
+      await request(app)
+        .delete(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const [event] = eventsNamed('task_deleted');
+      expect(event.payload.taskId).toBe(taskId);
+      expect(event.rooms).toContain(`user:${user2Id}`);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import Task from '../../src/models/Task.js';
+import TimeEntry from '../../src/models/TimeEntry.js';
+import {
+  connectTestDB,
+  closeTestDB,
+  clearCollections,
+  startTestSocket,
+  registerUser
+} from '../helpers/setup.js';
+
+let token, userId, token2, user2Id, designId, buildId, io;
+
+beforeAll(async () => {
+  await connectTestDB();
+  io = startTestSocket();
+});
+
+beforeEach(async () => {
+  await clearCollections(User, Task, TimeEntry);
+
+  ({ token, userId } = await registerUser('owner'));
+  ({ token: token2, userId: user2Id } = await registerUser('contractor'));
+
+  const design = await request(app)
+    .post('/api/tasks')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: 'Design homepage', tags: ['design', 'acme'], estimate: 120, assignedTo: [user2Id] });
+  designId = design.body.data._id;
+
+  const build = await request(app)
+    .post('/api/tasks')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: 'Build homepage' });
+  buildId = build.body.data._id;
+});
+
+afterAll(async () => {
+  io.close();
+  await closeTestDB();
+});
+
+const logTime = (taskId, body, authToken = token) => request(app)
+  .post(`/api/tasks/${taskId}/time`)
+  .set('Authorization', `Bearer ${authToken}`)
+  .send(body);
+
+describe('Time Tracking Tests', () => {
+  describe('Timers', () => {
+    it('should start and stop a timer, logging the time on the task', async () => {
+      await request(app)
+        .post(`/api/tasks/${designId}/time/start`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(201);
+
+      const running = await request(app)
+        .get('/api/tasks/time/running')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(running.body.data.task.title).toBe('Design homepage');
+
+      // Pretend the timer has been running for half an hour
+      await TimeEntry.updateOne({ isRunning: true }, { startedAt: new Date(Date.now() - 30 * 60000) });
+
+      const response = await request(app)
+        .post(`/api/tasks/${designId}/time/stop`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ note: 'Wireframes' })
+        .expect(200);
+
+      expect(response.body.data.isRunning).toBe(false);
+      expect(response.body.data.minutes).toBeCloseTo(30, 0);
+
+      const task = await Task.findById(designId);
+      expect(task.timeSpent).toBeCloseTo(30, 0);
+      expect(task.estimate).toBe(120);
+    });
+
+    it('should not run two timers at once', async () => {
+      await request(app)
+        .post(`/api/tasks/${designId}/time/start`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/tasks/${buildId}/time/start`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('You already have a timer running on "Design homepage". Stop it first.');
+
+      // Other users have their own timer
+      await request(app)
+        .post(`/api/tasks/${designId}/time/start`)
+        .set('Authorization', `Bearer ${token2}`)
+        .expect(201);
+    });
+
+    it('should return 404 when no timer is running on the task', async () => {
+      await request(app)
+        .post(`/api/tasks/${designId}/time/stop`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+
+  describe('Manual entries', () => {
+    it('should log minutes and update the task total', async () => {
+      await logTime(designId, { minutes: 45, note: 'Client call' }).expect(201);
+      await logTime(designId, { startedAt: '2026-10-12T09:00:00Z', endedAt: '2026-10-12T10:30:00Z' }).expect(201);
+
+      const response = await request(app)
+        .get(`/api/tasks/${designId}/time`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.totals).toEqual({ timeSpent: 135, estimate: 120 });
+    });
+
+    it('should require minutes or a start and end', async () => {
+      const response = await logTime(designId, { note: 'Forgot the time' }).expect(400);
+
+      expect(response.body.message).toBe('Provide minutes, or startedAt and endedAt');
+    });
+
+    it('should reject entries ending before they start', async () => {
+      await logTime(designId, { startedAt: '2026-10-12T10:00:00Z', endedAt: '2026-10-12T09:00:00Z' })
+        .expect(400);
+    });
+
+    it('should only let users edit their own entries', async () => {
+      const { body } = await logTime(designId, { minutes: 20 });
+
+      await request(app)
+        .put(`/api/tasks/${designId}/time/${body.data._id}`)
+        .set('Authorization', `Bearer ${token2}`)
+        .send({ minutes: 200 })
+        .expect(403);
+
+      await request(app)
+        .put(`/api/tasks/${designId}/time/${body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ minutes: 25 })
+        .expect(200);
+
+      expect((await Task.findById(designId)).timeSpent).toBe(25);
+    });
+  });
+
+  describe('GET /api/tasks/time/report', () => {
+    beforeEach(async () => {
+      await logTime(designId, { minutes: 60, date: '2026-10-12T09:00:00Z' });
+      await logTime(designId, { minutes: 30, date: '2026-10-13T09:00:00Z' }, token2);
+      await logTime(buildId, { minutes: 15, date: '2026-10-13T14:00:00Z' });
+    });
+
+    it('should break logged time down per user, tag and day', async () => {
+      const response = await request(app)
+        .get('/api/tasks/time/report')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const { totalMinutes, byUser, byTag, byDay } = response.body.data;
+
+      expect(totalMinutes).toBe(105);
+      expect(byUser).toEqual([
+        expect.objectContaining({ username: 'owner', minutes: 75 }),
+        expect.objectContaining({ username: 'contractor', minutes: 30 })
+      ]);
+      expect(byTag).toEqual(expect.arrayContaining([
+        expect.objectContaining({ tag: 'design', minutes: 90 }),
+        expect.objectContaining({ tag: 'acme', minutes: 90 }),
+        expect.objectContaining({ tag: null, minutes: 15 })
+      ]));
+      expect(byDay).toEqual([
+        expect.objectContaining({ date: '2026-10-12', minutes: 60 }),
+        expect.objectContaining({ date: '2026-10-13', minutes: 45 })
+      ]);
+    });
+
+    it('should filter by date range and user', async () => {
+      const response = await request(app)
+        .get('/api/tasks/time/report')
+        .query({ from: '2026-10-13T00:00:00Z', user: userId })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.totalMinutes).toBe(15);
+    });
+
+    it('should only include tasks the user can see', async () => {
+      const response = await request(app)
+        .get('/api/tasks/time/report')
+        .set('Authorization', `Bearer ${token2}`)
+        .expect(200);
+
+      // The contractor is only assigned to the design task
+      expect(response.body.data.totalMinutes).toBe(90);
+    });
+  });
+});
@@ -22,12 +22,13 @@ beforeEach(async () => {
     .send({
       username: 'admin',
       email: 'admin@example.com',
-      password: 'admin123',
-      role: 'admin'
+      password: 'admin123'
     });
 
   adminToken = adminResponse.body.data.accessToken;
   adminUser = adminResponse.body.data.user;
+  // Admins can't sign up as such
+  await User.updateOne({ _id: adminUser._id }, { role: 'admin' });
 
   // Create standard user
   const standardResponse = await request(app)
@@ -35,8 +36,7 @@ beforeEach(async () => {
     .send({
       username: 'standard',
       email: 'standard@example.com',
-      password: 'standard123',
-      role: 'standard'
+      password: 'standard123'
     });
 
   standardToken = standardResponse.body.data.accessToken;
@@ -293,4 +293,84 @@ describe('User Management Tests', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('User sessions', () => {
+    it('should list and revoke a user\'s sessions as admin', async () => {
+      const list = await request(app)
+        .get(`/api/users/${standardUser._id}/sessions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(list.body.count).toBe(1);
+
+      await request(app)
+        .delete(`/api/users/${standardUser._id}/sessions/${list.body.data[0].id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      // The user's access token is tied to the revoked session
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${standardToken}`)
+        .expect(401);
+    });
+
+    it('should revoke all of a user\'s sessions as admin', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'standard@example.com', password: 'standard123' });
+
+      const response = await request(app)
+        .delete(`/api/users/${standardUser._id}/sessions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.revoked).toBe(2);
+
+      const user = await User.findById(standardUser._id);
+      expect(user.refreshTokens).toHaveLength(0);
+    });
+
+    it('should fail as standard user', async () => {
+      await request(app)
+        .get(`/api/users/${adminUser._id}/sessions`)
+        .set('Authorization', `Bearer ${standardToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/users/:id/unlock', () => {
+    beforeEach(async () => {
+      await User.findByIdAndUpdate(standardUser._id, {
+        failedLoginAttempts: 5,
+        lockUntil: new Date(Date.now() + 15 * 60 * 1000)
+      });
+    });
+
+    it('should unlock a locked account as admin', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'standard@example.com', password: 'standard123' })
+        .expect(423);
+
+      const response = await request(app)
+        .put(`/api/users/${standardUser._id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.failedLoginAttempts).toBe(0);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'standard@example.com', password: 'standard123' })
+        .expect(200);
+    });
+
+    it('should fail as standard user', async () => {
+      await request(app)
+        .put(`/api/users/${standardUser._id}/unlock`)
+        .set('Authorization', `Bearer ${standardToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,276 @@
+import dns from 'dns';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import Task from '../../src/models/Task.js';
+import Note from '../../src/models/Note.js';
+import Job from '../../src/models/Job.js';
+import Webhook from '../../src/models/Webhook.js';
+import WebhookDelivery from '../../src/models/WebhookDelivery.js';
+import { runDueJobs } from '../../src/services/schedulerService.js';
+import { registerWebhookJobs } from '../../src/services/webhookService.js';
+import {
+  connectTestDB,
+  closeTestDB,
+  clearCollections,
+  startTestSocket,
+  registerUser
+} from '../helpers/setup.js';
+
+const HOOK_URL = 'https://ci.example.com/hooks/vephla';
+
+// Hosts used in these tests, so they don't depend on real DNS
+const ADDRESSES = {
+  'ci.example.com': '93.184.215.14',
+  'intranet.example.com': '10.0.0.12'
+};
+
+let token, userId, token2, user2Id, io;
+
+const createWebhook = (body, authToken = token) => request(app)
+  .post('/api/webhooks')
+  .set('Authorization', `Bearer ${authToken}`)
+  .send({ url: HOOK_URL, events: ['task.created', 'task.status_changed', 'note.shared'], ...body });
+
+const createTask = (body = {}, authToken = token) => request(app)
+  .post('/api/tasks')
+  .set('Authorization', `Bearer ${authToken}`)
+  .send({ title: 'Ship release', ...body })
+  .expect(201);
+
+// Post deliveries that are due, answering with the given status
+const deliver = async (status = 200) => {
+  const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+    ok: status >= 200 && status < 300,
+    status
+  });
+
+  await runDueJobs();
+  return fetchSpy.mock.calls.map(([url, options]) => ({ url, ...options, payload: JSON.parse(options.body) }));
+};
+
+beforeAll(async () => {
+  await connectTestDB();
+  io = startTestSocket();
+  registerWebhookJobs();
+});
+
+beforeEach(async () => {
+  await clearCollections(User, Task, Note, Job, Webhook, WebhookDelivery);
+
+  jest.spyOn(dns.promises, 'lookup').mockImplementation(async (hostname) => {
+    const address = ADDRESSES[hostname] || hostname;
+    return [{ address, family: address.includes(':') ? 6 : 4 }];
+  });
+
+  ({ token, userId } = await registerUser('owner'));
+  ({ token: token2, userId: user2Id } = await registerUser('other'));
+});
+
+afterAll(async () => {
+  io.close();
+  await closeTestDB();
+});
+
+describe('Webhook Tests', () => {
+  describe('POST /api/webhooks', () => {
+    it('should return the secret once and hide it afterwards', async () => {
+      const response = await createWebhook().expect(201);
+      expect(response.body.data.secret).toMatch(/^whsec_/);
+
+      const list = await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(list.body.count).toBe(1);
+      expect(list.body.data[0].secret).toBeUndefined();
+    });
+
+    it('should reject unknown events and invalid URLs', async () => {
+      await createWebhook({ events: ['task.exploded'] }).expect(400);
+      await createWebhook({ events: [] }).expect(400);
+      await createWebhook({ url: 'ftp://ci.example.com' }).expect(400);
+    });
+
+    it('should reject events that are not an array', async () => {
+      for (const events of ['task.created', 42, null, { 0: 'task.created' }]) {
+        const response = await createWebhook({ events }).expect(400);
+        expect(response.body.message).toBe('events must be an array');
+      }
+
+      const { body } = await createWebhook().expect(201);
+      const response = await request(app)
+        .put(`/api/webhooks/${body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ events: 'task.created' })
+        .expect(400);
+
+      expect(response.body.message).toBe('events must be an array');
+      expect((await Webhook.findById(body.data._id)).events).toHaveLength(3);
+    });
+
+    it('should refuse URLs that resolve to loopback, private or link-local addresses', async () => {
+      await createWebhook({ url: 'http://127.0.0.1:5000/api/users' }).expect(400);
+      await createWebhook({ url: 'http://169.254.169.254/latest/meta-data' }).expect(400);
+      await createWebhook({ url: 'http://[::1]/' }).expect(400);
+      await createWebhook({ url: 'https://intranet.example.com/hooks' }).expect(400);
+    });
+
+    it('should only allow workspace admins and webhooks:manage to widen the scope', async () => {
+      const workspace = await request(app)
+        .post('/api/workspaces')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Engineering' })
+        .expect(201);
+
+      await createWebhook({ scope: 'workspace', workspace: workspace.body.data._id }).expect(201);
+      await createWebhook({ scope: 'workspace', workspace: workspace.body.data._id }, token2).expect(403);
+      await createWebhook({ scope: 'all' }).expect(403);
+
+      const admin = await registerUser('admin');
+      await User.updateOne({ _id: admin.userId }, { role: 'admin' });
+      await createWebhook({ scope: 'all' }, admin.token).expect(201);
+    });
+  });
+
+  describe('Events', () => {
+    it('should post signed task.created events', async () => {
+      const { body } = await createWebhook().expect(201);
+      const task = await createTask();
+
+      const [sent] = await deliver();
+
+      expect(sent.url).toBe(HOOK_URL);
+      expect(sent.payload).toMatchObject({
+        event: 'task.created',
+        data: { task: { _id: task.body.data._id }, actor: { id: userId } }
+      });
+      expect(sent.headers['X-Vephla-Event']).toBe('task.created');
+
+      const timestamp = sent.headers['X-Vephla-Timestamp'];
+      expect(sent.headers['X-Vephla-Signature'])
+        .toBe(`sha256=${Webhook.sign(body.data.secret, timestamp, sent.body)}`);
+    });
+
+    it('should post task.status_changed with the old and new status', async () => {
+      await createWebhook({ events: ['task.status_changed'] }).expect(201);
+      const task = await createTask();
+
+      await request(app)
+        .put(`/api/tasks/${task.body.data._id}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'in_progress' })
+        .expect(200);
+
+      const sent = await deliver();
+      expect(sent).toHaveLength(1);
+      expect(sent[0].payload.data).toMatchObject({ from: 'todo', to: 'in_progress' });
+    });
+
+    it("should not send other users' task events to personal webhooks", async () => {
+      await createWebhook({}, token2).expect(201);
+      await createTask();
+
+      expect(await deliver()).toHaveLength(0);
+
+      await createTask({ assignedTo: [user2Id] });
+      expect(await deliver()).toHaveLength(1);
+    });
+
+    it('should send note.shared to the users a note is shared with', async () => {
+      await createWebhook({ events: ['note.shared'] }, token2).expect(201);
+
+      const note = await request(app)
+        .post('/api/notes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Roadmap', content: 'Q4 plans' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/notes/${note.body.data._id}/share`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ userIds: [user2Id] })
+        .expect(200);
+
+      const [sent] = await deliver();
+      expect(sent.payload).toMatchObject({ event: 'note.shared', data: { sharedWith: [user2Id] } });
+    });
+  });
+
+  describe('Deliveries', () => {
+    it('should not post to a host that moved to a private address', async () => {
+      const { body } = await createWebhook().expect(201);
+      await createTask();
+
+      ADDRESSES['ci.example.com'] = '192.168.1.20';
+      try {
+        expect(await deliver()).toHaveLength(0);
+      } finally {
+        ADDRESSES['ci.example.com'] = '93.184.215.14';
+      }
+
+      const [delivery] = await WebhookDelivery.find({ webhook: body.data._id });
+      expect(delivery.attempts[0].error).toBe('Webhook URL does not resolve to a public address');
+    });
+
+    it('should log failed attempts and retry them with backoff', async () => {
+      const { body } = await createWebhook().expect(201);
+      await createTask();
+
+      await deliver(500);
+
+      let [delivery] = await WebhookDelivery.find({ webhook: body.data._id });
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts[0].toObject()).toMatchObject({ statusCode: 500, error: 'Webhook responded with 500' });
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      await Job.updateMany({ status: 'pending' }, { runAt: new Date(Date.now() - 1000) });
+      await deliver(204);
+
+      [delivery] = await WebhookDelivery.find({ webhook: body.data._id });
+      expect(delivery.status).toBe('succeeded');
+      expect(delivery.attempts).toHaveLength(2);
+    });
+
+    it('should list deliveries and redeliver one with the same payload', async () => {
+      const { body } = await createWebhook().expect(201);
+      await createTask();
+      const [first] = await deliver();
+
+      const log = await request(app)
+        .get(`/api/webhooks/${body.data._id}/deliveries`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(log.body.count).toBe(1);
+      const deliveryId = log.body.data[0]._id;
+
+      const redelivery = await request(app)
+        .post(`/api/webhooks/${body.data._id}/deliveries/${deliveryId}/redeliver`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(201);
+
+      expect(redelivery.body.data.redeliveryOf).toBe(deliveryId);
+
+      const [second] = await deliver();
+      expect(second.payload.id).toBe(first.payload.id);
+      expect(second.headers['X-Vephla-Delivery']).toBe(redelivery.body.data._id);
+    });
+
+    it("should not show other users' webhooks or deliveries", async () => {
+      const { body } = await createWebhook().expect(201);
+
+      await request(app)
+        .get(`/api/webhooks/${body.data._id}/deliveries`)
+        .set('Authorization', `Bearer ${token2}`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/webhooks/${body.data._id}`)
+        .set('Authorization', `Bearer ${token2}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,375 @@
+import { createServer } from 'http';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import User from '../../src/models/User.js';
+import Note from '../../src/models/Note.js';
+import Task from '../../src/models/Task.js';
+import File from '../../src/models/File.js';
+import Workspace from '../../src/models/Workspace.js';
+import { initSocket } from '../../src/config/socket.js';
+import { setMailTransport } from '../../src/services/mailService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+let ownerToken, ownerId, memberToken, memberId, outsiderToken, outsiderId, workspaceId, sent, io;
+
+const register = async (username) => {
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({
+      username,
+      email: `${username}@example.com`,
+      password: 'password123'
+    });
+
+  return { token: response.body.data.accessToken, id: response.body.data.user._id };
+};
+
+const inviteTokenFrom = (mail) => mail.text.match(/invitations\/([a-f0-9]+)/)[1];
+
+// Invite a user by email and accept the invitation as them
+const addMember = async (email, token, role = 'member') => {
+  await request(app)
+    .post(`/api/workspaces/${workspaceId}/invitations`)
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send({ email, role })
+    .expect(201);
+
+  return request(app)
+    .post(`/api/workspaces/invitations/${inviteTokenFrom(sent[sent.length - 1])}`)
+    .set('Authorization', `Bearer ${token}`);
+};
+
+beforeAll(async () => {
+  const testDbUri = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/vephla-test';
+  await mongoose.connect(testDbUri);
+  io = initSocket(createServer());
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Workspace.deleteMany({});
+  await Note.deleteMany({});
+  await Task.deleteMany({});
+  await File.deleteMany({});
+
+  sent = [];
+  setMailTransport({ name: 'test', send: async (mail) => { sent.push(mail); } });
+
+  ({ token: ownerToken, id: ownerId } = await register('owner'));
+  ({ token: memberToken, id: memberId } = await register('member'));
+  ({ token: outsiderToken, id: outsiderId } = await register('outsider'));
+
+  const response = await request(app)
+    .post('/api/workspaces')
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send({ name: 'Marketing' });
+
+  workspaceId = response.body.data._id;
+});
+
+afterAll(async () => {
+  io.close();
+  await mongoose.connection.close();
+});
+
+describe('Workspace Tests', () => {
+  describe('POST /api/workspaces', () => {
+    it('should make the creator the owner', async () => {
+      const response = await request(app)
+        .get('/api/workspaces')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0]).toMatchObject({ name: 'Marketing', role: 'owner' });
+    });
+
+    it('should hide workspaces from non-members', async () => {
+      await request(app)
+        .get(`/api/workspaces/${workspaceId}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(404);
+
+      const response = await request(app)
+        .get('/api/workspaces')
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(0);
+    });
+  });
+
+  describe('Invitations', () => {
+    it('should email an invitation and add the member on acceptance', async () => {
+      const response = await addMember('member@example.com', memberToken);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.role).toBe('member');
+      expect(sent[0].to).toBe('member@example.com');
+
+      // The invitation is used up
+      const workspace = await Workspace.findById(workspaceId);
+      expect(workspace.getMemberRole(memberId)).toBe('member');
+      expect(workspace.invitations).toHaveLength(0);
+    });
+
+    it('should match invitations to accounts the way registration normalizes emails', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'janedoe', email: 'Jane.Doe+vephla@gmail.com', password: 'password123' })
+        .expect(201);
+
+      const accepted = await addMember('jane.doe@GMail.com', response.body.data.accessToken);
+
+      expect(accepted.status).toBe(200);
+      const workspace = await Workspace.findById(workspaceId);
+      expect(workspace.getMemberRole(response.body.data.user._id)).toBe('member');
+    });
+
+    it('should reject an invitation accepted by a different account', async () => {
+      await request(app)
+        .post(`/api/workspaces/${workspaceId}/invitations`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'member@example.com' })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/workspaces/invitations/${inviteTokenFrom(sent[0])}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('This invitation was sent to a different email address');
+    });
+
+    it('should reject an expired invitation', async () => {
+      await request(app)
+        .post(`/api/workspaces/${workspaceId}/invitations`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'member@example.com' })
+        .expect(201);
+
+      await Workspace.updateOne(
+        { _id: workspaceId },
+        { $set: { 'invitations.0.expiresAt': new Date(Date.now() - 1000) } }
+      );
+
+      const response = await request(app)
+        .post(`/api/workspaces/invitations/${inviteTokenFrom(sent[0])}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Invitation is invalid or has expired');
+    });
+
+    it('should only let admins invite', async () => {
+      await addMember('member@example.com', memberToken);
+
+      const response = await request(app)
+        .post(`/api/workspaces/${workspaceId}/invitations`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ email: 'outsider@example.com' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should remove the invitation if the email cannot be sent', async () => {
+      setMailTransport({ name: 'test', send: async () => { throw new Error('SMTP down'); } });
+
+      await request(app)
+        .post(`/api/workspaces/${workspaceId}/invitations`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'member@example.com' })
+        .expect(500);
+
+      const workspace = await Workspace.findById(workspaceId);
+      expect(workspace.invitations).toHaveLength(0);
+    });
+  });
+
+  describe('Members', () => {
+    beforeEach(async () => {
+      await addMember('member@example.com', memberToken);
+    });
+
+    it('should let the owner change a member role', async () => {
+      const response = await request(app)
+        .put(`/api/workspaces/${workspaceId}/members/${memberId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'viewer' })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('viewer');
+    });
+
+    it('should not let the owner be removed', async () => {
+      await request(app)
+        .delete(`/api/workspaces/${workspaceId}/members/${ownerId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(400);
+    });
+
+    it('should let a member leave', async () => {
+      await request(app)
+        .delete(`/api/workspaces/${workspaceId}/members/${memberId}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/workspaces/${workspaceId}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(404);
+    });
+
+    it('should stop live updates to a removed member', async () => {
+      const socketsLeave = jest.fn();
+      const inRoom = jest.spyOn(io, 'in').mockReturnValue({ socketsLeave });
+
+      await request(app)
+        .delete(`/api/workspaces/${workspaceId}/members/${memberId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(inRoom).toHaveBeenCalledWith(`user:${memberId}`);
+      expect(socketsLeave).toHaveBeenCalledWith(`workspace:${workspaceId}`);
+    });
+  });
+
+  describe('Scoped content', () => {
+    beforeEach(async () => {
+      await addMember('member@example.com', memberToken);
+    });
+
+    it('should list workspace notes for every member and keep them out of personal lists', async () => {
+      await request(app)
+        .post('/api/notes')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ title: 'Team Note', content: 'Shared', workspace: workspaceId })
+        .expect(201);
+
+      await request(app)
+        .post('/api/notes')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ title: 'Private Note', content: 'Mine' })
+        .expect(201);
+
+      const team = await request(app)
+        .get(`/api/notes?workspace=${workspaceId}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      expect(team.body.data.map(note => note.title)).toEqual(['Team Note']);
+
+      const personal = await request(app)
+        .get('/api/notes')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(personal.body.data.map(note => note.title)).toEqual(['Private Note']);
+    });
+
+    it('should let members edit workspace notes but not outsiders', async () => {
+      const note = await Note.create({ title: 'Team Note', content: 'Body', owner: ownerId, workspace: workspaceId });
+
+      await request(app)
+        .put(`/api/notes/${note._id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ title: 'Edited' })
+        .expect(200);
+
+      await request(app)
+        .get(`/api/notes/${note._id}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(403);
+    });
+
+    it('should forbid listing a workspace the user is not in', async () => {
+      const response = await request(app)
+        .get(`/api/tasks?workspace=${workspaceId}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('Not a member of this workspace');
+    });
+
+    it('should only assign workspace tasks to members', async () => {
+      await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ title: 'Team Task', workspace: workspaceId, assignedTo: [outsiderId] })
+        .expect(400);
+
+      await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ title: 'Team Task', workspace: workspaceId, assignedTo: [memberId] })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/tasks?workspace=${workspaceId}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+    });
+
+    it('should not let viewers create content', async () => {
+      await request(app)
+        .put(`/api/workspaces/${workspaceId}/members/${memberId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'viewer' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ title: 'Viewer Task', workspace: workspaceId })
+        .expect(403);
+    });
+
+    it('should list workspace files for members', async () => {
+      await File.create({
+        originalName: 'plan.pdf',
+        fileName: 'plan-123.pdf',
+        mimeType: 'application/pdf',
+        size: 1024,
+        path: '/tmp/plan-123.pdf',
+        owner: ownerId,
+        workspace: workspaceId
+      });
+
+      const response = await request(app)
+        .get(`/api/files?workspace=${workspaceId}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+    });
+
+    it('should stop live updates to everyone when the workspace is deleted', async () => {
+      const socketsLeave = jest.fn();
+      const inRoom = jest.spyOn(io, 'in').mockReturnValue({ socketsLeave });
+
+      await request(app)
+        .delete(`/api/workspaces/${workspaceId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(inRoom).toHaveBeenCalledWith(`workspace:${workspaceId}`);
+      expect(socketsLeave).toHaveBeenCalledWith(`workspace:${workspaceId}`);
+    });
+
+    it('should refuse to delete a workspace that still has content', async () => {
+      await Note.create({ title: 'Team Note', content: 'Body', owner: ownerId, workspace: workspaceId });
+
+      await request(app)
+        .delete(`/api/workspaces/${workspaceId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(400);
+    });
+  });
+});